@@ -0,0 +1,247 @@
+// Qualification flows: which fields we collect from a lead, in what order,
+// how we ask for them and how the extraction model should read the answers.
+//
+// Per field:
+//   key        - name in the lead state (and leads column, unless column: false)
+//   label      - what the assistant is asking for, used in the reply prompt
+//   hint       - extraction rules for the model (one "- " bullet per line)
+//   required   - must be known before the lead is scored (default true)
+//   normalize  - budget | bedrooms | timeline, fills the numeric columns
+//   catch_all  - while empty, the lead's latest message counts as this field
+//                when picking the next question
+//   column     - false to keep the field only in lead_state
+//
+// Per flow: `description` (who the lead is), `detect` (regexes matched
+// against the lead's first message to pick the flow), `score_base`,
+// `score_rules` and `listings` (sale | rent: which listings we match the
+// lead against once every question is answered, see lib/listings.js).
+//
+// Lead scores are 0-100: score_base plus the points of every rule whose
+// `when(facts)` is true (facts: see lib/scoring.js). score_thresholds turn
+// the number into hot / warm / cold.
+//
+// Point QUALIFICATION_CONFIG at another file exporting the same shape to
+// change the questions without touching the code.
+module.exports = {
+  default_flow: 'buyer',
+
+  score_thresholds: {
+    hot: 70,
+    warm: 40
+  },
+
+  // Lead source (POST /lead) -> flow
+  source_flows: {
+    'zillow-rentals': 'renter',
+    'apartments.com': 'renter',
+    'home-valuation': 'seller'
+  },
+
+  flows: {
+    buyer: {
+      description: 'someone looking to buy a home',
+      listings: 'sale',
+      score_base: 20,
+      score_rules: [
+        {
+          id: 'preapproved',
+          points: 25,
+          label: 'pre-approved or paying cash',
+          when: f => f.matches('preapproval', /pre-?approved|cash/i) && !f.matches('preapproval', /\b(not|no|haven'?t|isn'?t|without)\b/i)
+        },
+        { id: 'timeline_soon', points: 20, label: 'timeline under 3 months', when: f => f.daysUntilMove !== null && f.daysUntilMove <= 90 },
+        { id: 'timeline_mid', points: 10, label: 'timeline 3-6 months', when: f => f.daysUntilMove > 90 && f.daysUntilMove <= 183 },
+        { id: 'timeline_far', points: -10, label: 'timeline over a year out', when: f => f.daysUntilMove > 365 },
+        { id: 'budget_known', points: 15, label: 'budget known', when: f => f.hasBudget },
+        { id: 'budget_unknown', points: -15, label: 'budget unknown', when: f => !f.hasBudget },
+        { id: 'location_known', points: 10, label: 'location known', when: f => f.known('location') },
+        { id: 'motivation_known', points: 10, label: 'clear motivation', when: f => f.known('motivation') },
+        { id: 'home_details', points: 5, label: 'home type and bedrooms known', when: f => f.known('home_type') && f.known('bedrooms') },
+        { id: 'wants_meeting', points: 15, label: 'asked for a call', when: f => f.lead.wants_meeting === true }
+      ],
+      fields: [
+        {
+          key: 'location',
+          label: 'the location or area they are looking in',
+          hint: `
+  - Any city, state, area, or neighborhood (e.g. "Dallas", "Phoenix", "near ASU").
+  - Phrases like "Houses in Tempe", "Somewhere in Dallas", "a place in Maryland"
+    MUST set location to the core place name: "Tempe", "Dallas", "Maryland".
+  - If the last Assistant question is about where they want to live / location / area,
+    and the Lead says a generic "not sure yet" type answer, then location = "unknown".`
+        },
+        {
+          key: 'budget',
+          label: 'their budget or price range',
+          normalize: 'budget',
+          hint: `
+  - Any price or range for what they want to spend (e.g. "400k", "under 500k", "$2,000/month").
+  - If they give a number or price phrase, use that as budget.
+  - If the last Assistant question is about budget / price / what they want to spend,
+    and they reply with a generic "don't know / none / not sure", then budget = "unknown".`
+        },
+        {
+          key: 'timeline',
+          label: 'when they want to move',
+          normalize: 'timeline',
+          hint: `
+  - When they want to move (e.g. "next 3 months", "this summer", "ASAP", "3-4 years").
+  - Look for time words: "month(s)", "year(s)", "week(s)", "ASAP", "soon", "later", "this fall", etc.
+  - If the last Assistant question is about when they want to move / timeline / how soon,
+    and they reply with a generic "not sure / no rush / haven't decided", then timeline = "unknown".
+  - IMPORTANT:
+    - If the Lead reply is ONLY a number or numeric range like "3-4" with NO time words,
+      DO NOT treat it as timeline by itself.
+    - Only assign to timeline if time units are explicitly mentioned, like "3-4 months" or "3-4 years".`
+        },
+        {
+          key: 'home_type',
+          label: 'the type of home they want (house, condo, townhouse, etc.)',
+          hint: `
+  - Words like "house", "condo", "apartment", "townhouse", "duplex", etc.
+  - If the last Assistant question asks what type of place or property they want,
+    and they respond with "not sure / no preference / don't know", then home_type = "unknown".`
+        },
+        {
+          key: 'bedrooms',
+          label: 'how many bedrooms they want',
+          normalize: 'bedrooms',
+          hint: `
+  - Number of bedrooms (e.g. "3 bedrooms", "2-3 beds", "5 bed", or just "3", "3-4").
+  - If the last Assistant question mentions "bedroom", "bedrooms", "beds", or "rooms",
+    and the Lead replies with:
+      - a single number (e.g. "5"), OR
+      - a numeric range (e.g. "3-4", "2-3"),
+    then that value MUST go to "bedrooms", NOT "timeline" and NOT any other field.
+  - Examples:
+      Assistant: "How many bedrooms are you looking for?"
+      Lead: "5"
+        => bedrooms: "5"
+      Assistant: "How many bedrooms do you need?"
+      Lead: "3-4"
+        => bedrooms: "3-4"
+  - If the last Assistant question is about bedrooms and they say "not sure" etc.,
+    then bedrooms = "unknown".`
+        },
+        {
+          key: 'preapproval',
+          label: 'whether they are pre-approved or paying cash',
+          hint: `
+  - Any mention of mortgage pre-approval or paying cash
+    (e.g. "pre-approved", "not pre-approved yet", "paying cash").
+  - If the last Assistant question asks whether they are pre-approved or how they plan to finance,
+    and they respond with "don't know yet / not sure", then preapproval = "unknown".`
+        },
+        {
+          key: 'motivation',
+          label: 'why they are moving or buying',
+          catch_all: true,
+          hint: `
+  - Why they are moving (e.g. "new job", "investment property", "bigger place", "going to ASU").
+  - If the last Assistant question is about why they are moving / their reason / motivation,
+    and they respond with "not sure", "no real reason", "just looking", then motivation = "unknown".`
+        }
+      ]
+    },
+
+    renter: {
+      description: 'someone looking to rent a home',
+      listings: 'rent',
+      score_base: 20,
+      score_rules: [
+        { id: 'move_in_soon', points: 25, label: 'moving in within 2 months', when: f => f.daysUntilMove !== null && f.daysUntilMove <= 61 },
+        { id: 'move_in_mid', points: 10, label: 'moving in within 4 months', when: f => f.daysUntilMove > 61 && f.daysUntilMove <= 122 },
+        { id: 'rent_known', points: 15, label: 'rent range known', when: f => f.hasBudget },
+        { id: 'rent_unknown', points: -15, label: 'rent range unknown', when: f => !f.hasBudget },
+        { id: 'location_known', points: 15, label: 'location known', when: f => f.known('location') },
+        { id: 'bedrooms_known', points: 5, label: 'bedrooms known', when: f => f.known('bedrooms') },
+        { id: 'wants_meeting', points: 15, label: 'asked for a call', when: f => f.lead.wants_meeting === true }
+      ],
+      // Matched against the lead's first message
+      detect: ['\\bfor rent\\b', '\\brent(ing|al)?\\b', '\\blease\\b', '\\btenant\\b'],
+      fields: [
+        {
+          key: 'location',
+          label: 'the location or area they want to rent in',
+          hint: `
+  - Any city, state, area, or neighborhood (e.g. "Dallas", "Phoenix", "near ASU").
+  - Use the core place name: "apartments in Tempe" => "Tempe".`
+        },
+        {
+          key: 'monthly_rent',
+          label: 'how much they want to pay in rent per month',
+          normalize: 'budget',
+          hint: `
+  - Monthly rent they can afford (e.g. "$1,800", "under 2k a month", "1500-1700").
+  - If they reply to a rent question with a bare number, it is the monthly rent.`
+        },
+        {
+          key: 'lease_start',
+          label: 'when they want their lease to start',
+          normalize: 'timeline',
+          hint: `
+  - When they want to move in / start the lease (e.g. "August 1st", "next month", "ASAP").
+  - Only assign it if there are time words or a date, not a bare number.`
+        },
+        {
+          key: 'bedrooms',
+          label: 'how many bedrooms they need',
+          normalize: 'bedrooms',
+          hint: `
+  - Number of bedrooms (e.g. "2 bedrooms", "studio", or just "2", "2-3" when asked about bedrooms).`
+        },
+        {
+          key: 'pets',
+          label: 'whether they have any pets',
+          hint: `
+  - Any pets they'd bring (e.g. "one dog", "2 cats", "no pets").
+  - "no" / "none" to a question about pets means pets = "none", NOT "unknown".`
+        }
+      ]
+    },
+
+    seller: {
+      description: 'a homeowner thinking about selling their property',
+      score_base: 20,
+      score_rules: [
+        { id: 'address_known', points: 20, label: 'property address known', when: f => f.known('property_address') },
+        { id: 'sell_soon', points: 25, label: 'selling within 3 months', when: f => f.daysUntilMove !== null && f.daysUntilMove <= 90 },
+        { id: 'sell_mid', points: 10, label: 'selling within 6 months', when: f => f.daysUntilMove > 90 && f.daysUntilMove <= 183 },
+        { id: 'price_known', points: 10, label: 'price expectation known', when: f => f.hasBudget },
+        { id: 'price_unknown', points: -10, label: 'price expectation unknown', when: f => !f.hasBudget },
+        { id: 'condition_known', points: 5, label: 'condition known', when: f => f.known('property_condition') },
+        { id: 'wants_meeting', points: 15, label: 'asked for a call', when: f => f.lead.wants_meeting === true }
+      ],
+      detect: ['\\bsell(ing)?\\b', '\\blist(ing)? my\\b', "\\bwhat('s| is) my (home|house)\\b", '\\bhome value\\b', '\\bworth\\b'],
+      fields: [
+        {
+          key: 'property_address',
+          label: 'the address of the property they want to sell',
+          hint: `
+  - Street address or as much of it as they give (e.g. "123 Main St, Mesa").`
+        },
+        {
+          key: 'property_condition',
+          label: 'what condition the property is in',
+          hint: `
+  - Condition of the home (e.g. "move-in ready", "needs a new roof", "recently remodeled", "fixer upper").`
+        },
+        {
+          key: 'asking_price',
+          label: 'what price they are hoping to get',
+          normalize: 'budget',
+          hint: `
+  - The price they expect or hope to sell for (e.g. "around 600k", "at least 550k").`
+        },
+        {
+          key: 'time_to_sell',
+          label: 'how soon they want to sell',
+          normalize: 'timeline',
+          hint: `
+  - When they want to sell or be moved out (e.g. "this spring", "within 2 months", "no rush").
+  - Only assign it if there are time words, not a bare number.`
+        }
+      ]
+    }
+  }
+};
@@ -0,0 +1,46 @@
+// Teams (agents or brokerages) sharing one backend. Copy this file, point
+// TEAMS_CONFIG at the copy, and every inbound message is routed to the team
+// that owns the number (or email address) it was sent to.
+//
+// Per team:
+//   id               - stable id, stored on every lead and message (team_id)
+//   brand_name       - how the assistant introduces the business
+//   numbers          - inbound Twilio numbers (WhatsApp and/or SMS), E.164
+//   whatsapp_number  - number we send WhatsApp from (default: first of numbers)
+//   sms_number       - number we send SMS from (default: first of numbers)
+//   emails           - inbound email addresses for the email webhook
+//   email_from       - address our emails go out from (default: EMAIL_FROM)
+//   booking_link     - link the assistant sends to book a call
+//   persona          - extra system prompt: who the assistant is and how it talks
+//   qualification    - overrides for config/qualification.js: default_flow,
+//                      source_flows, score_thresholds
+//   qualification_config - path to a whole qualification config of its own
+//   default          - true for the team that gets messages to unknown numbers
+//
+// Without TEAMS_CONFIG there is one "default" team built from
+// TWILIO_WHATSAPP_NUMBER, TWILIO_SMS_NUMBER, BOOKING_LINK, BRAND_NAME and
+// EMAIL_FROM.
+module.exports = [
+  {
+    id: 'desert-homes',
+    brand_name: 'Desert Homes Realty',
+    numbers: ['+14805550100', '+14805550101'],
+    whatsapp_number: '+14805550100',
+    sms_number: '+14805550101',
+    emails: ['hello@deserthomes.example'],
+    email_from: 'hello@deserthomes.example',
+    booking_link: 'https://calendly.com/desert-homes/intro',
+    persona: 'You are Sage, the assistant for Desert Homes Realty in Phoenix. Warm, brief, local.',
+    default: true
+  },
+  {
+    id: 'coastal-rentals',
+    brand_name: 'Coastal Rentals',
+    numbers: ['+16195550123'],
+    booking_link: 'https://calendly.com/coastal-rentals/tour',
+    qualification: {
+      default_flow: 'renter',
+      score_thresholds: { hot: 75, warm: 45 }
+    }
+  }
+];
@@ -1,11 +1,187 @@
 require('dotenv').config();
 
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const fs = require('fs');
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
+const axios = require('axios');
 const twilio = require('twilio');
-const OpenAI = require('openai');
-const BOOKING_LINK = process.env.BOOKING_LINK;
+const { createStore } = require('./lib/storage');
+const { createLLM } = require('./lib/llm');
+const { createTwilioClient } = require('./lib/twilio');
+const { createEmailClient, parseInboundEmail, replySubject } = require('./lib/email');
+const { createGeocoder } = require('./lib/geocoder');
+const { createTranscriber } = require('./lib/transcription');
+const { JOB_DEAD, JOB_STATUSES, createJobQueue } = require('./lib/jobs');
+const {
+  DELIVERY_DELIVERED,
+  DELIVERY_FAILED,
+  DELIVERY_PROBLEMS,
+  DELIVERY_QUEUED,
+  DELIVERY_RATE_LIMITED,
+  DELIVERY_READ,
+  DELIVERY_SENT,
+  DELIVERY_UNDELIVERED,
+  deliveryError,
+  deliveryStatus,
+  isDailyLimit,
+  isRateLimited,
+  isRetryableSendError,
+  nextDeliveryStatus,
+  nextLimitReset
+} = require('./lib/delivery');
+const {
+  NOTIFY_EMAIL,
+  NOTIFY_HOT_LEAD,
+  NOTIFY_MEETING_REQUESTED,
+  NOTIFY_NO_AGENT_RESPONSE,
+  NOTIFY_SMS,
+  NOTIFY_UNANSWERED_QUESTION,
+  NOTIFY_WEBHOOK,
+  NOTIFY_WHATSAPP,
+  alertKey,
+  buildAlert,
+  leadLink,
+  normalizeRules,
+  notificationProblem,
+  ruleFor
+} = require('./lib/notifications');
+const {
+  SIGNATURE_HEADER,
+  WEBHOOK_DELIVERED,
+  WEBHOOK_EVENTS,
+  WEBHOOK_FAILED,
+  WEBHOOK_PENDING,
+  WEBHOOK_STATUSES,
+  newSecret,
+  publicSubscription,
+  signPayload,
+  subscriptionProblem,
+  webhookPayload
+} = require('./lib/webhooks');
+const {
+  createMediaDownloader,
+  describeInbound,
+  readInboundMedia,
+  readLocationPin
+} = require('./lib/media');
+const {
+  CHANNEL_WHATSAPP,
+  CHANNEL_SMS,
+  CHANNEL_EMAIL,
+  channelProblem,
+  defaultChannel,
+  isEmailKey,
+  normalizeEmail
+} = require('./lib/channels');
+const {
+  CONSENT_OPTED_IN,
+  CONSENT_OPTED_OUT,
+  OPT_OUT_CONFIRMATION,
+  OPT_IN_CONFIRMATION,
+  OptedOutError,
+  detectConsentKeyword,
+  isOptedOut
+} = require('./lib/consent');
+const {
+  MODE_AI,
+  MODE_AGENT,
+  CONVERSATION_MODES,
+  resolveConversationMode
+} = require('./lib/conversationMode');
+const {
+  MEETING_INTENTS,
+  classifyIntent,
+  nextLeadStatus
+} = require('./lib/intent');
+const {
+  SENDER_FOLLOW_UP,
+  dueFollowUp,
+  isQuietHours,
+  isValidTimeZone,
+  parseDelays,
+  parseQuietHours
+} = require('./lib/followUp');
+const {
+  buildLeadStateSchema,
+  emptyLeadState,
+  parseLeadState
+} = require('./lib/leadState');
+const {
+  loadQualificationConfig,
+  getFlow,
+  detectFlow,
+  flowForSource,
+  fieldKeys,
+  nextMissingField,
+  hasRequiredFields,
+  buildFieldRules
+} = require('./lib/qualification');
+const { scoreLead } = require('./lib/scoring');
+const {
+  normalizeBudget,
+  normalizeBedrooms,
+  normalizeTimeline
+} = require('./lib/normalize');
+const { loadTeams } = require('./lib/teams');
+const { MAX_LIMIT, LeadQueryError, encodeCursor, parseLeadQuery } = require('./lib/leadQuery');
+const { parseCsv, toCsv } = require('./lib/csv');
+const {
+  ImportError,
+  normalizeImportPhone,
+  readRow,
+  resolveColumns,
+  rowProblem
+} = require('./lib/leadImport');
+const {
+  agentProblem,
+  availableSlots,
+  detectAppointmentChange,
+  formatSlot,
+  parseSlotChoice,
+  pickOffer
+} = require('./lib/scheduling');
+const { buildInvite, parseBusyBlocks } = require('./lib/ics');
+const {
+  detectListingReactions,
+  feedRecords,
+  formatListings,
+  listingCriteria,
+  matchListings,
+  readListing
+} = require('./lib/listings');
+const {
+  SOURCE_AGENT,
+  SOURCE_DETECTED,
+  isUnknownAnswer,
+  languageForMessage,
+  languageName,
+  languageProblem,
+  unknownExamples
+} = require('./lib/language');
+const {
+  EVENT_APPOINTMENT_UPDATED,
+  EVENT_LEAD_CREATED,
+  EVENT_LEAD_OPTED_OUT,
+  EVENT_LEAD_SCORED,
+  EVENT_LEAD_UPDATED,
+  EVENT_MEETING_REQUESTED,
+  EVENT_MESSAGE_CREATED,
+  EVENT_MESSAGE_UPDATED,
+  EVENT_STREAM_RESET,
+  createEventBus,
+  formatEvent
+} = require('./lib/events');
+const {
+  ROLE_ADMIN,
+  ROLE_AGENT,
+  authenticate,
+  canActOnLead,
+  canReadLead,
+  corsOrigin,
+  requireRole
+} = require('./lib/auth');
 
 const app = express();
 
@@ -14,232 +190,434 @@ const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
 const PORT = process.env.PORT || 5000;
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Public base URL Twilio posts to (e.g. https://api.example.com). Needed for
+// signature checks when we sit behind a proxy that rewrites host/protocol.
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL;
+const TWILIO_VALIDATE_SIGNATURE = process.env.TWILIO_VALIDATE_SIGNATURE !== 'false';
 
-const client = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+// Hand a lead back to the AI after this many hours without agent activity
+// (0 = agents hand leads back manually)
+const AGENT_IDLE_HOURS = parseFloat(process.env.AGENT_IDLE_HOURS) || 0;
+
+// Minimum confidence for an intent (wants_call, not_interested, ...) to count
+const INTENT_CONFIDENCE_THRESHOLD = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.6;
+
+// Follow-ups for leads that go quiet: delays after our last unanswered
+// message, no sends during quiet hours (lead's timezone, else the default),
+// and how often the scheduler looks for due follow-ups (0 = off)
+const FOLLOW_UP_DELAYS = parseDelays(process.env.FOLLOW_UP_DELAYS || '1d,3d,2w');
+const FOLLOW_UP_QUIET_HOURS = parseQuietHours(process.env.FOLLOW_UP_QUIET_HOURS || '21-8');
+const FOLLOW_UP_INTERVAL_MINUTES = parseFloat(process.env.FOLLOW_UP_INTERVAL_MINUTES ?? '15') || 0;
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+if (!isValidTimeZone(DEFAULT_TIMEZONE)) {
+  throw new Error(`DEFAULT_TIMEZONE "${DEFAULT_TIMEZONE}" is not a valid IANA timezone`);
+}
+
+// Live dashboard stream (GET /events): how many past events reconnecting
+// clients can catch up on, and how often idle streams get a keep-alive
+const EVENTS_BUFFER_SIZE = parseInt(process.env.EVENTS_BUFFER_SIZE, 10) || 1000;
+const EVENTS_HEARTBEAT_SECONDS = parseFloat(process.env.EVENTS_HEARTBEAT_SECONDS) || 25;
+
+// CSV lead import: country code for numbers written without one, and the
+// most rows one file may have
+const IMPORT_COUNTRY_CODE = String(process.env.IMPORT_COUNTRY_CODE || '1').replace(/\D/g, '');
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// Built-in scheduling (lib/scheduling.js), for teams whose agents have
+// working hours set: how many days ahead we offer slots, the least notice
+// a slot needs, when the reminder goes out before a call and how often we
+// look for due reminders (0 = off)
+const SCHEDULING_DAYS_AHEAD = parseInt(process.env.SCHEDULING_DAYS_AHEAD, 10) || 7;
+const SCHEDULING_MIN_NOTICE_MINUTES = parseFloat(process.env.SCHEDULING_MIN_NOTICE_MINUTES ?? '120') || 0;
+const APPOINTMENT_REMINDER_MINUTES = parseFloat(process.env.APPOINTMENT_REMINDER_MINUTES) || 120;
+const REMINDER_INTERVAL_MINUTES = parseFloat(process.env.REMINDER_INTERVAL_MINUTES ?? '5') || 0;
+
+// Signs the calendar links (GET /appointments/:id/ics) we text to leads
+const APPOINTMENT_LINK_SECRET = process.env.APPOINTMENT_LINK_SECRET || process.env.AUTH_JWT_SECRET;
+
+// Listing feed (lib/listings.js): a RESO JSON or CSV file re-imported for
+// LISTINGS_FEED_TEAM every LISTINGS_REFRESH_MINUTES (0 = only at start),
+// and the link for listings without one ("https://example.com/homes/{id}")
+const LISTINGS_FEED_PATH = process.env.LISTINGS_FEED_PATH;
+const LISTINGS_FEED_TEAM = process.env.LISTINGS_FEED_TEAM;
+const LISTINGS_REFRESH_MINUTES = parseFloat(process.env.LISTINGS_REFRESH_MINUTES ?? '60') || 0;
+const LISTING_URL_TEMPLATE = process.env.LISTING_URL_TEMPLATE || null;
+
+// Background jobs (lib/jobs.js): how many runs a job gets, the first retry
+// delay (doubling after each failure, capped), when a running job counts as
+// abandoned, how often the worker looks for due jobs and how many leads it
+// works on at once
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const JOB_RETRY_BASE_SECONDS = parseFloat(process.env.JOB_RETRY_BASE_SECONDS) || 10;
+const JOB_RETRY_MAX_SECONDS = parseFloat(process.env.JOB_RETRY_MAX_SECONDS) || 3600;
+const JOB_LOCK_MINUTES = parseFloat(process.env.JOB_LOCK_MINUTES) || 5;
+const JOB_POLL_SECONDS = parseFloat(process.env.JOB_POLL_SECONDS) || 2;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 4;
+
+// Twilio's daily message limit (error 63038) resets at this hour, UTC.
+// Sends it turned down wait in the send queue until then.
+const SEND_LIMIT_RESET_HOUR = parseInt(process.env.SEND_LIMIT_RESET_HOUR, 10) || 0;
+
+// Agent alerts (lib/notifications.js): the lead's dashboard page for the
+// alert link ("https://dashboard.example.com/leads/{phone}"), how long the
+// same alert stays suppressed, and how often we look for leads waiting on
+// an agent (0 = off)
+const DASHBOARD_LEAD_URL = process.env.DASHBOARD_LEAD_URL || null;
+const NOTIFICATION_REPEAT_HOURS = parseFloat(process.env.NOTIFICATION_REPEAT_HOURS) || 24;
+const AGENT_ALERT_INTERVAL_MINUTES = parseFloat(process.env.AGENT_ALERT_INTERVAL_MINUTES ?? '1') || 0;
+
+// CRM webhooks (lib/webhooks.js): how many tries a delivery gets before
+// it's marked failed, how long a subscriber has to answer, and the most
+// deliveries one replay may resend
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_TIMEOUT_SECONDS = parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10;
+const WEBHOOK_REPLAY_LIMIT = parseInt(process.env.WEBHOOK_REPLAY_LIMIT, 10) || 500;
+
+// How many times we ask the model for a valid lead state JSON before giving up
+const EXTRACTION_MAX_ATTEMPTS = parseInt(process.env.EXTRACTION_MAX_ATTEMPTS, 10) || 2;
+
+const qualification = loadQualificationConfig();
+const teams = loadTeams(process.env, qualification);
+const llm = createLLM();
+const store = createStore();
+const client = createTwilioClient();
+const mailer = createEmailClient();
+const downloadMedia = createMediaDownloader({
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN
+});
+const geocoder = createGeocoder();
+const transcriber = createTranscriber(process.env, { download: downloadMedia });
+
+const JOB_INBOUND = 'inbound';
+const JOB_SEND = 'send';
+const JOB_NOTIFY = 'notify';
+const JOB_WEBHOOK = 'webhook';
+const jobs = createJobQueue({
+  store,
+  handlers: {
+    [JOB_INBOUND]: processInbound,
+    [JOB_SEND]: resendMessage,
+    [JOB_NOTIFY]: deliverNotification,
+    [JOB_WEBHOOK]: deliverWebhook
+  },
+  concurrency: JOB_CONCURRENCY,
+  maxAttempts: JOB_MAX_ATTEMPTS,
+  retryBaseSeconds: JOB_RETRY_BASE_SECONDS,
+  retryMaxSeconds: JOB_RETRY_MAX_SECONDS,
+  lockMinutes: JOB_LOCK_MINUTES,
+  pollSeconds: JOB_POLL_SECONDS
+});
+const events = createEventBus({ bufferSize: EVENTS_BUFFER_SIZE });
+
+// Dashboard auth (lib/auth.js). AUTH_DISABLED=true makes every request an
+// admin, for local development only.
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const requireAuth = authenticate({
+  secret: process.env.AUTH_JWT_SECRET,
+  disabled: AUTH_DISABLED
+});
+const requireStreamAuth = authenticate({
+  secret: process.env.AUTH_JWT_SECRET,
+  disabled: AUTH_DISABLED,
+  queryToken: true
+});
 
 // --- MIDDLEWARE ---
-app.use(cors());
+// Only the dashboards in CORS_ORIGINS (comma-separated) may call us from a browser
+app.use(cors({ origin: corsOrigin(process.env.CORS_ORIGINS) }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 
 // Global logger so we see every request
 app.use((req, res, next) => {
-  console.log('Incoming request:', req.method, req.url);
+  // Event stream tokens may come in the query, keep them out of the logs
+  console.log('Incoming request:', req.method, req.url.replace(/access_token=[^&]*/, 'access_token=***'));
   next();
 });
 
-console.log('SUPABASE_URL:', SUPABASE_URL);
-console.log('SUPABASE_KEY starts with:', SUPABASE_KEY?.slice(0, 5));
-console.log('TWILIO_WHATSAPP_NUMBER:', process.env.TWILIO_WHATSAPP_NUMBER);
+console.log('STORAGE_DRIVER:', store.name);
+if (store.name === 'supabase') {
+  console.log('SUPABASE_URL:', SUPABASE_URL);
+  console.log('SUPABASE_KEY starts with:', SUPABASE_KEY?.slice(0, 5));
+}
+console.log('LLM_PROVIDER:', llm.name, 'model:', llm.model);
+if (AUTH_DISABLED) console.warn('⚠️ AUTH_DISABLED=true: every dashboard request is treated as an admin');
+console.log('TEAMS:', teams.list.map(team => `${team.id} (${team.numbers.map(n => '+' + n).join(', ')})`).join('; '));
 
 // --- HELPERS ---
 
+// The team a lead belongs to (its settings, numbers and booking link)
+function teamForLead(lead) {
+  return teams.byId(lead?.team_id);
+}
+
+// Lead key: phone digits, or the lowercased address for email-only leads
 function normalizePhone(phone) {
   if (!phone) return '';
+  if (isEmailKey(phone)) return normalizeEmail(phone);
   return phone.replace(/\D/g, '');
 }
 
-// Save a lead row (used by /lead manual route)
-async function saveLeadToSupabase(name, phone, source) {
-  const url = `${SUPABASE_URL}/rest/v1/leads`;
-
-  console.log('Posting to Supabase URL:', url);
-
-  const data = {
-    name,
-    phone,
-    source
-  };
+// Tell dashboards a lead changed. `changes` are the fields written; `lead`
+// is the row after the write, loaded when the caller doesn't have it.
+// Never throws, a failed event must not break the caller.
+async function publishLeadUpdated(phone, changes, lead = null) {
+  try {
+    const row = lead || (await store.getLead(phone));
+    if (!row) return;
 
-  const headers = {
-    apikey: SUPABASE_KEY,
-    Authorization: `Bearer ${SUPABASE_KEY}`,
-    'Content-Type': 'application/json',
-    Prefer: 'return=minimal'
-  };
+    events.publish(EVENT_LEAD_UPDATED, {
+      leadPhone: row.phone,
+      teamId: row.team_id || null,
+      data: { changes: Object.keys(changes), lead: row }
+    });
+  } catch (err) {
+    console.error('Error publishing lead update:', err.response?.data || err.message);
+  }
+}
 
+// Tell dashboards and CRM webhooks about a new lead. Never throws.
+async function publishLeadCreated(phone) {
   try {
-    const resp = await axios.post(url, data, { headers });
-    console.log('Supabase insert OK, status:', resp.status);
+    const row = await store.getLead(phone);
+    if (!row) return;
+
+    events.publish(EVENT_LEAD_CREATED, {
+      leadPhone: row.phone,
+      teamId: row.team_id || null,
+      data: { lead: row }
+    });
   } catch (err) {
-    console.log('Supabase error status:', err.response?.status);
-    console.log('Supabase error data:', err.response?.data || err.message);
-    throw err;
+    console.error('Error publishing new lead:', err.response?.data || err.message);
   }
 }
 
-// Upsert lead fields (location, budget, etc.)
-async function updateLeadFromState(phone, state) {
-  const norm = normalizePhone(phone);
-  const url = `${SUPABASE_URL}/rest/v1/leads?on_conflict=phone`;
+function publishMessageCreated(message) {
+  events.publish(EVENT_MESSAGE_CREATED, {
+    leadPhone: message.lead_phone,
+    teamId: message.team_id || null,
+    data: { message }
+  });
+}
 
-  const row = {
-    phone: norm
-  };
+// Keep the lead's list preview (last message, unread count) in step with its
+// messages, so GET /leads can filter and sort without a join. Lead messages
+// count as unread until the dashboard marks them read or an agent answers.
+const MESSAGE_PREVIEW_LENGTH = 140;
 
-  if (state.location) row.location = state.location;
-  if (state.budget) row.budget = state.budget;
-  if (state.timeline) row.timeline = state.timeline;
-  if (state.home_type) row.home_type = state.home_type;
-  if (state.bedrooms) row.bedrooms = state.bedrooms;
-  if (state.preapproval) row.preapproval = state.preapproval;
-  if (state.motivation) row.motivation = state.motivation;
-  if (state.lead_score) row.lead_score = state.lead_score;
-
-  const headers = {
-    apikey: SUPABASE_KEY,
-    Authorization: `Bearer ${SUPABASE_KEY}`,
-    'Content-Type': 'application/json',
-    Prefer: 'resolution=merge-duplicates,return=minimal'
+async function recordLeadActivity(message) {
+  const fields = {
+    last_message_at: message.created_at || new Date().toISOString(),
+    last_message_preview: String(message.message || '').slice(0, MESSAGE_PREVIEW_LENGTH),
+    last_message_sender: message.sender
   };
 
   try {
-    console.log('Upserting lead in Supabase for', norm, 'with', row);
-    await axios.post(url, [row], { headers });
-    console.log('✅ Lead upserted in Supabase');
+    if (message.sender === 'lead') {
+      const lead = await store.getLead(message.lead_phone);
+      fields.unread_count = (lead?.unread_count || 0) + 1;
+    } else if (message.sender === 'agent') {
+      fields.unread_count = 0;
+      fields.last_read_at = fields.last_message_at;
+    }
+
+    await store.upsertLead(message.lead_phone, fields);
   } catch (err) {
-    console.error('❌ Supabase lead upsert error status:', err.response?.status);
-    console.error('❌ Supabase lead upsert error data:', err.response?.data || err.message);
+    console.error('Error updating lead activity:', err.response?.data || err.message);
   }
 }
 
-// Save a message row (lead / ai / agent)
-async function saveMessageToSupabase(leadPhone, sender, message) {
-  const url = `${SUPABASE_URL}/rest/v1/messages`;
-
-  const data = {
-    lead_phone: leadPhone,
-    sender: sender,
-    message: message
-  };
-
-  const headers = {
-    apikey: SUPABASE_KEY,
-    Authorization: `Bearer ${SUPABASE_KEY}`,
-    'Content-Type': 'application/json',
-    Prefer: 'return=minimal'
-  };
-
+// Save a lead row (used by /lead manual route)
+async function saveLead(name, phone, source, flow, extra = {}) {
   try {
-    console.log('Attempting to save message:', data);
-    await axios.post(url, data, { headers });
-    console.log('✅ Saved message to Supabase');
+    const fields = { name, phone: normalizePhone(phone), source, flow, ...extra };
+    await store.createLead(fields);
+    await publishLeadCreated(fields.phone);
+    await publishLeadUpdated(fields.phone, fields);
   } catch (err) {
-    console.log('❌ Supabase message error status:', err.response?.status);
-    console.log('❌ Supabase message error data:', err.response?.data || err.message);
+    console.log('Lead insert error status:', err.response?.status);
+    console.log('Lead insert error data:', err.response?.data || err.message);
+    throw err;
   }
 }
 
-// Count how many fields are filled
-function countKnownFields(state) {
-  const keys = [
-    "location",
-    "budget",
-    "timeline",
-    "home_type",
-    "bedrooms",
-    "preapproval",
-    "motivation"
-  ];
+const NORMALIZERS = {
+  budget: normalizeBudget,
+  bedrooms: normalizeBedrooms,
+  timeline: normalizeTimeline
+};
+
+// Lead columns for the flow's answers in `state`: the fields kept as
+// columns plus the numbers/dates normalized from them
+function stateColumns(state, flow) {
+  const columns = {};
+
+  for (const field of flow.fields) {
+    const value = state[field.key];
+    if (!value) continue;
+
+    if (field.column) columns[field.key] = value;
 
-  return keys.filter(k => {
-    const v = state[k];
-    return typeof v === 'string' && v.trim() !== '' && v !== 'unknown';
-  }).length;
+    // Numbers/dates parsed from the raw text, null when it can't be read
+    if (field.normalize) Object.assign(columns, NORMALIZERS[field.normalize](value));
+  }
+
+  return columns;
 }
 
-// Score lead: hot / warm / cold
-async function scoreLeadFromState(state) {
-  const knownCount = countKnownFields(state);
+// Upsert the flow's lead fields (location, budget, etc.). The extracted state
+// itself is kept as JSON with the last message it covers, for incremental
+// extraction.
+async function updateLeadFromState(phone, state, { lastMessageId, flow, score, intent, status } = {}) {
+  const norm = normalizePhone(phone);
 
-  const systemPrompt = `
-You are scoring a real estate lead for an agent.
+  const row = {
+    flow: flow.name,
+    lead_state: Object.fromEntries(fieldKeys(flow).map(key => [key, state[key] ?? null])),
+    ...stateColumns(state, flow)
+  };
 
-You will receive:
-- A JSON object with these fields:
-  location, budget, timeline, home_type, bedrooms, preapproval, motivation
-- A count of how many of the 7 fields are filled.
+  if (lastMessageId !== undefined) row.last_extracted_message_id = lastMessageId;
 
-Your job is to classify the lead as exactly one of:
-- "hot"
-- "warm"
-- "cold"
+  if (score) {
+    row.lead_score = score.label;
+    row.lead_score_value = score.score;
+    row.score_breakdown = score.breakdown;
+    row.scored_at = new Date().toISOString();
+  }
 
-Consider:
-- "hot": Has budget, timeline (ASAP or near future), location, and motivation. Ready to move soon.
-- "warm": Has some key info but missing urgency or key details.
-- "cold": Very little info, vague answers, or far future timeline.
+  if (intent) {
+    row.last_intent = intent.intent;
+    row.last_intent_scores = intent.scores;
+  }
 
-Return ONLY one word: "hot", "warm", or "cold".
-`;
+  if (status) row.status = status;
 
-  const userPrompt = `
-Known fields count: ${knownCount} out of 7.
+  try {
+    console.log('Upserting lead for', norm, 'with', row);
+    await store.upsertLead(norm, row);
+    console.log('✅ Lead upserted');
+    await publishLeadUpdated(norm, row);
+  } catch (err) {
+    console.error('❌ Lead upsert error status:', err.response?.status);
+    console.error('❌ Lead upsert error data:', err.response?.data || err.message);
+  }
+}
 
-Lead info as JSON:
+// Save a message row (lead / ai / agent). `extra` holds optional columns
+// such as the channel it went over.
+async function saveMessage(leadPhone, sender, message, extra = {}) {
+  const data = {
+    lead_phone: leadPhone,
+    sender: sender,
+    message: message,
+    ...extra
+  };
 
-${JSON.stringify(state, null, 2)}
+  try {
+    console.log('Attempting to save message:', data);
+    const saved = (await store.saveMessage(data)) || data;
+    console.log('✅ Saved message');
+    await recordLeadActivity(saved);
+    publishMessageCreated(saved);
+    return saved;
+  } catch (err) {
+    console.log('❌ Message save error status:', err.response?.status);
+    console.log('❌ Message save error data:', err.response?.data || err.message);
+    return null;
+  }
+}
 
-Classify this lead now.
-`;
+// Save an inbound message exactly once, keyed by its provider id (Twilio
+// MessageSid or email Message-ID). Returns the saved row, or null when a
+// row with this id already exists (webhook retry).
+async function saveInboundMessageOnce(leadPhone, message, { channel, teamId, twilioSid, emailMessageId, media = [], location = null } = {}) {
+  // Photos / voice notes and the location pin (lib/media.js)
+  const attachments = {};
+  if (media.length) attachments.media = media;
+  if (location) attachments.location = location;
+
+  if (!twilioSid && !emailMessageId) {
+    const saved = await saveMessage(leadPhone, 'lead', message, { channel, team_id: teamId, ...attachments });
+    return saved || { lead_phone: leadPhone, sender: 'lead', message };
+  }
 
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    temperature: 0,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ]
-  });
+  const data = {
+    lead_phone: leadPhone,
+    sender: 'lead',
+    message: message,
+    channel,
+    team_id: teamId,
+    ...attachments
+  };
+  if (twilioSid) data.twilio_sid = twilioSid;
+  if (emailMessageId) data.email_message_id = emailMessageId;
 
-  const raw = completion.choices[0].message.content.trim().toLowerCase();
-  console.log("Raw lead score:", raw);
+  console.log('Attempting to save inbound message:', data);
+  const inserted = await store.saveMessage(data);
 
-  if (raw.includes("hot")) return "hot";
-  if (raw.includes("warm")) return "warm";
-  if (raw.includes("cold")) return "cold";
+  if (!inserted) return null;
 
-  return "warm";
+  console.log('✅ Saved inbound message');
+  await recordLeadActivity(inserted);
+  publishMessageCreated(inserted);
+  return inserted;
 }
 
 // Fetch conversation history for a phone (normalized)
 async function getConversationHistory(phone) {
   const norm = normalizePhone(phone);
-  const url =
-    `${SUPABASE_URL}/rest/v1/messages` +
-    `?select=sender,message,created_at,lead_phone` +
-    `&lead_phone=eq.${encodeURIComponent(norm)}` +
-    `&order=created_at.asc`;
-
-  const headers = {
-    apikey: SUPABASE_KEY,
-    Authorization: `Bearer ${SUPABASE_KEY}`
-  };
 
   try {
-    const { data } = await axios.get(url, { headers });
-    return data || [];
+    return await store.getMessages(norm);
   } catch (err) {
     console.error('Error fetching conversation history:', err.response?.data || err.message);
     return [];
   }
 }
 
-// Extract structured state from full history
-async function extractLeadStateFromHistory(phone) {
-  const history = await getConversationHistory(phone);
+// Bring a lead's extracted state up to date. Only messages newer than the
+// last extraction are sent to the model; `force` re-reads the whole history.
+// Returns { state, lastMessageId } to be saved with updateLeadFromState.
+async function refreshLeadState(phone, flow, { force = false } = {}) {
+  const norm = normalizePhone(phone);
+
+  let lead = null;
+  try {
+    lead = await store.getLead(norm);
+  } catch (err) {
+    console.error('Error loading lead for extraction:', err.response?.data || err.message);
+  }
+
+  // A state extracted for another flow has different fields, start over
+  const sameFlow = !lead?.flow || lead.flow === flow.name;
+  const previousState = !force && sameFlow && lead?.lead_state ? lead.lead_state : null;
+  const lastId = previousState ? lead.last_extracted_message_id ?? null : null;
+
+  // Consent confirmations etc. say nothing about what the lead wants
+  const history = (await getConversationHistory(norm)).filter(m => m.sender !== 'system');
+  const newMessages = lastId === null ? history : history.filter(m => m.id > lastId);
+
+  if (newMessages.length === 0) {
+    return { state: previousState || emptyLeadState(fieldKeys(flow)), lastMessageId: lastId };
+  }
+
+  const state = await extractLeadState(norm, flow, newMessages, previousState);
+  return { state, lastMessageId: newMessages[newMessages.length - 1].id ?? null };
+}
+
+// Extract structured state from messages, starting from previousState when
+// we already know something about the lead (incremental update)
+async function extractLeadState(phone, flow, history, previousState = null) {
+  const fields = fieldKeys(flow);
 
   const convo = history
-    .map(m => `${m.sender === 'ai' ? 'Assistant' : 'Lead'}: ${m.message}`)
+    .map(m => `${m.sender === 'lead' ? 'Lead' : 'Assistant'}: ${m.message}`)
     .join('\n');
 
-  console.log("Full conversation for", phone, "=>", convo);
+  console.log(previousState ? "New messages for" : "Full conversation for", phone, "=>", convo);
 
   const systemPrompt = `
 You extract structured lead qualification info from a conversation between
@@ -248,27 +626,25 @@ a real estate assistant ("Assistant") and a lead ("Lead").
 You must return ONLY valid JSON with this exact shape:
 
 {
-  "location": string | null,
-  "budget": string | null,
-  "timeline": string | null,
-  "home_type": string | null,
-  "bedrooms": string | null,
-  "preapproval": string | null,
-  "motivation": string | null
+${fields.map(field => `  "${field}": string | null`).join(',\n')}
 }
 
 GENERAL RULES:
 - The conversation is a sequence of turns: "Assistant:" and "Lead:".
 - For every Lead message, you may use the immediately preceding Assistant message
   to understand what question the Lead is answering.
+- The lead is ${flow.description}.
 - If the Lead gives a very short answer (like just "5", "ASAP", "3-4 months", "not sure yet"),
   treat it as an answer to the LAST question asked by the Assistant.
 - If the same type of info appears multiple times, ALWAYS use the MOST RECENT mention
-  for that field (location, budget, timeline, home_type, bedrooms, preapproval, motivation).
+  for that field (${fields.join(', ')}).
+- The lead may write in any language. Read their answers in that language, but ALWAYS
+  write the values in English (e.g. "tres recámaras" => "3 bedrooms", "cerca de la escuela"
+  => "near the school"), so every lead reads the same on the dashboard.
 
 GENERIC "DON'T KNOW" RULE (APPLIES TO ALL FIELDS):
 - If the last Assistant question is clearly about ONE specific field
-  (location, budget, timeline, home_type, bedrooms, preapproval, motivation),
+  (${fields.join(', ')}),
   and the Lead replies with something like:
     "don't know yet"
     "dont know yet"
@@ -279,73 +655,33 @@ GENERIC "DON'T KNOW" RULE (APPLIES TO ALL FIELDS):
     "no preference"
     "haven't decided"
     "idk"
+  or the same in another language (${unknownExamples().filter(phrase => /[^\x00-\x7f]/.test(phrase)).map(phrase => `"${phrase}"`).join(', ')}),
   then you MUST set THAT FIELD to the literal string "unknown" (NOT null),
   and do NOT change other fields.
 
 FIELD RULES:
 
-- LOCATION:
-  - Any city, state, area, or neighborhood (e.g. "Dallas", "Phoenix", "near ASU").
-  - Phrases like "Houses in Tempe", "Somewhere in Dallas", "a place in Maryland"
-    MUST set location to the core place name: "Tempe", "Dallas", "Maryland".
-  - If the last Assistant question is about where they want to live / location / area,
-    and the Lead says a generic "not sure yet" type answer, then location = "unknown".
-
-- BUDGET:
-  - Any price or range for what they want to spend (e.g. "400k", "under 500k", "$2,000/month").
-  - If they give a number or price phrase, use that as budget.
-  - If the last Assistant question is about budget / price / what they want to spend,
-    and they reply with a generic "don't know / none / not sure", then budget = "unknown".
-
-- TIMELINE:
-  - When they want to move (e.g. "next 3 months", "this summer", "ASAP", "3-4 years").
-  - Look for time words: "month(s)", "year(s)", "week(s)", "ASAP", "soon", "later", "this fall", etc.
-  - If the last Assistant question is about when they want to move / timeline / how soon,
-    and they reply with a generic "not sure / no rush / haven't decided", then timeline = "unknown".
-  - IMPORTANT:
-    - If the Lead reply is ONLY a number or numeric range like "3-4" with NO time words,
-      DO NOT treat it as timeline by itself.
-    - Only assign to timeline if time units are explicitly mentioned, like "3-4 months" or "3-4 years".
-
-- HOME TYPE:
-  - Words like "house", "condo", "apartment", "townhouse", "duplex", etc.
-  - If the last Assistant question asks what type of place or property they want,
-    and they respond with "not sure / no preference / don't know", then home_type = "unknown".
-
-- BEDROOMS:
-  - Number of bedrooms (e.g. "3 bedrooms", "2-3 beds", "5 bed", or just "3", "3-4").
-  - If the last Assistant question mentions "bedroom", "bedrooms", "beds", or "rooms",
-    and the Lead replies with:
-      - a single number (e.g. "5"), OR
-      - a numeric range (e.g. "3-4", "2-3"),
-    then that value MUST go to "bedrooms", NOT "timeline" and NOT any other field.
-  - Examples:
-      Assistant: "How many bedrooms are you looking for?"
-      Lead: "5"
-        => bedrooms: "5"
-      Assistant: "How many bedrooms do you need?"
-      Lead: "3-4"
-        => bedrooms: "3-4"
-  - If the last Assistant question is about bedrooms and they say "not sure" etc.,
-    then bedrooms = "unknown".
-
-- PREAPPROVAL:
-  - Any mention of mortgage pre-approval or paying cash 
-    (e.g. "pre-approved", "not pre-approved yet", "paying cash").
-  - If the last Assistant question asks whether they are pre-approved or how they plan to finance,
-    and they respond with "don't know yet / not sure", then preapproval = "unknown".
-
-- MOTIVATION:
-  - Why they are moving (e.g. "new job", "investment property", "bigger place", "going to ASU").
-  - If the last Assistant question is about why they are moving / their reason / motivation,
-    and they respond with "not sure", "no real reason", "just looking", then motivation = "unknown".
+${buildFieldRules(flow)}
 
 If something is not clearly mentioned, use null for that field.
 
 Return ONLY JSON. No extra text.
 `;
 
-  const userPrompt = `
+  const userPrompt = previousState
+    ? `
+Here is what was already extracted from earlier in the conversation:
+
+${JSON.stringify(previousState, null, 2)}
+
+Here are the NEW messages since then, one message per line:
+
+${convo}
+
+Update the JSON with anything the new messages add or change.
+Keep every other field exactly as it is, and return the complete JSON.
+`
+    : `
 Here is the full conversation, one message per line:
 
 ${convo}
@@ -353,130 +689,189 @@ ${convo}
 Now extract the JSON as described.
 `;
 
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    temperature: 0,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt }
-    ]
-  });
-
-  let raw = completion.choices[0].message.content.trim();
-  console.log("Raw lead state JSON:", raw);
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ];
 
-  try {
-    const parsed = JSON.parse(raw);
-    const state = {
-      location: parsed.location ?? null,
-      budget: parsed.budget ?? null,
-      timeline: parsed.timeline ?? null,
-      home_type: parsed.home_type ?? null,
-      bedrooms: parsed.bedrooms ?? null,
-      preapproval: parsed.preapproval ?? null,
-      motivation: parsed.motivation ?? null
-    };
-    console.log("Parsed lead state for", phone, "=>", state);
-    return state;
-  } catch (e) {
-    console.error("Failed to parse lead state JSON:", raw);
-    return {
-      location: null,
-      budget: null,
-      timeline: null,
-      home_type: null,
-      bedrooms: null,
-      preapproval: null,
-      motivation: null
-    };
-  }
-}
+  // Structured output + validation; on a bad answer, tell the model what
+  // was wrong and ask again
+  for (let attempt = 1; attempt <= EXTRACTION_MAX_ATTEMPTS; attempt++) {
+    const raw = await llm.complete({
+      task: 'extract',
+      temperature: 0,
+      schema: buildLeadStateSchema(fields),
+      messages
+    });
 
-// Simple yes-intent detector for calls
-function messageIndicatesWantsCall(msg) {
-  if (!msg) return false;
-  const text = msg.toLowerCase();
+    console.log("Raw lead state JSON:", raw);
 
-  const yesWords = ['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'sounds good', 'bet', 'that works'];
-  const callWords = ['call', 'phone', 'chat', 'talk', 'meeting'];
+    try {
+      const state = parseLeadState(raw, fields);
+      console.log("Parsed lead state for", phone, "=>", state);
+      return state;
+    } catch (err) {
+      console.error(`Invalid lead state JSON (attempt ${attempt}/${EXTRACTION_MAX_ATTEMPTS}):`, err.message);
+
+      messages.push(
+        { role: 'assistant', content: raw },
+        {
+          role: 'user',
+          content: `That output was invalid: ${err.message}. Reply again with ONLY the JSON object, no code fences or extra text.`
+        }
+      );
+    }
+  }
 
-  const hasYes = yesWords.some(w => text.includes(w));
-  const hasCall = callWords.some(w => text.includes(w));
+  // Don't wipe what we already know just because the model misbehaved
+  console.error("Giving up on lead state extraction for", phone, "- keeping previous state");
+  return previousState ? { ...previousState } : getStoredLeadState(phone, flow);
+}
 
-  // Either explicit yes + call, or obvious "schedule" phrases
-  if (hasYes && hasCall) return true;
+// Lead state as currently saved on the lead row
+async function getStoredLeadState(phone, flow) {
+  const fields = fieldKeys(flow);
+  const state = emptyLeadState(fields);
 
-  if (
-    text.includes('schedule a call') ||
-    text.includes('set up a call') ||
-    text.includes('book a call') ||
-    text.includes('schedule something') ||
-    text.includes('that time works')
-  ) {
-    return true;
+  try {
+    const lead = await store.getLead(normalizePhone(phone));
+    if (lead) {
+      for (const field of fields) {
+        const value = lead.lead_state?.[field] ?? lead[field];
+        if (value) state[field] = value;
+      }
+    }
+  } catch (err) {
+    console.error('Error loading stored lead state:', err.response?.data || err.message);
   }
 
-  return false;
+  return state;
 }
 
 // Generate smart reply with meeting scheduling and no repeated questions
-async function generateSmartReply(phone, latestUserMessage) {
-  // 1) Understand what info we already have from the whole history
-  const state = await extractLeadStateFromHistory(phone);
+// The reply strategy follows the intent of the lead's message (lib/intent.js);
+// booking link, brand and persona come from the lead's team.
+// With `scheduling` (the team books calls itself, see handleScheduling) we
+// ask whether they'd like a call and offer times once they say yes, instead
+// of pasting the booking link. `listings` are matching homes sent right
+// under the reply (the caller appends them); `listingReactions` are what
+// the lead just said about homes we sent before ({ reaction, listing }).
+// `language` is the lead's (lib/language.js); without one we answer in
+// whatever language their message is in.
+async function generateSmartReply(phone, latestUserMessage, leadState, flow, intent = 'other', team = teams.default, { scheduling = false, listings = [], listingReactions = [], language = null } = {}) {
+  const bookingLink = team.booking_link;
+  const bookingRule = scheduling
+    ? "Don't include any link: if they say yes, we'll send them a few times that work"
+    : `Include this booking link directly in your reply: ${bookingLink}`;
+
+  // 1) Start from what we already know (copied, the tweaks below are only
+  //    for picking the next question and are not saved)
+  const state = { ...leadState };
 
   const raw = (latestUserMessage || '').trim();
-  const lower = raw.toLowerCase();
+  const looksUnknown = isUnknownAnswer(raw);
 
-  const looksUnknown =
-    lower === 'idk' ||
-    lower.includes("i don't know") ||
-    lower.includes('dont know') ||
-    lower.includes('not sure') ||
-    lower.includes('no idea') ||
-    lower === 'none';
-
-  // If motivation is empty and this doesn't look like an "I don't know", use it as motivation
+  // If the catch-all field (e.g. motivation) is empty and this doesn't look
+  // like an "I don't know", use the message as that field
+  const catchAll = flow.fields.find(field => field.catch_all);
   if (
-    (state.motivation === null || state.motivation === undefined || state.motivation === '') &&
+    catchAll &&
+    (state[catchAll.key] === null || state[catchAll.key] === undefined || state[catchAll.key] === '') &&
     raw &&
     !looksUnknown
   ) {
-    state.motivation = raw;
+    state[catchAll.key] = raw;
   }
 
-  const fieldsInOrder = [
-    'location',
-    'budget',
-    'timeline',
-    'home_type',
-    'bedrooms',
-    'preapproval',
-    'motivation'
-  ];
-
-  const labels = {
-    location: 'the location or area they are looking in',
-    budget: 'their budget or price range',
-    timeline: 'when they want to move',
-    home_type: 'the type of home they want (house, condo, townhouse, etc.)',
-    bedrooms: 'how many bedrooms they want',
-    preapproval: 'whether they are pre-approved or paying cash',
-    motivation: 'why they are moving or buying'
-  };
-
   // 2) Find the first truly missing field (not "unknown")
-  const nextField = fieldsInOrder.find((field) => {
-    const value = state[field];
-    return value === null || value === '' || value === undefined;
-  });
+  const next = nextMissingField(state, flow);
+  const nextField = next?.key;
+
+  // Lead asked us something: don't invent facts, hand it to the agent, then
+  // carry on with the next question
+  const questionNote = {
+    asks_property_question: `
+The lead asked a question about a property, area or price. You don't have listing details,
+so DON'T make up facts: say briefly that the agent will follow up with the specifics.
+`,
+    asks_agent_question: `
+The lead asked about the agent or how working with them goes. Answer only what is obvious
+(the agent will help them through the process), and say the agent can cover the details on a call.
+`
+  }[intent] || '';
+
+  const reactionWords = { liked: 'liked', disliked: "isn't keen on", tour: 'wants to see' };
+  const reactionNote = listingReactions.length ? `
+About the homes we sent them, the lead ${listingReactions
+    .map(r => `${reactionWords[r.reaction]} ${r.listing?.address || `listing ${r.listing_id}`}`)
+    .join(', ')}.
+Acknowledge that in a few words (the agent will line up tours of the ones they like).
+` : '';
 
   let userInstruction;
 
-  if (!nextField) {
-    // We already have everything → summarize + move toward booking a call
+  if (intent === 'not_interested' || intent === 'wrong_number') {
+    // They're out: close politely, no more questions
+    userInstruction = `
+The lead just said: "${latestUserMessage}".
+
+${intent === 'wrong_number'
+    ? 'They say we have the wrong number or they never asked about real estate.'
+    : "They say they're not interested anymore."}
+
+Your job:
+- Reply with ONE short, polite sentence that closes the conversation
+- ${intent === 'wrong_number' ? 'Apologize for the mix-up' : 'Thank them and say they can reach out anytime if things change'}
+- DO NOT ask any questions and DO NOT include any links
+
+Respond with only the message you would send to the lead.
+`;
+  } else if (MEETING_INTENTS.includes(intent)) {
+    // They want to talk: stop qualifying and move to the call
+    userInstruction = `
+The lead just said: "${latestUserMessage}".
+
+What you know about them so far:
+${JSON.stringify(state, null, 2)}
+
+They want to talk to the agent${intent === 'proposes_time' ? ' and suggested a time' : ''}.
+
+Your job:
+- ${intent === 'proposes_time'
+    ? 'Repeat back the time they suggested and say the agent will confirm it'
+    : 'Say the agent would love to chat'}
+- Include this booking link so they can lock in a time: ${bookingLink}
+- DO NOT ask any qualification questions in this message
+- Keep it to 1-2 casual sentences
+
+Respond with only the message you would send to the lead.
+`;
+  } else if (!nextField && listings.length) {
+    // Everything known and we have homes that fit → introduce them
     userInstruction = `
 The lead just said: "${latestUserMessage}".
+${reactionNote}
+You already know this about them (from earlier messages):
+${JSON.stringify(state, null, 2)}
+
+We found ${listings.length} listing${listings.length === 1 ? '' : 's'} that fit what they're looking for.
+They are sent right under your message with price, bedrooms and a link.
+
+Your job:
+- Briefly acknowledge their last message naturally
+- Say you found a few homes that fit, in ONE short sentence
+- DO NOT list, number or describe the homes, and don't make up any details about them
+- Ask which ones they like, and whether they'd like a quick call with the agent to go see them
+- ${bookingRule}
+- Keep it under 3 sentences total
 
+Respond with only the message you would send to the lead.
+`;
+  } else if (!nextField) {
+    // We already have everything → summarize + move toward booking a call
+    userInstruction = `
+The lead just said: "${latestUserMessage}".
+${reactionNote}
 You already know this about them (from earlier messages):
 ${JSON.stringify(state, null, 2)}
 
@@ -484,20 +879,20 @@ Your job:
 - Briefly acknowledge their last message naturally
 - Summarize what they're looking for in 1 sentence
 - Ask if they'd like to schedule a quick call with the agent to go over options
-- Include this booking link directly in your reply: ${BOOKING_LINK}
+- ${bookingRule}
 - Make it sound casual and human, not like a form letter
 - Keep it under 3 sentences total
-- Example: "Great! Based on what you've shared, you're looking for [summary]. Would you like to schedule a quick call to discuss options? You can book a time that works for you here: ${BOOKING_LINK}"
+- Example: "Great! Based on what you've shared, you're looking for [summary]. Would you like to schedule a quick call to discuss options?${scheduling ? '' : ` You can book a time that works for you here: ${bookingLink}`}"
 `;
   } else {
     // We still need ONE thing (e.g. timeline, bedrooms, etc.)
     userInstruction = `
 The lead just said: "${latestUserMessage}".
-
+${questionNote}${reactionNote}
 So far you know this about them:
 ${JSON.stringify(state, null, 2)}
 
-You STILL need to collect ONLY this missing piece: ${labels[nextField]}.
+You STILL need to collect ONLY this missing piece: ${next.label}.
 
 CRITICAL RULES TO PREVENT REPEATED QUESTIONS:
 - DO NOT ask about any field that already has a value (even if it's "unknown")
@@ -506,7 +901,7 @@ CRITICAL RULES TO PREVENT REPEATED QUESTIONS:
 - Never ask the same question twice in the conversation
 
 Your job:
-- Ask ONE short, natural question that focuses ONLY on ${labels[nextField]}
+- Ask ONE short, natural question that focuses ONLY on ${next.label}
 - You can briefly acknowledge what they said, but keep it very short
 - Keep your response to 1-2 sentences, casual and friendly
 - Vary your wording - don't always start with the same opener
@@ -517,9 +912,10 @@ Respond with only the message you would send to the lead.
   }
 
   const systemPrompt = `
-You are a friendly real estate assistant chatting with a lead over WhatsApp.
+You are a friendly real estate assistant chatting with a lead${team.brand_name ? ` for ${team.brand_name}` : ''}.
 You are also a highly structured real estate qualification assistant.
-
+The lead is ${flow.description}.
+${team.persona ? `\n${team.persona}\n` : ''}
 STYLE RULES:
 - Sound like a real person texting, not a corporate bot.
 - Do NOT always start with fillers like "Got it", "Okay", "Sure", "Alright", or "Sounds good".
@@ -535,259 +931,2945 @@ LOGIC RULES:
 4. Ask at most ONE focused question at a time
 5. Your responses must be short, friendly, and natural (1-2 sentences)
 6. NEVER contradict previously gathered information
-7. If ALL 7 fields are filled, STOP asking questions and:
+7. If ALL the info is collected, STOP asking questions and:
    - Summarize their criteria in 1 sentence
    - Ask if they'd like to schedule a quick call
-   - Include the booking link: ${BOOKING_LINK}
+   - ${bookingRule}
 8. DO NOT mention fields, checklists, JSON, or that you're analyzing their answers
 9. DO NOT ever ask the same question twice
 10. If their latest message is unrelated (e.g. "yes", "okay"), continue with the next missing field
+
+LANGUAGE:
+- ${languageName(language)
+    ? `Write your reply in ${languageName(language)}, the lead's language`
+    : "Write your reply in the same language as the lead's latest message"}, even though these instructions and the examples are in English
 `;
 
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
+  return llm.complete({
+    task: 'reply',
     temperature: 0.5, // slightly higher for more variety
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userInstruction }
-    ]
+    ],
+    meta: { nextField: nextField || null, intent, state: { ...state } }
   });
-
-  return completion.choices[0].message.content.trim();
 }
 
-// Simple placeholder so /lead doesn't crash
-async function generateLeadReply(name, source) {
-  return `Hey ${name}, thanks for reaching out about real estate from ${source || 'your inquiry'}! An agent will follow up with you shortly.`;
-}
+// Re-score the lead and persist the extracted state. Runs on every state
+// change; score changes are added to the lead's score history.
+// `intent` is the classification of the message that triggered this update
+// (webhook only); it moves the lead's status along.
+async function saveLeadState(phone, state, lastMessageId, flow, { intent } = {}) {
+  const norm = normalizePhone(phone);
 
-// --- ROUTES ---
+  let lead = null;
+  try {
+    lead = await store.getLead(norm);
+  } catch (err) {
+    console.error('Error loading lead for scoring:', err.response?.data || err.message);
+  }
 
-// Health check
-app.get('/', (req, res) => {
-  res.send('Real Estate AI Backend is running 🚀');
-});
+  const score = scoreLead({
+    state,
+    flow,
+    lead: lead || {},
+    thresholds: teamForLead(lead).qualification.score_thresholds
+  });
+  console.log('Lead score for', norm, '=>', score.score, score.label, score.breakdown.map(b => b.text));
 
-// Manual lead-creation route (not WhatsApp-based)
-app.post('/lead', async (req, res) => {
-  try {
-    const { name, phone, source } = req.body;
+  const status = intent
+    ? nextLeadStatus(lead?.status, intent.intent, { qualified: hasRequiredFields(state, flow) })
+    : undefined;
 
-    if (!name || !phone) {
-      return res.status(400).json({ error: 'name and phone are required' });
+  await updateLeadFromState(norm, state, { lastMessageId, flow, score, intent, status });
+
+  // Just turned hot: tell the agents who want to know
+  if (score.label === 'hot' && lead?.lead_score !== 'hot') {
+    await notifyAgents(NOTIFY_HOT_LEAD, norm);
+  }
+
+  if (lead?.lead_score_value !== score.score) {
+    events.publish(EVENT_LEAD_SCORED, {
+      leadPhone: norm,
+      teamId: lead?.team_id || null,
+      data: {
+        score: score.score,
+        label: score.label,
+        previous_score: lead?.lead_score_value ?? null,
+        breakdown: score.breakdown
+      }
+    });
+
+    try {
+      await store.addScoreHistory({
+        lead_phone: norm,
+        score: score.score,
+        label: score.label,
+        breakdown: score.breakdown
+      });
+    } catch (err) {
+      console.error('Error saving score history:', err.response?.data || err.message);
     }
+  }
 
-    await saveLeadToSupabase(name, phone, source || 'unknown');
-    const aiMessage = await generateLeadReply(name, source || 'unknown');
-    await saveMessageToSupabase(normalizePhone(phone), "ai", aiMessage);
+  return score;
+}
 
-    res.json({ status: 'lead saved ✅' });
-  } catch (err) {
-    console.error(err.response?.data || err.message);
-    res.status(500).json({ error: 'failed to save lead' });
+// Send a message to a lead on `channel`, else the lead's preferred channel.
+// Every outbound path goes through here so opted-out leads never get
+// messages; only the opt-out/opt-in confirmation itself may skip the check.
+// `attachments` go with emails only (see lib/email.js). With `message`
+// (the saved row of what's being sent) the outcome is recorded on it and a
+// send the provider turned down is queued to go out again (unless
+// `queueRetry` is false).
+async function sendToLead(phone, body, { consentConfirmation = false, channel, attachments, message, queueRetry = true } = {}) {
+  const norm = normalizePhone(phone);
+  const lead = (await store.getLead(norm)) || { phone: norm };
+
+  if (!consentConfirmation && isOptedOut(lead)) {
+    console.warn('🚫 Blocked outbound message to opted-out lead', norm, ':', body);
+    throw new OptedOutError(norm);
   }
-});
 
-// Test route to verify messages-table logging
-app.get('/test-log', async (req, res) => {
+  const team = teamForLead(lead);
+  const via = channel || lead.channel || defaultChannel(norm);
+  const tracked = message?.id != null;
+  let sent;
+
   try {
-    await saveMessageToSupabase('TEST_PHONE', 'ai', 'This is a test message');
-    res.send('Test message saved (or at least attempted). Check terminal and Supabase.');
+    const problem = channelProblem(lead, via);
+    if (problem) throw new Error(`Can't send ${via} to ${norm}: ${problem}`);
+
+    if (via === CHANNEL_EMAIL) {
+      sent = await mailer.send({
+        from: team.email_from,
+        to: lead.email || norm,
+        subject: replySubject(lead.last_email_subject),
+        text: body,
+        attachments
+      });
+    } else if (via === CHANNEL_SMS) {
+      sent = await client.messages.create({
+        from: team.sms_number,
+        to: `+${norm}`,
+        body,
+        ...statusCallbackParams()
+      });
+    } else {
+      sent = await client.messages.create({
+        from: `whatsapp:${team.whatsapp_number}`,
+        to: `whatsapp:+${norm}`,
+        body,
+        ...statusCallbackParams()
+      });
+    }
   } catch (err) {
-    res.status(500).send('Test failed');
+    if (tracked) await recordSendFailure(message, err, { channel: via, attachments, consentConfirmation, queueRetry });
+    throw err;
   }
-});
 
-// Twilio WhatsApp webhook
-app.post('/whatsapp-webhook', async (req, res) => {
-  try {
-    const from = req.body.From;  // "whatsapp:+1714..."
-    const body = req.body.Body;  // lead's message text
+  if (tracked) await recordDelivery(message, sentDelivery(sent, via));
+  return sent;
+}
 
-    console.log('Incoming WhatsApp message:', from, body);
+// --- DELIVERY ---
+// Whether what we sent got there (lib/delivery.js). Outbound messages keep
+// their Twilio SID and delivery status; Twilio's status callbacks move the
+// status along. Sends turned down for a limit or provider trouble go into
+// the send queue (a `send` job) and out again later.
 
-    const leadPhone = normalizePhone(from);
+const STATUS_CALLBACK_PATH = '/twilio-status-callback';
 
-    // 1) Save incoming lead message
-    await saveMessageToSupabase(leadPhone, "lead", body);
+// Twilio can only report delivery back when it can reach us
+function statusCallbackParams() {
+  if (!PUBLIC_BASE_URL) return {};
+  return { statusCallback: PUBLIC_BASE_URL.replace(/\/$/, '') + STATUS_CALLBACK_PATH };
+}
 
-    // 2) Generate AI reply
-    const aiReply = await generateSmartReply(leadPhone, body);
+// Delivery fields for a message the provider took: Twilio says queued (the
+// rest comes to the status callback), an email counts as sent
+function sentDelivery(sent, via) {
+  const fields = via === CHANNEL_EMAIL
+    ? { delivery_status: DELIVERY_SENT }
+    : { twilio_sid: sent?.sid || null, delivery_status: deliveryStatus(sent?.status) || DELIVERY_QUEUED };
 
-    // 3) Save AI reply
-    await saveMessageToSupabase(leadPhone, "ai", aiReply);
+  return { ...fields, delivery_error: null, delivery_updated_at: new Date().toISOString() };
+}
 
-    // 4) Re-extract state and update lead + score
-    const state = await extractLeadStateFromHistory(leadPhone);
-    const knownCount = countKnownFields(state);
+// When a turned-down send can go again: after the daily limit resets, else
+// after the first retry delay
+function resendAt(err, now = new Date()) {
+  return isDailyLimit(err)
+    ? nextLimitReset(now, SEND_LIMIT_RESET_HOUR)
+    : new Date(now.getTime() + JOB_RETRY_BASE_SECONDS * 1000);
+}
 
-    if (knownCount === 7) {
-      const leadScore = await scoreLeadFromState(state);
-      state.lead_score = leadScore;
-    } else {
-      state.lead_score = null;
-    }
+// Save delivery fields on an outbound message and tell dashboards. The
+// lead's "not delivered" warning (delivery_problem) follows along: set when
+// a message fails, cleared when one is delivered or the failed one goes out
+// after all. Never throws, the message may already be on its way.
+async function recordDelivery(message, fields) {
+  const changes = { delivery_updated_at: new Date().toISOString(), ...fields };
 
-    await updateLeadFromState(leadPhone, state);
+  try {
+    const updated = (await store.updateMessage(message.id, changes)) || { ...message, ...changes };
+    events.publish(EVENT_MESSAGE_UPDATED, {
+      leadPhone: updated.lead_phone,
+      teamId: updated.team_id || null,
+      data: { message: updated }
+    });
 
-    // 5) Check if they want a meeting
-    if (messageIndicatesWantsCall(body)) {
-      const url = `${SUPABASE_URL}/rest/v1/leads?phone=eq.${leadPhone}`;
-      const headers = {
-        apikey: SUPABASE_KEY,
-        Authorization: `Bearer ${SUPABASE_KEY}`,
-        'Content-Type': 'application/json',
-        Prefer: 'return=minimal'
-      };
+    const lead = await store.getLead(updated.lead_phone);
+    const status = changes.delivery_status;
+    let problem;
 
-      try {
-        await axios.patch(url, {
-          wants_meeting: true,
-          meeting_notes: body
-        }, { headers });
-        console.log('✅ Marked lead as wanting a meeting');
-      } catch (err) {
-        console.error('Error updating wants_meeting:', err.response?.data || err.message);
-      }
+    if (DELIVERY_PROBLEMS.includes(status)) {
+      problem = { message_id: updated.id, status, error: changes.delivery_error || null, at: changes.delivery_updated_at };
+    } else if (lead?.delivery_problem &&
+      ([DELIVERY_DELIVERED, DELIVERY_READ].includes(status) || lead.delivery_problem.message_id === updated.id)) {
+      problem = null;
     }
 
-    // 6) Try Twilio send (but don't kill logic if it fails)
-    try {
-      await client.messages.create({
-        from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-        to: from,
-        body: aiReply
-      });
-    } catch (twilioErr) {
-      console.error('Twilio send error:', twilioErr.code, twilioErr.message);
-      if (twilioErr.code === 63038) {
-        console.warn('⚠️ Hit Twilio daily message limit. Skipping send but keeping logic.');
-      }
+    if (problem !== undefined) {
+      await store.upsertLead(updated.lead_phone, { delivery_problem: problem });
+      await publishLeadUpdated(updated.lead_phone, { delivery_problem: problem });
     }
+    return updated;
+  } catch (err) {
+    console.error('Error saving delivery status:', err.response?.data || err.message);
+    return null;
+  }
+}
 
-    res.status(200).send('');
+// Queue a `send` job for a message that didn't go out. Sends to a lead stay
+// in order but don't hold up answering the lead.
+async function queueResend(message, { channel, attachments, consentConfirmation = false, runAt }) {
+  try {
+    const job = await jobs.enqueue(JOB_SEND, {
+      messageId: message.id,
+      leadPhone: message.lead_phone,
+      teamId: message.team_id || teams.default.id,
+      channel: channel || message.channel || null,
+      attachments: attachments || null,
+      consentConfirmation
+    }, {
+      leadKey: `send:${message.lead_phone}`,
+      dedupeKey: `send:${message.twilio_sid || message.id}`,
+      runAt
+    });
+
+    if (job) console.log('📤 Message', message.id, 'to', message.lead_phone, 'goes out again at', runAt.toISOString());
   } catch (err) {
-    console.error('Error in /whatsapp-webhook:', err);
-    res.status(500).send('');
+    console.error('Error queueing message', message.id, 'to send again:', err.response?.data || err.message);
   }
-});
+}
 
-// Get leads for frontend
-app.get('/leads', async (req, res) => {
-  const url =
-    `${SUPABASE_URL}/rest/v1/leads` +
-    `?select=phone,name,source,location,budget,timeline,home_type,bedrooms,preapproval,motivation,lead_score,notes,wants_meeting,meeting_notes`;
-
-  const headers = {
-    apikey: SUPABASE_KEY,
-    Authorization: `Bearer ${SUPABASE_KEY}`
-  };
+// A send the provider (or a channel problem) turned down: mark the message
+// and, when another try can work, queue it. Resolves to the updated message.
+async function recordSendFailure(message, err, { channel, attachments, consentConfirmation, queueRetry = true }) {
+  const updated = await recordDelivery(message, {
+    delivery_status: isRateLimited(err) ? DELIVERY_RATE_LIMITED : DELIVERY_FAILED,
+    delivery_error: deliveryError(err)
+  });
+
+  if (queueRetry && isRetryableSendError(err)) {
+    await queueResend(message, { channel, attachments, consentConfirmation, runAt: resendAt(err) });
+  }
+  return updated;
+}
+
+// `send` job: another try for a message that didn't go out. A daily limit
+// puts the next try after the reset (not counted as a try), other provider
+// trouble backs off; a message that got out meanwhile or can't be sent at
+// all ends the job. Out of tries, the message is marked failed: it's no
+// longer waiting in the queue.
+async function resendMessage({ messageId, leadPhone, channel, attachments, consentConfirmation = false }, { job } = {}) {
+  const message = (await store.getMessages(leadPhone)).find(m => String(m.id) === String(messageId));
+  if (!message || !DELIVERY_PROBLEMS.includes(message.delivery_status)) return;
 
   try {
-    const { data } = await axios.get(url, { headers });
-    res.json(data || []);
+    await sendToLead(leadPhone, message.message, {
+      channel: channel || undefined,
+      attachments: attachments || undefined,
+      consentConfirmation,
+      message,
+      queueRetry: false
+    });
+    console.log('📤 Sent message', message.id, 'to', leadPhone, 'on another try');
   } catch (err) {
-    console.error('Error fetching leads from Supabase:', err.response?.data || err.message);
-    res.status(500).json({ error: 'failed_to_fetch_leads' });
+    if (err instanceof OptedOutError) {
+      await recordDelivery(message, { delivery_status: DELIVERY_FAILED, delivery_error: deliveryError(err) });
+    }
+    if (!isRetryableSendError(err)) {
+      console.warn('Not sending message', message.id, 'to', leadPhone, 'again:', err.message);
+      return;
+    }
+    if (isDailyLimit(err)) {
+      err.retryAt = resendAt(err);
+    } else if (job && job.attempts >= job.max_attempts) {
+      await recordDelivery(message, { delivery_status: DELIVERY_FAILED, delivery_error: deliveryError(err) });
+    }
+    throw err;
   }
-});
+}
 
-// Get messages for a lead (for frontend)
-app.get('/leads/:phone/messages', async (req, res) => {
-  const phone = req.params.phone;
-
-  const url =
-    `${SUPABASE_URL}/rest/v1/messages` +
-    `?select=sender,message,created_at,lead_phone` +
-    `&lead_phone=eq.${encodeURIComponent(phone)}` +
-    `&order=created_at.asc`;
-
-  const headers = {
-    apikey: SUPABASE_KEY,
-    Authorization: `Bearer ${SUPABASE_KEY}`
+// Record an opt-out/opt-in from the lead and confirm it back to them
+async function handleConsentChange(phone, keyword, team = teams.default) {
+  const optedOut = keyword === 'opt_out';
+
+  const consent = {
+    consent_status: optedOut ? CONSENT_OPTED_OUT : CONSENT_OPTED_IN,
+    consent_updated_at: new Date().toISOString()
   };
+  await store.upsertLead(phone, consent);
+  await publishLeadUpdated(phone, consent);
+  if (optedOut) events.publish(EVENT_LEAD_OPTED_OUT, { leadPhone: phone, teamId: team.id });
+  console.log(optedOut ? '🚫 Lead opted out:' : '✅ Lead opted back in:', phone);
 
-  console.log('Fetching messages for lead:', phone, '->', url);
+  const confirmation = optedOut ? OPT_OUT_CONFIRMATION : OPT_IN_CONFIRMATION;
+  const saved = await saveMessage(phone, 'system', confirmation, { team_id: team.id });
 
   try {
-    const { data } = await axios.get(url, { headers });
-    console.log('Messages from Supabase:', data);
-    res.json(data || []);
-  } catch (err) {
-    console.error(
-      'Error fetching messages from Supabase:',
-      err.response?.data || err.message
-    );
-    res.status(500).json({ error: 'failed_to_fetch_messages' });
+    await sendToLead(phone, confirmation, { consentConfirmation: true, message: saved });
+  } catch (twilioErr) {
+    console.error('Twilio send error (consent confirmation):', twilioErr.code, twilioErr.message);
   }
-});
+}
 
-// Agent reply from dashboard
-app.post('/leads/:phone/reply', async (req, res) => {
-  const phone = req.params.phone;
-  const { message } = req.body;
+// Switch who handles a lead's conversation (ai / agent / paused)
+async function setConversationMode(phone, mode, extra = {}) {
+  const now = new Date().toISOString();
+  const fields = { conversation_mode: mode, mode_updated_at: now, ...extra };
+
+  await store.upsertLead(normalizePhone(phone), fields);
+  await publishLeadUpdated(normalizePhone(phone), fields);
+  console.log('Conversation mode for', phone, '->', mode);
+  return fields;
+}
+
+// Nudge for a lead that stopped replying: a short check-in that asks the
+// next missing field again. `step` is 1 for the first follow-up.
+async function generateFollowUp(lead, state, flow, step, team = teams.default) {
+  const next = nextMissingField(state, flow);
+
+  const systemPrompt = `
+You are a friendly real estate assistant${team.brand_name ? ` for ${team.brand_name}` : ''} messaging a lead.
+The lead is ${flow.description}.
+They stopped replying a while ago and you're checking back in.
+${team.persona ? `\n${team.persona}\n` : ''}
+STYLE RULES:
+- Sound like a real person texting, not a corporate bot
+- 1-2 short sentences, no emojis, no guilt-tripping ("just following up again...")
+- Don't mention that this is an automated follow-up
+- Write in ${languageName(lead.language) || 'English'}
+`;
+
+  const userInstruction = `
+What you know about them so far:
+${JSON.stringify(state, null, 2)}
+
+This is follow-up number ${step} of ${FOLLOW_UP_DELAYS.length}.
+
+Your job:
+- Check back in casually${lead.name ? ` (their name is ${lead.name})` : ''}
+- Ask ONLY about: ${next.label}
+- ${step === FOLLOW_UP_DELAYS.length
+    ? 'This is the last check-in: make it clear there is no pressure and they can reply whenever they are ready'
+    : 'Keep it light, like picking the conversation back up'}
+
+Respond with only the message you would send to the lead.
+`;
+
+  return llm.complete({
+    task: 'follow_up',
+    temperature: 0.6,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userInstruction }
+    ],
+    meta: { nextField: next.key, step }
+  });
+}
+
+// Lead statuses that end the nurture sequence
+const FOLLOW_UP_DONE_STATUSES = ['meeting_requested', 'meeting_booked', 'not_interested', 'wrong_number'];
+
+// Send every follow-up that's due. Leads that replied, opted out, are
+// handled by an agent or have nothing left to ask are skipped. Returns
+// { sent, skipped } counts plus the phones that got a follow-up.
+async function runFollowUps({ now = new Date() } = {}) {
+  const result = { sent: 0, skipped: 0, phones: [] };
+  const leads = await store.listLeads();
+
+  for (const lead of leads) {
+    if (isOptedOut(lead) || FOLLOW_UP_DONE_STATUSES.includes(lead.status)) continue;
+
+    const { mode } = resolveConversationMode(lead, { now, agentIdleHours: AGENT_IDLE_HOURS });
+    if (mode !== MODE_AI) continue;
+
+    const messages = await getConversationHistory(lead.phone);
+    const due = dueFollowUp(messages, { delays: FOLLOW_UP_DELAYS, now });
+    if (!due) continue;
+
+    const team = teamForLead(lead);
+    const flow = getFlow(team.qualification, lead.flow);
+    const state = { ...emptyLeadState(fieldKeys(flow)), ...lead.lead_state };
+    if (!nextMissingField(state, flow)) continue;
+
+    const timeZone = lead.timezone || DEFAULT_TIMEZONE;
+    if (isQuietHours(now, timeZone, FOLLOW_UP_QUIET_HOURS)) {
+      console.log('Follow-up due but it is quiet hours for', lead.phone, 'in', timeZone);
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const text = await generateFollowUp(lead, state, flow, due.step, team);
+      const channel = lead.channel || defaultChannel(lead.phone);
+      const message = await saveMessage(lead.phone, SENDER_FOLLOW_UP, text, { channel, team_id: team.id });
+      await sendToLead(lead.phone, text, { channel, message });
+
+      console.log(`✅ Sent follow-up ${due.step}/${FOLLOW_UP_DELAYS.length} to`, lead.phone);
+      result.sent++;
+      result.phones.push(lead.phone);
+    } catch (err) {
+      console.error('Follow-up failed for', lead.phone, err.code, err.message);
+      result.skipped++;
+    }
+  }
+
+  return result;
+}
+
+// --- AGENT ALERTS ---
+// Agents pick what they want to hear about and where (lib/notifications.js).
+// Alerts are logged in agent_notifications, which is also how repeats are
+// held back, and go out from a `notify` job so a provider hiccup is retried.
+
+// Questions the assistant hands to the agent instead of answering
+const QUESTION_INTENTS = ['asks_property_question', 'asks_agent_question'];
+
+// Queue `event` about the lead for every agent of its team whose rules ask
+// for it. `detail` is what set it off (the lead's message). Resolves to the
+// alerts queued; never throws, alerts don't hold up the conversation.
+async function notifyAgents(event, leadPhone, { detail = null, now = new Date() } = {}) {
+  try {
+    const lead = await store.getLead(normalizePhone(leadPhone));
+    if (!lead) return [];
+
+    const team = teamForLead(lead);
+    const queued = [];
+    for (const agent of await store.listAgents({ teamId: team.id })) {
+      const rule = ruleFor(agent, event, lead);
+      if (!rule) continue;
+
+      const alert = await queueAlert(agent, rule, event, lead, { detail, now });
+      if (alert) queued.push(alert);
+    }
+    return queued;
+  } catch (err) {
+    console.error('Error notifying agents about', leadPhone, event, err.response?.data || err.message);
+    return [];
+  }
+}
+
+// Log the alert and queue its delivery, unless the agent got the same one
+// within NOTIFICATION_REPEAT_HOURS. Resolves to the alert, or null.
+async function queueAlert(agent, rule, event, lead, { detail = null, minutes = rule.minutes, now }) {
+  const key = alertKey(event, lead);
+  const since = new Date(now.getTime() - NOTIFICATION_REPEAT_HOURS * 60 * MINUTE_MS).toISOString();
+  const [recent] = await store.listNotifications({ agentId: agent.id, alertKey: key, since, limit: 1 });
+  if (recent) {
+    console.log('🔕 Not repeating', event, 'alert about', lead.phone, 'to agent', agent.id);
+    return null;
+  }
+
+  const link = leadLink(DASHBOARD_LEAD_URL, lead.phone);
+  const { subject, text } = buildAlert(event, lead, { link, detail, minutes });
+  const alert = await store.addNotification({
+    agent_id: agent.id,
+    lead_phone: lead.phone,
+    event,
+    alert_key: key,
+    channels: rule.channels,
+    subject,
+    text,
+    link,
+    status: 'queued',
+    delivered: []
+  });
+
+  await jobs.enqueue(JOB_NOTIFY, { notificationId: alert.id, teamId: teamForLead(lead).id }, { dedupeKey: `notify:${alert.id}` });
+  console.log('🔔 Queued', event, 'alert about', lead.phone, 'to agent', agent.id, 'by', rule.channels.join(', '));
+  return alert;
+}
+
+// Send an alert on one channel
+async function sendAlert(channel, alert, agent, team) {
+  const phone = agent.phone ? `+${String(agent.phone).replace(/\D/g, '')}` : null;
+
+  if (channel === NOTIFY_SMS) {
+    return client.messages.create({ from: team.sms_number, to: phone, body: alert.text });
+  }
+  if (channel === NOTIFY_WHATSAPP) {
+    return client.messages.create({ from: `whatsapp:${team.whatsapp_number}`, to: `whatsapp:${phone}`, body: alert.text });
+  }
+  if (channel === NOTIFY_EMAIL) {
+    return mailer.send({ from: team.email_from, to: agent.email, subject: alert.subject, text: alert.text });
+  }
+  if (channel === NOTIFY_WEBHOOK) {
+    return axios.post(agent.notification_webhook_url, {
+      event: alert.event,
+      agent_id: agent.id,
+      lead_phone: alert.lead_phone,
+      subject: alert.subject,
+      text: alert.text,
+      link: alert.link,
+      created_at: alert.created_at
+    }, { timeout: 10000 });
+  }
+  throw new Error(`unknown alert channel ${channel}`);
+}
+
+// `notify` job: send the alert on each of its channels. Channels it already
+// went out on are skipped on a retry; a channel that fails fails the job.
+async function deliverNotification({ notificationId }) {
+  const [alert] = await store.listNotifications({ ids: [notificationId] });
+  if (!alert || alert.status === 'sent') return;
+
+  const agent = await store.getAgent(alert.agent_id);
+  if (!agent) {
+    await store.updateNotification(alert.id, { status: 'failed', error: 'agent no longer exists' });
+    return;
+  }
+
+  const team = teams.byId(agent.team_id);
+  const delivered = [...(alert.delivered || [])];
+  const errors = [];
+
+  for (const channel of alert.channels.filter(c => !delivered.includes(c))) {
+    try {
+      await sendAlert(channel, alert, agent, team);
+      delivered.push(channel);
+    } catch (err) {
+      errors.push(`${channel}: ${err.response?.status || err.code || ''} ${err.message}`.replace(/\s+/g, ' '));
+    }
+  }
+
+  if (errors.length) {
+    await store.updateNotification(alert.id, { delivered, error: errors.join('; ') });
+    throw new Error(`alert ${alert.id} not sent by ${errors.join('; ')}`);
+  }
+
+  await store.updateNotification(alert.id, { delivered, status: 'sent', error: null, sent_at: new Date().toISOString() });
+  console.log('🔔 Sent', alert.event, 'alert', alert.id, 'to agent', agent.id);
+}
+
+// no_agent_response alerts: leads an agent has taken over (or paused) whose
+// last message has waited longer than the agent's rule allows
+async function runAgentAlerts({ now = new Date() } = {}) {
+  const result = { queued: 0 };
+  const agents = (await store.listAgents()).filter(agent => ruleFor(agent, NOTIFY_NO_AGENT_RESPONSE));
+  if (agents.length === 0) return result;
+
+  for (const lead of await store.listLeads()) {
+    if (lead.last_message_sender !== 'lead' || !lead.last_message_at) continue;
+    if (!lead.conversation_mode || lead.conversation_mode === MODE_AI || isOptedOut(lead)) continue;
+
+    const teamId = teamForLead(lead).id;
+    const waited = (now - new Date(lead.last_message_at)) / MINUTE_MS;
+
+    for (const agent of agents.filter(a => (a.team_id || teams.default.id) === teamId)) {
+      const rule = ruleFor(agent, NOTIFY_NO_AGENT_RESPONSE, lead);
+      if (!rule || waited < rule.minutes) continue;
+
+      try {
+        const alert = await queueAlert(agent, rule, NOTIFY_NO_AGENT_RESPONSE, lead, { minutes: Math.floor(waited), now });
+        if (alert) result.queued++;
+      } catch (err) {
+        console.error('Error queueing waiting-lead alert for', lead.phone, err.response?.data || err.message);
+      }
+    }
+  }
+
+  return result;
+}
+
+// --- CRM WEBHOOKS ---
+// Teams keep their CRM in step through signed webhooks (lib/webhooks.js).
+// An event off the bus becomes a logged delivery for every subscriber that
+// wants it, sent from a `webhook` job so a subscriber that's down gets it
+// again with backoff. The log is what a replay resends.
+
+// Queue `event` for the active subscribers of its lead's team. Never
+// throws, a CRM must not break the conversation.
+async function queueWebhooks(event) {
+  if (!WEBHOOK_EVENTS.includes(event.type)) return;
+
+  try {
+    const lead = event.data?.lead || (event.lead_phone ? await store.getLead(event.lead_phone) : null);
+    if (!lead) return;
+
+    const teamId = event.team_id || teamForLead(lead).id;
+    const subscribers = (await store.listWebhooks({ teamId, active: true }))
+      .filter(webhook => webhook.events.includes(event.type));
+
+    for (const webhook of subscribers) {
+      await queueDelivery(webhook, webhookPayload({ ...event, team_id: teamId }, lead, webhook.preset));
+    }
+  } catch (err) {
+    console.error('Error queueing webhooks for', event.type, event.lead_phone, err.response?.data || err.message);
+  }
+}
+
+// Log a delivery and queue its job. A subscriber gets each lead's
+// deliveries in order.
+async function queueDelivery(webhook, payload, { replayOf = null } = {}) {
+  const delivery = await store.addWebhookDelivery({
+    webhook_id: webhook.id,
+    event_id: payload.event_id,
+    event: payload.event,
+    lead_phone: payload.lead_phone,
+    team_id: webhook.team_id,
+    payload,
+    status: WEBHOOK_PENDING,
+    attempts: 0,
+    replay_of: replayOf
+  });
+
+  await jobs.enqueue(JOB_WEBHOOK, { deliveryId: delivery.id, teamId: webhook.team_id }, {
+    leadKey: `webhook:${webhook.id}:${payload.lead_phone}`,
+    dedupeKey: `webhook:${delivery.id}`,
+    attempts: WEBHOOK_MAX_ATTEMPTS
+  });
+  return delivery;
+}
+
+// Events are queued one at a time in the order they were published, so a
+// CRM hears about a lead before the updates to it
+let webhooksQueued = Promise.resolve();
+events.subscribe(event => {
+  webhooksQueued = webhooksQueued.then(() => queueWebhooks(event));
+});
+
+function responseText(data) {
+  if (data == null) return null;
+  return (typeof data === 'string' ? data : JSON.stringify(data)).slice(0, 500) || null;
+}
+
+// `webhook` job: POST the delivery to its subscriber, signed. No answer or
+// a non-2xx one fails the job and it's tried again; after the last try the
+// delivery is marked failed.
+async function deliverWebhook({ deliveryId }, { job }) {
+  const [delivery] = await store.listWebhookDeliveries({ ids: [deliveryId] });
+  if (!delivery || delivery.status === WEBHOOK_DELIVERED) return;
+
+  const [webhook] = await store.listWebhooks({ ids: [delivery.webhook_id] });
+  if (!webhook?.active) {
+    await store.updateWebhookDelivery(delivery.id, { status: WEBHOOK_FAILED, error: 'subscriber is paused' });
+    return;
+  }
+
+  const { data, ...envelope } = delivery.payload;
+  const body = JSON.stringify({ id: delivery.id, ...envelope, replay_of: delivery.replay_of ?? null, data });
+  const attempt = { attempts: (delivery.attempts || 0) + 1, last_attempt_at: new Date().toISOString() };
+
+  try {
+    const res = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+      },
+      timeout: WEBHOOK_TIMEOUT_SECONDS * 1000,
+      maxRedirects: 0,
+      responseType: 'text'
+    });
+
+    await store.updateWebhookDelivery(delivery.id, {
+      ...attempt,
+      status: WEBHOOK_DELIVERED,
+      response_status: res.status,
+      response_body: responseText(res.data),
+      error: null,
+      delivered_at: new Date().toISOString()
+    });
+    console.log('🪝 Delivered', delivery.event, 'webhook', delivery.id, 'to', webhook.url);
+  } catch (err) {
+    await store.updateWebhookDelivery(delivery.id, {
+      ...attempt,
+      status: job.attempts >= job.max_attempts ? WEBHOOK_FAILED : WEBHOOK_PENDING,
+      response_status: err.response?.status ?? null,
+      response_body: responseText(err.response?.data),
+      error: err.message
+    });
+    throw err;
+  }
+}
+
+// --- SCHEDULING ---
+// Leads book calls with the team's agents right in the conversation
+// (lib/scheduling.js): we offer a few free slots, read their pick, book it
+// and send both sides a calendar invite. Teams without agents that have
+// working hours keep pasting their booking link.
+
+const MINUTE_MS = 60 * 1000;
+const APPOINTMENT_BOOKED = 'booked';
+const APPOINTMENT_CANCELLED = 'cancelled';
+
+// Agents of `team` who take calls: the lead's own agent when they do,
+// else everyone on the team with working hours
+async function schedulingAgents(team, lead) {
+  const agents = (await store.listAgents({ teamId: team.id }))
+    .filter(agent => agent.timezone && Object.keys(agent.working_hours || {}).length > 0);
+  const assigned = agents.find(agent => agent.id === lead?.assigned_to);
+  return assigned ? [assigned] : agents;
+}
+
+// Free slots of `agents`, oldest first. `ignore` is a booked call that
+// doesn't block time because it's the one being moved.
+async function freeSlots(agents, { now = new Date(), ignore = null } = {}) {
+  const slots = [];
+
+  for (const agent of agents) {
+    const appointments = (await store.listAppointments({
+      agentId: agent.id,
+      statuses: [APPOINTMENT_BOOKED],
+      from: new Date(now.getTime() - 24 * 60 * MINUTE_MS).toISOString()
+    }))
+      .filter(appointment => appointment.id !== ignore?.id)
+      .map(appointment => ({ start: appointment.start_at, end: appointment.end_at }));
+
+    slots.push(...availableSlots(agent, {
+      busy: agent.busy_blocks || [],
+      appointments,
+      now,
+      days: SCHEDULING_DAYS_AHEAD,
+      minNoticeMinutes: SCHEDULING_MIN_NOTICE_MINUTES
+    }));
+  }
+
+  return slots
+    .filter(slot => slot.start !== ignore?.start_at)
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+function publishAppointment(appointment, change) {
+  events.publish(EVENT_APPOINTMENT_UPDATED, {
+    leadPhone: appointment.lead_phone,
+    teamId: appointment.team_id || null,
+    data: { change, appointment }
+  });
+}
+
+// Signature in the calendar links we text to leads
+function appointmentToken(id) {
+  return crypto.createHmac('sha256', APPOINTMENT_LINK_SECRET).update(String(id)).digest('base64url');
+}
+
+function validAppointmentToken(id, token) {
+  if (!APPOINTMENT_LINK_SECRET || !token) return false;
+  const given = Buffer.from(String(token));
+  const expected = Buffer.from(appointmentToken(id));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Link to the call's .ics, null when we can't build one
+function appointmentLink(appointment) {
+  if (!PUBLIC_BASE_URL || !APPOINTMENT_LINK_SECRET) return null;
+  const base = PUBLIC_BASE_URL.replace(/\/$/, '');
+  return `${base}/appointments/${appointment.id}/ics?token=${appointmentToken(appointment.id)}`;
+}
+
+// The .ics for a call, as the lead (`audience` 'lead') or agent sees it
+function appointmentIcs(appointment, { lead, agent, team, audience }) {
+  const leadName = lead.name || lead.phone;
+  const contact = isEmailKey(lead.phone) ? lead.phone : `+${lead.phone}`;
+
+  return buildInvite({
+    uid: `${appointment.id}@real-estate-ai`,
+    start: appointment.start_at,
+    end: appointment.end_at,
+    summary: audience === 'lead'
+      ? `Call with ${agent?.name || team.brand_name || 'your agent'}`
+      : `Call with ${leadName}`,
+    description: audience === 'lead'
+      ? `Reply "reschedule" or "cancel" to our messages if this time stops working.`
+      : `Lead: ${leadName} (${contact})${lead.meeting_notes ? `\nThey said: ${lead.meeting_notes}` : ''}`,
+    organizer: team.email_from ? { name: team.brand_name, email: team.email_from } : null,
+    attendees: [
+      { name: agent?.name, email: agent?.email },
+      { name: lead.name, email: lead.email || (isEmailKey(lead.phone) ? lead.phone : null) }
+    ],
+    method: appointment.status === APPOINTMENT_CANCELLED ? 'CANCEL' : 'REQUEST',
+    sequence: appointment.sequence || 0
+  });
+}
+
+function icsAttachment(appointment, options) {
+  const method = appointment.status === APPOINTMENT_CANCELLED ? 'CANCEL' : 'REQUEST';
+  return {
+    filename: method === 'CANCEL' ? 'cancelled.ics' : 'invite.ics',
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: appointmentIcs(appointment, options)
+  };
+}
+
+// The lead's message about a booked, moved or cancelled call: the .ics is
+// attached on email, linked on WhatsApp/SMS. Returns { reply, attachments }.
+function withInvite(text, appointment, { lead, agent, team, channel }) {
+  if (channel === CHANNEL_EMAIL) {
+    return { reply: text, attachments: [icsAttachment(appointment, { lead, agent, team, audience: 'lead' })] };
+  }
+
+  const link = appointment.status === APPOINTMENT_BOOKED && appointmentLink(appointment);
+  return { reply: link ? `${text}\nAdd it to your calendar: ${link}` : text };
+}
+
+// Tell the agent about a call that was booked, moved or cancelled, or
+// remind them of it (`change`): an email with the invite, else a text.
+// Never throws, the lead's booking stands either way.
+async function notifyAgent(appointment, lead, { change, team, agent = null }) {
+  try {
+    const to = agent || (await store.getAgent(appointment.agent_id));
+    if (!to) return;
+
+    const when = formatSlot(appointment.start_at, to.timezone || DEFAULT_TIMEZONE);
+    const leadName = lead.name || lead.phone;
+    const contact = isEmailKey(lead.phone) ? lead.phone : `+${lead.phone}`;
+    const subject = {
+      booked: `New call: ${leadName}, ${when}`,
+      rescheduled: `Call moved: ${leadName}, now ${when}`,
+      cancelled: `Call cancelled: ${leadName}, ${when}`,
+      reminder: `Reminder: call with ${leadName}, ${when}`
+    }[change];
+    const text = `${subject}\nLead: ${leadName} (${contact})`;
+
+    if (to.email) {
+      await mailer.send({
+        from: team.email_from,
+        to: to.email,
+        subject,
+        text,
+        attachments: change === 'reminder' ? undefined : [icsAttachment(appointment, { lead, agent: to, team, audience: 'agent' })]
+      });
+    } else if (to.phone) {
+      await client.messages.create({ from: team.sms_number, to: `+${to.phone.replace(/\D/g, '')}`, body: text });
+    } else {
+      console.warn('Agent', to.id, 'has no email or phone, not notified about', appointment.id);
+    }
+  } catch (err) {
+    console.error('Error notifying agent about appointment', appointment.id, err.code, err.message);
+  }
+}
+
+// Offer the lead a few free slots (to move `appointment`, when set) and keep
+// them on the lead so the answer can be read. `near` picks slots around a
+// time the lead asked for; `intro` goes first. Returns the message.
+async function offerSlots(lead, agents, { now, appointment = null, near = null, intro = null }) {
+  const slots = await freeSlots(agents, { now, ignore: appointment });
+  const nearby = near
+    ? slots.filter(slot => Math.abs(new Date(slot.start) - new Date(near)) <= 48 * 60 * MINUTE_MS)
+    : [];
+  const offer = pickOffer(nearby.length ? nearby : slots);
+
+  if (offer.length === 0) {
+    return [intro, `The calendar is full for the next ${SCHEDULING_DAYS_AHEAD} days, the agent will reach out to find a time that works.`]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  const meetingOffer = { slots: offer, offered_at: now.toISOString(), appointment_id: appointment?.id || null };
+  await store.upsertLead(lead.phone, { meeting_offer: meetingOffer });
+  await publishLeadUpdated(lead.phone, { meeting_offer: meetingOffer });
+
+  const timeZone = lead.timezone || DEFAULT_TIMEZONE;
+  return [
+    intro,
+    'Here are a few times that work for a quick call:',
+    ...offer.map((slot, i) => `${i + 1}) ${formatSlot(slot.start, timeZone)}`),
+    'Reply with the one that suits you (e.g. "2"), or suggest another time.'
+  ].filter(Boolean).join('\n');
+}
+
+// Book `slot` for the lead, or move `appointment` there. Returns the
+// confirmation for the lead ({ reply, attachments }).
+async function bookSlot(lead, slot, { team, appointment = null, channel, now }) {
+  const agent = await store.getAgent(slot.agent_id);
+  const change = appointment ? 'rescheduled' : 'booked';
+
+  const booked = appointment
+    ? await store.updateAppointment(appointment.id, {
+      agent_id: slot.agent_id,
+      start_at: slot.start,
+      end_at: slot.end,
+      sequence: (appointment.sequence || 0) + 1,
+      reminder_sent_at: null,
+      updated_at: now.toISOString()
+    })
+    : await store.createAppointment({
+      lead_phone: lead.phone,
+      agent_id: slot.agent_id,
+      team_id: team.id,
+      start_at: slot.start,
+      end_at: slot.end,
+      status: APPOINTMENT_BOOKED,
+      sequence: 0,
+      reminder_sent_at: null
+    });
+
+  const fields = { meeting_offer: null, wants_meeting: true, status: 'meeting_booked' };
+  await store.upsertLead(lead.phone, fields);
+  await publishLeadUpdated(lead.phone, fields);
+  publishAppointment(booked, change);
+  console.log(`📅 Appointment ${change} for`, lead.phone, 'with', booked.agent_id, 'at', booked.start_at);
+
+  // Moved to someone else: the first agent's invite is off
+  if (appointment && appointment.agent_id !== booked.agent_id) {
+    await notifyAgent({ ...appointment, status: APPOINTMENT_CANCELLED, sequence: booked.sequence }, lead, { change: 'cancelled', team });
+  }
+  await notifyAgent(booked, lead, { change, team, agent });
+
+  const when = formatSlot(booked.start_at, lead.timezone || DEFAULT_TIMEZONE);
+  const withWhom = agent?.name || 'the agent';
+  const text = appointment
+    ? `Done, your call with ${withWhom} is now ${when}. Reply "reschedule" or "cancel" if anything changes.`
+    : `You're booked! Your call with ${withWhom} is ${when}. Reply "reschedule" or "cancel" if anything changes.`;
+
+  return withInvite(text, booked, { lead, agent, team, channel });
+}
+
+// Call off a booked call at the lead's request
+async function cancelAppointment(appointment, lead, { team, channel, now }) {
+  const cancelled = await store.updateAppointment(appointment.id, {
+    status: APPOINTMENT_CANCELLED,
+    sequence: (appointment.sequence || 0) + 1,
+    cancelled_at: now.toISOString(),
+    updated_at: now.toISOString()
+  });
+
+  const fields = { meeting_offer: null, wants_meeting: false, status: 'qualifying' };
+  await store.upsertLead(lead.phone, fields);
+  await publishLeadUpdated(lead.phone, fields);
+  publishAppointment(cancelled, 'cancelled');
+  console.log('📅 Appointment cancelled by', lead.phone, ':', appointment.id);
+
+  const agent = await store.getAgent(appointment.agent_id);
+  await notifyAgent(cancelled, lead, { change: 'cancelled', team, agent });
+
+  const when = formatSlot(cancelled.start_at, lead.timezone || DEFAULT_TIMEZONE);
+  return withInvite(
+    `No problem, your call on ${when} is cancelled. Just let us know if you'd like to find another time.`,
+    cancelled,
+    { lead, agent, team, channel }
+  );
+}
+
+// The scheduling side of an inbound message: cancel or move a booked call,
+// read the lead's pick from the slots we offered (or a time they name) and
+// offer slots when they ask for a call. Returns null when the team doesn't
+// schedule calls itself, else { reply, attachments } where `reply` replaces
+// the AI reply (null when the message isn't about scheduling).
+async function handleScheduling({ lead, body, intent, team, channel, now = new Date() }) {
+  const agents = await schedulingAgents(team, lead);
+  if (agents.length === 0) return null;
+
+  const timeZone = lead.timezone || DEFAULT_TIMEZONE;
+  const [upcoming = null] = await store.listAppointments({
+    leadPhone: lead.phone,
+    statuses: [APPOINTMENT_BOOKED],
+    from: now.toISOString()
+  });
+  const offer = lead.meeting_offer || null;
+  const change = upcoming ? detectAppointmentChange(body) : null;
+
+  if (change === 'cancel') return cancelAppointment(upcoming, lead, { team, channel, now });
+
+  // The call being moved: they just asked to, or the offer was for that
+  const moving = upcoming && (change === 'reschedule' || offer?.appointment_id === upcoming.id) ? upcoming : null;
+
+  // "2", "Thursday at 3 works" only mean a time while we're scheduling
+  const choice = offer || moving || intent === 'proposes_time'
+    ? parseSlotChoice(body, offer?.slots || [], { timeZone, now })
+    : null;
+
+  if (choice) {
+    const start = choice.slot?.start || choice.requested;
+    const free = (await freeSlots(agents, { now, ignore: moving })).filter(slot => slot.start === start);
+    const slot = free.find(s => s.agent_id === choice.slot?.agent_id) || free[0];
+
+    if (slot) return bookSlot(lead, slot, { team, appointment: moving, channel, now });
+
+    return {
+      reply: await offerSlots(lead, agents, {
+        now,
+        appointment: moving,
+        near: start,
+        intro: `Sorry, ${formatSlot(start, timeZone)} isn't available anymore.`
+      })
+    };
+  }
+
+  if (change === 'reschedule') {
+    return { reply: await offerSlots(lead, agents, { now, appointment: upcoming, intro: "No problem, let's find a new time." }) };
+  }
+
+  if (!MEETING_INTENTS.includes(intent)) return { reply: null };
+
+  if (upcoming) {
+    return {
+      reply: `You're already booked for a call on ${formatSlot(upcoming.start_at, timeZone)}. Reply "reschedule" or "cancel" if that doesn't work anymore.`
+    };
+  }
+
+  return { reply: await offerSlots(lead, agents, { now }) };
+}
+
+// Send the reminder for every booked call starting within
+// APPOINTMENT_REMINDER_MINUTES, to the lead (unless they opted out) and the
+// agent, once per call (a moved call gets a new one). Returns { sent,
+// skipped } counts plus the appointment ids reminded.
+async function runReminders({ now = new Date() } = {}) {
+  const result = { sent: 0, skipped: 0, appointments: [] };
+  const due = await store.listAppointments({
+    statuses: [APPOINTMENT_BOOKED],
+    from: now.toISOString(),
+    to: new Date(now.getTime() + APPOINTMENT_REMINDER_MINUTES * MINUTE_MS).toISOString()
+  });
+
+  for (const appointment of due.filter(a => !a.reminder_sent_at)) {
+    try {
+      const lead = (await store.getLead(appointment.lead_phone)) || { phone: appointment.lead_phone };
+      const agent = await store.getAgent(appointment.agent_id);
+      const team = teams.byId(appointment.team_id);
+
+      if (isOptedOut(lead)) {
+        console.log('Not reminding opted-out lead', lead.phone, 'of', appointment.id);
+      } else {
+        const when = formatSlot(appointment.start_at, lead.timezone || DEFAULT_TIMEZONE);
+        const text = `Reminder: your call with ${agent?.name || 'the agent'} is ${when}. Reply "reschedule" or "cancel" if that no longer works.`;
+        const channel = lead.channel || defaultChannel(lead.phone);
+        const message = await saveMessage(lead.phone, 'system', text, { channel, team_id: team.id });
+        try {
+          await sendToLead(lead.phone, text, { channel, message });
+        } catch (err) {
+          // Logged on the message, and queued when another try can work
+          console.error('Reminder send failed for appointment', appointment.id, err.code, err.message);
+        }
+      }
+
+      await notifyAgent(appointment, lead, { change: 'reminder', team, agent });
+      await store.updateAppointment(appointment.id, { reminder_sent_at: now.toISOString() });
+
+      console.log('⏰ Sent appointment reminder for', appointment.id);
+      result.sent++;
+      result.appointments.push(appointment.id);
+    } catch (err) {
+      console.error('Reminder failed for appointment', appointment.id, err.code, err.message);
+      result.skipped++;
+    }
+  }
+
+  return result;
+}
+
+// --- LISTINGS ---
+// Qualified buyers and renters get a few matching homes from the team's
+// listings (lib/listings.js) with the reply, and what they say about them
+// ("love the second one") is kept for the agent.
+
+// Intents that don't get listings with the reply
+const NO_LISTING_INTENTS = [...MEETING_INTENTS, 'not_interested', 'wrong_number'];
+
+// Save feed `records` as `teamId`'s listings; a later record with the same
+// id wins. `replace` takes listings missing from the feed off the market.
+// Report rows are numbered from `firstRow` (2 for a CSV under its header).
+async function importListings(records, { teamId, dryRun = false, replace = false, firstRow = 0 }) {
+  const listings = new Map();
+  const errors = [];
+
+  records.forEach((record, i) => {
+    const { listing, error } = readListing(record, { urlTemplate: LISTING_URL_TEMPLATE });
+    if (error) errors.push({ row: firstRow + i, error });
+    else listings.set(listing.id, listing);
+  });
+
+  const retired = [];
+  if (replace) {
+    for (const { team_id, created_at, updated_at, ...listing } of await store.listListings({ teamId })) {
+      if (!listings.has(listing.id) && listing.status !== 'off_market') retired.push({ ...listing, status: 'off_market' });
+    }
+  }
+
+  if (!dryRun) await store.upsertListings(teamId, [...listings.values(), ...retired]);
+
+  return { total: records.length, imported: listings.size, off_market: retired.length, errors };
+}
+
+// Re-read LISTINGS_FEED_PATH (.csv, else JSON) into LISTINGS_FEED_TEAM
+async function loadListingFeed() {
+  const text = await fs.promises.readFile(LISTINGS_FEED_PATH, 'utf8');
+  const csv = /\.csv$/i.test(LISTINGS_FEED_PATH);
+  const records = feedRecords(csv ? parseCsv(text) : JSON.parse(text));
+  const teamId = LISTINGS_FEED_TEAM || teams.default.id;
+
+  const report = await importListings(records, { teamId, replace: true, firstRow: csv ? 2 : 0 });
+  console.log(`🏠 Listing feed for team "${teamId}": ${report.imported} listings, ${report.off_market} off market, ${report.errors.length} skipped`);
+  return report;
+}
+
+// Listings to send with this reply: { criteria, listings }. Empty when the
+// flow doesn't match listings or the answers haven't changed since the
+// last ones we sent; homes the lead has already seen are left out.
+async function newListingMatches(lead, state, flow, team) {
+  const criteria = listingCriteria({ ...lead, ...stateColumns(state, flow) });
+  const sent = lead?.listing_matches;
+
+  if (!flow.listings || (sent && isDeepStrictEqual(sent.criteria, criteria))) return { criteria, listings: [] };
+
+  const listings = await store.listListings({ teamId: team.id, status: 'active', listingType: flow.listings });
+  return {
+    criteria,
+    listings: matchListings(criteria, listings, { listingType: flow.listings, exclude: sent?.sent_ids || [] })
+  };
+}
+
+// Remember what we sent: the ids in order (so "the second one" resolves),
+// every id ever sent and the criteria they matched
+async function saveListingMatches(phone, lead, { criteria, listings }) {
+  const ids = listings.map(listing => listing.id);
+  const listingMatches = {
+    listing_ids: ids,
+    sent_ids: [...new Set([...(lead?.listing_matches?.sent_ids || []), ...ids])],
+    criteria,
+    sent_at: new Date().toISOString()
+  };
+
+  await store.upsertLead(phone, { listing_matches: listingMatches });
+  await publishLeadUpdated(phone, { listing_matches: listingMatches });
+}
+
+// Store the lead's reactions to the homes we last sent and fold them into
+// listing_interest ({ liked, tour, disliked } ids, latest reaction wins).
+// Returns them with their listing for the reply prompt.
+async function recordListingReactions(phone, lead, body, team) {
+  const reactions = detectListingReactions(body, lead?.listing_matches?.listing_ids || []);
+  if (reactions.length === 0) return [];
+
+  const interest = { liked: [], tour: [], disliked: [], ...lead.listing_interest };
+  for (const { listing_id, reaction } of reactions) {
+    await store.addListingReaction({ lead_phone: phone, team_id: team.id, listing_id, reaction, message: body });
+    for (const key of Object.keys(interest)) interest[key] = interest[key].filter(id => id !== listing_id);
+    interest[reaction].push(listing_id);
+  }
+
+  await store.upsertLead(phone, { listing_interest: interest });
+  await publishLeadUpdated(phone, { listing_interest: interest });
+  console.log('🏠 Listing reactions from', phone, reactions);
+
+  const listings = await store.listListings({ teamId: team.id });
+  return reactions.map(entry => ({ ...entry, listing: listings.find(listing => listing.id === entry.listing_id) || null }));
+}
+
+// Simple placeholder so /lead doesn't crash
+async function generateLeadReply(name, source, team = teams.default) {
+  const brand = team.brand_name ? ` to ${team.brand_name}` : '';
+  return `Hey ${name}, thanks for reaching out${brand} about real estate from ${source || 'your inquiry'}! An agent will follow up with you shortly.`;
+}
+
+// Reject webhook calls that don't carry a valid X-Twilio-Signature
+function verifyTwilioSignature(req, res, next) {
+  if (!TWILIO_VALIDATE_SIGNATURE) return next();
+
+  const signature = req.header('X-Twilio-Signature');
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!signature) {
+    console.warn('⚠️ Rejected webhook without X-Twilio-Signature:', req.originalUrl);
+    return res.status(403).send('');
+  }
+
+  if (!authToken) {
+    console.error('TWILIO_AUTH_TOKEN is not set, cannot validate webhook signature');
+    return res.status(500).send('');
+  }
+
+  const baseUrl = PUBLIC_BASE_URL
+    ? PUBLIC_BASE_URL.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  const url = baseUrl + req.originalUrl;
+
+  if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    console.warn('⚠️ Rejected webhook with invalid Twilio signature:', url);
+    return res.status(403).send('');
+  }
+
+  next();
+}
+
+// Inbound email webhook calls must carry EMAIL_WEBHOOK_SECRET, in the
+// X-Webhook-Secret header or as ?token= (for providers that only take a URL)
+function verifyEmailWebhook(req, res, next) {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('EMAIL_WEBHOOK_SECRET is not set, refusing inbound email');
+    return res.status(500).send('');
+  }
+
+  const given = Buffer.from(String(req.header('X-Webhook-Secret') || req.query.token || ''));
+  const expected = Buffer.from(secret);
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    console.warn('⚠️ Rejected email webhook with a missing or wrong secret');
+    return res.status(403).send('');
+  }
+
+  next();
+}
+
+// Answer an inbound webhook: save the message (once per provider id),
+// queue the job that answers it (processInbound) and say 200 right away,
+// well inside Twilio's 15 second timeout. 500 only when the message
+// couldn't be saved or queued, so the provider retries.
+async function respondToInbound(res, inbound) {
+  const { leadPhone, body, channel, twilioSid, emailMessageId, leadFields = {}, media = [], location = null } = inbound;
+
+  try {
+    const knownLead = await store.getLead(leadPhone);
+    const team = knownLead?.team_id ? teamForLead(knownLead) : inbound.team;
+
+    if (team.id !== inbound.team.id) {
+      console.warn(`⚠️ Lead ${leadPhone} belongs to team "${team.id}" but wrote to "${inbound.team.id}", keeping "${team.id}"`);
+    }
+
+    // A first message makes a new lead
+    if (!knownLead) {
+      await store.upsertLead(leadPhone, { team_id: team.id, channel });
+      await publishLeadCreated(leadPhone);
+    }
+
+    // 1) Save incoming lead message (once per provider message id). Voice
+    //    notes and pins get their text in the job.
+    const saved = await saveInboundMessageOnce(leadPhone, describeInbound({ body, media, location }), {
+      channel,
+      teamId: team.id,
+      twilioSid,
+      emailMessageId,
+      media,
+      location
+    });
+
+    if (!saved) {
+      console.log('Duplicate delivery (already stored):', twilioSid || emailMessageId);
+    }
+
+    // Queued once per provider id too, so a retry after a failed enqueue
+    // still gets the message answered (and a retry after that doesn't)
+    const job = await jobs.enqueue(JOB_INBOUND, {
+      leadPhone,
+      messageId: saved?.id ?? null,
+      text: body || '',
+      channel,
+      teamId: team.id,
+      leadFields,
+      media,
+      location
+    }, {
+      leadKey: leadPhone,
+      dedupeKey: twilioSid || emailMessageId || null
+    });
+
+    if (job) console.log('📥 Queued job', job.id, 'for', leadPhone);
+    res.status(200).send('');
+  } catch (err) {
+    console.error(`Error saving inbound ${channel} message:`, err);
+    res.status(500).send('');
+  }
+}
+
+// Voice notes to text and the location pin to a place, so the message
+// reads like anything the lead typed. A failure leaves that attachment as
+// it came in: the lead still gets an answer.
+async function resolveAttachments({ media, location, language }) {
+  const resolved = [];
+
+  for (const item of media) {
+    if (item.kind !== 'audio') {
+      resolved.push(item);
+      continue;
+    }
+
+    try {
+      const transcript = await transcriber.transcribe({ url: item.url, contentType: item.content_type, language });
+      resolved.push(transcript ? { ...item, transcript } : item);
+    } catch (err) {
+      console.error('Voice note transcription failed:', err.response?.data || err.message);
+      resolved.push(item);
+    }
+  }
+
+  let pin = location;
+  if (location) {
+    try {
+      const found = await geocoder.reverse(location);
+      if (found) {
+        pin = {
+          ...location,
+          place: found.place,
+          address: location.address || found.address,
+          city: found.city,
+          state: found.state,
+          postal_code: found.postal_code,
+          country: found.country
+        };
+      }
+    } catch (err) {
+      console.error('Reverse geocoding failed:', err.response?.data || err.message);
+    }
+  }
+
+  return { media: resolved, location: pin };
+}
+
+// Job: run one inbound lead message through consent, takeover, extraction,
+// intent and the AI reply. The same conversation on every channel; the AI
+// answers on the channel the message came in on. `teamId` is the lead's
+// team (respondToInbound). A retry starts from the job's progress:
+// attachments already read and a reply already saved aren't redone.
+async function processInbound(payload, { progress, checkpoint }) {
+  const { leadPhone, messageId, text, channel, teamId, leadFields = {}, media = [], location = null } = payload;
+  const knownLead = await store.getLead(leadPhone);
+  const team = knownLead?.team_id ? teamForLead(knownLead) : teams.byId(teamId);
+
+  // Transcripts and the pin's place go into the stored message
+  let { body, attachments } = progress;
+  if (body === undefined) {
+    const hasAttachments = media.length > 0 || Boolean(location);
+    attachments = hasAttachments
+      ? await resolveAttachments({ media, location, language: knownLead?.language })
+      : { media, location };
+    body = describeInbound({ body: text, ...attachments });
+
+    if (hasAttachments) {
+      if (messageId !== null) {
+        await store.updateMessage(messageId, {
+          message: body,
+          ...(attachments.media.length ? { media: attachments.media } : {}),
+          ...(attachments.location ? { location: attachments.location } : {})
+        });
+      }
+      await checkpoint({ body, attachments });
+    }
+  }
+
+  // The lead prefers whatever channel they last wrote on, and we answer in
+  // the language they write in
+  const contactFields = { channel, team_id: team.id, ...leadFields };
+  const language = languageForMessage(knownLead, body);
+  if (language) Object.assign(contactFields, { language, language_source: SOURCE_DETECTED });
+
+  await store.upsertLead(leadPhone, contactFields);
+  await publishLeadUpdated(leadPhone, contactFields);
+
+  // 1b) STOP / START handling: confirm, and never run the AI for opted-out leads
+  const existingLead = await store.getLead(leadPhone);
+  const [bookedCall] = existingLead
+    ? await store.listAppointments({ leadPhone, statuses: [APPOINTMENT_BOOKED], from: new Date().toISOString() })
+    : [];
+  const consentKeyword = detectConsentKeyword(body, {
+    wasOptedOut: isOptedOut(existingLead),
+    callBooked: Boolean(bookedCall)
+  });
+
+  if (consentKeyword) {
+    await handleConsentChange(leadPhone, consentKeyword, team);
+    return;
+  }
+
+  if (isOptedOut(existingLead)) {
+    console.log('Lead is opted out, stored message without replying:', leadPhone);
+    return;
+  }
+
+  // 1c) Human takeover: the AI stays quiet while an agent has the lead or
+  //     it's paused. Extraction catches up once the AI is back in charge.
+  const { mode, expired } = resolveConversationMode(existingLead, {
+    agentIdleHours: AGENT_IDLE_HOURS
+  });
+
+  if (expired) {
+    console.log('No agent activity for', AGENT_IDLE_HOURS, 'hours, handing back to AI:', leadPhone);
+    await setConversationMode(leadPhone, MODE_AI);
+  }
+
+  if (mode !== MODE_AI) {
+    console.log(`Lead is in "${mode}" mode, stored message without AI reply:`, leadPhone);
+    return;
+  }
+
+  // 2) Update the lead state with the new message (one extraction per call)
+  // Flow comes from the lead row, or from the lead's first message
+  const flow = existingLead?.flow
+    ? getFlow(team.qualification, existingLead.flow)
+    : existingLead?.lead_state
+      ? getFlow(team.qualification, team.qualification.default_flow)
+      : detectFlow(team.qualification, body);
+
+  const { state, lastMessageId } = await refreshLeadState(leadPhone, flow);
+
+  // A location pin is where they're looking, whatever the text said
+  const pinnedPlace = attachments.location && (attachments.location.place || attachments.location.address);
+  if (pinnedPlace && flow.fields.some(field => field.key === 'location')) {
+    state.location = pinnedPlace;
+  }
+
+  // 2b) What is the message trying to do? Read with our last message so a
+  //     bare "yes" to "want to hop on a call?" counts.
+  const history = await getConversationHistory(leadPhone);
+  const previousMessage = history
+    .filter(m => m.sender !== 'lead' && m.sender !== 'system')
+    .pop()?.message;
+
+  const intent = await classifyIntent(llm, {
+    message: body,
+    previousMessage,
+    threshold: INTENT_CONFIDENCE_THRESHOLD
+  });
+  console.log('Intent for', leadPhone, '=>', intent.intent, intent.confidence);
+
+  // Reply once per message: a retry after the reply was saved goes
+  // straight to scoring and sending it
+  let aiReply = progress.reply;
+  let replyAttachments = progress.reply_attachments || undefined;
+  let replyMessage = progress.reply_message_id != null
+    ? { id: progress.reply_message_id, lead_phone: leadPhone, team_id: team.id, message: aiReply }
+    : null;
+
+  if (aiReply === undefined) {
+    // 2c) What they think of the homes we sent last time
+    let listingReactions = [];
+    try {
+      listingReactions = await recordListingReactions(leadPhone, existingLead, body, team);
+    } catch (err) {
+      console.error('Error saving listing reactions:', err.response?.data || err.message);
+    }
+
+    // 3) Slot offers, bookings and changes to a booked call answer the lead
+    //    directly; anything else gets the AI reply. Generate + save it.
+    let scheduled = null;
+    try {
+      scheduled = await handleScheduling({ lead: existingLead, body, intent: intent.intent, team, channel });
+    } catch (err) {
+      console.error('Scheduling failed, falling back to the AI reply:', err.response?.data || err.message);
+    }
+
+    // Fully qualified leads get matching homes under the reply
+    let matches = { listings: [] };
+    if (!scheduled?.reply && !nextMissingField(state, flow) && !NO_LISTING_INTENTS.includes(intent.intent)) {
+      try {
+        matches = await newListingMatches(existingLead, state, flow, team);
+      } catch (err) {
+        console.error('Error matching listings:', err.response?.data || err.message);
+      }
+    }
+
+    aiReply = scheduled?.reply ||
+      await generateSmartReply(leadPhone, body, state, flow, intent.intent, team, {
+        scheduling: Boolean(scheduled),
+        listings: matches.listings,
+        listingReactions,
+        language: existingLead.language
+      });
+    if (matches.listings.length) aiReply += `\n\n${formatListings(matches.listings)}`;
+    replyMessage = await saveMessage(leadPhone, "ai", aiReply, { channel, team_id: team.id });
+
+    if (matches.listings.length) {
+      try {
+        await saveListingMatches(leadPhone, existingLead, matches);
+      } catch (err) {
+        console.error('Error saving listing matches:', err.response?.data || err.message);
+      }
+    }
+
+    replyAttachments = scheduled?.attachments;
+    await checkpoint({
+      reply: aiReply,
+      reply_attachments: replyAttachments || null,
+      reply_message_id: replyMessage?.id ?? null
+    });
+  }
+
+  // 4) Check if they want a meeting (before scoring, it counts towards the score)
+  if (MEETING_INTENTS.includes(intent.intent)) {
+    try {
+      await store.upsertLead(leadPhone, {
+        wants_meeting: true,
+        meeting_notes: body
+      });
+      console.log('✅ Marked lead as wanting a meeting');
+
+      events.publish(EVENT_MEETING_REQUESTED, {
+        leadPhone,
+        teamId: team.id,
+        data: { intent: intent.intent, confidence: intent.confidence, message: body }
+      });
+    } catch (err) {
+      console.error('Error updating wants_meeting:', err.response?.data || err.message);
+    }
+  }
+
+  // 5) Score and save lead
+  await saveLeadState(leadPhone, state, lastMessageId, flow, { intent });
+
+  // 5b) Alert agents about a call request or a question left for them
+  if (MEETING_INTENTS.includes(intent.intent)) {
+    await notifyAgents(NOTIFY_MEETING_REQUESTED, leadPhone, { detail: body });
+  } else if (QUESTION_INTENTS.includes(intent.intent)) {
+    await notifyAgents(NOTIFY_UNANSWERED_QUESTION, leadPhone, { detail: body });
+  }
+
+  // 6) Try to send (but don't kill logic if it fails), once per message.
+  //    A send turned down for a limit goes out from the send queue later.
+  if (progress.sent) return;
+  try {
+    await sendToLead(leadPhone, aiReply, { channel, attachments: replyAttachments, message: replyMessage });
+  } catch (sendErr) {
+    console.error('Send error:', sendErr.code, sendErr.message);
+    if (isDailyLimit(sendErr)) {
+      console.warn('⚠️ Hit Twilio daily message limit. Reply queued until the limit resets.');
+    }
+  }
+  await checkpoint({ sent: true });
+}
+
+// --- ROUTES ---
+
+// Health check
+app.get('/', (req, res) => {
+  res.send('Real Estate AI Backend is running 🚀');
+});
+
+// Manual lead-creation route (not WhatsApp-based). Leads need a phone
+// number or, for email-only leads, an email address.
+app.post('/lead', async (req, res) => {
+  try {
+    const { name, source } = req.body;
+    const email = req.body.email ? normalizeEmail(req.body.email) : null;
+    const phone = req.body.phone || email;
+
+    if (!name || !phone) {
+      return res.status(400).json({ error: 'name and phone (or email) are required' });
+    }
+
+    if (email && !isEmailKey(email)) {
+      return res.status(400).json({ error: 'email is not a valid address' });
+    }
+
+    const key = normalizePhone(phone);
+    const channel = req.body.channel || defaultChannel(key);
+    const problem = channelProblem({ phone: key, email }, channel);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    if (req.body.team && !teams.has(req.body.team)) {
+      return res.status(400).json({
+        error: `team must be one of: ${teams.list.map(team => team.id).join(', ')}`
+      });
+    }
+
+    const team = teams.byId(req.body.team);
+    const teamQualification = team.qualification;
+
+    if (req.body.flow && !teamQualification.flows[req.body.flow]) {
+      return res.status(400).json({
+        error: `flow must be one of: ${Object.keys(teamQualification.flows).join(', ')}`
+      });
+    }
+
+    if (req.body.timezone && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone like America/Phoenix' });
+    }
+
+    // Explicit flow, else whatever flow the lead source maps to
+    const flow = req.body.flow
+      ? getFlow(teamQualification, req.body.flow)
+      : flowForSource(teamQualification, source);
+
+    const extra = { channel, team_id: team.id };
+    if (email) extra.email = email;
+    if (req.body.timezone) extra.timezone = req.body.timezone;
+
+    await saveLead(name, phone, source || 'unknown', flow.name, extra);
+    const aiMessage = await generateLeadReply(name, source || 'unknown', team);
+    await saveMessage(key, "ai", aiMessage, { channel, team_id: team.id });
+
+    res.json({ status: 'lead saved ✅' });
+  } catch (err) {
+    console.error(err.response?.data || err.message);
+    res.status(500).json({ error: 'failed to save lead' });
+  }
+});
+
+// Twilio WhatsApp webhook
+app.post('/whatsapp-webhook', verifyTwilioSignature, async (req, res) => {
+  const from = req.body.From;  // "whatsapp:+1714..."
+  const body = req.body.Body;  // lead's message text
+
+  const media = readInboundMedia(req.body);
+  const location = readLocationPin(req.body);
+
+  console.log('Incoming WhatsApp message:', from, body, req.body.MessageSid, media.length ? media : '', location || '');
+
+  await respondToInbound(res, {
+    leadPhone: normalizePhone(from),
+    body,
+    media,
+    location,
+    channel: CHANNEL_WHATSAPP,
+    team: teams.byNumber(req.body.To),
+    twilioSid: req.body.MessageSid
+  });
+});
+
+// Twilio SMS webhook (plain phone numbers, same conversation as WhatsApp)
+app.post('/sms-webhook', verifyTwilioSignature, async (req, res) => {
+  const from = req.body.From;  // "+1714..."
+  const body = req.body.Body;
+
+  const media = readInboundMedia(req.body);
+
+  console.log('Incoming SMS:', from, body, req.body.MessageSid, media.length ? media : '');
+
+  await respondToInbound(res, {
+    leadPhone: normalizePhone(from),
+    body,
+    media,
+    channel: CHANNEL_SMS,
+    team: teams.byNumber(req.body.To),
+    twilioSid: req.body.MessageSid
+  });
+});
+
+// Twilio status callback for the messages we send (statusCallback on each
+// send when PUBLIC_BASE_URL is set): MessageStatus queued / sent /
+// delivered / read / failed / undelivered, ErrorCode on failures. A message
+// that failed for a limit is queued to go out again.
+app.post(STATUS_CALLBACK_PATH, verifyTwilioSignature, async (req, res) => {
+  const { MessageSid: sid, MessageStatus: reported, ErrorCode: code } = req.body;
+
+  try {
+    const message = sid ? await store.getMessageByTwilioSid(sid) : null;
+    if (!message) {
+      console.log('Status callback for a message we did not send:', sid, reported);
+      return res.status(200).send('');
+    }
+
+    const err = code ? { code: Number(code), message: req.body.ErrorMessage || `Twilio error ${code}` } : null;
+    let status = nextDeliveryStatus(message.delivery_status, reported);
+    if (err && isRateLimited(err) && [DELIVERY_FAILED, DELIVERY_UNDELIVERED].includes(status)) {
+      status = DELIVERY_RATE_LIMITED;
+    }
+
+    if (status) {
+      await recordDelivery(message, {
+        delivery_status: status,
+        delivery_error: err ? deliveryError(err) : message.delivery_error ?? null
+      });
+      console.log('📬 Message', message.id, 'to', message.lead_phone, 'is', status, code ? `(error ${code})` : '');
+
+      if (status === DELIVERY_RATE_LIMITED) {
+        await queueResend(message, { channel: message.channel, runAt: resendAt(err) });
+      }
+    }
+
+    res.status(200).send('');
+  } catch (err) {
+    console.error('Error saving delivery status:', err.response?.data || err.message);
+    res.status(500).send('');
+  }
+});
+
+// Inbound email webhook: parsed-email JSON from the mail provider. Emails
+// from an address we know go to that lead, otherwise the address is the lead.
+app.post('/email-webhook', verifyEmailWebhook, async (req, res) => {
+  const email = parseInboundEmail(req.body);
+
+  console.log('Incoming email:', email.from, email.subject, email.messageId);
+
+  if (!email.from || !email.text) {
+    console.warn('⚠️ Ignoring inbound email without a sender or text');
+    return res.status(200).send('');
+  }
+
+  try {
+    const known = await store.findLeadByEmail(email.from);
+
+    await respondToInbound(res, {
+      leadPhone: known?.phone || email.from,
+      body: email.text,
+      channel: CHANNEL_EMAIL,
+      team: teams.byEmail(email.to),
+      emailMessageId: email.messageId,
+      leadFields: {
+        email: email.from,
+        ...(email.subject ? { last_email_subject: email.subject } : {}),
+        ...(!known && email.name ? { name: email.name } : {})
+      }
+    });
+  } catch (err) {
+    console.error('Error in /email-webhook:', err);
+    res.status(500).send('');
+  }
+});
+
+// Everything under /leads needs a dashboard token
+app.use('/leads', requireAuth);
+
+// Load the lead in :phone onto req.lead. Leads the user can't see are a 404;
+// with `act`, leads they can see but not act on are a 403.
+function leadAccess({ act = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const lead = await store.getLead(normalizePhone(req.params.phone));
+
+      if (!lead || !canReadLead(req.user, lead, teams.default.id)) {
+        return res.status(404).json({ error: 'lead_not_found' });
+      }
+      if (act && !canActOnLead(req.user, lead, teams.default.id)) {
+        return res.status(403).json({ error: 'forbidden' });
+      }
+
+      req.lead = lead;
+      next();
+    } catch (err) {
+      console.error('Error loading lead:', err.response?.data || err.message);
+      res.status(500).json({ error: 'failed_to_fetch_lead' });
+    }
+  };
+}
+
+// Which team's leads a list/import request is about: the user's own team.
+// Admins without a team may pick one with ?team=<id>, else get every team
+// (teamId null). Returns { teamId } or { status, error } to send back.
+function teamScope(req) {
+  const ownTeam = req.user.role === ROLE_ADMIN ? req.user.team : req.user.team || teams.default.id;
+  const teamId = ownTeam || req.query.team || null;
+
+  if (req.query.team && req.query.team !== teamId) return { status: 403, error: 'forbidden' };
+  if (teamId && !teams.has(teamId)) return { status: 400, error: 'unknown_team' };
+  return { teamId };
+}
+
+// Team scope plus the filters, search and sort of ?query (lib/leadQuery.js)
+// onto req.leadList, ready for store.queryLeads
+function leadListScope(req, res, next) {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
+
+  try {
+    req.leadList = {
+      teamId,
+      // Leads from before teams existed belong to the default team
+      includeUnassigned: teamId === teams.default.id,
+      ...parseLeadQuery(req.query)
+    };
+    next();
+  } catch (err) {
+    if (err instanceof LeadQueryError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+}
+
+// Every lead matching req.leadList, all pages (exports)
+async function collectLeads(leadList) {
+  const leads = [];
+  let cursor = null;
+
+  for (;;) {
+    const page = await store.queryLeads({ ...leadList, limit: MAX_LIMIT, cursor });
+    leads.push(...page.leads);
+    if (!page.hasMore) return leads;
+
+    const last = page.leads[page.leads.length - 1];
+    cursor = { value: last[leadList.sort] ?? null, phone: last.phone };
+  }
+}
+
+// Get leads for frontend
+// Leads of the user's team (see teamScope). Filters, search (?q=), sort and
+// cursor pagination: see lib/leadQuery.js. Returns { leads, next_cursor };
+// pass next_cursor back as ?cursor= for the next page, null means this was
+// the last one.
+app.get('/leads', leadListScope, async (req, res) => {
+  try {
+    const { leads, hasMore } = await store.queryLeads(req.leadList);
+    res.json({
+      leads,
+      next_cursor: hasMore ? encodeCursor(leads[leads.length - 1], req.leadList.sort) : null
+    });
+  } catch (err) {
+    console.error('Error fetching leads:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_leads' });
+  }
+});
+
+// Bulk import leads from a CSV body (Content-Type: text/csv). Query:
+//   map.<field>=<header>       column mapping (lib/leadImport.js), else by header name
+//   source, flow, team         for every row (a source column wins over ?source)
+//   start_qualification=true   send imported leads our first WhatsApp message
+//   dry_run=true               check the file and report, save nothing
+// Bad rows and leads we already have are skipped; the report says why, per
+// spreadsheet row (the header is row 1).
+app.post(
+  '/leads/import',
+  requireRole(ROLE_ADMIN, ROLE_AGENT),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    const { teamId, status, error } = teamScope(req);
+    if (error) return res.status(status).json({ error });
+
+    const team = teams.byId(teamId);
+    const dryRun = req.query.dry_run === 'true';
+    const startQualification = req.query.start_qualification === 'true';
+
+    if (req.query.flow && !team.qualification.flows[req.query.flow]) {
+      return res.status(400).json({
+        error: `flow must be one of: ${Object.keys(team.qualification.flows).join(', ')}`
+      });
+    }
+
+    let rows;
+    let columns;
+    try {
+      rows = parseCsv(typeof req.body === 'string' ? req.body : '');
+      if (rows.length < 2) throw new ImportError('send a CSV (Content-Type: text/csv) with a header row and at least one lead');
+      if (rows.length - 1 > IMPORT_MAX_ROWS) throw new ImportError(`at most ${IMPORT_MAX_ROWS} leads per import`);
+
+      const mapping = Object.fromEntries(
+        Object.entries(req.query)
+          .filter(([key]) => key.startsWith('map.'))
+          .map(([key, header]) => [key.slice(4), header])
+      );
+      const stateFields = [...new Set(Object.values(team.qualification.flows).flatMap(fieldKeys))];
+      columns = resolveColumns(rows[0], mapping, stateFields);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const report = [];
+    const seen = new Map(); // lead key / email -> row it first appeared on
+    const summary = { created: 0, duplicates: 0, errors: 0, qualification_started: 0 };
+
+    for (let i = 1; i < rows.length; i++) {
+      const row = i + 1;
+      const record = readRow(rows[i], columns);
+      const email = record.email ? normalizeEmail(record.email) : null;
+      const phone = record.phone ? normalizeImportPhone(record.phone, IMPORT_COUNTRY_CODE) : null;
+      const key = phone || email;
+      const entry = { row, phone: key, name: record.name || null, status: null };
+      report.push(entry);
+
+      const problem = rowProblem(record, { phone, email });
+      if (problem) {
+        Object.assign(entry, { status: 'error', error: problem });
+        summary.errors++;
+        continue;
+      }
+
+      try {
+        const earlierRow = seen.get(key) || (email && seen.get(email));
+        const existing = earlierRow ? null : (await store.getLead(key)) || (email && (await store.findLeadByEmail(email)));
+
+        if (earlierRow || existing) {
+          Object.assign(entry, earlierRow
+            ? { status: 'duplicate', error: `same lead as row ${earlierRow}` }
+            : { status: 'duplicate', error: 'lead already exists' });
+          summary.duplicates++;
+          continue;
+        }
+
+        seen.set(key, row);
+        if (email) seen.set(email, row);
+
+        const source = record.source || req.query.source || 'import';
+        const flow = req.query.flow
+          ? getFlow(team.qualification, req.query.flow)
+          : flowForSource(team.qualification, source);
+
+        if (dryRun) {
+          entry.status = 'ready';
+          continue;
+        }
+
+        const channel = defaultChannel(key);
+        const extra = { channel, team_id: team.id };
+        if (email) extra.email = email;
+        if (record.notes) extra.notes = record.notes;
+        if (record.timezone) extra.timezone = record.timezone;
+
+        await saveLead(record.name, key, source, flow.name, extra);
+        entry.status = 'created';
+        summary.created++;
+
+        // What the sheet already tells us, so the AI doesn't ask again
+        const known = fieldKeys(flow).filter(field => record[field]);
+        if (known.length) {
+          const state = { ...emptyLeadState(fieldKeys(flow)) };
+          for (const field of known) state[field] = record[field];
+          await saveLeadState(key, state, undefined, flow);
+        }
+
+        if (startQualification) {
+          if (!phone) {
+            entry.qualification = 'skipped_no_phone';
+          } else {
+            const opener = await generateLeadReply(record.name, source, team);
+            const message = await saveMessage(key, 'ai', opener, { channel: CHANNEL_WHATSAPP, team_id: team.id });
+            try {
+              await sendToLead(key, opener, { channel: CHANNEL_WHATSAPP, message });
+              entry.qualification = 'started';
+              summary.qualification_started++;
+            } catch (err) {
+              console.error('Import: could not start qualification for', key, err.code, err.message);
+              Object.assign(entry, { qualification: 'failed', qualification_error: err.message });
+            }
+          }
+        }
+      } catch (err) {
+        console.error('Import: row', row, 'failed:', err.response?.data || err.message);
+        Object.assign(entry, { status: 'error', error: 'failed_to_save_lead' });
+        summary.errors++;
+      }
+    }
+
+    console.log(`📥 Lead import by ${req.user.id}${dryRun ? ' (dry run)' : ''}:`, summary);
+    res.json({ dry_run: dryRun, team: team.id, total: rows.length - 1, ...summary, rows: report });
+  }
+);
+
+// Columns of the CSV lead export (JSON exports have the whole row)
+const EXPORT_LEAD_COLUMNS = [
+  'phone', 'name', 'email', 'source', 'flow', 'status', 'lead_score', 'lead_score_value',
+  'location', 'budget', 'budget_min', 'budget_max', 'timeline', 'bedrooms', 'home_type',
+  'preapproval', 'wants_meeting', 'meeting_notes', 'notes', 'consent_status',
+  'conversation_mode', 'channel', 'team_id', 'assigned_to', 'created_at', 'last_message_at'
+];
+const TRANSCRIPT_COLUMNS = ['lead_phone', 'lead_name', 'created_at', 'sender', 'channel', 'message'];
+
+// Send `records` as a CSV or JSON download (?format=csv|json, csv by default)
+function sendExport(req, res, name, { csv, json }) {
+  const format = req.query.format || 'csv';
+  if (format !== 'csv' && format !== 'json') {
+    return res.status(400).json({ error: 'format must be csv or json' });
+  }
+
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'json') return res.json(json());
+  res.type('text/csv').send(csv());
+}
+
+// Transcripts of `leads`, oldest message first
+async function collectTranscripts(leads) {
+  const transcripts = [];
+  for (const lead of leads) {
+    transcripts.push({ lead, messages: await store.getMessages(lead.phone) });
+  }
+  return transcripts;
+}
+
+function transcriptRows(transcripts) {
+  return transcripts.flatMap(({ lead, messages }) =>
+    messages.map(message => ({ ...message, lead_phone: lead.phone, lead_name: lead.name || null }))
+  );
+}
+
+// Export the filtered lead list (same query as GET /leads, every page)
+app.get('/leads/export', requireRole(ROLE_ADMIN), leadListScope, async (req, res) => {
+  try {
+    const leads = await collectLeads(req.leadList);
+    console.log('📤 Lead export by', req.user.id, ':', leads.length, 'leads');
+    sendExport(req, res, 'leads', {
+      csv: () => toCsv(leads, EXPORT_LEAD_COLUMNS),
+      json: () => leads
+    });
+  } catch (err) {
+    console.error('Error exporting leads:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_export_leads' });
+  }
+});
+
+// Full conversation transcripts of the filtered leads, for the broker's records
+app.get('/leads/export/transcripts', requireRole(ROLE_ADMIN), leadListScope, async (req, res) => {
+  try {
+    const transcripts = await collectTranscripts(await collectLeads(req.leadList));
+    console.log('📤 Transcript export by', req.user.id, ':', transcripts.length, 'leads');
+    sendExport(req, res, 'transcripts', {
+      csv: () => toCsv(transcriptRows(transcripts), TRANSCRIPT_COLUMNS),
+      json: () => transcripts.map(({ lead, messages }) => ({ phone: lead.phone, name: lead.name || null, messages }))
+    });
+  } catch (err) {
+    console.error('Error exporting transcripts:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_export_transcripts' });
+  }
+});
+
+// One lead's transcript as a download
+app.get('/leads/:phone/transcript', leadAccess(), async (req, res) => {
+  try {
+    const transcripts = await collectTranscripts([req.lead]);
+    sendExport(req, res, `transcript-${req.lead.phone}`, {
+      csv: () => toCsv(transcriptRows(transcripts), TRANSCRIPT_COLUMNS),
+      json: () => ({ phone: req.lead.phone, name: req.lead.name || null, messages: transcripts[0].messages })
+    });
+  } catch (err) {
+    console.error('Error exporting transcript:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_export_transcript' });
+  }
+});
+
+// Get messages for a lead (for frontend)
+app.get('/leads/:phone/messages', leadAccess(), async (req, res) => {
+  const phone = req.lead.phone;
+
+  console.log('Fetching messages for lead:', phone);
+
+  try {
+    const messages = await store.getMessages(phone);
+    res.json(messages);
+  } catch (err) {
+    console.error(
+      'Error fetching messages:',
+      err.response?.data || err.message
+    );
+    res.status(500).json({ error: 'failed_to_fetch_messages' });
+  }
+});
+
+// A photo / voice note a lead sent, fetched from Twilio (its media URLs
+// need the account's credentials, so the dashboard can't load them itself)
+app.get('/leads/:phone/messages/:id/media/:index', leadAccess(), async (req, res) => {
+  try {
+    const message = (await store.getMessages(req.lead.phone)).find(m => String(m.id) === req.params.id);
+    const item = message?.media?.[Number(req.params.index)];
+    if (!item) {
+      return res.status(404).json({ error: 'media_not_found' });
+    }
+
+    const { data, contentType } = await downloadMedia(item.url);
+    res.set('Content-Type', contentType || item.content_type || 'application/octet-stream');
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(data);
+  } catch (err) {
+    console.error('Error fetching message media:', err.response?.status || err.message);
+    res.status(502).json({ error: 'failed_to_fetch_media' });
+  }
+});
+
+// The dashboard has shown the lead's conversation: nothing unread anymore
+app.post('/leads/:phone/read', leadAccess(), async (req, res) => {
+  try {
+    const read = { unread_count: 0, last_read_at: new Date().toISOString() };
+    const lead = await store.updateLead(req.lead.phone, read);
+    await publishLeadUpdated(req.lead.phone, read, lead);
+    res.json({ success: true, lead });
+  } catch (err) {
+    console.error('Error marking lead read:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_mark_read' });
+  }
+});
+
+// Agent reply from dashboard
+app.post('/leads/:phone/reply', leadAccess({ act: true }), async (req, res) => {
+  const phone = req.lead.phone;
+  const { message } = req.body;
 
   if (!message || !message.trim()) {
     return res.status(400).json({ error: 'Message is required' });
   }
 
-  const trimmed = message.trim();
-  const toWhatsApp = `whatsapp:+${phone}`;
-  let twilioError = null;
-
-  console.log('Agent reply endpoint hit for', phone, 'message:', trimmed);
+  const trimmed = message.trim();
+  let twilioError = null;
+  let sent = null;
+  let sendError = null;
+
+  console.log('Agent reply endpoint hit for', phone, 'message:', trimmed);
+
+  // Replies go out on the lead's preferred channel
+  const channel = req.lead.channel || defaultChannel(phone);
+  const team = teamForLead(req.lead);
+
+  // 1) Try sending, but don't fail hard if it breaks
+  try {
+    sent = await sendToLead(phone, trimmed, { channel });
+  } catch (err) {
+    if (err instanceof OptedOutError) {
+      return res.status(403).json({
+        error: 'lead_opted_out',
+        message: 'This lead replied STOP and has opted out of messages. Nothing was sent.'
+      });
+    }
+    console.error(`Error sending agent reply via ${channel}:`, err.message);
+    twilioError = err.message;
+    sendError = err;
+  }
+
+  // 2) Always try to save as 'agent' message, with how the send went (a
+  //    send turned down for a limit is queued to go out again)
+  let saved;
+  try {
+    saved = await saveMessage(phone, 'agent', trimmed, {
+      channel,
+      team_id: team.id,
+      ...(sent ? sentDelivery(sent, channel) : {})
+    });
+    if (sendError && saved) saved = (await recordSendFailure(saved, sendError, { channel })) || saved;
+  } catch (err) {
+    console.error('Failed to save agent message:', err);
+    return res.status(500).json({ error: 'failed_to_save_message' });
+  }
+
+  // 3) The agent has taken over, keep the AI from talking over them
+  try {
+    await setConversationMode(phone, MODE_AGENT, {
+      last_agent_activity_at: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('Failed to switch lead to agent mode:', err.response?.data || err.message);
+  }
+
+  return res.json({ success: true, channel, twilioError, delivery_status: saved?.delivery_status || null });
+});
+
+// Change the channel replies go out on (whatsapp / sms / email)
+app.patch('/leads/:phone/channel', leadAccess({ act: true }), async (req, res) => {
+  const phone = req.lead.phone;
+  const { channel } = req.body;
+
+  try {
+    const problem = channelProblem(req.lead, channel);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const lead = await store.updateLead(phone, { channel });
+    await publishLeadUpdated(phone, { channel }, lead);
+    res.json({ success: true, channel });
+  } catch (err) {
+    console.error('Error updating lead channel:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_update_channel' });
+  }
+});
+
+// Pin the language we write to the lead in ({ "language": "es" }), or
+// { "language": null } to go back to detecting it from their messages
+app.patch('/leads/:phone/language', leadAccess({ act: true }), async (req, res) => {
+  const phone = req.lead.phone;
+  const { language } = req.body || {};
+
+  const problem = languageProblem(language);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const changes = language
+      ? { language, language_source: SOURCE_AGENT }
+      : { language_source: SOURCE_DETECTED };
+    const lead = await store.updateLead(phone, changes);
+    await publishLeadUpdated(phone, changes, lead);
+    res.json({ success: true, language: lead.language ?? null, language_source: lead.language_source });
+  } catch (err) {
+    console.error('Error updating lead language:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_update_language' });
+  }
+});
+
+// Hand a lead back to the AI, take it over, or pause it
+app.patch('/leads/:phone/mode', leadAccess({ act: true }), async (req, res) => {
+  const phone = req.lead.phone;
+  const { mode } = req.body;
+
+  if (!CONVERSATION_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${CONVERSATION_MODES.join(', ')}` });
+  }
+
+  try {
+    const extra = mode === MODE_AGENT ? { last_agent_activity_at: new Date().toISOString() } : {};
+    await setConversationMode(phone, mode, extra);
+    const lead = await store.getLead(normalizePhone(phone));
+    return res.json({ success: true, lead });
+  } catch (err) {
+    console.error('Error updating conversation mode:', err.response?.data || err.message);
+    return res.status(500).json({ error: 'failed_to_update_mode' });
+  }
+});
+
+// Homes we sent the lead, the criteria they matched, what the lead said
+// about them and what matches right now
+app.get('/leads/:phone/listings', leadAccess(), async (req, res) => {
+  const lead = req.lead;
+  const team = teamForLead(lead);
+  const flow = getFlow(team.qualification, lead.flow || team.qualification.default_flow);
 
-  // 1) Try sending via Twilio, but don't fail hard if it breaks
   try {
-    await client.messages.create({
-      from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-      to: toWhatsApp,
-      body: trimmed
+    const listings = flow.listings
+      ? await store.listListings({ teamId: team.id, listingType: flow.listings })
+      : [];
+    const byId = id => listings.find(listing => listing.id === id) || { id };
+    const criteria = listingCriteria(lead);
+
+    res.json({
+      criteria,
+      sent: (lead.listing_matches?.sent_ids || []).map(byId),
+      matches: flow.listings ? matchListings(criteria, listings, { listingType: flow.listings }) : [],
+      reactions: (await store.getListingReactions(lead.phone)).map(entry => ({ ...entry, listing: byId(entry.listing_id) })),
+      interest: lead.listing_interest || { liked: [], tour: [], disliked: [] }
     });
   } catch (err) {
-    console.error('Error sending agent reply via Twilio:', err.message);
-    twilioError = err.message;
+    console.error('Error fetching lead listings:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_listings' });
   }
+});
+
+// Score changes over time for a lead (oldest first)
+app.get('/leads/:phone/score-history', leadAccess(), async (req, res) => {
+  const phone = req.lead.phone;
 
-  // 2) Always try to save to Supabase as 'agent' message
   try {
-    await saveMessageToSupabase(phone, 'agent', trimmed);
+    const history = await store.getScoreHistory(phone);
+    res.json(history);
   } catch (err) {
-    console.error('Failed to save agent message to Supabase:', err);
-    return res.status(500).json({ error: 'failed_to_save_message' });
+    console.error('Error fetching score history:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_score_history' });
   }
+});
+
+// Force a full re-extraction of a lead's state from its whole history
+app.post('/leads/:phone/reextract', leadAccess({ act: true }), async (req, res) => {
+  const phone = req.lead.phone;
+
+  try {
+    const flow = getFlow(teamForLead(req.lead).qualification, req.lead.flow);
 
-  return res.json({ success: true, twilioError });
+    const { state, lastMessageId } = await refreshLeadState(phone, flow, { force: true });
+    const score = await saveLeadState(phone, state, lastMessageId, flow);
+    return res.json({ success: true, flow: flow.name, state, score });
+  } catch (err) {
+    console.error('Error re-extracting lead state:', err.response?.data || err.message);
+    return res.status(500).json({ error: 'failed_to_reextract' });
+  }
 });
 
 // Update notes
-app.patch('/leads/:phone/notes', async (req, res) => {
-  const phone = req.params.phone;
+app.patch('/leads/:phone/notes', leadAccess({ act: true }), async (req, res) => {
+  const phone = req.lead.phone;
   const { notes } = req.body;
 
   if (typeof notes !== 'string') {
     return res.status(400).json({ error: 'notes must be a string' });
   }
 
-  const url = `${SUPABASE_URL}/rest/v1/leads?phone=eq.${phone}`;
+  try {
+    const lead = await store.updateLead(phone, { notes });
+    await publishLeadUpdated(phone, { notes }, lead);
+    return res.json({ success: true, lead });
+  } catch (err) {
+    console.error('Error updating lead notes:', err.response?.data || err.message);
+    return res.status(500).json({ error: 'failed_to_update_notes' });
+  }
+});
+
+// Assign a lead to an agent (user id from their token), or null to unassign
+app.patch('/leads/:phone/assignment', requireRole(ROLE_ADMIN), leadAccess(), async (req, res) => {
+  const assignedTo = req.body.assigned_to ?? null;
+
+  if (assignedTo !== null && (typeof assignedTo !== 'string' || !assignedTo.trim())) {
+    return res.status(400).json({ error: 'assigned_to must be a user id or null' });
+  }
+
+  try {
+    const assignment = {
+      assigned_to: assignedTo && assignedTo.trim(),
+      assigned_at: assignedTo ? new Date().toISOString() : null
+    };
+    const lead = await store.updateLead(req.lead.phone, assignment);
+    await publishLeadUpdated(req.lead.phone, assignment, lead);
+    console.log('Lead', req.lead.phone, 'assigned to', assignedTo, 'by', req.user.id);
+    res.json({ success: true, lead });
+  } catch (err) {
+    console.error('Error assigning lead:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_assign_lead' });
+  }
+});
+
+// Run the follow-up scheduler now (e.g. from an external cron)
+app.post('/follow-ups/run', requireAuth, requireRole(ROLE_ADMIN), async (req, res) => {
+  try {
+    const result = await runFollowUps();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error running follow-ups:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_run_follow_ups' });
+  }
+});
+
+// Calendar file for a booked call, linked from the lead's confirmation. No
+// login: the link carries a signature of the appointment id.
+app.get('/appointments/:id/ics', async (req, res) => {
+  if (!validAppointmentToken(req.params.id, req.query.token)) {
+    return res.status(404).json({ error: 'appointment_not_found' });
+  }
+
+  try {
+    const appointment = await store.getAppointment(req.params.id);
+    if (!appointment) return res.status(404).json({ error: 'appointment_not_found' });
+
+    const lead = (await store.getLead(appointment.lead_phone)) || { phone: appointment.lead_phone };
+    const agent = await store.getAgent(appointment.agent_id);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="appointment.ics"'
+    });
+    res.send(appointmentIcs(appointment, { lead, agent, team: teams.byId(appointment.team_id), audience: 'lead' }));
+  } catch (err) {
+    console.error('Error building appointment .ics:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_appointment' });
+  }
+});
+
+// Agent profiles and appointments need a dashboard token
+app.use('/agents', requireAuth);
+app.use('/appointments', requireAuth);
+
+const AGENT_FIELDS = ['name', 'email', 'phone', 'timezone', 'working_hours', 'slot_minutes', 'buffer_minutes'];
+
+// Load the agent in :id onto req.agent. Agents on teams the user can't see
+// are a 404; with `edit`, only admins and the agent themself get through
+// (a 403), and an agent that doesn't exist yet is fine (req.agent null).
+function agentAccess({ edit = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const agent = await store.getAgent(req.params.id);
+
+      if (agent && !canReadLead(req.user, { team_id: agent.team_id }, teams.default.id)) {
+        return res.status(404).json({ error: 'agent_not_found' });
+      }
+      if (!agent && !edit) return res.status(404).json({ error: 'agent_not_found' });
+      if (edit && req.user.role !== ROLE_ADMIN && req.user.id !== req.params.id) {
+        return res.status(403).json({ error: 'forbidden' });
+      }
 
-  const headers = {
-    apikey: SUPABASE_KEY,
-    Authorization: `Bearer ${SUPABASE_KEY}`,
-    'Content-Type': 'application/json',
-    Prefer: 'return=representation'
+      req.agent = agent;
+      next();
+    } catch (err) {
+      console.error('Error loading agent:', err.response?.data || err.message);
+      res.status(500).json({ error: 'failed_to_fetch_agent' });
+    }
   };
+}
+
+// Scheduling profiles of the agents on the user's team (see teamScope)
+app.get('/agents', async (req, res) => {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
 
   try {
-    const { data } = await axios.patch(url, { notes }, { headers });
-    return res.json({ success: true, lead: data?.[0] || null });
+    res.json({ agents: await store.listAgents({ teamId }) });
   } catch (err) {
-    console.error('Error updating lead notes:', err.response?.data || err.message);
-    return res.status(500).json({ error: 'failed_to_update_notes' });
+    console.error('Error fetching agents:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_agents' });
   }
 });
 
-// --- START SERVER ---
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Create or update an agent's scheduling profile (:id is their token `sub`):
+// name, email, phone (where booking notices go), timezone, working_hours,
+// slot_minutes, buffer_minutes; see lib/scheduling.js. Admins may set the
+// team of a new agent with `team`, others join their own.
+app.put('/agents/:id', agentAccess({ edit: true }), async (req, res) => {
+  const fields = Object.fromEntries(
+    AGENT_FIELDS.filter(key => req.body?.[key] !== undefined).map(key => [key, req.body[key]])
+  );
+
+  const problem = agentProblem(fields);
+  if (problem) return res.status(400).json({ error: problem });
+  if (!req.agent && !fields.timezone) return res.status(400).json({ error: 'timezone is required' });
+
+  if (fields.email) fields.email = normalizeEmail(fields.email);
+
+  if (!req.agent) {
+    const teamId = (req.user.role === ROLE_ADMIN && req.body.team) || req.user.team || teams.default.id;
+    if (!teams.has(teamId)) return res.status(400).json({ error: 'unknown_team' });
+    if (!canReadLead(req.user, { team_id: teamId }, teams.default.id)) return res.status(403).json({ error: 'forbidden' });
+
+    fields.team_id = teamId;
+    if (!fields.name && req.user.id === req.params.id) fields.name = req.user.name;
+  }
+
+  try {
+    const agent = await store.saveAgent(req.params.id, fields);
+    console.log('📅 Saved agent profile', req.params.id, Object.keys(fields));
+    res.json(agent);
+  } catch (err) {
+    console.error('Error saving agent:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_save_agent' });
+  }
+});
+
+// Replace an agent's busy blocks with the events of their calendar export
+// (an .ics body). Send it again whenever their calendar changes.
+app.put(
+  '/agents/:id/busy',
+  agentAccess({ edit: true }),
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    if (!req.agent) return res.status(404).json({ error: 'agent_not_found' });
+    if (typeof req.body !== 'string' || !/BEGIN:VCALENDAR/i.test(req.body)) {
+      return res.status(400).json({ error: 'expected an iCalendar (.ics) body with Content-Type: text/calendar' });
+    }
+
+    try {
+      const busyBlocks = parseBusyBlocks(req.body, { timeZone: req.agent.timezone });
+      const agent = await store.saveAgent(req.agent.id, {
+        busy_blocks: busyBlocks,
+        busy_updated_at: new Date().toISOString()
+      });
+
+      console.log('📅 Imported', busyBlocks.length, 'busy blocks for agent', req.agent.id);
+      res.json({ busy_blocks: busyBlocks.length, busy_updated_at: agent.busy_updated_at });
+    } catch (err) {
+      console.error('Error importing busy blocks:', err.response?.data || err.message);
+      res.status(500).json({ error: 'failed_to_import_calendar' });
+    }
+  }
+);
+
+// The agent's free slots over the next SCHEDULING_DAYS_AHEAD days
+app.get('/agents/:id/slots', agentAccess(), async (req, res) => {
+  if (!Object.keys(req.agent.working_hours || {}).length) return res.json({ slots: [] });
+
+  try {
+    res.json({ slots: await freeSlots([req.agent]) });
+  } catch (err) {
+    console.error('Error computing slots:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_slots' });
+  }
+});
+
+// An agent's alert settings (lib/notifications.js) and their last 50
+// alerts. Only admins and the agent themself see them.
+app.get('/agents/:id/notifications', agentAccess({ edit: true }), async (req, res) => {
+  if (!req.agent) return res.status(404).json({ error: 'agent_not_found' });
+
+  try {
+    res.json({
+      rules: req.agent.notification_rules || [],
+      webhook_url: req.agent.notification_webhook_url || null,
+      recent: await store.listNotifications({ agentId: req.agent.id, limit: 50 })
+    });
+  } catch (err) {
+    console.error('Error fetching agent notifications:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_notifications' });
+  }
+});
+
+// Replace an agent's alert rules: { rules: [{ event, channels, minutes,
+// leads }], webhook_url }. sms / whatsapp / email go to the phone and email
+// on their profile, so set those first.
+app.put('/agents/:id/notifications', agentAccess({ edit: true }), async (req, res) => {
+  if (!req.agent) return res.status(404).json({ error: 'agent_not_found' });
+
+  const rules = req.body?.rules;
+  const webhookUrl = req.body?.webhook_url === undefined
+    ? req.agent.notification_webhook_url || null
+    : req.body.webhook_url || null;
+
+  const problem = notificationProblem({ rules, webhookUrl }, req.agent);
+  if (problem) return res.status(400).json({ error: problem });
+
+  try {
+    const agent = await store.saveAgent(req.agent.id, {
+      notification_rules: normalizeRules(rules),
+      notification_webhook_url: webhookUrl
+    });
+    console.log('🔔 Saved alert rules for agent', agent.id, agent.notification_rules.map(r => r.event));
+    res.json({ rules: agent.notification_rules, webhook_url: agent.notification_webhook_url });
+  } catch (err) {
+    console.error('Error saving agent notifications:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_save_notifications' });
+  }
+});
+
+// Appointments on the user's team, starting from ?from (default now) to ?to.
+// Narrow with ?agent=, ?lead= and ?status=booked|cancelled.
+app.get('/appointments', async (req, res) => {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
+
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if (Number.isNaN(from.getTime()) || (to && Number.isNaN(to.getTime()))) {
+    return res.status(400).json({ error: 'from and to must be dates' });
+  }
+  if (req.query.status && ![APPOINTMENT_BOOKED, APPOINTMENT_CANCELLED].includes(req.query.status)) {
+    return res.status(400).json({ error: `status must be ${APPOINTMENT_BOOKED} or ${APPOINTMENT_CANCELLED}` });
+  }
+
+  try {
+    const appointments = await store.listAppointments({
+      teamId,
+      agentId: req.query.agent,
+      leadPhone: req.query.lead ? normalizePhone(req.query.lead) : undefined,
+      statuses: req.query.status ? [req.query.status] : undefined,
+      from: from.toISOString(),
+      to: to?.toISOString()
+    });
+    res.json({ appointments });
+  } catch (err) {
+    console.error('Error fetching appointments:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_appointments' });
+  }
+});
+
+// Send due appointment reminders now (e.g. from an external cron)
+app.post('/appointments/reminders/run', requireRole(ROLE_ADMIN), async (req, res) => {
+  try {
+    const result = await runReminders();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error running reminders:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_run_reminders' });
+  }
+});
+
+// --- LISTINGS ---
+app.use('/listings', requireAuth);
+
+// Import a listing feed for a team (admins): a RESO JSON export
+// ({ "value": [...] }) or a JSON array, or a CSV (Content-Type: text/csv).
+//   dry_run=true   check the feed and report, save nothing
+//   replace=true   the feed is the full inventory, take listings missing
+//                  from it off the market
+app.post(
+  '/listings/import',
+  requireRole(ROLE_ADMIN),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    const { teamId, status, error } = teamScope(req);
+    if (error) return res.status(status).json({ error });
+
+    const team = teams.byId(teamId);
+    const dryRun = req.query.dry_run === 'true';
+    const csv = typeof req.body === 'string';
+
+    let records;
+    try {
+      records = feedRecords(csv ? parseCsv(req.body) : req.body);
+      if (records.length === 0) throw new Error('the feed has no listings');
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const report = await importListings(records, {
+        teamId: team.id,
+        dryRun,
+        replace: req.query.replace === 'true',
+        firstRow: csv ? 2 : 0
+      });
+      console.log(`🏠 Listing import for team "${team.id}":`, report.imported, 'listings,', report.errors.length, 'skipped');
+      res.json({ dry_run: dryRun, team: team.id, ...report });
+    } catch (err) {
+      console.error('Error importing listings:', err.response?.data || err.message);
+      res.status(500).json({ error: 'failed_to_import_listings' });
+    }
+  }
+);
+
+app.get('/listings', async (req, res) => {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
+
+  try {
+    const listings = await store.listListings({
+      teamId,
+      status: req.query.status,
+      listingType: req.query.type
+    });
+    res.json({ listings });
+  } catch (err) {
+    console.error('Error fetching listings:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_listings' });
+  }
+});
+
+// --- JOBS ---
+// The background job queue (lib/jobs.js), for admins: what's waiting or
+// failed for good, and putting dead jobs back in line
+app.use('/jobs', requireAuth, requireRole(ROLE_ADMIN));
+
+// A team admin only sees jobs for their team's leads
+function jobInScope(job, teamId) {
+  return !teamId || job.payload?.teamId === teamId;
+}
+
+// ?status=pending,running,done,dead (default dead: the dead-letter list),
+// ?lead= and ?limit= (default 50, at most 200). Newest first.
+app.get('/jobs', async (req, res) => {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
+
+  const statuses = String(req.query.status || JOB_DEAD).split(',').map(s => s.trim());
+  if (statuses.some(s => !JOB_STATUSES.includes(s))) {
+    return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const found = await store.listJobs({
+      statuses,
+      leadKey: req.query.lead ? normalizePhone(req.query.lead) : undefined,
+      teamId: teamId || undefined,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      order: 'desc'
+    });
+    res.json({ jobs: found });
+  } catch (err) {
+    console.error('Error fetching jobs:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_jobs' });
+  }
+});
+
+app.post('/jobs/:id/retry', async (req, res) => {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
+
+  try {
+    const [job] = await store.listJobs({ ids: [Number(req.params.id)] });
+    if (!job || job.status !== JOB_DEAD || !jobInScope(job, teamId)) {
+      return res.status(404).json({ error: 'dead_job_not_found' });
+    }
+
+    const retried = await jobs.retry(job.id);
+    console.log('🔁 Retrying dead job', job.id, 'for', job.lead_key);
+    res.json({ success: true, job: retried });
+  } catch (err) {
+    console.error('Error retrying job:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_retry_job' });
+  }
+});
+
+// --- CRM WEBHOOKS ---
+// Subscribers of the admin's team (lib/webhooks.js): register, change and
+// remove them, read their delivery log and send deliveries again
+app.use('/webhooks', requireAuth, requireRole(ROLE_ADMIN));
+
+const WEBHOOK_FIELDS = ['url', 'events', 'preset', 'active', 'description'];
+
+function isDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+// Load the subscriber in :id onto req.webhook. One on another team is a 404.
+async function webhookAccess(req, res, next) {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
+
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(404).json({ error: 'webhook_not_found' });
+
+  try {
+    const [webhook] = await store.listWebhooks({ ids: [id] });
+    if (!webhook || (teamId && webhook.team_id !== teamId)) {
+      return res.status(404).json({ error: 'webhook_not_found' });
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (err) {
+    console.error('Error loading webhook:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_webhook' });
+  }
+}
+
+app.get('/webhooks', async (req, res) => {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
+
+  try {
+    const webhooks = await store.listWebhooks({ teamId: teamId || undefined });
+    res.json({ webhooks: webhooks.map(publicSubscription) });
+  } catch (err) {
+    console.error('Error fetching webhooks:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_webhooks' });
+  }
+});
+
+// Register a subscriber: { url, events, preset (default raw), description,
+// active }. The answer has the signing secret, the only time it's shown
+// (PATCH with rotate_secret makes a new one).
+app.post('/webhooks', async (req, res) => {
+  const { teamId, status, error } = teamScope(req);
+  if (error) return res.status(status).json({ error });
+
+  const problem = subscriptionProblem(req.body);
+  if (problem) return res.status(400).json({ error: problem });
+
+  try {
+    const secret = newSecret();
+    const webhook = await store.addWebhook({
+      team_id: teams.byId(teamId).id,
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      preset: req.body.preset || 'raw',
+      secret,
+      active: req.body.active ?? true,
+      description: req.body.description || null
+    });
+    console.log('🪝 Added webhook', webhook.id, 'for team', webhook.team_id, 'to', webhook.url, webhook.events);
+    res.json({ webhook: publicSubscription(webhook), secret });
+  } catch (err) {
+    console.error('Error adding webhook:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_save_webhook' });
+  }
+});
+
+// Change a subscriber: any of url, events, preset, active, description;
+// rotate_secret: true swaps its secret for a new one (in the answer)
+app.patch('/webhooks/:id', webhookAccess, async (req, res) => {
+  const problem = subscriptionProblem(req.body, { partial: true });
+  if (problem) return res.status(400).json({ error: problem });
+
+  const fields = Object.fromEntries(
+    WEBHOOK_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+  );
+  if (fields.events) fields.events = [...new Set(fields.events)];
+  const secret = req.body.rotate_secret === true ? newSecret() : null;
+  if (secret) fields.secret = secret;
+
+  try {
+    const webhook = await store.updateWebhook(req.webhook.id, fields);
+    console.log('🪝 Updated webhook', webhook.id, Object.keys(fields).map(f => (f === 'secret' ? 'secret (rotated)' : f)));
+    res.json({ webhook: publicSubscription(webhook), ...(secret ? { secret } : {}) });
+  } catch (err) {
+    console.error('Error updating webhook:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_save_webhook' });
+  }
+});
+
+// Remove a subscriber and its delivery log
+app.delete('/webhooks/:id', webhookAccess, async (req, res) => {
+  try {
+    await store.deleteWebhook(req.webhook.id);
+    console.log('🪝 Removed webhook', req.webhook.id, 'of team', req.webhook.team_id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing webhook:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_remove_webhook' });
+  }
+});
+
+// The subscriber's delivery log, newest first: ?status=pending,delivered,failed,
+// ?event=, ?lead= and ?limit= (default 50, at most 200)
+app.get('/webhooks/:id/deliveries', webhookAccess, async (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',').map(s => s.trim()) : undefined;
+  if (statuses?.some(s => !WEBHOOK_STATUSES.includes(s))) {
+    return res.status(400).json({ error: `status must be one of: ${WEBHOOK_STATUSES.join(', ')}` });
+  }
+  if (req.query.event && !WEBHOOK_EVENTS.includes(req.query.event)) {
+    return res.status(400).json({ error: `event must be one of: ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  try {
+    const deliveries = await store.listWebhookDeliveries({
+      webhookId: req.webhook.id,
+      statuses,
+      event: req.query.event,
+      leadPhone: req.query.lead ? normalizePhone(req.query.lead) : undefined,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+    res.json({ deliveries });
+  } catch (err) {
+    console.error('Error fetching webhook deliveries:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_fetch_deliveries' });
+  }
+});
+
+// Send logged deliveries again, e.g. after the CRM was down or rejected
+// them: { delivery_ids: [...] }, or everything from { since } (to { until })
+// narrowed by { status, event }. Each goes out as a new delivery with the
+// payload it had, its event_id and replay_of the original, oldest first.
+app.post('/webhooks/:id/replay', webhookAccess, async (req, res) => {
+  const { delivery_ids: ids, since, until, status, event } = req.body || {};
+
+  if (!req.webhook.active) return res.status(409).json({ error: 'webhook_paused' });
+  if (ids !== undefined && !(Array.isArray(ids) && ids.length > 0 && ids.every(Number.isInteger))) {
+    return res.status(400).json({ error: 'delivery_ids must be a list of delivery ids' });
+  }
+  if (ids === undefined && !isDate(since)) {
+    return res.status(400).json({ error: 'send delivery_ids, or since (a date) to replay deliveries from then' });
+  }
+  if (until !== undefined && !isDate(until)) return res.status(400).json({ error: 'until must be a date' });
+  if (status !== undefined && !WEBHOOK_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${WEBHOOK_STATUSES.join(', ')}` });
+  }
+  if (event !== undefined && !WEBHOOK_EVENTS.includes(event)) {
+    return res.status(400).json({ error: `event must be one of: ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  try {
+    const found = await store.listWebhookDeliveries({
+      webhookId: req.webhook.id,
+      ids,
+      since: since ? new Date(since).toISOString() : undefined,
+      until: until ? new Date(until).toISOString() : undefined,
+      statuses: status ? [status] : undefined,
+      event,
+      limit: WEBHOOK_REPLAY_LIMIT + 1
+    });
+
+    if (ids && found.length < new Set(ids).size) return res.status(404).json({ error: 'delivery_not_found' });
+    if (found.length > WEBHOOK_REPLAY_LIMIT) {
+      return res.status(400).json({
+        error: `at most ${WEBHOOK_REPLAY_LIMIT} deliveries per replay, narrow it down with until, status or event`
+      });
+    }
+
+    const replayed = [];
+    for (const delivery of found.reverse()) {
+      replayed.push(await queueDelivery(req.webhook, delivery.payload, { replayOf: delivery.id }));
+    }
+    console.log('🔁 Replaying', replayed.length, 'deliveries to webhook', req.webhook.id);
+    res.json({ replayed: replayed.length, deliveries: replayed });
+  } catch (err) {
+    console.error('Error replaying webhook deliveries:', err.response?.data || err.message);
+    res.status(500).json({ error: 'failed_to_replay_deliveries' });
+  }
+});
+
+// Live dashboard events as Server-Sent Events (lib/events.js). Every lead the
+// user can see, or one with ?lead=<phone>. Reconnecting clients resume from
+// the Last-Event-ID header (EventSource sends it) or ?last_event_id=; when
+// we can't tell what they missed they get a stream.reset and should reload.
+app.get('/events', requireStreamAuth, async (req, res) => {
+  let lead = null;
+
+  if (req.query.lead) {
+    try {
+      lead = await store.getLead(normalizePhone(req.query.lead));
+    } catch (err) {
+      console.error('Error loading lead for event stream:', err.response?.data || err.message);
+      return res.status(500).json({ error: 'failed_to_fetch_lead' });
+    }
+
+    if (!lead || !canReadLead(req.user, lead, teams.default.id)) {
+      return res.status(404).json({ error: 'lead_not_found' });
+    }
+  }
+
+  const visible = event => lead
+    ? event.lead_phone === lead.phone
+    : canReadLead(req.user, { team_id: event.team_id }, teams.default.id);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: don't hold events back
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = req.header('Last-Event-ID') || req.query.last_event_id;
+  if (lastEventId) {
+    const missed = events.since(lastEventId);
+
+    if (missed) {
+      for (const event of missed.filter(visible)) res.write(formatEvent(event));
+    } else {
+      console.log('Event stream cannot resume from', lastEventId, ', asking client to reload');
+      res.write(formatEvent({
+        id: events.lastEventId(),
+        type: EVENT_STREAM_RESET,
+        data: { last_event_id: lastEventId }
+      }));
+    }
+  }
+
+  const unsubscribe = events.subscribe(event => {
+    if (visible(event)) res.write(formatEvent(event));
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+
+  console.log('📡 Event stream opened by', req.user.id, lead ? `for ${lead.phone}` : 'for all leads');
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log('📡 Event stream closed by', req.user.id);
+  });
 });
+
+// --- START SERVER ---
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+
+  jobs.start();
+  console.log('Background jobs: polling every', JOB_POLL_SECONDS, 'seconds,', JOB_CONCURRENCY, 'leads at a time');
+
+  if (FOLLOW_UP_INTERVAL_MINUTES > 0) {
+    setInterval(() => {
+      runFollowUps().catch(err => console.error('Follow-up run failed:', err.message));
+    }, FOLLOW_UP_INTERVAL_MINUTES * 60 * 1000);
+    console.log('Follow-up scheduler every', FOLLOW_UP_INTERVAL_MINUTES, 'minutes');
+  }
+
+  if (AGENT_ALERT_INTERVAL_MINUTES > 0) {
+    setInterval(() => {
+      runAgentAlerts().catch(err => console.error('Agent alert run failed:', err.message));
+    }, AGENT_ALERT_INTERVAL_MINUTES * 60 * 1000);
+    console.log('Waiting-lead alerts every', AGENT_ALERT_INTERVAL_MINUTES, 'minutes');
+  }
+
+  if (REMINDER_INTERVAL_MINUTES > 0) {
+    setInterval(() => {
+      runReminders().catch(err => console.error('Reminder run failed:', err.message));
+    }, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+    console.log('Appointment reminders every', REMINDER_INTERVAL_MINUTES, 'minutes');
+  }
+
+  if (LISTINGS_FEED_PATH) {
+    loadListingFeed().catch(err => console.error('Listing feed load failed:', err.message));
+
+    if (LISTINGS_REFRESH_MINUTES > 0) {
+      setInterval(() => {
+        loadListingFeed().catch(err => console.error('Listing feed load failed:', err.message));
+      }, LISTINGS_REFRESH_MINUTES * 60 * 1000);
+      console.log('Listing feed refresh every', LISTINGS_REFRESH_MINUTES, 'minutes');
+    }
+  }
+}
+
+// Run every due background job now (tests, one-off scripts), and the
+// webhook deliveries their events queue, until nothing is left to run
+async function runJobs(options) {
+  const result = { done: 0, retried: 0, dead: 0 };
+
+  for (;;) {
+    await webhooksQueued;
+    const run = await jobs.runDue(options);
+    for (const key of Object.keys(result)) result[key] += run[key];
+    if (run.done + run.retried + run.dead === 0) return result;
+  }
+}
+
+module.exports = { app, store, llm, client, mailer, geocoder, transcriber, runFollowUps, runReminders, runJobs, runAgentAlerts };
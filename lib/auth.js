@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+// Dashboard auth: HS256-signed JWTs (AUTH_JWT_SECRET) carrying
+//   sub  - user id, matched against leads.assigned_to
+//   role - admin | agent | viewer
+//   team - team id (lib/teams.js); admins without one see every team
+//   exp  - expiry, seconds since epoch
+//
+// admin:  everything, on every lead
+// agent:  reads their team's leads, acts (reply, notes, mode...) only on
+//         leads assigned to them
+// viewer: reads their team's leads
+const ROLE_ADMIN = 'admin';
+const ROLE_AGENT = 'agent';
+const ROLE_VIEWER = 'viewer';
+const ROLES = [ROLE_ADMIN, ROLE_AGENT, ROLE_VIEWER];
+
+// A token we can't accept (the request gets a 401)
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = 'unauthorized';
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+// Sign claims into a token, valid for `expiresIn` seconds
+function signToken(claims, secret, { expiresIn = 12 * 60 * 60, now = Date.now() } = {}) {
+  const iat = Math.floor(now / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iat, exp: iat + expiresIn, ...claims }));
+  const signature = hmac(`${header}.${payload}`, secret).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Check signature, expiry and claims. Returns the user
+// ({ id, role, team, name }) or throws AuthError.
+function verifyToken(token, secret, { now = Date.now() } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new AuthError('malformed token');
+
+  const [header, payload, signature] = parts;
+
+  let alg;
+  let claims;
+  try {
+    alg = JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg;
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new AuthError('malformed token');
+  }
+
+  if (alg !== 'HS256') throw new AuthError(`unsupported token algorithm ${alg}`);
+
+  const expected = hmac(`${header}.${payload}`, secret);
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AuthError('bad token signature');
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp <= seconds) throw new AuthError('token expired');
+  if (typeof claims.nbf === 'number' && claims.nbf > seconds) throw new AuthError('token not valid yet');
+
+  if (!claims.sub) throw new AuthError('token has no subject');
+  if (!ROLES.includes(claims.role)) throw new AuthError(`unknown role ${claims.role}`);
+
+  return {
+    id: String(claims.sub),
+    role: claims.role,
+    team: claims.team || null,
+    name: claims.name || null
+  };
+}
+
+// Express middleware putting the verified user on req.user. With
+// `disabled` every request is an admin (local development only).
+// `queryToken` also accepts ?access_token=, for browser EventSource which
+// can't send an Authorization header.
+function authenticate({ secret, disabled = false, queryToken = false }) {
+  return (req, res, next) => {
+    if (disabled) {
+      req.user = { id: 'local-dev', role: ROLE_ADMIN, team: null, name: null };
+      return next();
+    }
+
+    if (!secret) {
+      console.error('AUTH_JWT_SECRET is not set, refusing dashboard request');
+      return res.status(500).json({ error: 'auth_not_configured' });
+    }
+
+    const match = String(req.header('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    const token = match ? match[1] : queryToken ? req.query.access_token : null;
+    if (!token) return res.status(401).json({ error: 'unauthorized' });
+
+    try {
+      req.user = verifyToken(token, secret);
+      next();
+    } catch (err) {
+      console.warn('⚠️ Rejected dashboard request:', err.message);
+      res.status(401).json({ error: 'unauthorized' });
+    }
+  };
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    next();
+  };
+}
+
+// Can `user` see `lead`? Leads without a team belong to `defaultTeamId`.
+function canReadLead(user, lead, defaultTeamId) {
+  if (user.role === ROLE_ADMIN) return !user.team || (lead.team_id || defaultTeamId) === user.team;
+  return (lead.team_id || defaultTeamId) === (user.team || defaultTeamId);
+}
+
+// Can `user` reply to, annotate or hand over `lead`?
+function canActOnLead(user, lead, defaultTeamId) {
+  if (!canReadLead(user, lead, defaultTeamId)) return false;
+  if (user.role === ROLE_ADMIN) return true;
+  return user.role === ROLE_AGENT && lead.assigned_to === user.id;
+}
+
+// CORS origin check for the `cors` package from a comma-separated allowlist.
+// Requests without an Origin (curl, Twilio, server-to-server) pass.
+function corsOrigin(allowlist) {
+  const allowed = String(allowlist || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  return (origin, callback) => {
+    if (!origin || allowed.includes('*') || allowed.includes(origin)) return callback(null, true);
+    callback(null, false);
+  };
+}
+
+module.exports = {
+  ROLE_ADMIN,
+  ROLE_AGENT,
+  ROLE_VIEWER,
+  ROLES,
+  AuthError,
+  authenticate,
+  canActOnLead,
+  canReadLead,
+  corsOrigin,
+  requireRole,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,54 @@
+// Channels we can talk to a lead on. A lead's `channel` is where replies go
+// by default; it follows the channel the lead last wrote on.
+const CHANNEL_WHATSAPP = 'whatsapp';
+const CHANNEL_SMS = 'sms';
+const CHANNEL_EMAIL = 'email';
+
+const CHANNELS = [CHANNEL_WHATSAPP, CHANNEL_SMS, CHANNEL_EMAIL];
+
+// Leads are keyed by phone digits; leads we only know by email are keyed by
+// the address itself
+function isEmailKey(key) {
+  return String(key || '').includes('@');
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Webhook addresses (agent alerts, CRM subscribers) must be http(s)
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Default channel for a new lead: WhatsApp when we have a number
+function defaultChannel(key) {
+  return isEmailKey(key) ? CHANNEL_EMAIL : CHANNEL_WHATSAPP;
+}
+
+// Why a lead can't be reached on `channel`, or null when it can
+function channelProblem(lead, channel) {
+  if (!CHANNELS.includes(channel)) return `channel must be one of: ${CHANNELS.join(', ')}`;
+
+  if (channel === CHANNEL_EMAIL) {
+    return lead.email || isEmailKey(lead.phone) ? null : 'lead has no email address';
+  }
+
+  return isEmailKey(lead.phone) ? 'lead has no phone number' : null;
+}
+
+module.exports = {
+  CHANNEL_WHATSAPP,
+  CHANNEL_SMS,
+  CHANNEL_EMAIL,
+  CHANNELS,
+  channelProblem,
+  defaultChannel,
+  isEmailKey,
+  isHttpUrl,
+  normalizeEmail
+};
@@ -0,0 +1,97 @@
+// Opt-out / opt-in handling for outbound messaging.
+//
+// Single keywords only count when they are the whole message, so "I can't
+// stop looking at that house" isn't an opt-out. Phrases match anywhere.
+
+const OPT_OUT_KEYWORDS = [
+  'stop',
+  'stopall',
+  'stop all',
+  'unsubscribe',
+  'cancel',
+  'end',
+  'quit',
+  'optout',
+  'opt out',
+  'revoke'
+];
+
+const OPT_OUT_PHRASES = [
+  'leave me alone',
+  'stop texting',
+  'stop messaging',
+  'stop contacting',
+  'stop sending',
+  "don't text me",
+  'dont text me',
+  "don't message me",
+  'dont message me',
+  "don't contact me",
+  'dont contact me',
+  'remove me from',
+  'take me off',
+  'unsubscribe me'
+];
+
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe', 'opt in', 'optin'];
+
+const OPT_OUT_CONFIRMATION =
+  "You've been unsubscribed and won't receive any more messages from us. Reply START to resubscribe.";
+
+const OPT_IN_CONFIRMATION =
+  "You're subscribed again and can receive messages from us. Reply STOP at any time to opt out.";
+
+const CONSENT_OPTED_IN = 'opted_in';
+const CONSENT_OPTED_OUT = 'opted_out';
+
+class OptedOutError extends Error {
+  constructor(phone) {
+    super(`Lead ${phone} has opted out of messages`);
+    this.name = 'OptedOutError';
+    this.code = 'lead_opted_out';
+    this.phone = phone;
+  }
+}
+
+function cleanMessage(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^a-z0-9' ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Returns "opt_out", "opt_in" or null. A plain "yes" only counts as opting
+// back in when the lead is currently opted out (`wasOptedOut`). While the
+// lead has a call booked (`callBooked`) a plain "cancel" is about the call:
+// the booking confirmation tells them to reply "cancel".
+function detectConsentKeyword(text, { wasOptedOut = false, callBooked = false } = {}) {
+  const clean = cleanMessage(text);
+  if (!clean) return null;
+  if (callBooked && clean === 'cancel') return null;
+
+  if (OPT_OUT_KEYWORDS.includes(clean) || OPT_OUT_PHRASES.some(p => clean.includes(p))) {
+    return 'opt_out';
+  }
+
+  if (OPT_IN_KEYWORDS.includes(clean) || (wasOptedOut && clean === 'yes')) {
+    return 'opt_in';
+  }
+
+  return null;
+}
+
+function isOptedOut(lead) {
+  return lead?.consent_status === CONSENT_OPTED_OUT;
+}
+
+module.exports = {
+  CONSENT_OPTED_IN,
+  CONSENT_OPTED_OUT,
+  OPT_OUT_CONFIRMATION,
+  OPT_IN_CONFIRMATION,
+  OptedOutError,
+  detectConsentKeyword,
+  isOptedOut
+};
@@ -0,0 +1,41 @@
+// Who is driving a lead's conversation:
+//   ai     - the assistant answers inbound messages (default)
+//   agent  - a human agent took over; the AI stays quiet
+//   paused - nobody replies automatically
+const MODE_AI = 'ai';
+const MODE_AGENT = 'agent';
+const MODE_PAUSED = 'paused';
+
+const CONVERSATION_MODES = [MODE_AI, MODE_AGENT, MODE_PAUSED];
+
+// Current mode for a lead. An `agent` lead with no agent activity for
+// `agentIdleHours` is handed back to the AI (`expired: true`); pass 0 or
+// nothing to never hand back automatically.
+function resolveConversationMode(lead, { now = new Date(), agentIdleHours = 0 } = {}) {
+  const mode = CONVERSATION_MODES.includes(lead?.conversation_mode)
+    ? lead.conversation_mode
+    : MODE_AI;
+
+  if (mode !== MODE_AGENT || !agentIdleHours) {
+    return { mode, expired: false };
+  }
+
+  const lastActivity = Date.parse(lead.last_agent_activity_at || lead.mode_updated_at || '');
+  if (Number.isNaN(lastActivity)) {
+    return { mode, expired: false };
+  }
+
+  const idleMs = now.getTime() - lastActivity;
+  if (idleMs >= agentIdleHours * 60 * 60 * 1000) {
+    return { mode: MODE_AI, expired: true };
+  }
+
+  return { mode, expired: false };
+}
+
+module.exports = {
+  MODE_AI,
+  MODE_AGENT,
+  CONVERSATION_MODES,
+  resolveConversationMode
+};
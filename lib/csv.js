@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV for lead imports and exports: quoted fields,
+// doubled quotes, commas and line breaks inside quotes, CRLF or LF.
+
+// Text -> array of rows (arrays of strings). Blank lines are dropped.
+// Throws on an unterminated quoted field.
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Excel's BOM
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  function endRow() {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  }
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' && input[i + 1] === '\n') {
+      endRow();
+      i++;
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) throw new Error('CSV has an unterminated quoted field');
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+// Spreadsheets run cells starting with these as formulas; lead messages
+// are user input, so exported cells get a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Objects -> CSV text with a header row of `columns`
+function toCsv(records, columns) {
+  const lines = [columns.map(csvCell).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => csvCell(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,119 @@
+// Delivery state of the messages we send. Each outbound message row keeps
+//
+//   { twilio_sid, delivery_status, delivery_error, delivery_updated_at }
+//
+// delivery_status starts at what the provider said when it took the
+// message (queued / sent) and Twilio's status callbacks move it along:
+// queued -> sending -> sent -> delivered -> read, or failed / undelivered.
+// rate_limited is ours: the provider turned the send down for a limit and
+// it waits in the send queue to go out again.
+
+const DELIVERY_QUEUED = 'queued';
+const DELIVERY_SENDING = 'sending';
+const DELIVERY_SENT = 'sent';
+const DELIVERY_DELIVERED = 'delivered';
+const DELIVERY_READ = 'read';
+const DELIVERY_FAILED = 'failed';
+const DELIVERY_UNDELIVERED = 'undelivered';
+const DELIVERY_RATE_LIMITED = 'rate_limited';
+
+// Statuses the dashboard warns about ("not delivered")
+const DELIVERY_PROBLEMS = [DELIVERY_FAILED, DELIVERY_UNDELIVERED, DELIVERY_RATE_LIMITED];
+
+// How far along each status is. Callbacks can arrive out of order, so a
+// status never moves back (a "sent" after "delivered" is ignored).
+const DELIVERY_RANK = {
+  [DELIVERY_RATE_LIMITED]: 0,
+  [DELIVERY_QUEUED]: 1,
+  [DELIVERY_SENDING]: 2,
+  [DELIVERY_SENT]: 3,
+  [DELIVERY_FAILED]: 4,
+  [DELIVERY_UNDELIVERED]: 4,
+  [DELIVERY_DELIVERED]: 5,
+  [DELIVERY_READ]: 6
+};
+
+// Twilio's other MessageStatus values, in our terms
+const TWILIO_STATUS_ALIASES = {
+  accepted: DELIVERY_QUEUED,
+  scheduled: DELIVERY_QUEUED,
+  canceled: DELIVERY_FAILED
+};
+
+// Twilio error codes for "over the account's daily limit": nothing goes
+// out until the limit resets
+const DAILY_LIMIT_CODES = [63038];
+
+// Too many requests right now: worth another try shortly
+const RATE_LIMIT_CODES = [20429, 14107, 63018];
+
+// A Twilio MessageStatus (or our status) -> our status, null if unknown
+function deliveryStatus(status) {
+  const value = String(status || '').toLowerCase();
+  if (DELIVERY_RANK[value] !== undefined) return value;
+  return TWILIO_STATUS_ALIASES[value] || null;
+}
+
+// The status to store when `reported` arrives for a message at `current`,
+// or null to leave it as it is
+function nextDeliveryStatus(current, reported) {
+  const next = deliveryStatus(reported);
+  if (!next || next === current) return null;
+  if (current && DELIVERY_RANK[current] !== undefined && DELIVERY_RANK[next] < DELIVERY_RANK[current]) return null;
+  return next;
+}
+
+function errorCode(err) {
+  const code = Number(err?.code);
+  return Number.isInteger(code) ? code : null;
+}
+
+function isDailyLimit(err) {
+  return DAILY_LIMIT_CODES.includes(errorCode(err));
+}
+
+function isRateLimited(err) {
+  return isDailyLimit(err) || RATE_LIMIT_CODES.includes(errorCode(err)) || err?.status === 429 || err?.response?.status === 429;
+}
+
+// Worth sending again later: limits, the provider's own errors and network
+// trouble. A bad number or a blocked recipient fails the same way next time.
+function isRetryableSendError(err) {
+  if (isRateLimited(err)) return true;
+  const status = err?.status ?? err?.response?.status;
+  if (status !== undefined) return status >= 500;
+  return typeof err?.code === 'string' && /^E[A-Z]+$/.test(err.code); // ECONNRESET, ETIMEDOUT, ...
+}
+
+// "63038: Account exceeded the daily messages limit"
+function deliveryError(err) {
+  const code = err?.code ?? null;
+  const message = err?.message || (err ? String(err) : '');
+  return (code && !message.startsWith(String(code)) ? `${code}: ${message}` : message).slice(0, 500) || null;
+}
+
+// When the daily limit resets: the next `resetHour` o'clock UTC after `now`
+function nextLimitReset(now = new Date(), resetHour = 0) {
+  const reset = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), resetHour));
+  if (reset <= now) reset.setUTCDate(reset.getUTCDate() + 1);
+  return reset;
+}
+
+module.exports = {
+  DELIVERY_DELIVERED,
+  DELIVERY_FAILED,
+  DELIVERY_PROBLEMS,
+  DELIVERY_QUEUED,
+  DELIVERY_RATE_LIMITED,
+  DELIVERY_READ,
+  DELIVERY_SENDING,
+  DELIVERY_SENT,
+  DELIVERY_UNDELIVERED,
+  deliveryError,
+  deliveryStatus,
+  isDailyLimit,
+  isRateLimited,
+  isRetryableSendError,
+  nextDeliveryStatus,
+  nextLimitReset
+};
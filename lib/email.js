@@ -0,0 +1,144 @@
+const axios = require('axios');
+
+const { normalizeEmail } = require('./channels');
+
+// Build the outbound email client. With EMAIL_DRY_RUN=true nothing is sent:
+// emails are logged and kept in `sent`, like the Twilio dry run. Otherwise
+// mail goes out through Postmark (POSTMARK_SERVER_TOKEN; `from` defaults to
+// EMAIL_FROM).
+function createEmailClient(env = process.env) {
+  if (env.EMAIL_DRY_RUN === 'true') {
+    const sent = [];
+    let nextId = 1;
+
+    return {
+      dryRun: true,
+      sent,
+      async send(params) {
+        const email = { id: `email-dryrun-${nextId++}`, ...params, from: params.from || env.EMAIL_FROM };
+        sent.push(email);
+        console.log('[dry run] Email:', email);
+        return email;
+      }
+    };
+  }
+
+  return {
+    dryRun: false,
+    // `attachments` are [{ filename, contentType, content }] (content a
+    // string or Buffer)
+    async send({ from = env.EMAIL_FROM, to, subject, text, inReplyTo, attachments }) {
+      if (!env.POSTMARK_SERVER_TOKEN || !from) {
+        throw new Error('Email is not configured (POSTMARK_SERVER_TOKEN and EMAIL_FROM are required)');
+      }
+
+      const headers = inReplyTo ? [{ Name: 'In-Reply-To', Value: inReplyTo }] : undefined;
+
+      const { data } = await axios.post(
+        'https://api.postmarkapp.com/email',
+        {
+          From: from,
+          To: to,
+          Subject: subject,
+          TextBody: text,
+          Headers: headers,
+          Attachments: attachments?.map(file => ({
+            Name: file.filename,
+            ContentType: file.contentType,
+            Content: Buffer.from(file.content).toString('base64')
+          }))
+        },
+        {
+          headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            'X-Postmark-Server-Token': env.POSTMARK_SERVER_TOKEN
+          }
+        }
+      );
+
+      return { id: data.MessageID, to, subject };
+    }
+  };
+}
+
+// "Jane Doe <Jane@Example.com>" -> { email: 'jane@example.com', name: 'Jane Doe' }
+function parseAddress(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+
+  if (match) return { email: normalizeEmail(match[2]), name: match[1].trim() || null };
+  return { email: normalizeEmail(text), name: null };
+}
+
+// Drop the quoted thread under a reply ("On Tue, Jane wrote:", "> ...")
+function stripQuotedReply(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (const line of lines) {
+    if (/^On .+wrote:\s*$/.test(line.trim())) break;
+    if (/^-{2,}\s*Original Message\s*-{2,}/i.test(line.trim())) break;
+    if (/^>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+
+  // Postmark sends [{ Name, Value }], other providers a plain object
+  if (Array.isArray(headers)) {
+    const found = headers.find(h => String(h.Name || h.name).toLowerCase() === name.toLowerCase());
+    return found ? found.Value || found.value : null;
+  }
+
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+// Normalize a parsed-email webhook payload (Postmark inbound JSON, or the
+// plain { from, subject, text, message_id } shape other parsers can be set
+// up to post) to { from, name, to, subject, text, messageId }. `from` is null
+// when the payload has no usable sender.
+function parseInboundEmail(payload = {}) {
+  const sender = payload.FromFull?.Email
+    ? { email: normalizeEmail(payload.FromFull.Email), name: payload.FromFull.Name || null }
+    : parseAddress(payload.From || payload.from);
+
+  // First recipient only; routes the email to a team (lib/teams.js)
+  const recipient = payload.OriginalRecipient ||
+    payload.ToFull?.[0]?.Email ||
+    String(payload.To || payload.to || '').split(',')[0];
+
+  const text = payload.StrippedTextReply ||
+    stripQuotedReply(payload.TextBody || payload.text || payload['stripped-text'] || '');
+
+  return {
+    from: sender.email.includes('@') ? sender.email : null,
+    name: sender.name || payload.FromName || null,
+    to: recipient ? parseAddress(recipient).email : null,
+    subject: payload.Subject || payload.subject || null,
+    text: String(text).trim(),
+    messageId: payload.MessageID ||
+      payload.message_id ||
+      headerValue(payload.Headers || payload.headers, 'Message-ID') ||
+      null
+  };
+}
+
+// Subject for our reply in the lead's email thread
+function replySubject(subject) {
+  if (!subject) return 'Your home search';
+  return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+}
+
+module.exports = {
+  createEmailClient,
+  parseAddress,
+  parseInboundEmail,
+  replySubject,
+  stripQuotedReply
+};
@@ -0,0 +1,125 @@
+// Live events for the dashboard (GET /events, Server-Sent Events).
+//
+//   message.created      a message was stored (lead, ai, agent, system, follow_up)
+//   message.updated      an outbound message's delivery status changed (lib/delivery.js)
+//   lead.created         a new lead: first message, the /lead form or an import
+//   lead.updated         lead row changed; `data.lead` is the row after the change
+//   lead.scored          the lead's score changed
+//   lead.opted_out       the lead texted STOP (or the like)
+//   meeting.requested    the lead asked for a call or proposed a time
+//   appointment.updated  a call was booked, moved or cancelled (`data.change`)
+//
+// Every event gets an id "<bus>-<seq>" and the last `bufferSize` events are
+// kept so a reconnecting client can resume from its Last-Event-ID. The
+// buffer lives in this process: an id from before a restart (or older than
+// the buffer) can't be resumed and the client is told to reload instead.
+const EVENT_MESSAGE_CREATED = 'message.created';
+const EVENT_MESSAGE_UPDATED = 'message.updated';
+const EVENT_LEAD_CREATED = 'lead.created';
+const EVENT_LEAD_UPDATED = 'lead.updated';
+const EVENT_LEAD_SCORED = 'lead.scored';
+const EVENT_LEAD_OPTED_OUT = 'lead.opted_out';
+const EVENT_MEETING_REQUESTED = 'meeting.requested';
+const EVENT_APPOINTMENT_UPDATED = 'appointment.updated';
+const EVENT_TYPES = [
+  EVENT_MESSAGE_CREATED,
+  EVENT_MESSAGE_UPDATED,
+  EVENT_LEAD_CREATED,
+  EVENT_LEAD_UPDATED,
+  EVENT_LEAD_SCORED,
+  EVENT_LEAD_OPTED_OUT,
+  EVENT_MEETING_REQUESTED,
+  EVENT_APPOINTMENT_UPDATED
+];
+
+// Sent instead of the missed events when a client can't be caught up
+const EVENT_STREAM_RESET = 'stream.reset';
+
+function createEventBus({ bufferSize = 1000 } = {}) {
+  const busId = Date.now().toString(36);
+  const buffer = [];
+  const listeners = new Set();
+  let seq = 0;
+
+  function publish(type, { leadPhone = null, teamId = null, data = {} } = {}) {
+    seq += 1;
+    const event = {
+      id: `${busId}-${seq}`,
+      type,
+      lead_phone: leadPhone,
+      team_id: teamId,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    buffer.push({ seq, event });
+    if (buffer.length > bufferSize) buffer.shift();
+
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error('Event listener failed:', err.message);
+      }
+    }
+
+    return event;
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Events after `lastEventId`, oldest first. null when we can't tell what
+  // the client missed (unknown id, other process, fell out of the buffer).
+  function since(lastEventId) {
+    const [id, seqText] = String(lastEventId || '').split('-');
+    const after = Number(seqText);
+
+    if (id !== busId || !Number.isInteger(after) || after < 0 || after > seq) return null;
+
+    const oldest = buffer.length ? buffer[0].seq : seq + 1;
+    if (after < oldest - 1) return null;
+
+    return buffer.filter(entry => entry.seq > after).map(entry => entry.event);
+  }
+
+  function lastEventId() {
+    return seq ? `${busId}-${seq}` : null;
+  }
+
+  return {
+    publish,
+    subscribe,
+    since,
+    lastEventId,
+    get subscribers() {
+      return listeners.size;
+    }
+  };
+}
+
+// One event in the text/event-stream wire format
+function formatEvent(event) {
+  const lines = [];
+  if (event.id) lines.push(`id: ${event.id}`);
+  lines.push(`event: ${event.type}`);
+  lines.push(`data: ${JSON.stringify(event)}`);
+  return lines.join('\n') + '\n\n';
+}
+
+module.exports = {
+  EVENT_APPOINTMENT_UPDATED,
+  EVENT_LEAD_CREATED,
+  EVENT_LEAD_OPTED_OUT,
+  EVENT_LEAD_SCORED,
+  EVENT_LEAD_UPDATED,
+  EVENT_MEETING_REQUESTED,
+  EVENT_MESSAGE_CREATED,
+  EVENT_MESSAGE_UPDATED,
+  EVENT_STREAM_RESET,
+  EVENT_TYPES,
+  createEventBus,
+  formatEvent
+};
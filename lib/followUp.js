@@ -0,0 +1,109 @@
+// Follow-up (nurture) touches for leads that stop replying mid-qualification.
+//
+// The sequence is a list of delays counted from our last unanswered message:
+// with "1d,3d,2w" the first nudge goes out a day after it, the second three
+// days after it, the third two weeks after it. A reply from the lead starts
+// over, since follow-ups only count after the lead's latest message.
+
+const SENDER_FOLLOW_UP = 'follow_up';
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// "1d,3d,2w" -> delays in ms, ascending. Throws on anything else.
+function parseDelays(text) {
+  const delays = String(text || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+      if (!match) throw new Error(`invalid follow-up delay "${part}" (use e.g. 30m, 12h, 1d, 2w)`);
+      return parseFloat(match[1]) * UNIT_MS[match[2].toLowerCase()];
+    });
+
+  return delays.sort((a, b) => a - b);
+}
+
+// "21-8" -> { start: 21, end: 8 }: no messages from 21:00 to 07:59
+function parseQuietHours(text) {
+  if (!text) return null;
+
+  const match = String(text).trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+  if (!match) throw new Error(`invalid quiet hours "${text}" (use e.g. 21-8)`);
+
+  const start = parseInt(match[1], 10);
+  const end = parseInt(match[2], 10);
+  if (start > 23 || end > 23) throw new Error(`invalid quiet hours "${text}" (hours are 0-23)`);
+
+  return { start, end };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Hour of the day (0-23) at `now` in `timeZone`
+function localHour(now, timeZone) {
+  const hour = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).format(now);
+  return parseInt(hour, 10);
+}
+
+function isQuietHours(now, timeZone, quietHours) {
+  if (!quietHours || quietHours.start === quietHours.end) return false;
+
+  const hour = localHour(now, timeZone);
+
+  // Overnight window (21-8) wraps around midnight
+  return quietHours.start > quietHours.end
+    ? hour >= quietHours.start || hour < quietHours.end
+    : hour >= quietHours.start && hour < quietHours.end;
+}
+
+// Which follow-up (if any) is due for a conversation. `messages` is the
+// lead's history, oldest first. Returns { step, quietSince } with step
+// counting from 1, or null when nothing is due.
+function dueFollowUp(messages, { delays, now = new Date() }) {
+  const conversation = messages.filter(m => m.sender !== 'system');
+  const lastLeadIndex = conversation.map(m => m.sender).lastIndexOf('lead');
+
+  // Never contact someone who hasn't written to us
+  if (lastLeadIndex === -1) return null;
+
+  const since = conversation.slice(lastLeadIndex + 1);
+  const waiting = since.filter(m => m.sender !== SENDER_FOLLOW_UP);
+  const sent = since.length - waiting.length;
+
+  // Nothing went out after the lead's message: the next move is ours, not theirs
+  if (waiting.length === 0) return null;
+
+  if (sent >= delays.length) return null;
+
+  const quietSince = new Date(waiting.at(-1).created_at);
+  if (now.getTime() - quietSince.getTime() < delays[sent]) return null;
+
+  return { step: sent + 1, quietSince };
+}
+
+module.exports = {
+  SENDER_FOLLOW_UP,
+  dueFollowUp,
+  isQuietHours,
+  isValidTimeZone,
+  localHour,
+  parseDelays,
+  parseQuietHours
+};
@@ -0,0 +1,81 @@
+const axios = require('axios');
+
+// Reverse geocoding for location pins, picked by GEOCODER_PROVIDER
+// (nominatim | mock | none). Providers expose reverse({ latitude, longitude })
+// and resolve to
+//   { place: "Tempe, AZ", address, city, state, postal_code, country }
+// or null when nothing is there.
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/reverse';
+
+// "US-AZ" -> "AZ"
+function stateCode(address) {
+  const iso = address['ISO3166-2-lvl4'] || '';
+  return iso.includes('-') ? iso.split('-')[1] : null;
+}
+
+// OpenStreetMap's Nominatim. Their usage policy wants a real User-Agent
+// and at most one request a second, fine for pins from leads.
+function createNominatimGeocoder({ url = NOMINATIM_URL, userAgent }) {
+  async function reverse({ latitude, longitude }) {
+    const { data } = await axios.get(url, {
+      params: { format: 'jsonv2', lat: latitude, lon: longitude, addressdetails: 1 },
+      headers: { 'User-Agent': userAgent },
+      timeout: 10000
+    });
+
+    if (!data || data.error || !data.address) return null;
+
+    const address = data.address;
+    const city = address.city || address.town || address.village || address.hamlet || address.suburb || null;
+    const state = address.state || null;
+
+    return {
+      place: [city, stateCode(address) || state].filter(Boolean).join(', ') || data.display_name || null,
+      address: data.display_name || null,
+      city,
+      state,
+      postal_code: address.postcode || null,
+      country: address.country_code ? address.country_code.toUpperCase() : null
+    };
+  }
+
+  return { name: 'nominatim', reverse };
+}
+
+// Deterministic geocoder for tests and local runs: `script(result)` sets
+// what reverse() returns (a value, or a function of the pin). Calls are
+// recorded in `calls`.
+function createMockGeocoder() {
+  const calls = [];
+  let scripted = null;
+
+  return {
+    name: 'mock',
+    calls,
+    script(result) {
+      scripted = result;
+    },
+    async reverse(pin) {
+      calls.push(pin);
+      return typeof scripted === 'function' ? scripted(pin) : scripted;
+    }
+  };
+}
+
+function createGeocoder(env = process.env) {
+  const provider = env.GEOCODER_PROVIDER || 'nominatim';
+
+  if (provider === 'none') return { name: 'none', reverse: async () => null };
+  if (provider === 'mock') return createMockGeocoder();
+  if (provider === 'nominatim') {
+    return createNominatimGeocoder({
+      url: env.NOMINATIM_URL || NOMINATIM_URL,
+      userAgent: env.GEOCODER_USER_AGENT || 'real-estate-ai-assistant'
+    });
+  }
+
+  throw new Error(`Unknown GEOCODER_PROVIDER: ${provider}`);
+}
+
+module.exports = { createGeocoder, createMockGeocoder, createNominatimGeocoder };
@@ -0,0 +1,245 @@
+const { isValidTimeZone } = require('./followUp');
+const { zonedParts, zonedTimeToUtc } = require('./scheduling');
+
+// iCalendar (RFC 5545) in and out: busy blocks from an agent's calendar
+// export, and the .ics invite we send with a booked appointment.
+
+const DAY = 24 * 60 * 60 * 1000;
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook / Exchange exports name zones the Windows way
+const WINDOWS_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'India Standard Time': 'Asia/Kolkata'
+};
+
+// `text` split on `separator`, except inside "quoted" parts
+function splitUnquoted(text, separator) {
+  const parts = [''];
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) parts.push('');
+    else parts[parts.length - 1] += char;
+  }
+  return parts;
+}
+
+// Lines with continuations joined, as { name, params, value }. Quoted
+// parameter values (TZID="Pacific Standard Time") lose their quotes.
+function readLines(text) {
+  return String(text || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map(line => {
+      const [head, ...value] = splitUnquoted(line, ':');
+      const [name, ...params] = splitUnquoted(head, ';');
+      return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map(param => {
+          const [key, ...rest] = param.split('=');
+          return [key.toUpperCase(), rest.join('=').replace(/"/g, '')];
+        })),
+        value: value.join(':')
+      };
+    });
+}
+
+// The IANA zone for a TZID: as is, from its Windows name, else `timeZone`
+function zoneFor(tzid, timeZone) {
+  if (!tzid) return timeZone;
+  if (WINDOWS_ZONES[tzid]) return WINDOWS_ZONES[tzid];
+  return isValidTimeZone(tzid) ? tzid : timeZone;
+}
+
+// DTSTART/DTEND value -> { date, allDay }. Floating times are in the
+// event's TZID, else `timeZone`.
+function readDate({ params, value }, timeZone) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const parts = { year: +year, month: +month, day: +day, hour: +(hour || 0), minute: +(minute || 0) };
+
+  if (utc) return { date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute)), allDay: false };
+  return { date: zonedTimeToUtc(parts, zoneFor(params.TZID, timeZone)), allDay: !hour };
+}
+
+// "PT1H30M", "P1D" -> milliseconds
+function readDuration(value) {
+  const match = String(value || '').match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, weeks, days, hours, minutes, seconds] = match.map(n => Number(n || 0));
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+// Start times of a DAILY or WEEKLY RRULE (INTERVAL, COUNT, UNTIL, BYDAY)
+// up to `until`, as wall-clock times in `timeZone` so DST doesn't shift
+// them. Other frequencies count for their first occurrence only.
+function occurrences(start, rule, timeZone, until) {
+  const options = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+  if (options.FREQ !== 'DAILY' && options.FREQ !== 'WEEKLY') return [start];
+
+  const interval = Number(options.INTERVAL || 1);
+  const count = options.COUNT ? Number(options.COUNT) : Infinity;
+  const last = options.UNTIL ? readDate({ params: {}, value: options.UNTIL }, timeZone).date : until;
+  const local = zonedParts(start, timeZone);
+  const byDay = options.BYDAY ? options.BYDAY.split(',').map(day => ICS_WEEKDAYS.indexOf(day.slice(-2))) : null;
+  const first = new Date(Date.UTC(local.year, local.month - 1, local.day));
+  const found = [];
+
+  for (let offset = 0; found.length < count; offset++) {
+    const date = new Date(first.getTime() + offset * DAY);
+    if (date.getTime() > until.getTime() + DAY) break;
+    const weeksIn = Math.floor((offset + first.getUTCDay()) / 7);
+
+    const matches = options.FREQ === 'DAILY'
+      ? offset % interval === 0
+      : weeksIn % interval === 0 && (byDay ? byDay.includes(date.getUTCDay()) : date.getUTCDay() === first.getUTCDay());
+    if (!matches) continue;
+
+    const at = zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: local.hour,
+      minute: local.minute
+    }, timeZone);
+    if (at > last || at > until) break;
+    found.push(at);
+  }
+
+  return found;
+}
+
+// Busy blocks [{ start, end, summary }] (ISO) from an .ics export that end
+// after `from` and start before `until`. Free (TRANSP:TRANSPARENT) and
+// cancelled events don't block time.
+function parseBusyBlocks(text, { timeZone, from = new Date(), until = new Date(Date.now() + 90 * DAY) }) {
+  const blocks = [];
+  let event = null;
+
+  for (const line of readLines(text)) {
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      event = {};
+      continue;
+    }
+    if (!event) continue;
+
+    if (line.name !== 'END') {
+      event[line.name] = line;
+      continue;
+    }
+    if (line.value.toUpperCase() !== 'VEVENT') continue;
+
+    const current = event;
+    event = null;
+
+    if (!current.DTSTART) continue;
+    if (current.TRANSP?.value.toUpperCase() === 'TRANSPARENT') continue;
+    if (current.STATUS?.value.toUpperCase() === 'CANCELLED') continue;
+
+    const start = readDate(current.DTSTART, timeZone);
+    if (!start) continue;
+
+    const end = current.DTEND && readDate(current.DTEND, timeZone);
+    const length = end
+      ? end.date - start.date
+      : readDuration(current.DURATION?.value) ?? (start.allDay ? DAY : 0);
+
+    const starts = current.RRULE ? occurrences(start.date, current.RRULE.value, zoneFor(current.DTSTART.params.TZID, timeZone), until) : [start.date];
+
+    for (const at of starts) {
+      const finish = new Date(at.getTime() + length);
+      if (finish <= from || at >= until) continue;
+      blocks.push({
+        start: at.toISOString(),
+        end: finish.toISOString(),
+        summary: current.SUMMARY ? unescapeText(current.SUMMARY.value) : null
+      });
+    }
+  }
+
+  return blocks.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+function unescapeText(text) {
+  return text.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function escapeText(text) {
+  return String(text || '').replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values (CN=...) can't be backslash-escaped: quote them, and
+// they can't hold quotes or line breaks themselves
+function paramValue(text) {
+  return `"${String(text || '').replace(/"/g, '').replace(/[\r\n]+/g, ' ')}"`;
+}
+
+function icsDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = ' ' + rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n');
+}
+
+// The .ics for an appointment. `method` REQUEST books or moves it (bump
+// `sequence` on every change), CANCEL calls it off.
+function buildInvite({ uid, start, end, summary, description, organizer, attendees = [], method = 'REQUEST', sequence = 0, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//real-estate-ai//appointments//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (organizer?.email) lines.push(`ORGANIZER;CN=${paramValue(organizer.name || organizer.email)}:mailto:${organizer.email}`);
+  for (const attendee of attendees.filter(a => a.email)) {
+    lines.push(`ATTENDEE;CN=${paramValue(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildInvite, parseBusyBlocks };
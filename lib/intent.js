@@ -0,0 +1,130 @@
+// What an inbound message is trying to do. The classifier returns a
+// confidence for every intent; the top one wins if it clears the threshold.
+const INTENTS = [
+  'wants_call',
+  'proposes_time',
+  'not_interested',
+  'wrong_number',
+  'asks_property_question',
+  'asks_agent_question',
+  'other'
+];
+
+const INTENT_SCHEMA = {
+  name: 'message_intent',
+  schema: {
+    type: 'object',
+    properties: Object.fromEntries(INTENTS.map(intent => [intent, { type: 'number' }])),
+    required: INTENTS,
+    additionalProperties: false
+  }
+};
+
+const INTENT_PROMPT = `
+You classify the latest WhatsApp message a real estate lead sent to an assistant.
+
+For EACH of these intents, give a confidence between 0 and 1 that the message expresses it:
+
+- wants_call: they want to talk to the agent by phone / set up a call or meeting
+  (including "yes" or "sure" right after the Assistant offered a call).
+- proposes_time: they suggest a specific day or time ("tomorrow at 3", "Thursday afternoon works").
+- not_interested: they are no longer looking, already found a place, or don't want to continue.
+- wrong_number: they say they are not the person we think or never asked about real estate.
+- asks_property_question: they ask about a specific listing, neighborhood, price, HOA, schools, etc.
+- asks_agent_question: they ask about the agent, the brokerage, fees, or how the process works.
+- other: anything else, including plain answers to the Assistant's question.
+
+Rules:
+- A message can express more than one intent ("can we talk tomorrow at 3" => wants_call and proposes_time).
+- Words inside other words don't count: "book" is not "ok", "chatty" is not "chat".
+- A plain answer to a qualification question ("3 bedrooms", "around 400k") is "other".
+- The message can be in any language ("¿podemos hablar mañana?" => wants_call and proposes_time).
+
+Return ONLY a JSON object with every intent as a key and a number from 0 to 1 as the value.
+`;
+
+function emptyScores() {
+  return Object.fromEntries(INTENTS.map(intent => [intent, 0]));
+}
+
+// Pick the winning intent from confidence scores. Below `threshold` it's "other".
+function pickIntent(scores, threshold) {
+  let intent = 'other';
+  let confidence = scores.other || 0;
+
+  for (const candidate of INTENTS) {
+    if (candidate !== 'other' && scores[candidate] >= threshold && scores[candidate] > confidence) {
+      intent = candidate;
+      confidence = scores[candidate];
+    }
+  }
+
+  return { intent, confidence };
+}
+
+function parseIntentScores(raw) {
+  const text = String(raw || '');
+  const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  const parsed = JSON.parse(json);
+
+  const scores = emptyScores();
+  for (const intent of INTENTS) {
+    const value = Number(parsed[intent]);
+    if (Number.isFinite(value)) scores[intent] = Math.max(0, Math.min(1, value));
+  }
+  return scores;
+}
+
+// Classify a lead's message. `previousMessage` is the last thing we said, so
+// a bare "yes" can be read in context. Never throws: on any failure the
+// message is treated as "other".
+async function classifyIntent(llm, { message, previousMessage, threshold = 0.6 }) {
+  const userPrompt = `
+${previousMessage ? `Assistant (previous message): ${previousMessage}\n` : ''}Lead (latest message): ${message}
+
+Classify the latest message now.
+`;
+
+  try {
+    const raw = await llm.complete({
+      task: 'intent',
+      temperature: 0,
+      schema: INTENT_SCHEMA,
+      messages: [
+        { role: 'system', content: INTENT_PROMPT },
+        { role: 'user', content: userPrompt }
+      ]
+    });
+
+    const scores = parseIntentScores(raw);
+    return { ...pickIntent(scores, threshold), scores };
+  } catch (err) {
+    console.error('Intent classification failed, treating message as "other":', err.message);
+    return { intent: 'other', confidence: 0, scores: emptyScores() };
+  }
+}
+
+const MEETING_INTENTS = ['wants_call', 'proposes_time'];
+
+// Lead status after a message with `intent`. A meeting request sticks until
+// the lead backs out, a booked call until it's cancelled (lib/scheduling.js
+// sets and clears 'meeting_booked'); otherwise the lead is qualifying until
+// every required question has an answer (`qualified`).
+function nextLeadStatus(currentStatus, intent, { qualified = false } = {}) {
+  if (intent === 'wrong_number') return 'wrong_number';
+  if (intent === 'not_interested') return 'not_interested';
+  if (currentStatus === 'meeting_booked') return currentStatus;
+  if (MEETING_INTENTS.includes(intent)) return 'meeting_requested';
+  if (currentStatus === 'meeting_requested') return currentStatus;
+  return qualified ? 'qualified' : 'qualifying';
+}
+
+module.exports = {
+  INTENTS,
+  MEETING_INTENTS,
+  nextLeadStatus,
+  INTENT_SCHEMA,
+  classifyIntent,
+  pickIntent,
+  parseIntentScores
+};
@@ -0,0 +1,249 @@
+// Durable background jobs. Webhooks save what came in, queue a job and
+// answer right away; a worker runs the job with retries. Jobs live in the
+// store (the `jobs` table on Supabase) as
+//
+//   { id, type, lead_key, payload, progress, status, attempts, max_attempts,
+//     run_at, locked_at, last_error, dedupe_key, created_at, finished_at }
+//
+// status goes pending -> running -> done. A failed run goes back to
+// pending with a later run_at (exponential backoff) until max_attempts
+// runs have failed, then it's dead: the dead-letter list, retry() puts a
+// job back in line. A running job whose worker went away (locked_at older
+// than lockMinutes) is picked up again.
+//
+// Jobs of one lead (lead_key) run one at a time, oldest first: a later job
+// waits while an earlier one runs or waits for its retry, so two quick
+// messages from a lead are answered in order. Dead jobs don't hold the
+// lead up.
+//
+// Handlers get (payload, { job, progress, checkpoint }). checkpoint(fields)
+// saves what a run got done into `progress`, which a retry starts from
+// (e.g. don't send the same reply twice). A handler that knows when a
+// retry can work throws an error with `retryAt` (a Date) instead of
+// leaving it to the backoff. Waiting for that (e.g. a daily limit to reset)
+// doesn't count against max_attempts.
+
+const JOB_PENDING = 'pending';
+const JOB_RUNNING = 'running';
+const JOB_DONE = 'done';
+const JOB_DEAD = 'dead';
+const JOB_STATUSES = [JOB_PENDING, JOB_RUNNING, JOB_DONE, JOB_DEAD];
+
+const MINUTE_MS = 60 * 1000;
+
+function retryDelayMs(attempts, { baseSeconds, maxSeconds }) {
+  return Math.min(baseSeconds * 2 ** Math.max(attempts - 1, 0), maxSeconds) * 1000;
+}
+
+// Jobs without a lead don't wait for anything
+function orderKey(job) {
+  return job.lead_key ?? `job:${job.id}`;
+}
+
+// The jobs to run now: the oldest unfinished job of every lead, when it's
+// due (or its worker looks gone) and the lead isn't `busy` in this process
+function runnableJobs(jobs, { now, staleBefore, busy = new Set() }) {
+  const seen = new Set();
+  const runnable = [];
+
+  for (const job of [...jobs].sort((a, b) => a.id - b.id)) {
+    const key = orderKey(job);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (busy.has(key)) continue;
+
+    const due = job.status === JOB_PENDING && new Date(job.run_at) <= now;
+    const stale = job.status === JOB_RUNNING && (!job.locked_at || new Date(job.locked_at) < staleBefore);
+    if (due || stale) runnable.push(job);
+  }
+
+  return runnable;
+}
+
+function errorText(err) {
+  const data = err?.response?.data;
+  return (data ? `${err.message}: ${typeof data === 'string' ? data : JSON.stringify(data)}` : err?.message || String(err)).slice(0, 1000);
+}
+
+function createJobQueue({
+  store,
+  handlers = {},
+  concurrency = 4,
+  maxAttempts = 5,
+  retryBaseSeconds = 10,
+  retryMaxSeconds = 3600,
+  lockMinutes = 5,
+  pollSeconds = 2,
+  scanLimit = 500
+}) {
+  const busy = new Set(); // order keys with a job running in this process
+  let timer = null;
+  let active = null;
+  let again = false;
+
+  // Queue a job. With `dedupeKey` (e.g. the provider's message id) the same
+  // job is only queued once: resolves to null when it already was.
+  async function enqueue(type, payload, { leadKey = null, dedupeKey = null, attempts = maxAttempts, runAt = new Date() } = {}) {
+    const job = await store.enqueueJob({
+      type,
+      lead_key: leadKey,
+      payload,
+      progress: {},
+      status: JOB_PENDING,
+      attempts: 0,
+      max_attempts: attempts,
+      run_at: runAt.toISOString(),
+      dedupe_key: dedupeKey
+    });
+
+    if (job && timer) kick();
+    return job;
+  }
+
+  async function fail(job, err, now) {
+    const lastError = errorText(err);
+
+    if (err?.retryAt instanceof Date) {
+      console.warn(`⏳ Job ${job.id} (${job.type}) can't run yet, trying again at ${err.retryAt.toISOString()}:`, lastError);
+      await store.updateJob(job.id, {
+        status: JOB_PENDING,
+        attempts: job.attempts - 1,
+        last_error: lastError,
+        locked_at: null,
+        run_at: err.retryAt.toISOString()
+      });
+      return 'retried';
+    }
+
+    if (job.attempts >= job.max_attempts) {
+      console.error(`☠️ Job ${job.id} (${job.type}) failed ${job.attempts} times, moved to dead letters:`, lastError);
+      await store.updateJob(job.id, { status: JOB_DEAD, last_error: lastError, locked_at: null, finished_at: now.toISOString() });
+      return JOB_DEAD;
+    }
+
+    const runAt = new Date(now.getTime() + retryDelayMs(job.attempts, { baseSeconds: retryBaseSeconds, maxSeconds: retryMaxSeconds }));
+    console.warn(`⚠️ Job ${job.id} (${job.type}) failed (attempt ${job.attempts}/${job.max_attempts}), retrying at ${runAt.toISOString()}:`, lastError);
+    await store.updateJob(job.id, { status: JOB_PENDING, last_error: lastError, locked_at: null, run_at: runAt.toISOString() });
+    return 'retried';
+  }
+
+  // Claim and run one job. Resolves to done / retried / dead, or null when
+  // another worker claimed it first.
+  async function runJob(job, now) {
+    const claimed = await store.claimJob(job.id, {
+      attempts: job.attempts,
+      lockedAt: new Date().toISOString(),
+      staleBefore: new Date(now.getTime() - lockMinutes * MINUTE_MS).toISOString()
+    });
+    if (!claimed) return null;
+
+    // Its worker went away on the last allowed attempt
+    if (claimed.attempts > claimed.max_attempts) {
+      return fail({ ...claimed, attempts: claimed.max_attempts }, new Error('worker stopped while running the job'), now);
+    }
+
+    const progress = { ...claimed.progress };
+    const context = {
+      job: claimed,
+      progress,
+      async checkpoint(fields) {
+        Object.assign(progress, fields);
+        await store.updateJob(claimed.id, { progress });
+      }
+    };
+
+    try {
+      const handler = handlers[claimed.type];
+      if (!handler) throw new Error(`no handler for job type "${claimed.type}"`);
+
+      await handler(claimed.payload, context);
+      await store.updateJob(claimed.id, { status: JOB_DONE, locked_at: null, finished_at: new Date().toISOString() });
+      return JOB_DONE;
+    } catch (err) {
+      return fail(claimed, err, now);
+    }
+  }
+
+  // Run every job that's due, `concurrency` leads at a time, until none is
+  // left. Resolves to { done, retried, dead }. Without `now` the clock is
+  // read again each round, so jobs the batch queued (alerts, resends) run too.
+  async function runDue({ now: at = null } = {}) {
+    const result = { done: 0, retried: 0, dead: 0 };
+
+    for (;;) {
+      const now = at || new Date();
+      const staleBefore = new Date(now.getTime() - lockMinutes * MINUTE_MS);
+      const jobs = await store.listJobs({ statuses: [JOB_PENDING, JOB_RUNNING], limit: scanLimit });
+      const batch = runnableJobs(jobs, { now, staleBefore, busy }).slice(0, concurrency);
+      if (batch.length === 0) return result;
+
+      await Promise.all(batch.map(async job => {
+        const key = orderKey(job);
+        busy.add(key);
+        try {
+          const outcome = await runJob(job, now);
+          if (outcome) result[outcome]++;
+        } finally {
+          busy.delete(key);
+        }
+      }));
+    }
+  }
+
+  // Run due jobs now, or right after the current run
+  function kick() {
+    if (active) {
+      again = true;
+      return;
+    }
+
+    active = runDue()
+      .catch(err => console.error('Job run failed:', err.response?.data || err.message))
+      .finally(() => {
+        active = null;
+        if (again) {
+          again = false;
+          kick();
+        }
+      });
+  }
+
+  // Poll for due jobs (retries, jobs queued by other instances) and run
+  // new ones as soon as they're queued
+  function start() {
+    if (timer) return;
+    timer = setInterval(kick, pollSeconds * 1000);
+    kick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Put a dead job back in line with fresh attempts. Resolves to the job,
+  // or null when there's no dead job with that id.
+  async function retry(id) {
+    const [job] = (await store.listJobs({ ids: [id] })) || [];
+    if (!job || job.status !== JOB_DEAD) return null;
+
+    const updated = await store.updateJob(id, {
+      status: JOB_PENDING,
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      finished_at: null
+    });
+    if (timer) kick();
+    return updated;
+  }
+
+  return { enqueue, runDue, start, stop, retry };
+}
+
+module.exports = {
+  JOB_DEAD,
+  JOB_STATUSES,
+  createJobQueue,
+  retryDelayMs,
+  runnableJobs
+};
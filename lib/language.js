@@ -0,0 +1,140 @@
+// The language a lead writes in. We detect it from their messages with a
+// small word list per language (no model call) and keep it on the lead
+// (`language`, an ISO 639-1 code); replies are written in it. An agent can
+// pin a lead to any language (`language_source: 'agent'`), detection then
+// leaves it alone.
+
+const SOURCE_DETECTED = 'detected';
+const SOURCE_AGENT = 'agent';
+
+// Common words of each language we detect, and how a lead says "I don't
+// know": `exact` when it's the whole message, `phrases` anywhere in it
+const LANGUAGES = {
+  en: {
+    words: [
+      'the', 'and', 'is', 'are', 'i', 'im', "i'm", 'you', 'we', 'my', 'to', 'for', 'in', 'looking', 'want',
+      'need', 'with', 'of', 'it', 'this', 'that', 'have', 'yes', 'yeah', 'thanks', 'what', 'how', 'house',
+      'bedrooms', 'around', 'about', 'would', 'like', 'can', 'just', 'hi', 'hello', 'sure', 'know', 'months'
+    ],
+    exact: ['idk', 'none', 'dunno', 'unsure', 'undecided'],
+    phrases: ["don't know", 'dont know', 'not sure', 'no idea', 'no clue', 'no preference', "haven't decided"]
+  },
+  es: {
+    words: [
+      'el', 'los', 'las', 'que', 'y', 'es', 'estoy', 'busco', 'buscando', 'quiero', 'una', 'casa', 'para',
+      'con', 'mi', 'por', 'gracias', 'hola', 'sí', 'si', 'no', 'sé', 'tengo', 'tenemos', 'cuartos',
+      'recámaras', 'habitaciones', 'presupuesto', 'alrededor', 'más', 'pero', 'como', 'cuando', 'donde',
+      'dónde', 'qué', 'cómo', 'también', 'ahora', 'meses', 'muy', 'bien', 'claro', 'del', 'al', 'lo', 'ya',
+      'todavía', 'nada', 'necesito', 'familia'
+    ],
+    exact: ['no se', 'nose', 'ninguno', 'ninguna', 'nada'],
+    phrases: ['no sé', 'no lo sé', 'no lo se', 'ni idea', 'no estoy seguro', 'no estoy segura', 'no tengo idea', 'sin preferencia', 'quién sabe', 'quien sabe']
+  },
+  pt: {
+    words: [
+      'o', 'os', 'não', 'nao', 'sim', 'obrigado', 'obrigada', 'estou', 'procurando', 'quero', 'uma', 'um',
+      'casa', 'para', 'com', 'meu', 'minha', 'quartos', 'orçamento', 'você', 'voce', 'eu', 'tenho',
+      'também', 'agora', 'meses', 'ainda', 'sei', 'olá', 'oi', 'é', 'do', 'da', 'dos', 'das', 'em', 'na',
+      'preciso', 'família'
+    ],
+    exact: ['nenhum', 'nenhuma'],
+    phrases: ['não sei', 'nao sei', 'não tenho certeza', 'nao tenho certeza', 'sem ideia', 'sem preferência', 'sem preferencia']
+  },
+  fr: {
+    words: [
+      'le', 'la', 'les', 'je', 'suis', 'nous', 'vous', 'est', 'et', 'une', 'un', 'pour', 'avec', 'mon', 'ma',
+      'mes', 'maison', 'chambres', 'merci', 'bonjour', 'oui', 'non', 'pas', 'cherche', 'veux', 'voudrais',
+      'sais', 'des', 'du', 'dans', 'mais', 'aussi', 'encore', 'mois', 'très', 'rien', "j'ai", 'besoin', 'famille'
+    ],
+    exact: ['aucun', 'aucune', 'rien'],
+    phrases: ['je ne sais pas', 'je sais pas', 'sais pas', 'aucune idée', 'aucune idee', 'pas sûr', 'pas sur', 'pas de préférence']
+  }
+};
+
+// Letters only one of our languages uses
+const MARKERS = [
+  [/[ñ¿¡]/, 'es'],
+  [/[ãõ]/, 'pt'],
+  [/[èêëàâîôùûœ]/, 'fr']
+];
+
+// Words a message needs before we trust the detection, and to move a lead
+// who already has a language to another one ("ok thanks" doesn't)
+const MIN_HITS = 2;
+const SWITCH_HITS = 3;
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+}
+
+// "es" -> "Spanish"; null for codes that aren't a language
+function languageName(code) {
+  if (typeof code !== 'string' || !/^[a-z]{2,3}$/.test(code)) return null;
+  const name = displayNames.of(code);
+  return name && name !== code ? name : null;
+}
+
+// The language `text` is in: { language, hits }, or null when there aren't
+// enough words to tell or two languages tie
+function detectLanguage(text) {
+  const hits = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, 0]));
+
+  for (const word of words(text)) {
+    for (const [code, { words: common }] of Object.entries(LANGUAGES)) {
+      if (common.includes(word)) hits[code]++;
+    }
+  }
+  for (const [pattern, code] of MARKERS) {
+    if (pattern.test(String(text || '').toLowerCase())) hits[code] += 2;
+  }
+
+  const [[best, bestHits], [, secondHits]] = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  if (bestHits < MIN_HITS || bestHits === secondHits) return null;
+  return { language: best, hits: bestHits };
+}
+
+// The language to save on `lead` after it sent `text`, or null to leave it
+// as it is (pinned by an agent, unclear, or unchanged)
+function languageForMessage(lead, text) {
+  if (lead?.language_source === SOURCE_AGENT) return null;
+
+  const detected = detectLanguage(text);
+  if (!detected || detected.language === lead?.language) return null;
+  if (lead?.language && detected.hits < SWITCH_HITS) return null;
+  return detected.language;
+}
+
+// Is the lead saying they don't know (in any language we detect)?
+function isUnknownAnswer(text) {
+  const lower = String(text || '').toLowerCase().replace(/[^\p{L}\p{N}' ]+/gu, ' ').replace(/\s+/g, ' ').trim();
+  if (!lower) return false;
+
+  return Object.values(LANGUAGES).some(({ exact, phrases }) =>
+    exact.includes(lower) ||
+    phrases.some(phrase => ` ${lower} `.includes(` ${phrase} `))
+  );
+}
+
+// A few ways of saying "I don't know" per language, for the extraction prompt
+function unknownExamples() {
+  return Object.values(LANGUAGES).flatMap(({ exact, phrases }) => [...phrases.slice(0, 3), ...exact.slice(0, 1)]);
+}
+
+// Error message for a language an agent picked, null when it's fine
+function languageProblem(code) {
+  if (code === null) return null;
+  return languageName(code) ? null : 'language must be an ISO 639-1 code like "en" or "es", or null to detect it';
+}
+
+module.exports = {
+  SOURCE_AGENT,
+  SOURCE_DETECTED,
+  detectLanguage,
+  isUnknownAnswer,
+  languageForMessage,
+  languageName,
+  languageProblem,
+  unknownExamples
+};
@@ -0,0 +1,135 @@
+const { isEmailKey } = require('./channels');
+const { isValidTimeZone } = require('./followUp');
+
+// Bulk lead import from spreadsheets (open house sign-ins, portal exports).
+// A CSV column fills a lead field through the mapping the caller sends
+// ({ phone: 'Mobile', name: 'Full Name' }); columns without a mapping are
+// matched by header name. Qualification fields (location, budget, ...) can
+// be imported too, so the AI doesn't ask for what we already know.
+
+// Lead fields a column can fill, with the headers we recognise for them
+const IMPORT_FIELDS = {
+  name: ['name', 'full name', 'contact', 'contact name', 'lead name'],
+  first_name: ['first name', 'firstname', 'first'],
+  last_name: ['last name', 'lastname', 'last', 'surname'],
+  phone: ['phone', 'phone number', 'mobile', 'mobile phone', 'cell', 'cell phone', 'whatsapp'],
+  email: ['email', 'email address', 'e mail'],
+  source: ['source', 'lead source'],
+  notes: ['notes', 'note', 'comments'],
+  timezone: ['timezone', 'time zone']
+};
+
+// A mapping or file we can't import at all (the request gets a 400);
+// problems with single rows go in the row report instead
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// "Mobile Phone #" -> "mobile phone"
+function headerKey(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Column index for every field we import. `mapping` is { field: header };
+// `stateFields` are the qualification field keys columns may also fill.
+function resolveColumns(headers, mapping = {}, stateFields = []) {
+  const targets = [...Object.keys(IMPORT_FIELDS), ...stateFields];
+  const keys = headers.map(headerKey);
+  const columns = {};
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!targets.includes(field)) {
+      throw new ImportError(`can't map a column to "${field}", fields are: ${targets.join(', ')}`);
+    }
+    const index = keys.indexOf(headerKey(header));
+    if (index === -1) throw new ImportError(`column "${header}" (mapped to ${field}) is not in the CSV header`);
+    columns[field] = index;
+  }
+
+  const mapped = new Set(Object.values(columns));
+
+  keys.forEach((key, index) => {
+    if (mapped.has(index)) return;
+
+    const field = Object.keys(IMPORT_FIELDS).find(name => IMPORT_FIELDS[name].includes(key)) ||
+      stateFields.find(name => headerKey(name) === key);
+
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+
+  if (columns.phone === undefined && columns.email === undefined) {
+    throw new ImportError('no phone or email column, map one with map.phone or map.email');
+  }
+
+  return columns;
+}
+
+// One CSV row as { field: value } (trimmed, empty cells left out). First
+// and last name columns make up the name when there's no name column.
+function readRow(cells, columns) {
+  const record = {};
+
+  for (const [field, index] of Object.entries(columns)) {
+    const value = String(cells[index] ?? '').trim();
+    if (value) record[field] = value;
+  }
+
+  if (!record.name && (record.first_name || record.last_name)) {
+    record.name = [record.first_name, record.last_name].filter(Boolean).join(' ');
+  }
+  delete record.first_name;
+  delete record.last_name;
+
+  return record;
+}
+
+// Spreadsheet phone number -> our key (country code + number, digits only),
+// null when it can't be a phone number. Numbers without "+" or "00" are
+// national numbers in `countryCode`.
+//   "(480) 555-0100"   -> "14805550100"
+//   "+44 7700 900123"  -> "447700900123"
+function normalizeImportPhone(raw, countryCode = '1') {
+  const text = String(raw || '').trim().replace(/\s*(?:ext\.?|x)\s*\d+$/i, '');
+  if (!text) return null;
+
+  let digits = text.replace(/\D/g, '');
+
+  if (text.startsWith('+')) {
+    // already international
+  } else if (text.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (!(digits.length > 10 && digits.startsWith(countryCode))) {
+    digits = countryCode + digits.replace(/^0+/, '');
+  }
+
+  if (digits.length < 8 || digits.length > 15) return null;
+  if (digits.startsWith('1') && digits.length !== 11) return null;
+
+  return digits;
+}
+
+// Why a row can't be imported, or null. `phone` and `email` are the
+// normalized values (null when missing or unreadable).
+function rowProblem(record, { phone, email }) {
+  if (!record.name) return 'name is missing';
+  if (record.phone && !phone) return `phone "${record.phone}" is not a valid number`;
+  if (email && !isEmailKey(email)) return `email "${record.email}" is not a valid address`;
+  if (!phone && !email) return 'no phone number or email';
+  if (record.timezone && !isValidTimeZone(record.timezone)) {
+    return `timezone "${record.timezone}" is not an IANA timezone`;
+  }
+  return null;
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  ImportError,
+  headerKey,
+  normalizeImportPhone,
+  readRow,
+  resolveColumns,
+  rowProblem
+};
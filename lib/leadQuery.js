@@ -0,0 +1,189 @@
+// Query parameters of GET /leads: filters, search, sort and cursor
+// pagination. parseLeadQuery turns the raw query string values into
+//
+//   {
+//     filters: { scoreLabels, minScore, maxScore, location, budgetMin,
+//                budgetMax, bedrooms, wantsMeeting, sources, statuses,
+//                languages, undelivered, activeAfter, activeBefore },
+//     search, sort, order, limit, cursor
+//   }
+//
+// which both stores understand (the memory store through leadMatches and
+// compareLeads below, Supabase by building PostgREST filters).
+//
+// Budget and bedrooms match leads whose range overlaps the one asked for:
+// a lead "under 600k" is in budget_max=500000, a lead "over 600k" isn't.
+
+const SORT_COLUMNS = {
+  last_message: 'last_message_at',
+  score: 'lead_score_value'
+};
+const ORDERS = ['asc', 'desc'];
+const SCORE_LABELS = ['hot', 'warm', 'cold'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// A query parameter we can't use (the request gets a 400)
+class LeadQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LeadQueryError';
+  }
+}
+
+function list(value) {
+  if (value === undefined || value === '') return null;
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return items.length ? items : null;
+}
+
+function number(params, key, { min = -Infinity, max = Infinity } = {}) {
+  if (params[key] === undefined || params[key] === '') return null;
+  const value = Number(params[key]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new LeadQueryError(`${key} must be a number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// "500000", "500k", "1.2m"
+function amount(params, key) {
+  if (params[key] === undefined || params[key] === '') return null;
+  const match = String(params[key]).trim().toLowerCase().replace(/[$,]/g, '').match(/^(\d+(?:\.\d+)?)(k|m)?$/);
+  if (!match) throw new LeadQueryError(`${key} must be an amount like 500000 or 500k`);
+  const unit = match[2] === 'k' ? 1e3 : match[2] === 'm' ? 1e6 : 1;
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+function date(params, key) {
+  if (params[key] === undefined || params[key] === '') return null;
+  const parsed = new Date(params[key]);
+  if (Number.isNaN(parsed.getTime())) throw new LeadQueryError(`${key} must be a date or ISO timestamp`);
+  return parsed.toISOString();
+}
+
+function boolean(params, key) {
+  if (params[key] === undefined || params[key] === '') return null;
+  if (params[key] === 'true') return true;
+  if (params[key] === 'false') return false;
+  throw new LeadQueryError(`${key} must be true or false`);
+}
+
+// The cursor is the sort value and phone of the last lead on the page
+function encodeCursor(lead, sort) {
+  return Buffer.from(JSON.stringify([lead[sort] ?? null, lead.phone])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, phone] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof phone !== 'string') throw new Error('no phone');
+    return { value, phone };
+  } catch (err) {
+    throw new LeadQueryError('cursor is not valid, start again without it');
+  }
+}
+
+function parseLeadQuery(params = {}) {
+  const scoreLabels = list(params.score);
+  if (scoreLabels && scoreLabels.some(label => !SCORE_LABELS.includes(label))) {
+    throw new LeadQueryError(`score must be one or more of: ${SCORE_LABELS.join(', ')}`);
+  }
+
+  const sortKey = params.sort || 'last_message';
+  if (!SORT_COLUMNS[sortKey]) {
+    throw new LeadQueryError(`sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`);
+  }
+
+  const order = params.order || 'desc';
+  if (!ORDERS.includes(order)) throw new LeadQueryError('order must be asc or desc');
+
+  const filters = {
+    scoreLabels,
+    minScore: number(params, 'min_score', { min: 0, max: 100 }),
+    maxScore: number(params, 'max_score', { min: 0, max: 100 }),
+    location: params.location ? String(params.location).replace(/[*%]/g, '').trim() || null : null,
+    budgetMin: amount(params, 'budget_min'),
+    budgetMax: amount(params, 'budget_max'),
+    bedrooms: number(params, 'bedrooms', { min: 0, max: 20 }),
+    wantsMeeting: boolean(params, 'wants_meeting'),
+    sources: list(params.source),
+    statuses: list(params.status),
+    languages: list(params.language),
+    undelivered: boolean(params, 'undelivered'),
+    activeAfter: date(params, 'active_after'),
+    activeBefore: date(params, 'active_before')
+  };
+
+  const search = params.q ? String(params.q).trim() || null : null;
+
+  return {
+    filters,
+    search,
+    sort: SORT_COLUMNS[sortKey],
+    order,
+    limit: number(params, 'limit', { min: 1, max: MAX_LIMIT }) || DEFAULT_LIMIT,
+    cursor: params.cursor ? decodeCursor(params.cursor) : null
+  };
+}
+
+// Does [min, max] (either may be null = open) overlap the lead's range?
+// Leads with neither end known never match.
+function rangeOverlaps(leadMin, leadMax, min, max) {
+  if (leadMin == null && leadMax == null) return false;
+  if (max != null && leadMin != null && leadMin > max) return false;
+  if (min != null && leadMax != null && leadMax < min) return false;
+  return true;
+}
+
+// The filters, in memory (Supabase builds the same as PostgREST filters)
+function leadMatches(lead, filters) {
+  const f = filters;
+
+  if (f.scoreLabels && !f.scoreLabels.includes(lead.lead_score)) return false;
+  if (f.minScore != null && !(lead.lead_score_value >= f.minScore)) return false;
+  if (f.maxScore != null && !(lead.lead_score_value <= f.maxScore)) return false;
+  if (f.location && !String(lead.location || '').toLowerCase().includes(f.location.toLowerCase())) return false;
+
+  if ((f.budgetMin != null || f.budgetMax != null) &&
+    !rangeOverlaps(lead.budget_min, lead.budget_max, f.budgetMin, f.budgetMax)) return false;
+
+  if (f.bedrooms != null &&
+    !rangeOverlaps(lead.bedrooms_min, lead.bedrooms_max, f.bedrooms, f.bedrooms)) return false;
+
+  if (f.wantsMeeting != null && (lead.wants_meeting === true) !== f.wantsMeeting) return false;
+  if (f.sources && !f.sources.includes(lead.source)) return false;
+  if (f.statuses && !f.statuses.includes(lead.status)) return false;
+  if (f.languages && !f.languages.includes(lead.language)) return false;
+  if (f.undelivered != null && (lead.delivery_problem != null) !== f.undelivered) return false;
+  if (f.activeAfter && !(lead.last_message_at >= f.activeAfter)) return false;
+  if (f.activeBefore && !(lead.last_message_at < f.activeBefore)) return false;
+
+  return true;
+}
+
+// Sort order of the list: `sort` column in `order`, leads without a value
+// last either way, then phone as the tie-breaker (in the same direction)
+function compareLeads(a, b, sort, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  const x = a[sort] ?? null;
+  const y = b[sort] ?? null;
+
+  if (x === null && y !== null) return 1;
+  if (y === null && x !== null) return -1;
+  if (x !== null && x !== y) return (x < y ? -1 : 1) * direction;
+  if (a.phone === b.phone) return 0;
+  return (a.phone < b.phone ? -1 : 1) * direction;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  LeadQueryError,
+  compareLeads,
+  decodeCursor,
+  encodeCursor,
+  leadMatches,
+  parseLeadQuery,
+  rangeOverlaps
+};
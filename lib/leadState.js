@@ -0,0 +1,94 @@
+// The extracted lead state is a flat object of the flow's field keys, each a
+// string or null (see lib/qualification.js for the fields)
+
+// JSON schema the extraction model must answer with (OpenAI strict mode:
+// every key required, null when the lead hasn't said anything about it)
+function buildLeadStateSchema(fields) {
+  return {
+    name: 'lead_state',
+    schema: {
+      type: 'object',
+      properties: Object.fromEntries(
+        fields.map(field => [field, { type: ['string', 'null'] }])
+      ),
+      required: fields,
+      additionalProperties: false
+    }
+  };
+}
+
+class LeadStateParseError extends Error {
+  constructor(message, raw) {
+    super(message);
+    this.name = 'LeadStateParseError';
+    this.raw = raw;
+  }
+}
+
+function emptyLeadState(fields) {
+  return Object.fromEntries(fields.map(field => [field, null]));
+}
+
+// Models sometimes wrap JSON in ```json fences or add a sentence around it
+function stripToJson(raw) {
+  let text = String(raw || '').trim();
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) text = fenced[1].trim();
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) text = text.slice(start, end + 1);
+
+  return text;
+}
+
+// Parse and validate the extraction model output against the schema for
+// `fields`. Throws LeadStateParseError describing what was wrong.
+function parseLeadState(raw, fields) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(stripToJson(raw));
+  } catch (err) {
+    throw new LeadStateParseError(`output is not valid JSON (${err.message})`, raw);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new LeadStateParseError('output must be a JSON object', raw);
+  }
+
+  const unexpected = Object.keys(parsed).filter(key => !fields.includes(key));
+  if (unexpected.length > 0) {
+    throw new LeadStateParseError(`unexpected keys: ${unexpected.join(', ')}`, raw);
+  }
+
+  const state = emptyLeadState(fields);
+
+  for (const field of fields) {
+    const value = parsed[field];
+
+    if (value === undefined || value === null) continue;
+
+    if (typeof value === 'number') {
+      state[field] = String(value);
+      continue;
+    }
+
+    if (typeof value !== 'string') {
+      throw new LeadStateParseError(`"${field}" must be a string or null`, raw);
+    }
+
+    const trimmed = value.trim();
+    state[field] = trimmed === '' ? null : trimmed;
+  }
+
+  return state;
+}
+
+module.exports = {
+  LeadStateParseError,
+  buildLeadStateSchema,
+  emptyLeadState,
+  parseLeadState
+};
@@ -0,0 +1,292 @@
+const { headerKey } = require('./leadImport');
+const { isKnownValue } = require('./qualification');
+
+// Property listings from a local feed (a RESO Web API style JSON export or
+// a CSV) and matching them to qualified leads. A feed record becomes
+//   { id, listing_type: sale | rent, status, address, city, state,
+//     postal_code, subdivision, county, price, bedrooms, bathrooms,
+//     home_type, sqft, url, photo_url, listed_at }
+// Only active listings are matched; price is the list price, or the
+// monthly rent for rentals.
+
+// Feed keys we read for every listing field. RESO names ("ListPrice") and
+// spreadsheet headers ("List Price") both go through listingKey().
+const LISTING_FIELDS = {
+  id: ['listing key', 'listing id', 'mls', 'mls number', 'mls id', 'id'],
+  status: ['standard status', 'mls status', 'status'],
+  property_type: ['property type'],
+  home_type: ['property sub type', 'home type', 'type'],
+  address: ['unparsed address', 'address', 'street address', 'full address'],
+  city: ['city'],
+  state: ['state or province', 'state'],
+  postal_code: ['postal code', 'zip', 'zip code', 'zipcode'],
+  subdivision: ['subdivision name', 'subdivision', 'neighborhood'],
+  county: ['county or parish', 'county'],
+  price: ['list price', 'price', 'rent', 'monthly rent'],
+  bedrooms: ['bedrooms total', 'bedrooms', 'beds'],
+  bathrooms: ['bathrooms total integer', 'bathrooms total decimal', 'bathrooms', 'baths'],
+  sqft: ['living area', 'sqft', 'square feet'],
+  url: ['listing url', 'url', 'link'],
+  photo_url: ['photo url', 'photo', 'image'],
+  listed_at: ['on market date', 'listing contract date', 'listed at', 'list date']
+};
+
+// RESO StandardStatus (and common MLS words) -> our status
+const STATUSES = [
+  [/^(active|coming soon|for sale|for rent|new)$/, 'active'],
+  [/under contract|pending|contingent/, 'pending'],
+  [/closed|sold|leased|rented/, 'closed'],
+  [/withdrawn|expired|cancel+ed|off market|hold|delete/, 'off_market']
+];
+
+// Property sub types and lead answers -> a home type we can compare
+const HOME_TYPES = [
+  [/town ?(house|home)|row ?house/, 'townhouse'],
+  [/condo|apartment|apt\b|flat|loft/, 'condo'],
+  [/duplex|triplex|fourplex|quadruplex|multi/, 'multi_family'],
+  [/manufactured|mobile/, 'manufactured'],
+  [/\bland\b|\blot\b|acre/, 'land'],
+  [/single family|detached|\bhouse\b|\bhome\b|ranch|bungalow|cottage|villa|\bsfr\b/, 'house']
+];
+
+// Words around a place that aren't the place ("north Scottsdale", "near ASU")
+const LOCATION_NOISE = /\b(north|south|east|west|northeast|northwest|southeast|southwest|downtown|central|near|around|area|the|in|of|city|metro|greater|suburbs?)\b/g;
+
+// How far over the lead's budget a listing may be, and under an "around
+// 450k" budget (min = max)
+const BUDGET_STRETCH = 0.1;
+const BUDGET_FLOOR = 0.8;
+
+const MATCH_COUNT = 3;
+
+// "ListPrice" / "List Price" / "list_price" -> "list price"
+function listingKey(key) {
+  return headerKey(String(key || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2'));
+}
+
+// RESO enumerations are CamelCase ("SingleFamilyResidence")
+function canonicalHomeType(text) {
+  const lower = String(text || '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  const found = HOME_TYPES.find(([pattern]) => pattern.test(lower));
+  return found ? found[1] : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function readStatus(text) {
+  const lower = String(text || 'active').toLowerCase().trim();
+  const found = STATUSES.find(([pattern]) => pattern.test(lower));
+  return found ? found[1] : 'off_market';
+}
+
+// The listing records of a feed: RESO JSON ({ value: [...] }), a plain
+// JSON array, or CSV rows (header row first)
+function feedRecords(feed) {
+  if (Array.isArray(feed) && Array.isArray(feed[0])) {
+    const [headers, ...rows] = feed;
+    return rows.map(cells => Object.fromEntries(headers.map((header, i) => [header, cells[i]])));
+  }
+  if (Array.isArray(feed)) return feed;
+  if (feed && Array.isArray(feed.value)) return feed.value;
+  throw new Error('listing feed must be a RESO JSON export ({ "value": [...] }), a JSON array or a CSV');
+}
+
+// One feed record -> { listing } or { error }. `urlTemplate` makes a link
+// for listings without one ("https://example.com/homes/{id}").
+function readListing(record, { urlTemplate = null } = {}) {
+  const values = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    const field = Object.keys(LISTING_FIELDS).find(name => LISTING_FIELDS[name].includes(listingKey(key)));
+    if (field && values[field] === undefined && value !== null && value !== '') values[field] = value;
+  }
+
+  // RESO keeps photos in Media[]
+  if (!values.photo_url && Array.isArray(record?.Media) && record.Media[0]?.MediaURL) {
+    values.photo_url = record.Media[0].MediaURL;
+  }
+
+  const id = values.id === undefined ? '' : String(values.id).trim();
+  if (!id) return { error: 'listing id is missing' };
+
+  const price = toNumber(values.price);
+  if (price === null || price <= 0) return { error: `price "${values.price ?? ''}" is not a number` };
+  if (!values.address && !values.city) return { error: 'address and city are missing' };
+
+  const typeText = `${values.property_type || ''} ${values.home_type || ''}`.toLowerCase();
+
+  return {
+    listing: {
+      id,
+      listing_type: /lease|rent/.test(typeText) ? 'rent' : 'sale',
+      status: readStatus(values.status),
+      address: values.address ? String(values.address).trim() : null,
+      city: values.city ? String(values.city).trim() : null,
+      state: values.state ? String(values.state).trim() : null,
+      postal_code: values.postal_code ? String(values.postal_code).trim() : null,
+      subdivision: values.subdivision ? String(values.subdivision).trim() : null,
+      county: values.county ? String(values.county).trim() : null,
+      price,
+      bedrooms: toNumber(values.bedrooms),
+      bathrooms: toNumber(values.bathrooms),
+      home_type: canonicalHomeType(values.home_type || values.property_type),
+      sqft: toNumber(values.sqft),
+      url: values.url || (urlTemplate ? urlTemplate.replace('{id}', encodeURIComponent(id)) : null),
+      photo_url: values.photo_url || null,
+      listed_at: values.listed_at || null
+    }
+  };
+}
+
+// What we match listings on, from the lead's columns (see
+// updateLeadFromState). Unknown answers are null.
+function listingCriteria(lead) {
+  return {
+    location: isKnownValue(lead.location) ? lead.location : null,
+    budget_min: lead.budget_min ?? null,
+    budget_max: lead.budget_max ?? null,
+    bedrooms_min: lead.bedrooms_min ?? null,
+    bedrooms_max: lead.bedrooms_max ?? null,
+    home_type: isKnownValue(lead.home_type) ? canonicalHomeType(lead.home_type) : null
+  };
+}
+
+// "Tempe, AZ" matches on the city ("Tempe"), the part before the comma
+function locationMatches(location, listing) {
+  const place = location.split(',')[0].toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(LOCATION_NOISE, ' ').replace(/\s+/g, ' ').trim();
+  if (!place) return true;
+
+  const listingPlaces = [listing.city, listing.subdivision, listing.county, listing.state, listing.postal_code, listing.address]
+    .filter(Boolean)
+    .map(text => ` ${text.toLowerCase().replace(/[^a-z0-9 ]/g, ' ')} `);
+  return listingPlaces.some(text => text.includes(` ${place} `));
+}
+
+function priceFits(price, { budget_min: min, budget_max: max }) {
+  if (max !== null && price > max * (1 + BUDGET_STRETCH)) return false;
+  if (min !== null && price < (min === max ? min * BUDGET_FLOOR : min)) return false;
+  return true;
+}
+
+// The best `count` active listings of `listingType` for the lead's
+// criteria. Location, price, bedrooms and home type filter when known;
+// among the rest, listings inside the exact budget and bedroom range and
+// priced closest to the top of the budget come first. `exclude` are ids
+// to leave out (sent before).
+function matchListings(criteria, listings, { listingType = 'sale', count = MATCH_COUNT, exclude = [] } = {}) {
+  const target = criteria.budget_max ?? criteria.budget_min;
+
+  return listings
+    .filter(listing =>
+      listing.status === 'active' &&
+      listing.listing_type === listingType &&
+      !exclude.includes(listing.id) &&
+      (!criteria.location || locationMatches(criteria.location, listing)) &&
+      priceFits(listing.price, criteria) &&
+      (criteria.bedrooms_min === null || listing.bedrooms === null || listing.bedrooms >= criteria.bedrooms_min) &&
+      (!criteria.home_type || !listing.home_type || listing.home_type === criteria.home_type)
+    )
+    .map(listing => {
+      let fit = 0;
+      if (criteria.budget_max === null || listing.price <= criteria.budget_max) fit++;
+      if (criteria.bedrooms_max === null || (listing.bedrooms !== null && listing.bedrooms <= criteria.bedrooms_max)) fit++;
+      if (criteria.home_type && listing.home_type === criteria.home_type) fit++;
+
+      const distance = target ? Math.abs(listing.price - target) / target : 0;
+      return { listing, fit, distance };
+    })
+    .sort((a, b) => b.fit - a.fit || a.distance - b.distance || a.listing.id.localeCompare(b.listing.id))
+    .slice(0, count)
+    .map(({ listing }) => listing);
+}
+
+function formatPrice(listing) {
+  const amount = `$${Math.round(listing.price).toLocaleString('en-US')}`;
+  return listing.listing_type === 'rent' ? `${amount}/mo` : amount;
+}
+
+// "1) 12 Main St, Tempe - $450,000, 3 bd / 2 ba\nhttps://..."
+function formatListings(listings) {
+  return listings.map((listing, i) => {
+    const where = [listing.address, listing.city].filter(Boolean).join(', ');
+    const rooms = [
+      listing.bedrooms !== null ? `${listing.bedrooms} bd` : null,
+      listing.bathrooms !== null ? `${listing.bathrooms} ba` : null
+    ].filter(Boolean).join(' / ');
+    const line = `${i + 1}) ${where} - ${formatPrice(listing)}${rooms ? `, ${rooms}` : ''}`;
+    return listing.url ? `${line}\n${listing.url}` : line;
+  }).join('\n');
+}
+
+const ORDINAL_WORDS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, fifth: 5, '5th': 5 };
+
+// Which of the `shown` listings (ids, in the order we sent them) a clause
+// is about: "the second one", "#2", "number 3", "the last one", "1 and 3"
+function referencedListings(clause, shown) {
+  const picked = new Set();
+
+  for (const [word, n] of Object.entries(ORDINAL_WORDS)) {
+    if (new RegExp(`\\b${word}\\b`).test(clause)) picked.add(n);
+  }
+  if (/\blast (one|house|home|place|listing)\b|\bthe last\b/.test(clause)) picked.add(shown.length);
+  if (/\b(both|all( of them| three)?)\b/.test(clause)) shown.forEach((id, i) => picked.add(i + 1));
+
+  const numbered = /(?:#|\bnumber\s*|\boption\s*)(\d)\b/g;
+  let match;
+  while ((match = numbered.exec(clause)) !== null) picked.add(Number(match[1]));
+
+  // Bare digits only when the clause is just a list of them ("1 and 3")
+  if (/^[\s\d,&+]*(and|or)?[\s\d,&+]*$/.test(clause.replace(/\b(the|ones?)\b/g, ''))) {
+    for (const digit of clause.match(/\d/g) || []) picked.add(Number(digit));
+  }
+
+  return [...picked]
+    .filter(n => n >= 1 && n <= shown.length)
+    .sort((a, b) => a - b)
+    .map(n => shown[n - 1]);
+}
+
+// What the lead thinks of homes we sent: [{ listing_id, reaction }] with
+// reaction liked, disliked or tour (wants to see it). Reads sentence by
+// sentence and around "but", so "love the first but the third is too
+// small" is one of each.
+function detectListingReactions(text, shown = []) {
+  if (shown.length === 0) return [];
+
+  const reactions = [];
+  const clauses = String(text || '').toLowerCase().split(/[.;!?\n]|\b(?:but|however)\b/);
+
+  for (const clause of clauses.map(c => c.trim()).filter(Boolean)) {
+    const ids = referencedListings(clause, shown);
+    if (ids.length === 0) continue;
+
+    let reaction = null;
+    if (/\b(not|don'?t|doesn'?t|no|hate|dislike|pass on|skip|too (small|big|expensive|far|old|pricey)|meh|nope)\b/.test(clause)) {
+      reaction = 'disliked';
+    } else if (/\b(see|tour|visit|showing|view|look at|check out|walk ?through)\b/.test(clause)) {
+      reaction = 'tour';
+    } else if (/\b(love|loved|like|liked|great|nice|beautiful|perfect|interested|favou?rite|gorgeous|cute|amazing|awesome|into)\b/.test(clause)) {
+      reaction = 'liked';
+    }
+
+    if (reaction) reactions.push(...ids.map(id => ({ listing_id: id, reaction })));
+  }
+
+  return reactions;
+}
+
+module.exports = {
+  LISTING_FIELDS,
+  MATCH_COUNT,
+  canonicalHomeType,
+  detectListingReactions,
+  feedRecords,
+  formatListings,
+  listingCriteria,
+  listingKey,
+  matchListings,
+  readListing
+};
@@ -0,0 +1,27 @@
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Build the chat provider picked by LLM_PROVIDER (openai | mock).
+//
+// Providers expose complete({ task, messages, temperature, schema, meta })
+// and resolve to the reply text. `schema` ({ name, schema }) asks for JSON
+// structured output. `task` names the call site and `meta` carries extra
+// context; the OpenAI provider ignores both.
+function createLLM(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'openai';
+  const model = env.LLM_MODEL || DEFAULT_MODEL;
+
+  if (provider === 'mock') {
+    return createMockProvider({ model });
+  }
+
+  if (provider === 'openai') {
+    return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, model });
+  }
+
+  throw new Error(`Unknown LLM_PROVIDER: ${provider}`);
+}
+
+module.exports = { createLLM, createOpenAIProvider, createMockProvider };
@@ -0,0 +1,62 @@
+// Replies used when a task has nothing scripted, so the backend still runs
+// end to end locally without an API key
+const DEFAULT_RESPONSES = {
+  // Every field the extraction schema asks for, as null
+  extract: request => JSON.stringify(
+    Object.fromEntries((request.schema?.schema.required || []).map(field => [field, null]))
+  ),
+  // Every intent at 0 except "other"
+  intent: request => JSON.stringify(
+    Object.fromEntries((request.schema?.schema.required || []).map(intent => [intent, intent === 'other' ? 1 : 0]))
+  ),
+  reply: () => 'Thanks for the info! Could you tell me a bit more about what you are looking for?',
+  follow_up: () => 'Hey, just checking back in. Still looking?'
+};
+
+// Deterministic provider for tests and local runs.
+//
+// Responses are scripted per task ("extract", "reply", ...). A
+// script can be a string (always returned), an array (returned in order,
+// one per call) or a function called with the request. Every request is
+// recorded in `calls` so tests can assert on prompts and metadata.
+function createMockProvider({ responses = {}, model = 'mock' } = {}) {
+  const scripts = { ...DEFAULT_RESPONSES, ...responses };
+  const calls = [];
+
+  function script(task, response) {
+    scripts[task] = response;
+  }
+
+  async function complete(request) {
+    calls.push(request);
+
+    const scripted = scripts[request.task];
+
+    if (scripted === undefined) {
+      throw new Error(`Mock LLM has no response scripted for task "${request.task}"`);
+    }
+
+    if (typeof scripted === 'function') {
+      return String(await scripted(request)).trim();
+    }
+
+    if (Array.isArray(scripted)) {
+      if (scripted.length === 0) {
+        throw new Error(`Mock LLM ran out of scripted responses for task "${request.task}"`);
+      }
+      return String(scripted.shift()).trim();
+    }
+
+    return String(scripted).trim();
+  }
+
+  return {
+    name: 'mock',
+    model,
+    calls,
+    script,
+    complete
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,30 @@
+const OpenAI = require('openai');
+
+// Chat completion provider backed by the OpenAI API
+function createOpenAIProvider({ apiKey, model }) {
+  const openai = new OpenAI({ apiKey });
+
+  async function complete({ messages, temperature = 0, schema }) {
+    const params = { model, temperature, messages };
+
+    // Structured output: the model must answer with JSON matching `schema`
+    if (schema) {
+      params.response_format = {
+        type: 'json_schema',
+        json_schema: { name: schema.name, schema: schema.schema, strict: true }
+      };
+    }
+
+    const completion = await openai.chat.completions.create(params);
+
+    return completion.choices[0].message.content.trim();
+  }
+
+  return {
+    name: 'openai',
+    model,
+    complete
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,107 @@
+const axios = require('axios');
+
+// Photos, voice notes and location pins a lead sends over Twilio. The
+// webhook params become
+//   media:    [{ url, content_type, kind: image | audio | video | document }]
+//   location: { latitude, longitude, label, address }
+// which are kept on the message, and the message text says what was sent
+// ("[Voice note] ..." with the transcript) so extraction, replies and the
+// dashboard preview all read it.
+
+// WhatsApp's largest voice note / video
+const MEDIA_MAX_BYTES = 16 * 1024 * 1024;
+
+const KIND_LABELS = {
+  image: 'Photo',
+  audio: 'Voice note',
+  video: 'Video',
+  document: 'File'
+};
+
+function mediaKind(contentType) {
+  const type = String(contentType || '').toLowerCase();
+  if (type.startsWith('image/')) return 'image';
+  if (type.startsWith('audio/')) return 'audio';
+  if (type.startsWith('video/')) return 'video';
+  return 'document';
+}
+
+// NumMedia / MediaUrlN / MediaContentTypeN -> media refs
+function readInboundMedia(params = {}) {
+  const count = Math.min(Number(params.NumMedia) || 0, 10);
+  const media = [];
+
+  for (let i = 0; i < count; i++) {
+    const url = params[`MediaUrl${i}`];
+    if (!url) continue;
+    const contentType = params[`MediaContentType${i}`] || null;
+    media.push({ url, content_type: contentType, kind: mediaKind(contentType) });
+  }
+
+  return media;
+}
+
+// Latitude / Longitude (plus the Label and Address WhatsApp adds for a
+// place) -> the pin, null without a valid position
+function readLocationPin(params = {}) {
+  if (params.Latitude === undefined || params.Longitude === undefined) return null;
+
+  const latitude = Number(params.Latitude);
+  const longitude = Number(params.Longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return {
+    latitude,
+    longitude,
+    label: params.Label || null,
+    address: params.Address || null
+  };
+}
+
+// The message text we store for what the lead sent: their text, then a
+// line per attachment and the pin. Voice notes carry their transcript.
+function describeInbound({ body, media = [], location = null }) {
+  const lines = [];
+  if (body && body.trim()) lines.push(body.trim());
+
+  for (const item of media) {
+    const label = `[${KIND_LABELS[item.kind] || KIND_LABELS.document}]`;
+    lines.push(item.transcript ? `${label} ${item.transcript}` : label);
+  }
+
+  if (location) {
+    const where = location.place || location.address || location.label ||
+      `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`;
+    lines.push(`[Location pin] ${where}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Media downloader for Twilio URLs (they need the account's basic auth).
+// Resolves to { data: Buffer, contentType }.
+function createMediaDownloader({ accountSid, authToken, maxBytes = MEDIA_MAX_BYTES } = {}) {
+  return async function download(url) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      auth: accountSid && authToken ? { username: accountSid, password: authToken } : undefined,
+      maxContentLength: maxBytes,
+      timeout: 30000
+    });
+
+    return {
+      data: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || null
+    };
+  };
+}
+
+module.exports = {
+  MEDIA_MAX_BYTES,
+  createMediaDownloader,
+  describeInbound,
+  mediaKind,
+  readInboundMedia,
+  readLocationPin
+};
@@ -0,0 +1,259 @@
+// Turn the free-text answers we extract ("under 500k", "3-4", "this summer")
+// into numbers and dates the dashboard can sort and filter on. Every
+// normalizer returns nulls when it can't read the text, never a guess.
+
+const AMOUNT_UNITS = {
+  k: 1e3,
+  thousand: 1e3,
+  grand: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  mil: 1e6,
+  million: 1e6
+};
+
+const NUMBER_WORDS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10
+};
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Season name -> [first month index, number of months]
+const SEASONS = {
+  spring: [2, 3],
+  summer: [5, 3],
+  fall: [8, 3],
+  autumn: [8, 3],
+  winter: [11, 3]
+};
+
+function isBlank(text) {
+  if (text === null || text === undefined) return true;
+  const t = String(text).trim().toLowerCase();
+  return t === '' || t === 'unknown';
+}
+
+function wordsToDigits(text) {
+  return text.replace(/\b(zero|one|two|three|four|five|six|seven|eight|nine|ten)\b/g, w => String(NUMBER_WORDS[w]));
+}
+
+// --- BUDGET ---
+
+function parseAmounts(text) {
+  const re = /(\d[\d,]*(?:\.\d+)?)\s*(k|mm|m|mil|million|thousand|grand)?\b/g;
+  const amounts = [];
+  let match;
+
+  while ((match = re.exec(text)) !== null) {
+    amounts.push({
+      value: parseFloat(match[1].replace(/,/g, '')),
+      unit: match[2] || null
+    });
+  }
+
+  return amounts;
+}
+
+// "under 500k" -> { budget_min: null, budget_max: 500000 }
+// "400-500k"   -> { budget_min: 400000, budget_max: 500000 }
+// "$2,000/month" -> { budget_min: 2000, budget_max: 2000 }
+function normalizeBudget(text) {
+  const empty = { budget_min: null, budget_max: null };
+  if (isBlank(text)) return empty;
+
+  const lower = String(text).toLowerCase();
+  const amounts = parseAmounts(lower).slice(0, 2);
+  if (amounts.length === 0) return empty;
+
+  // "400-500k": the second amount's unit applies to the first
+  if (amounts.length === 2 && !amounts[0].unit && amounts[1].unit) {
+    amounts[0].unit = amounts[1].unit;
+  }
+
+  const isMonthly = /\/\s*mo|per month|a month|monthly/.test(lower);
+
+  const values = amounts.map(({ value, unit }) => {
+    if (unit) return Math.round(value * AMOUNT_UNITS[unit]);
+    // A bare "450" for a purchase budget means thousands
+    if (!isMonthly && value < 1000) return Math.round(value * 1000);
+    return Math.round(value);
+  });
+
+  if (values.length === 2) {
+    return {
+      budget_min: Math.min(values[0], values[1]),
+      budget_max: Math.max(values[0], values[1])
+    };
+  }
+
+  const [value] = values;
+
+  if (/\b(under|below|max|maximum|up to|less than|no more than|at most|tops)\b|</.test(lower)) {
+    return { budget_min: null, budget_max: value };
+  }
+
+  if (/\b(over|above|at least|min|minimum|more than|starting|from)\b|\+|>/.test(lower)) {
+    return { budget_min: value, budget_max: null };
+  }
+
+  return { budget_min: value, budget_max: value };
+}
+
+// --- BEDROOMS ---
+
+// "3-4" -> { bedrooms_min: 3, bedrooms_max: 4 }, "3+" -> { 3, null }
+function normalizeBedrooms(text) {
+  const empty = { bedrooms_min: null, bedrooms_max: null };
+  if (isBlank(text)) return empty;
+
+  const lower = wordsToDigits(String(text).toLowerCase());
+
+  if (/\bstudio\b/.test(lower)) {
+    return { bedrooms_min: 0, bedrooms_max: 0 };
+  }
+
+  const range = lower.match(/(\d+)\s*(?:-|–|to|or)\s*(\d+)/);
+  if (range) {
+    const a = parseInt(range[1], 10);
+    const b = parseInt(range[2], 10);
+    return { bedrooms_min: Math.min(a, b), bedrooms_max: Math.max(a, b) };
+  }
+
+  const single = lower.match(/(\d+)/);
+  if (!single) return empty;
+
+  const n = parseInt(single[1], 10);
+  if (n > 20) return empty;
+
+  if (/\+|\bat least\b|\bor more\b|\bminimum\b|\bmin\b/.test(lower)) {
+    return { bedrooms_min: n, bedrooms_max: null };
+  }
+
+  if (/\bat most\b|\bup to\b|\bmax\b|\bmaximum\b|\bor less\b/.test(lower)) {
+    return { bedrooms_min: null, bedrooms_max: n };
+  }
+
+  return { bedrooms_min: n, bedrooms_max: n };
+}
+
+// --- TIMELINE ---
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function utcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addUnits(date, amount, unit) {
+  const d = new Date(date.getTime());
+  if (unit === 'day') d.setUTCDate(d.getUTCDate() + amount);
+  if (unit === 'week') d.setUTCDate(d.getUTCDate() + amount * 7);
+  if (unit === 'month') d.setUTCMonth(d.getUTCMonth() + amount);
+  if (unit === 'year') d.setUTCFullYear(d.getUTCFullYear() + amount);
+  return d;
+}
+
+function monthStart(year, month) {
+  return new Date(Date.UTC(year, month, 1));
+}
+
+function monthEnd(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0));
+}
+
+function range(start, end) {
+  return { timeline_start: toDateString(start), timeline_end: toDateString(end) };
+}
+
+// "next 3 months" -> today .. today + 3 months, "this summer" -> Jun 1 .. Aug 31.
+// Dates are ISO (YYYY-MM-DD) and relative to `now`.
+function normalizeTimeline(text, now = new Date()) {
+  const empty = { timeline_start: null, timeline_end: null };
+  if (isBlank(text)) return empty;
+
+  const lower = wordsToDigits(String(text).toLowerCase());
+  const today = utcDay(now);
+  const year = today.getUTCFullYear();
+
+  // "not right now" puts it off, it doesn't mean soon
+  const notNow = /\b(not|no)\s+(right\s+)?now\b/.test(lower);
+  if (!notNow && /\b(asap|immediately|right away|right now|this month)\b/.test(lower)) {
+    return range(today, addUnits(today, 1, 'month'));
+  }
+
+  if (/\bnext year\b/.test(lower)) {
+    return range(monthStart(year + 1, 0), monthEnd(year + 1, 11));
+  }
+
+  const unitRe = '(day|week|month|year)s?';
+
+  const span = lower.match(new RegExp(`(\\d+)\\s*(?:-|–|to)\\s*(\\d+)\\s*${unitRe}`));
+  if (span) {
+    const unit = span[3];
+    return range(
+      addUnits(today, parseInt(span[1], 10), unit),
+      addUnits(today, parseInt(span[2], 10), unit)
+    );
+  }
+
+  const within = lower.match(new RegExp(`\\b(?:within|next|in the next|under|less than)\\s*(?:a\\s+)?(\\d+)?\\s*${unitRe}`));
+  if (within) {
+    return range(today, addUnits(today, parseInt(within[1] || '1', 10), within[2]));
+  }
+
+  const after = lower.match(new RegExp(`(?:\\bin\\s+)?(\\d+)\\s*${unitRe}`));
+  if (after) {
+    const target = addUnits(today, parseInt(after[1], 10), after[2]);
+    return range(target, target);
+  }
+
+  if (/\b(end of (the )?year|this year)\b/.test(lower)) {
+    return range(today, monthEnd(year, 11));
+  }
+
+  for (const [season, [firstMonth, length]] of Object.entries(SEASONS)) {
+    if (!new RegExp(`\\b${season}\\b`).test(lower)) continue;
+
+    let startYear = year;
+    const seasonOver = monthEnd(year, firstMonth + length - 1) < today;
+    if (/\bnext\b/.test(lower) || seasonOver) startYear += 1;
+
+    const start = monthStart(startYear, firstMonth);
+    return range(start < today ? today : start, monthEnd(startYear, firstMonth + length - 1));
+  }
+
+  const monthIndex = MONTHS.findIndex(m => new RegExp(`\\b(${m}|${m.slice(0, 3)})\\b`).test(lower));
+  if (monthIndex !== -1) {
+    const yearMatch = lower.match(/\b(20\d\d)\b/);
+    let targetYear = yearMatch ? parseInt(yearMatch[1], 10) : year;
+    if (!yearMatch && monthEnd(year, monthIndex) < today) targetYear += 1;
+
+    if (/\b(by|before)\b/.test(lower)) {
+      return range(today, monthEnd(targetYear, monthIndex));
+    }
+    return range(monthStart(targetYear, monthIndex), monthEnd(targetYear, monthIndex));
+  }
+
+  return empty;
+}
+
+module.exports = {
+  normalizeBudget,
+  normalizeBedrooms,
+  normalizeTimeline
+};
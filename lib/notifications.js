@@ -0,0 +1,175 @@
+const { isEmailKey, isHttpUrl, normalizeEmail } = require('./channels');
+
+// Alerts for agents about their leads. Each agent keeps rules on their
+// profile (agents.notification_rules):
+//
+//   [{ event, channels, minutes, leads }]
+//
+//   event     hot_lead | meeting_requested | unanswered_question | no_agent_response
+//   channels  one or more of sms | whatsapp (to the agent's phone), email,
+//             webhook (POSTed to the agent's notification_webhook_url)
+//   minutes   no_agent_response only: how long a lead waits on an agent
+//   leads     team (every lead of the agent's team, the default) | assigned
+//             (only leads assigned to them)
+//
+// An alert is a short summary of the lead plus a link to it on the
+// dashboard. The same alert (agent, event, lead) isn't sent again within
+// the repeat window; for no_agent_response "the same" is the same waiting
+// message.
+
+const NOTIFY_HOT_LEAD = 'hot_lead';
+const NOTIFY_MEETING_REQUESTED = 'meeting_requested';
+const NOTIFY_UNANSWERED_QUESTION = 'unanswered_question';
+const NOTIFY_NO_AGENT_RESPONSE = 'no_agent_response';
+const NOTIFY_EVENTS = [NOTIFY_HOT_LEAD, NOTIFY_MEETING_REQUESTED, NOTIFY_UNANSWERED_QUESTION, NOTIFY_NO_AGENT_RESPONSE];
+
+const NOTIFY_SMS = 'sms';
+const NOTIFY_WHATSAPP = 'whatsapp';
+const NOTIFY_EMAIL = 'email';
+const NOTIFY_WEBHOOK = 'webhook';
+const NOTIFY_CHANNELS = [NOTIFY_SMS, NOTIFY_WHATSAPP, NOTIFY_EMAIL, NOTIFY_WEBHOOK];
+
+const LEADS_TEAM = 'team';
+const LEADS_ASSIGNED = 'assigned';
+const LEAD_SCOPES = [LEADS_TEAM, LEADS_ASSIGNED];
+
+const MAX_WAIT_MINUTES = 7 * 24 * 60;
+const PREVIEW_LENGTH = 160;
+
+// What's wrong with an agent's notification settings, null if nothing.
+// `agent` is the profile they go on (for the phone / email channels need).
+function notificationProblem({ rules, webhookUrl }, agent = {}) {
+  if (webhookUrl != null && !isHttpUrl(webhookUrl)) return 'webhook_url must be an http(s) URL';
+  if (!Array.isArray(rules)) return 'rules must be a list';
+
+  const seen = new Set();
+  for (const [i, rule] of rules.entries()) {
+    const at = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') return `${at} must be an object`;
+    if (!NOTIFY_EVENTS.includes(rule.event)) return `${at}.event must be one of: ${NOTIFY_EVENTS.join(', ')}`;
+    if (seen.has(rule.event)) return `${at}: there is already a rule for ${rule.event}`;
+    seen.add(rule.event);
+
+    if (!Array.isArray(rule.channels) || rule.channels.length === 0) return `${at}.channels must list at least one channel`;
+    const unknown = rule.channels.find(channel => !NOTIFY_CHANNELS.includes(channel));
+    if (unknown) return `${at}.channels: ${unknown} is not one of: ${NOTIFY_CHANNELS.join(', ')}`;
+
+    if ((rule.channels.includes(NOTIFY_SMS) || rule.channels.includes(NOTIFY_WHATSAPP)) && !agent.phone) {
+      return `${at}: add a phone to the agent profile to get alerts by sms or whatsapp`;
+    }
+    if (rule.channels.includes(NOTIFY_EMAIL) && !(agent.email && isEmailKey(normalizeEmail(agent.email)))) {
+      return `${at}: add an email to the agent profile to get alerts by email`;
+    }
+    if (rule.channels.includes(NOTIFY_WEBHOOK) && !webhookUrl) return `${at}: webhook alerts need a webhook_url`;
+
+    if (rule.event === NOTIFY_NO_AGENT_RESPONSE) {
+      if (!(Number.isInteger(rule.minutes) && rule.minutes >= 1 && rule.minutes <= MAX_WAIT_MINUTES)) {
+        return `${at}.minutes must be a whole number of minutes between 1 and ${MAX_WAIT_MINUTES}`;
+      }
+    } else if (rule.minutes !== undefined) {
+      return `${at}.minutes only applies to ${NOTIFY_NO_AGENT_RESPONSE}`;
+    }
+
+    if (rule.leads !== undefined && !LEAD_SCOPES.includes(rule.leads)) {
+      return `${at}.leads must be one of: ${LEAD_SCOPES.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// The rules as stored: only the known keys, channels once each
+function normalizeRules(rules) {
+  return rules.map(rule => ({
+    event: rule.event,
+    channels: [...new Set(rule.channels)],
+    ...(rule.event === NOTIFY_NO_AGENT_RESPONSE ? { minutes: rule.minutes } : {}),
+    leads: rule.leads || LEADS_TEAM
+  }));
+}
+
+// The agent's rule for `event` when it covers `lead`, else null
+function ruleFor(agent, event, lead) {
+  const rule = (agent.notification_rules || []).find(r => r.event === event);
+  if (!rule) return null;
+  if (rule.leads === LEADS_ASSIGNED && lead?.assigned_to !== agent.id) return null;
+  return rule;
+}
+
+// What makes two alerts "the same" for repeat suppression
+function alertKey(event, lead) {
+  return event === NOTIFY_NO_AGENT_RESPONSE
+    ? `${event}:${lead.phone}:${lead.last_message_at}`
+    : `${event}:${lead.phone}`;
+}
+
+function leadContact(lead) {
+  return isEmailKey(lead.phone) ? lead.phone : `+${lead.phone}`;
+}
+
+// One line of what the lead is after: "3 bd, 400-500k, Tempe, in 3 months"
+function lookingFor(lead) {
+  const parts = [
+    lead.bedrooms && `${lead.bedrooms} bd`,
+    lead.home_type,
+    lead.budget,
+    lead.location,
+    lead.timeline
+  ].filter(Boolean);
+  return parts.length ? parts.join(', ') : null;
+}
+
+// Subject and text of an alert: a headline, a few lines about the lead and
+// the dashboard link. `detail` is what set it off (their message);
+// `minutes` how long they've waited (no_agent_response).
+function buildAlert(event, lead, { link = null, detail = null, minutes = null } = {}) {
+  const name = lead.name || leadContact(lead);
+  const subject = {
+    [NOTIFY_HOT_LEAD]: `🔥 Hot lead: ${name}`,
+    [NOTIFY_MEETING_REQUESTED]: `📞 ${name} wants to talk`,
+    [NOTIFY_UNANSWERED_QUESTION]: `❓ ${name} asked something the assistant couldn't answer`,
+    [NOTIFY_NO_AGENT_RESPONSE]: `⏰ ${name} has waited ${minutes} min for an agent`
+  }[event];
+
+  const score = lead.lead_score ? `${lead.lead_score}${lead.lead_score_value != null ? ` (${lead.lead_score_value})` : ''}` : null;
+  const looking = lookingFor(lead);
+  const said = detail || lead.last_message_preview;
+
+  const lines = [
+    subject,
+    `Lead: ${lead.name ? `${name} (${leadContact(lead)})` : name}${score ? `, ${score}` : ''}`,
+    looking && `Looking for: ${looking}`,
+    said && `They said: "${String(said).slice(0, PREVIEW_LENGTH)}"`,
+    link && `Open: ${link}`
+  ].filter(Boolean);
+
+  return { subject, text: lines.join('\n') };
+}
+
+// The lead on the dashboard: `template` with {phone} in it
+function leadLink(template, phone) {
+  if (!template) return null;
+  return template.replace('{phone}', encodeURIComponent(phone));
+}
+
+module.exports = {
+  LEAD_SCOPES,
+  LEADS_ASSIGNED,
+  LEADS_TEAM,
+  NOTIFY_CHANNELS,
+  NOTIFY_EMAIL,
+  NOTIFY_EVENTS,
+  NOTIFY_HOT_LEAD,
+  NOTIFY_MEETING_REQUESTED,
+  NOTIFY_NO_AGENT_RESPONSE,
+  NOTIFY_SMS,
+  NOTIFY_UNANSWERED_QUESTION,
+  NOTIFY_WEBHOOK,
+  NOTIFY_WHATSAPP,
+  alertKey,
+  buildAlert,
+  leadLink,
+  normalizeRules,
+  notificationProblem,
+  ruleFor
+};
@@ -0,0 +1,183 @@
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'qualification.js');
+const NORMALIZERS = ['budget', 'bedrooms', 'timeline'];
+const LISTING_TYPES = ['sale', 'rent'];
+
+// Load and check the qualification flows (config/qualification.js, or the
+// file QUALIFICATION_CONFIG points at). Fills in field defaults and gives
+// every flow its `name`. Throws on a config we can't run with.
+function loadQualificationConfig(env = process.env) {
+  const file = env.QUALIFICATION_CONFIG
+    ? path.resolve(env.QUALIFICATION_CONFIG)
+    : DEFAULT_CONFIG_PATH;
+
+  return prepareQualificationConfig(require(file), file);
+}
+
+function prepareQualificationConfig(raw, source = 'qualification config') {
+  const flows = {};
+
+  for (const [name, flow] of Object.entries(raw.flows || {})) {
+    if (!Array.isArray(flow.fields) || flow.fields.length === 0) {
+      throw new Error(`${source}: flow "${name}" has no fields`);
+    }
+
+    const seen = new Set();
+    const fields = flow.fields.map(field => {
+      if (!field.key || !field.label) {
+        throw new Error(`${source}: every field in flow "${name}" needs a key and a label`);
+      }
+      if (seen.has(field.key)) {
+        throw new Error(`${source}: flow "${name}" lists "${field.key}" twice`);
+      }
+      if (field.normalize && !NORMALIZERS.includes(field.normalize)) {
+        throw new Error(`${source}: unknown normalize "${field.normalize}" on ${name}.${field.key}`);
+      }
+      seen.add(field.key);
+
+      return {
+        hint: '',
+        required: true,
+        normalize: null,
+        catch_all: false,
+        column: true,
+        ...field
+      };
+    });
+
+    if (flow.listings && !LISTING_TYPES.includes(flow.listings)) {
+      throw new Error(`${source}: flow "${name}" has listings "${flow.listings}", expected ${LISTING_TYPES.join(' or ')}`);
+    }
+
+    const scoreRules = (flow.score_rules || []).map(rule => {
+      if (!rule.id || typeof rule.points !== 'number' || typeof rule.when !== 'function') {
+        throw new Error(`${source}: score rules in flow "${name}" need an id, numeric points and a when() function`);
+      }
+      return { label: rule.id, ...rule };
+    });
+
+    flows[name] = {
+      description: name,
+      score_base: 0,
+      listings: null,
+      ...flow,
+      score_rules: scoreRules,
+      name,
+      fields,
+      detect: (flow.detect || []).map(pattern => new RegExp(pattern, 'i'))
+    };
+  }
+
+  const defaultFlow = raw.default_flow || Object.keys(flows)[0];
+  if (!flows[defaultFlow]) {
+    throw new Error(`${source}: default_flow "${defaultFlow}" is not defined`);
+  }
+
+  const thresholds = { hot: 70, warm: 40, ...raw.score_thresholds };
+  if (!(thresholds.hot > thresholds.warm)) {
+    throw new Error(`${source}: score_thresholds.hot must be above score_thresholds.warm`);
+  }
+
+  return {
+    default_flow: defaultFlow,
+    source_flows: raw.source_flows || {},
+    score_thresholds: thresholds,
+    flows
+  };
+}
+
+// Copy of a prepared config with default_flow, source_flows and
+// score_thresholds overridden (per-team settings). Flows are shared.
+function applyQualificationOverrides(config, overrides = {}, source = 'qualification overrides') {
+  const merged = {
+    ...config,
+    default_flow: overrides.default_flow || config.default_flow,
+    source_flows: { ...config.source_flows, ...overrides.source_flows },
+    score_thresholds: { ...config.score_thresholds, ...overrides.score_thresholds }
+  };
+
+  if (!merged.flows[merged.default_flow]) {
+    throw new Error(`${source}: default_flow "${merged.default_flow}" is not defined`);
+  }
+  if (!(merged.score_thresholds.hot > merged.score_thresholds.warm)) {
+    throw new Error(`${source}: score_thresholds.hot must be above score_thresholds.warm`);
+  }
+
+  return merged;
+}
+
+// Flow by name, falling back to the default flow
+function getFlow(config, name) {
+  return config.flows[name] || config.flows[config.default_flow];
+}
+
+// Pick a flow from the lead's first message ("want to sell my condo" -> seller)
+function detectFlow(config, text) {
+  const message = String(text || '');
+
+  const match = Object.values(config.flows).find(flow =>
+    flow.detect.some(re => re.test(message))
+  );
+
+  return match || getFlow(config, config.default_flow);
+}
+
+// Flow for a lead source from POST /lead ("zillow-rentals" -> renter)
+function flowForSource(config, source) {
+  const name = config.source_flows[String(source || '').toLowerCase()];
+  return getFlow(config, name);
+}
+
+function fieldKeys(flow) {
+  return flow.fields.map(field => field.key);
+}
+
+function isKnownValue(value) {
+  return typeof value === 'string' && value.trim() !== '' && value !== 'unknown';
+}
+
+// Count how many of the flow's fields are filled ("unknown" doesn't count)
+function countKnownFields(state, flow) {
+  return flow.fields.filter(field => isKnownValue(state[field.key])).length;
+}
+
+// Ready to score once every required field has a real answer
+function hasRequiredFields(state, flow) {
+  return flow.fields
+    .filter(field => field.required)
+    .every(field => isKnownValue(state[field.key]));
+}
+
+// First field we haven't asked about yet ("unknown" counts as asked)
+function nextMissingField(state, flow) {
+  return flow.fields.find(field => {
+    const value = state[field.key];
+    return value === null || value === '' || value === undefined;
+  }) || null;
+}
+
+// FIELD RULES section of the extraction prompt
+function buildFieldRules(flow) {
+  return flow.fields
+    .map(field => {
+      const title = field.key.replace(/_/g, ' ').toUpperCase();
+      return `- ${title}:${field.hint.replace(/\s+$/, '')}`;
+    })
+    .join('\n\n');
+}
+
+module.exports = {
+  loadQualificationConfig,
+  prepareQualificationConfig,
+  applyQualificationOverrides,
+  getFlow,
+  detectFlow,
+  flowForSource,
+  fieldKeys,
+  isKnownValue,
+  countKnownFields,
+  hasRequiredFields,
+  nextMissingField,
+  buildFieldRules
+};
@@ -0,0 +1,310 @@
+// Appointment scheduling: agent availability, the slots we offer a lead and
+// reading their answer ("2", "Thursday at 3 works").
+//
+// An agent's availability (PUT /agents/:id) is
+//   timezone        IANA zone their working hours are in
+//   working_hours   { mon: '09:00-17:00', tue: ['09:00-12:00', '13:00-17:00'], ... }
+//   slot_minutes    length of a call (default 30)
+//   buffer_minutes  kept free before and after every busy block and call (default 15)
+// plus busy blocks imported from their calendar (lib/ics.js).
+//
+// Times are ISO strings in UTC everywhere except what we show the lead,
+// which is in the lead's timezone.
+
+const { isEmailKey, normalizeEmail } = require('./channels');
+const { isValidTimeZone } = require('./followUp');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_BUFFER_MINUTES = 15;
+
+// How many slots we offer, and how far apart they are at least, so the
+// lead gets real alternatives rather than 3:00, 3:30 and 4:00
+const OFFER_COUNT = 3;
+const OFFER_SPACING_MINUTES = 120;
+
+const MINUTE = 60 * 1000;
+
+// Wall-clock parts of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    weekday: parts.weekday.toLowerCase().slice(0, 3)
+  };
+}
+
+// The instant a wall-clock time in `timeZone` happens
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let utc = wall;
+
+  // Correct by the zone's offset; twice, in case we crossed a DST change
+  for (let i = 0; i < 2; i++) {
+    const seen = zonedParts(new Date(utc), timeZone);
+    utc += wall - Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute);
+  }
+
+  return new Date(utc);
+}
+
+function parseClock(text) {
+  const match = String(text).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// { mon: '09:00-17:00', ... } -> { mon: [[540, 1020]], ... } in minutes of
+// the day. Throws with a readable message on anything else.
+function parseWorkingHours(workingHours) {
+  if (!workingHours || typeof workingHours !== 'object') {
+    throw new Error('working_hours must be an object like { "mon": "09:00-17:00" }');
+  }
+
+  const parsed = {};
+  for (const [day, value] of Object.entries(workingHours)) {
+    const weekday = day.toLowerCase().slice(0, 3);
+    if (!WEEKDAYS.includes(weekday)) throw new Error(`working_hours: "${day}" is not a weekday`);
+
+    parsed[weekday] = [].concat(value || []).map(range => {
+      const [from, to] = String(range).split('-').map(parseClock);
+      if (from === null || to === null || from === undefined || to === undefined || from >= to) {
+        throw new Error(`working_hours.${day}: "${range}" is not a range like 09:00-17:00`);
+      }
+      return [from, to];
+    });
+  }
+
+  return parsed;
+}
+
+// What's wrong with an agent profile update (PUT /agents/:id), or null
+function agentProblem(fields) {
+  if (fields.timezone !== undefined && !isValidTimeZone(fields.timezone)) {
+    return 'timezone must be an IANA timezone like America/Phoenix';
+  }
+
+  if (fields.working_hours !== undefined) {
+    try {
+      parseWorkingHours(fields.working_hours);
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  if (fields.slot_minutes !== undefined && !(Number.isInteger(fields.slot_minutes) && fields.slot_minutes >= 5 && fields.slot_minutes <= 480)) {
+    return 'slot_minutes must be a whole number of minutes between 5 and 480';
+  }
+  if (fields.buffer_minutes !== undefined && !(Number.isInteger(fields.buffer_minutes) && fields.buffer_minutes >= 0 && fields.buffer_minutes <= 240)) {
+    return 'buffer_minutes must be a whole number of minutes between 0 and 240';
+  }
+
+  if (fields.email && !isEmailKey(normalizeEmail(fields.email))) return 'email is not a valid address';
+  if (fields.phone && String(fields.phone).replace(/\D/g, '').length < 8) return 'phone is not a valid number';
+
+  return null;
+}
+
+function overlaps(start, end, block, bufferMs) {
+  return new Date(block.start).getTime() < end + bufferMs && new Date(block.end).getTime() > start - bufferMs;
+}
+
+// Free slots of `agent` over the next `days` days, oldest first:
+// [{ start, end, agent_id }]. `busy` are calendar blocks, `appointments`
+// the agent's booked calls; both get the agent's buffer around them.
+function availableSlots(agent, { busy = [], appointments = [], now = new Date(), days = 7, minNoticeMinutes = 120 } = {}) {
+  const hours = parseWorkingHours(agent.working_hours);
+  const timeZone = agent.timezone;
+  const slotMs = (agent.slot_minutes || DEFAULT_SLOT_MINUTES) * MINUTE;
+  const bufferMs = (agent.buffer_minutes ?? DEFAULT_BUFFER_MINUTES) * MINUTE;
+  const earliest = now.getTime() + minNoticeMinutes * MINUTE;
+  const blocks = [...busy, ...appointments];
+  const today = zonedParts(now, timeZone);
+  const slots = [];
+
+  for (let offset = 0; offset <= days; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const day = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+
+    for (const [from, to] of hours[WEEKDAYS[date.getUTCDay()]] || []) {
+      for (let minute = from; minute + slotMs / MINUTE <= to; minute += slotMs / MINUTE) {
+        const start = zonedTimeToUtc({ ...day, hour: Math.floor(minute / 60), minute: minute % 60 }, timeZone).getTime();
+        const end = start + slotMs;
+
+        if (start < earliest) continue;
+        if (blocks.some(block => overlaps(start, end, block, bufferMs))) continue;
+
+        slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString(), agent_id: agent.id });
+      }
+    }
+  }
+
+  return slots;
+}
+
+// Up to `count` slots to offer from everyone's free slots: the earliest,
+// then the next ones at least `spacingMinutes` after the previous pick.
+function pickOffer(slots, { count = OFFER_COUNT, spacingMinutes = OFFER_SPACING_MINUTES } = {}) {
+  const sorted = [...slots].sort((a, b) => a.start.localeCompare(b.start));
+  const picked = [];
+
+  for (const slot of sorted) {
+    const last = picked[picked.length - 1];
+    if (last && new Date(slot.start) - new Date(last.start) < spacingMinutes * MINUTE) continue;
+    picked.push(slot);
+    if (picked.length === count) break;
+  }
+
+  return picked;
+}
+
+// "Thu, Oct 22, 3:00 PM MST"
+function formatSlot(start, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(start));
+}
+
+const WEEKDAY_WORDS = [
+  [/\b(sun|sunday)\b/, 'sun'],
+  [/\b(mon|monday)\b/, 'mon'],
+  [/\b(tue|tues|tuesday)\b/, 'tue'],
+  [/\b(wed|weds|wednesday)\b/, 'wed'],
+  [/\b(thu|thur|thurs|thursday)\b/, 'thu'],
+  [/\b(fri|friday)\b/, 'fri'],
+  [/\b(sat|saturday)\b/, 'sat']
+];
+
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3 };
+
+function findWeekday(lower, now, timeZone) {
+  if (/\btoday\b/.test(lower)) return zonedParts(now, timeZone).weekday;
+  if (/\btomorrow\b/.test(lower)) return zonedParts(new Date(now.getTime() + 24 * 60 * MINUTE), timeZone).weekday;
+  const found = WEEKDAY_WORDS.find(([pattern]) => pattern.test(lower));
+  return found ? found[1] : null;
+}
+
+// { hour, minute, meridiem } from "at 3", "3pm", "15:30", "noon". A bare
+// number only counts after "at" or next to a weekday, so "3 bedrooms" is
+// not a time.
+function findTime(lower, hasWeekday) {
+  if (/\bnoon\b/.test(lower)) return { hour: 12, minute: 0, meridiem: 'pm' };
+
+  const re = /(\bat\s+)?\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?(?![\w:])/g;
+  let match;
+  while ((match = re.exec(lower)) !== null) {
+    const [, at, hourText, minuteText, meridiemText] = match;
+    const hour = Number(hourText);
+    if (hour > 23 || (minuteText && Number(minuteText) > 59)) continue;
+    if (!at && !minuteText && !meridiemText && !hasWeekday) continue;
+
+    return {
+      hour,
+      minute: Number(minuteText || 0),
+      meridiem: meridiemText ? meridiemText[0] + 'm' : null
+    };
+  }
+
+  return null;
+}
+
+// 24h hours `time` could mean. Without am/pm, 1-7 are afternoon hours.
+function candidateHours({ hour, meridiem }) {
+  if (meridiem === 'pm') return [hour < 12 ? hour + 12 : hour];
+  if (meridiem === 'am') return [hour === 12 ? 0 : hour];
+  if (hour >= 13) return [hour];
+  return hour >= 1 && hour <= 7 ? [hour + 12, hour] : [hour, hour + 12];
+}
+
+// What the lead picked from `slots` (the ones we offered):
+//   { slot }       one of the offered slots
+//   { requested }  a day and time we didn't offer (ISO), to check
+//   null           not about a time
+function parseSlotChoice(text, slots = [], { timeZone, now = new Date() }) {
+  const lower = String(text || '').toLowerCase().trim();
+
+  const number = lower.match(/^(?:option|number|no\.?|#)?\s*(\d)\s*(?:please|works|is good|is fine|sounds good)?[\s.!]*$/);
+  const word = Object.keys(ORDINALS).find(key => new RegExp(`\\b${key}\\b`).test(lower));
+  const index = number ? Number(number[1]) : word && lower.split(/\s+/).length <= 6 ? ORDINALS[word] : null;
+  if (index && slots[index - 1]) return { slot: slots[index - 1] };
+
+  const weekday = findWeekday(lower, now, timeZone);
+  const time = findTime(lower, Boolean(weekday));
+  if (!weekday && !time) return null;
+
+  const matching = slots.filter(slot => {
+    const local = zonedParts(new Date(slot.start), timeZone);
+    if (weekday && local.weekday !== weekday) return false;
+    if (time && (!candidateHours(time).includes(local.hour) || local.minute !== time.minute)) return false;
+    return true;
+  });
+  if (matching.length === 1) return { slot: matching[0] };
+
+  if (!weekday || !time) return null;
+
+  // Next such weekday (today if the time is still ahead) at that time
+  const hour = candidateHours(time)[0];
+  const today = zonedParts(now, timeZone);
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (WEEKDAYS[date.getUTCDay()] !== weekday) continue;
+
+    const requested = zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour,
+      minute: time.minute
+    }, timeZone);
+    if (requested > now) return { requested: requested.toISOString() };
+  }
+
+  return null;
+}
+
+// Does the lead want to move or call off their booked call?
+function detectAppointmentChange(text) {
+  const lower = String(text || '').toLowerCase();
+  if (/\b(re-?schedule|move (it|the call|our call|the meeting)|change the time|(a )?different (time|day)|another (time|day)|push it)\b/.test(lower)) {
+    return 'reschedule';
+  }
+  if (/\b(cancel|call it off|can'?t make it|cannot make it|won'?t make it)\b/.test(lower)) {
+    return 'cancel';
+  }
+  return null;
+}
+
+module.exports = {
+  agentProblem,
+  availableSlots,
+  detectAppointmentChange,
+  formatSlot,
+  parseSlotChoice,
+  parseWorkingHours,
+  pickOffer,
+  zonedParts,
+  zonedTimeToUtc
+};
@@ -0,0 +1,72 @@
+const {
+  normalizeBudget,
+  normalizeBedrooms,
+  normalizeTimeline
+} = require('./normalize');
+const { isKnownValue } = require('./qualification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What scoring rules get to look at. Rules in config/qualification.js are
+// `when(facts)` functions over this object.
+function buildScoreFacts({ state, flow, lead = {}, now = new Date() }) {
+  const byNormalizer = kind => flow.fields.find(field => field.normalize === kind);
+
+  const moneyField = byNormalizer('budget');
+  const bedroomsField = byNormalizer('bedrooms');
+  const timelineField = byNormalizer('timeline');
+
+  const money = moneyField ? normalizeBudget(state[moneyField.key]) : { budget_min: null, budget_max: null };
+  const bedrooms = bedroomsField ? normalizeBedrooms(state[bedroomsField.key]) : { bedrooms_min: null, bedrooms_max: null };
+  const timeline = timelineField ? normalizeTimeline(state[timelineField.key], now) : { timeline_start: null, timeline_end: null };
+
+  const moveStart = timeline.timeline_start ? Date.parse(timeline.timeline_start) : null;
+
+  return {
+    state,
+    lead,
+    ...money,
+    ...bedrooms,
+    ...timeline,
+    hasBudget: money.budget_min !== null || money.budget_max !== null,
+    // Days from now until the earliest move date, null when we can't tell
+    daysUntilMove: moveStart === null ? null : Math.max(0, Math.round((moveStart - now.getTime()) / DAY_MS)),
+    known: key => isKnownValue(state[key]),
+    unknown: key => state[key] === 'unknown',
+    matches: (key, re) => typeof state[key] === 'string' && re.test(state[key])
+  };
+}
+
+function formatRule(points, label) {
+  return `${points >= 0 ? '+' : '-'}${Math.abs(points)} ${label}`;
+}
+
+// hot / warm / cold from a 0-100 score
+function scoreLabel(score, thresholds) {
+  if (score >= thresholds.hot) return 'hot';
+  if (score >= thresholds.warm) return 'warm';
+  return 'cold';
+}
+
+// 0-100 lead score with the rules that produced it, e.g.
+// { score: 70, label: 'hot', breakdown: [{ rule: 'preapproved', points: 25, text: '+25 pre-approved' }, ...] }
+function scoreLead({ state, flow, lead, thresholds, now = new Date() }) {
+  const facts = buildScoreFacts({ state, flow, lead, now });
+
+  const breakdown = [
+    { rule: 'base', points: flow.score_base, text: formatRule(flow.score_base, 'base score') }
+  ];
+
+  for (const rule of flow.score_rules) {
+    if (rule.when(facts)) {
+      breakdown.push({ rule: rule.id, points: rule.points, text: formatRule(rule.points, rule.label) });
+    }
+  }
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+  const score = Math.max(0, Math.min(100, total));
+
+  return { score, label: scoreLabel(score, thresholds), breakdown };
+}
+
+module.exports = { scoreLead, scoreLabel, buildScoreFacts };
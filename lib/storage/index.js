@@ -0,0 +1,22 @@
+const { createSupabaseStore } = require('./supabase');
+const { createMemoryStore } = require('./memory');
+
+// Build the lead/message store picked by STORAGE_DRIVER (supabase | memory)
+function createStore(env = process.env) {
+  const driver = env.STORAGE_DRIVER || 'supabase';
+
+  if (driver === 'memory') {
+    return createMemoryStore();
+  }
+
+  if (driver === 'supabase') {
+    return createSupabaseStore({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_KEY
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+module.exports = { createStore, createSupabaseStore, createMemoryStore };
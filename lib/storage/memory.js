@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const { compareLeads, leadMatches } = require('../leadQuery');
+
+// Lead/message repository kept in process memory. Used for local runs and
+// tests; everything is lost when the process exits.
+function createMemoryStore() {
+  const leads = new Map();
+  const messages = [];
+  const scoreHistory = [];
+  const agents = new Map();
+  const appointments = new Map();
+  const listings = new Map();
+  const listingReactions = [];
+  const jobs = new Map();
+  const notifications = new Map();
+  const webhooks = new Map();
+  const webhookDeliveries = new Map();
+  let nextMessageId = 1;
+  let nextJobId = 1;
+  let nextNotificationId = 1;
+  let nextWebhookId = 1;
+  let nextWebhookDeliveryId = 1;
+
+  function now() {
+    return new Date().toISOString();
+  }
+
+  async function createLead(lead) {
+    if (leads.has(lead.phone)) {
+      const err = new Error(`lead ${lead.phone} already exists`);
+      err.code = 'duplicate_lead';
+      throw err;
+    }
+    leads.set(lead.phone, { ...lead, created_at: now() });
+  }
+
+  async function upsertLead(phone, fields) {
+    const existing = leads.get(phone) || { phone, created_at: now() };
+    leads.set(phone, { ...existing, ...fields, phone });
+  }
+
+  async function updateLead(phone, fields) {
+    const existing = leads.get(phone);
+    if (!existing) return null;
+    const updated = { ...existing, ...fields, phone };
+    leads.set(phone, updated);
+    return { ...updated };
+  }
+
+  async function getLead(phone) {
+    const lead = leads.get(phone);
+    return lead ? { ...lead } : null;
+  }
+
+  async function findLeadByEmail(email) {
+    const lead = [...leads.values()].find(l => l.email === email);
+    return lead ? { ...lead } : null;
+  }
+
+  // All leads, or one team's (plus leads without a team when
+  // `includeUnassigned`, they belong to the default team)
+  async function listLeads({ teamId, includeUnassigned = false } = {}) {
+    return [...leads.values()]
+      .filter(lead =>
+        !teamId ||
+        lead.team_id === teamId ||
+        (includeUnassigned && !lead.team_id)
+      )
+      .map(lead => ({ ...lead }));
+  }
+
+  // One page of the dashboard's lead list (see lib/leadQuery.js). `search`
+  // needs every word in the name/notes or in one of the lead's messages.
+  // Returns { leads, hasMore }.
+  async function queryLeads({ teamId, includeUnassigned = false, filters, search, sort, order, limit, cursor }) {
+    const terms = search ? search.toLowerCase().split(/\s+/) : null;
+    const hasTerms = text => terms.every(term => String(text || '').toLowerCase().includes(term));
+
+    const matching = (await listLeads({ teamId, includeUnassigned }))
+      .filter(lead => leadMatches(lead, filters))
+      .filter(lead =>
+        !terms ||
+        hasTerms(`${lead.name || ''} ${lead.notes || ''}`) ||
+        messages.some(m => m.lead_phone === lead.phone && hasTerms(m.message))
+      )
+      .sort((a, b) => compareLeads(a, b, sort, order));
+
+    const last = cursor && { [sort]: cursor.value, phone: cursor.phone };
+    const rest = last ? matching.filter(lead => compareLeads(lead, last, sort, order) > 0) : matching;
+
+    return { leads: rest.slice(0, limit), hasMore: rest.length > limit };
+  }
+
+  async function saveMessage(message) {
+    if (message.twilio_sid && messages.some(m => m.twilio_sid === message.twilio_sid)) {
+      return null;
+    }
+    if (message.email_message_id && messages.some(m => m.email_message_id === message.email_message_id)) {
+      return null;
+    }
+    const row = { id: nextMessageId++, created_at: now(), ...message };
+    messages.push(row);
+    return { ...row };
+  }
+
+  async function updateMessage(id, fields) {
+    const message = messages.find(m => m.id === id);
+    if (!message) return null;
+    Object.assign(message, fields);
+    return { ...message };
+  }
+
+  async function getMessageByTwilioSid(sid) {
+    const message = messages.find(m => m.twilio_sid === sid);
+    return message ? { ...message } : null;
+  }
+
+  async function getMessages(phone) {
+    return messages
+      .filter(m => m.lead_phone === phone)
+      .map(m => ({ ...m }));
+  }
+
+  async function addScoreHistory(entry) {
+    scoreHistory.push({ created_at: now(), ...entry });
+  }
+
+  async function getScoreHistory(phone) {
+    return scoreHistory
+      .filter(entry => entry.lead_phone === phone)
+      .map(entry => ({ ...entry }));
+  }
+
+  // Insert or merge an agent's scheduling profile, returns the row
+  async function saveAgent(id, fields) {
+    const existing = agents.get(id) || { id, created_at: now() };
+    const row = { ...existing, ...fields, id, updated_at: now() };
+    agents.set(id, row);
+    return { ...row };
+  }
+
+  async function getAgent(id) {
+    const agent = agents.get(id);
+    return agent ? { ...agent } : null;
+  }
+
+  async function listAgents({ teamId } = {}) {
+    return [...agents.values()]
+      .filter(agent => !teamId || agent.team_id === teamId)
+      .map(agent => ({ ...agent }));
+  }
+
+  async function createAppointment(appointment) {
+    const row = { id: crypto.randomUUID(), created_at: now(), ...appointment };
+    appointments.set(row.id, row);
+    return { ...row };
+  }
+
+  async function updateAppointment(id, fields) {
+    const existing = appointments.get(id);
+    if (!existing) return null;
+    const updated = { ...existing, ...fields, id };
+    appointments.set(id, updated);
+    return { ...updated };
+  }
+
+  async function getAppointment(id) {
+    const appointment = appointments.get(id);
+    return appointment ? { ...appointment } : null;
+  }
+
+  // Appointments by lead, agent or team, with `statuses` and starting in
+  // [from, to); oldest first
+  async function listAppointments({ leadPhone, agentId, teamId, statuses, from, to } = {}) {
+    return [...appointments.values()]
+      .filter(a =>
+        (!leadPhone || a.lead_phone === leadPhone) &&
+        (!agentId || a.agent_id === agentId) &&
+        (!teamId || a.team_id === teamId) &&
+        (!statuses || statuses.includes(a.status)) &&
+        (!from || a.start_at >= from) &&
+        (!to || a.start_at < to)
+      )
+      .sort((a, b) => a.start_at.localeCompare(b.start_at))
+      .map(a => ({ ...a }));
+  }
+
+  // Insert or replace a team's listings by id, returns how many were saved
+  async function upsertListings(teamId, rows) {
+    for (const listing of rows) {
+      const key = `${teamId}:${listing.id}`;
+      const existing = listings.get(key);
+      listings.set(key, { created_at: existing?.created_at || now(), ...listing, team_id: teamId, updated_at: now() });
+    }
+    return rows.length;
+  }
+
+  async function listListings({ teamId, status, listingType } = {}) {
+    return [...listings.values()]
+      .filter(listing =>
+        (!teamId || listing.team_id === teamId) &&
+        (!status || listing.status === status) &&
+        (!listingType || listing.listing_type === listingType)
+      )
+      .map(listing => ({ ...listing }));
+  }
+
+  async function addListingReaction(entry) {
+    const row = { created_at: now(), ...entry };
+    listingReactions.push(row);
+    return { ...row };
+  }
+
+  // A lead's reactions to listings we sent, oldest first
+  async function getListingReactions(phone) {
+    return listingReactions
+      .filter(entry => entry.lead_phone === phone)
+      .map(entry => ({ ...entry }));
+  }
+
+  // Queue a background job (lib/jobs.js); null when its dedupe_key is
+  // already queued
+  async function enqueueJob(job) {
+    if (job.dedupe_key && [...jobs.values()].some(j => j.dedupe_key === job.dedupe_key)) return null;
+    const row = { id: nextJobId++, created_at: now(), updated_at: now(), ...structuredClone(job) };
+    jobs.set(row.id, row);
+    return structuredClone(row);
+  }
+
+  // Jobs by id, status, type, lead or team (payload.teamId), oldest first
+  // unless order is 'desc'
+  async function listJobs({ ids, statuses, type, leadKey, teamId, limit, order = 'asc' } = {}) {
+    const found = [...jobs.values()]
+      .filter(job =>
+        (!ids || ids.includes(job.id)) &&
+        (!statuses || statuses.includes(job.status)) &&
+        (!type || job.type === type) &&
+        (!leadKey || job.lead_key === leadKey) &&
+        (!teamId || job.payload?.teamId === teamId)
+      )
+      .sort((a, b) => (order === 'desc' ? b.id - a.id : a.id - b.id));
+    return structuredClone(limit ? found.slice(0, limit) : found);
+  }
+
+  // Take a job for running if nobody else did since it was read (same
+  // attempts, still pending or running since before staleBefore)
+  async function claimJob(id, { attempts, lockedAt, staleBefore }) {
+    const job = jobs.get(id);
+    if (!job || job.attempts !== attempts) return null;
+    if (job.status !== 'pending' && !(job.status === 'running' && job.locked_at < staleBefore)) return null;
+
+    Object.assign(job, { status: 'running', attempts: attempts + 1, locked_at: lockedAt, updated_at: now() });
+    return structuredClone(job);
+  }
+
+  async function updateJob(id, fields) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    Object.assign(job, structuredClone(fields), { updated_at: now() });
+    return structuredClone(job);
+  }
+
+  async function addNotification(notification) {
+    const row = { id: nextNotificationId++, created_at: now(), ...structuredClone(notification) };
+    notifications.set(row.id, row);
+    return structuredClone(row);
+  }
+
+  // Agent alerts by id, agent, lead or alert key, created at or after
+  // `since`; newest first
+  async function listNotifications({ ids, agentId, leadPhone, alertKey, since, limit } = {}) {
+    const found = [...notifications.values()]
+      .filter(n =>
+        (!ids || ids.includes(n.id)) &&
+        (!agentId || n.agent_id === agentId) &&
+        (!leadPhone || n.lead_phone === leadPhone) &&
+        (!alertKey || n.alert_key === alertKey) &&
+        (!since || n.created_at >= since)
+      )
+      .sort((a, b) => b.id - a.id);
+    return structuredClone(limit ? found.slice(0, limit) : found);
+  }
+
+  async function updateNotification(id, fields) {
+    const notification = notifications.get(id);
+    if (!notification) return null;
+    Object.assign(notification, structuredClone(fields));
+    return structuredClone(notification);
+  }
+
+  async function addWebhook(webhook) {
+    const row = { id: nextWebhookId++, created_at: now(), updated_at: now(), ...structuredClone(webhook) };
+    webhooks.set(row.id, row);
+    return structuredClone(row);
+  }
+
+  // CRM webhook subscribers by id and team, oldest first
+  async function listWebhooks({ ids, teamId, active } = {}) {
+    const found = [...webhooks.values()]
+      .filter(w =>
+        (!ids || ids.includes(w.id)) &&
+        (!teamId || w.team_id === teamId) &&
+        (active === undefined || w.active === active)
+      )
+      .sort((a, b) => a.id - b.id);
+    return structuredClone(found);
+  }
+
+  async function updateWebhook(id, fields) {
+    const webhook = webhooks.get(id);
+    if (!webhook) return null;
+    Object.assign(webhook, structuredClone(fields), { updated_at: now() });
+    return structuredClone(webhook);
+  }
+
+  // Drops the subscriber and its delivery log
+  async function deleteWebhook(id) {
+    for (const delivery of webhookDeliveries.values()) {
+      if (delivery.webhook_id === id) webhookDeliveries.delete(delivery.id);
+    }
+    return webhooks.delete(id);
+  }
+
+  async function addWebhookDelivery(delivery) {
+    const row = { id: nextWebhookDeliveryId++, created_at: now(), ...structuredClone(delivery) };
+    webhookDeliveries.set(row.id, row);
+    return structuredClone(row);
+  }
+
+  // Webhook deliveries by id, subscriber, status, event or lead, created
+  // from `since` up to (not including) `until`; newest first
+  async function listWebhookDeliveries({ ids, webhookId, statuses, event, leadPhone, since, until, limit } = {}) {
+    const found = [...webhookDeliveries.values()]
+      .filter(d =>
+        (!ids || ids.includes(d.id)) &&
+        (!webhookId || d.webhook_id === webhookId) &&
+        (!statuses || statuses.includes(d.status)) &&
+        (!event || d.event === event) &&
+        (!leadPhone || d.lead_phone === leadPhone) &&
+        (!since || d.created_at >= since) &&
+        (!until || d.created_at < until)
+      )
+      .sort((a, b) => b.id - a.id);
+    return structuredClone(limit ? found.slice(0, limit) : found);
+  }
+
+  async function updateWebhookDelivery(id, fields) {
+    const delivery = webhookDeliveries.get(id);
+    if (!delivery) return null;
+    Object.assign(delivery, structuredClone(fields));
+    return structuredClone(delivery);
+  }
+
+  return {
+    name: 'memory',
+    createLead,
+    upsertLead,
+    updateLead,
+    getLead,
+    findLeadByEmail,
+    listLeads,
+    queryLeads,
+    saveMessage,
+    updateMessage,
+    getMessageByTwilioSid,
+    getMessages,
+    addScoreHistory,
+    getScoreHistory,
+    saveAgent,
+    getAgent,
+    listAgents,
+    createAppointment,
+    updateAppointment,
+    getAppointment,
+    listAppointments,
+    upsertListings,
+    listListings,
+    addListingReaction,
+    getListingReactions,
+    enqueueJob,
+    listJobs,
+    claimJob,
+    updateJob,
+    addNotification,
+    listNotifications,
+    updateNotification,
+    addWebhook,
+    listWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    addWebhookDelivery,
+    listWebhookDeliveries,
+    updateWebhookDelivery
+  };
+}
+
+module.exports = { createMemoryStore };
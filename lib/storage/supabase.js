@@ -0,0 +1,613 @@
+const axios = require('axios');
+
+// Columns returned to the dashboard by listLeads
+const LEAD_LIST_COLUMNS = [
+  'phone',
+  'name',
+  'source',
+  'flow',
+  'location',
+  'budget',
+  'budget_min',
+  'budget_max',
+  'timeline',
+  'timeline_start',
+  'timeline_end',
+  'home_type',
+  'bedrooms',
+  'bedrooms_min',
+  'bedrooms_max',
+  'preapproval',
+  'motivation',
+  'property_address',
+  'property_condition',
+  'asking_price',
+  'time_to_sell',
+  'monthly_rent',
+  'lease_start',
+  'pets',
+  'lead_state',
+  'lead_score',
+  'lead_score_value',
+  'score_breakdown',
+  'scored_at',
+  'notes',
+  'wants_meeting',
+  'meeting_notes',
+  'consent_status',
+  'consent_updated_at',
+  'conversation_mode',
+  'mode_updated_at',
+  'last_agent_activity_at',
+  'status',
+  'last_intent',
+  'last_intent_scores',
+  'timezone',
+  'email',
+  'channel',
+  'team_id',
+  'assigned_to',
+  'assigned_at',
+  'created_at',
+  'last_message_at',
+  'last_message_preview',
+  'last_message_sender',
+  'unread_count',
+  'last_read_at',
+  'listing_interest',
+  'language',
+  'language_source',
+  'delivery_problem'
+];
+
+// A value inside a PostgREST logical filter, quoted so timestamps, emails
+// and commas survive
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function inList(values) {
+  return `(${values.map(quote).join(',')})`;
+}
+
+// lead range [minColumn, maxColumn] overlaps [min, max] (lib/leadQuery.js)
+function rangeConditions(minColumn, maxColumn, min, max) {
+  const conditions = [`or(${minColumn}.not.is.null,${maxColumn}.not.is.null)`];
+  if (max != null) conditions.push(`or(${minColumn}.is.null,${minColumn}.lte.${max})`);
+  if (min != null) conditions.push(`or(${maxColumn}.is.null,${maxColumn}.gte.${min})`);
+  return conditions;
+}
+
+// Leads after the cursor in `sort` `order` (nulls last, phone tie-break)
+function cursorCondition({ value, phone }, sort, order) {
+  const op = order === 'asc' ? 'gt' : 'lt';
+  if (value === null) return `and(${sort}.is.null,phone.${op}.${quote(phone)})`;
+  return `or(${sort}.${op}.${quote(value)},and(${sort}.eq.${quote(value)},phone.${op}.${quote(phone)}),${sort}.is.null)`;
+}
+
+// The GET /leads filters as PostgREST conditions, to go in and=(...)
+function leadQueryConditions({ teamId, includeUnassigned, filters: f, phones, sort, order, cursor }) {
+  const conditions = [];
+
+  if (teamId) {
+    conditions.push(includeUnassigned
+      ? `or(team_id.eq.${quote(teamId)},team_id.is.null)`
+      : `team_id.eq.${quote(teamId)}`);
+  }
+  if (phones) conditions.push(`phone.in.${inList(phones)}`);
+
+  if (f.scoreLabels) conditions.push(`lead_score.in.${inList(f.scoreLabels)}`);
+  if (f.minScore != null) conditions.push(`lead_score_value.gte.${f.minScore}`);
+  if (f.maxScore != null) conditions.push(`lead_score_value.lte.${f.maxScore}`);
+  if (f.location) conditions.push(`location.ilike.${quote(`*${f.location}*`)}`);
+  if (f.budgetMin != null || f.budgetMax != null) {
+    conditions.push(...rangeConditions('budget_min', 'budget_max', f.budgetMin, f.budgetMax));
+  }
+  if (f.bedrooms != null) {
+    conditions.push(...rangeConditions('bedrooms_min', 'bedrooms_max', f.bedrooms, f.bedrooms));
+  }
+  if (f.wantsMeeting != null) conditions.push(f.wantsMeeting ? 'wants_meeting.is.true' : 'wants_meeting.not.is.true');
+  if (f.sources) conditions.push(`source.in.${inList(f.sources)}`);
+  if (f.statuses) conditions.push(`status.in.${inList(f.statuses)}`);
+  if (f.languages) conditions.push(`language.in.${inList(f.languages)}`);
+  if (f.undelivered != null) conditions.push(f.undelivered ? 'delivery_problem.not.is.null' : 'delivery_problem.is.null');
+  if (f.activeAfter) conditions.push(`last_message_at.gte.${quote(f.activeAfter)}`);
+  if (f.activeBefore) conditions.push(`last_message_at.lt.${quote(f.activeBefore)}`);
+
+  if (cursor) conditions.push(cursorCondition(cursor, sort, order));
+
+  return conditions;
+}
+
+const MESSAGE_COLUMNS = [
+  'id',
+  'sender',
+  'message',
+  'created_at',
+  'lead_phone',
+  'channel',
+  'team_id',
+  'media',
+  'location',
+  'twilio_sid',
+  'delivery_status',
+  'delivery_error',
+  'delivery_updated_at'
+];
+
+// Lead/message repository backed by Supabase's PostgREST API
+function createSupabaseStore({ url, key }) {
+  const restUrl = `${url}/rest/v1`;
+
+  function headers(prefer) {
+    const h = {
+      apikey: key,
+      Authorization: `Bearer ${key}`,
+      'Content-Type': 'application/json'
+    };
+    if (prefer) h.Prefer = prefer;
+    return h;
+  }
+
+  async function createLead(lead) {
+    const resp = await axios.post(`${restUrl}/leads`, lead, {
+      headers: headers('return=minimal')
+    });
+    console.log('Supabase insert OK, status:', resp.status);
+  }
+
+  // Insert or merge a lead row keyed by phone
+  async function upsertLead(phone, fields) {
+    const row = { ...fields, phone };
+    await axios.post(`${restUrl}/leads?on_conflict=phone`, [row], {
+      headers: headers('resolution=merge-duplicates,return=minimal')
+    });
+  }
+
+  // Patch an existing lead, returns the updated row or null
+  async function updateLead(phone, fields) {
+    const { data } = await axios.patch(
+      `${restUrl}/leads?phone=eq.${encodeURIComponent(phone)}`,
+      fields,
+      { headers: headers('return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  async function getLead(phone) {
+    const { data } = await axios.get(
+      `${restUrl}/leads?select=*&phone=eq.${encodeURIComponent(phone)}&limit=1`,
+      { headers: headers() }
+    );
+    return data?.[0] || null;
+  }
+
+  async function findLeadByEmail(email) {
+    const { data } = await axios.get(
+      `${restUrl}/leads?select=*&email=eq.${encodeURIComponent(email)}&limit=1`,
+      { headers: headers() }
+    );
+    return data?.[0] || null;
+  }
+
+  // All leads, or one team's (plus leads without a team when
+  // `includeUnassigned`, they belong to the default team)
+  async function listLeads({ teamId, includeUnassigned = false } = {}) {
+    let filter = '';
+    if (teamId) {
+      const team = encodeURIComponent(teamId);
+      filter = includeUnassigned
+        ? `&or=(team_id.eq.${team},team_id.is.null)`
+        : `&team_id=eq.${team}`;
+    }
+
+    const { data } = await axios.get(
+      `${restUrl}/leads?select=${LEAD_LIST_COLUMNS.join(',')}${filter}`,
+      { headers: headers() }
+    );
+    return data || [];
+  }
+
+  // One page of the dashboard's lead list (see lib/leadQuery.js). Search
+  // goes through the search_lead_phones function (full-text over name,
+  // notes and messages). Returns { leads, hasMore }.
+  async function queryLeads({ teamId, includeUnassigned = false, filters, search, sort, order, limit, cursor }) {
+    let phones = null;
+    if (search) {
+      const { data } = await axios.post(`${restUrl}/rpc/search_lead_phones`, { search }, { headers: headers() });
+      phones = (data || []).map(row => (typeof row === 'string' ? row : row.search_lead_phones));
+      if (phones.length === 0) return { leads: [], hasMore: false };
+    }
+
+    const conditions = leadQueryConditions({ teamId, includeUnassigned, filters, phones, sort, order, cursor });
+    const params = [
+      `select=${LEAD_LIST_COLUMNS.join(',')}`,
+      `order=${sort}.${order}.nullslast,phone.${order}`,
+      `limit=${limit + 1}`
+    ];
+    if (conditions.length) params.push(`and=${encodeURIComponent(`(${conditions.join(',')})`)}`);
+
+    const { data } = await axios.get(`${restUrl}/leads?${params.join('&')}`, { headers: headers() });
+    const rows = data || [];
+    return { leads: rows.slice(0, limit), hasMore: rows.length > limit };
+  }
+
+  // Insert a message. When twilio_sid (or email_message_id) is set, a row
+  // with the same id is ignored and null is returned so callers can treat it
+  // as a retry.
+  async function saveMessage(message) {
+    const dedupeColumn = message.twilio_sid
+      ? 'twilio_sid'
+      : message.email_message_id ? 'email_message_id' : null;
+
+    if (!dedupeColumn) {
+      const { data } = await axios.post(`${restUrl}/messages`, message, {
+        headers: headers('return=representation')
+      });
+      return data?.[0] || message;
+    }
+
+    const { data } = await axios.post(
+      `${restUrl}/messages?on_conflict=${dedupeColumn}`,
+      message,
+      { headers: headers('resolution=ignore-duplicates,return=representation') }
+    );
+
+    // With ignore-duplicates PostgREST only returns rows it actually inserted
+    if (Array.isArray(data) && data.length === 0) return null;
+    return data?.[0] || message;
+  }
+
+  async function updateMessage(id, fields) {
+    const { data } = await axios.patch(
+      `${restUrl}/messages?id=eq.${encodeURIComponent(id)}`,
+      fields,
+      { headers: headers('return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  async function getMessageByTwilioSid(sid) {
+    const { data } = await axios.get(
+      `${restUrl}/messages?select=${MESSAGE_COLUMNS.join(',')}&twilio_sid=eq.${encodeURIComponent(sid)}&limit=1`,
+      { headers: headers() }
+    );
+    return data?.[0] || null;
+  }
+
+  // All messages for a lead, oldest first
+  async function getMessages(phone) {
+    const { data } = await axios.get(
+      `${restUrl}/messages` +
+        `?select=${MESSAGE_COLUMNS.join(',')}` +
+        `&lead_phone=eq.${encodeURIComponent(phone)}` +
+        `&order=created_at.asc`,
+      { headers: headers() }
+    );
+    return data || [];
+  }
+
+  async function addScoreHistory(entry) {
+    await axios.post(`${restUrl}/lead_score_history`, entry, {
+      headers: headers('return=minimal')
+    });
+  }
+
+  // Score changes for a lead, oldest first
+  async function getScoreHistory(phone) {
+    const { data } = await axios.get(
+      `${restUrl}/lead_score_history` +
+        `?select=score,label,breakdown,created_at` +
+        `&lead_phone=eq.${encodeURIComponent(phone)}` +
+        `&order=created_at.asc`,
+      { headers: headers() }
+    );
+    return data || [];
+  }
+
+  // Insert or merge an agent's scheduling profile, returns the row
+  async function saveAgent(id, fields) {
+    const { data } = await axios.post(
+      `${restUrl}/agents?on_conflict=id`,
+      [{ ...fields, id, updated_at: new Date().toISOString() }],
+      { headers: headers('resolution=merge-duplicates,return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  async function getAgent(id) {
+    const { data } = await axios.get(
+      `${restUrl}/agents?select=*&id=eq.${encodeURIComponent(id)}&limit=1`,
+      { headers: headers() }
+    );
+    return data?.[0] || null;
+  }
+
+  async function listAgents({ teamId } = {}) {
+    const filter = teamId ? `&team_id=eq.${encodeURIComponent(teamId)}` : '';
+    const { data } = await axios.get(`${restUrl}/agents?select=*${filter}`, { headers: headers() });
+    return data || [];
+  }
+
+  async function createAppointment(appointment) {
+    const { data } = await axios.post(`${restUrl}/appointments`, appointment, {
+      headers: headers('return=representation')
+    });
+    return data?.[0] || null;
+  }
+
+  // Patch an appointment, returns the updated row or null
+  async function updateAppointment(id, fields) {
+    const { data } = await axios.patch(
+      `${restUrl}/appointments?id=eq.${encodeURIComponent(id)}`,
+      fields,
+      { headers: headers('return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  async function getAppointment(id) {
+    const { data } = await axios.get(
+      `${restUrl}/appointments?select=*&id=eq.${encodeURIComponent(id)}&limit=1`,
+      { headers: headers() }
+    );
+    return data?.[0] || null;
+  }
+
+  // Appointments by lead, agent or team, with `statuses` and starting in
+  // [from, to); oldest first
+  async function listAppointments({ leadPhone, agentId, teamId, statuses, from, to } = {}) {
+    const params = ['select=*', 'order=start_at.asc'];
+    if (leadPhone) params.push(`lead_phone=eq.${encodeURIComponent(leadPhone)}`);
+    if (agentId) params.push(`agent_id=eq.${encodeURIComponent(agentId)}`);
+    if (teamId) params.push(`team_id=eq.${encodeURIComponent(teamId)}`);
+    if (statuses) params.push(`status=in.${encodeURIComponent(inList(statuses))}`);
+    if (from) params.push(`start_at=gte.${encodeURIComponent(from)}`);
+    if (to) params.push(`start_at=lt.${encodeURIComponent(to)}`);
+
+    const { data } = await axios.get(`${restUrl}/appointments?${params.join('&')}`, { headers: headers() });
+    return data || [];
+  }
+
+  // Insert or replace a team's listings by id, in batches; returns how many
+  // were saved
+  async function upsertListings(teamId, rows) {
+    const updatedAt = new Date().toISOString();
+    for (let i = 0; i < rows.length; i += 500) {
+      await axios.post(
+        `${restUrl}/listings?on_conflict=team_id,id`,
+        rows.slice(i, i + 500).map(listing => ({ ...listing, team_id: teamId, updated_at: updatedAt })),
+        { headers: headers('resolution=merge-duplicates,return=minimal') }
+      );
+    }
+    return rows.length;
+  }
+
+  async function listListings({ teamId, status, listingType } = {}) {
+    const params = ['select=*'];
+    if (teamId) params.push(`team_id=eq.${encodeURIComponent(teamId)}`);
+    if (status) params.push(`status=eq.${encodeURIComponent(status)}`);
+    if (listingType) params.push(`listing_type=eq.${encodeURIComponent(listingType)}`);
+
+    const { data } = await axios.get(`${restUrl}/listings?${params.join('&')}`, { headers: headers() });
+    return data || [];
+  }
+
+  async function addListingReaction(entry) {
+    const { data } = await axios.post(`${restUrl}/listing_reactions`, entry, {
+      headers: headers('return=representation')
+    });
+    return data?.[0] || entry;
+  }
+
+  // A lead's reactions to listings we sent, oldest first
+  async function getListingReactions(phone) {
+    const { data } = await axios.get(
+      `${restUrl}/listing_reactions` +
+        `?select=listing_id,reaction,message,created_at` +
+        `&lead_phone=eq.${encodeURIComponent(phone)}` +
+        `&order=created_at.asc`,
+      { headers: headers() }
+    );
+    return data || [];
+  }
+
+  // Queue a background job (lib/jobs.js); null when its dedupe_key is
+  // already queued
+  async function enqueueJob(job) {
+    if (!job.dedupe_key) {
+      const { data } = await axios.post(`${restUrl}/jobs`, job, { headers: headers('return=representation') });
+      return data?.[0] || null;
+    }
+
+    const { data } = await axios.post(`${restUrl}/jobs?on_conflict=dedupe_key`, job, {
+      headers: headers('resolution=ignore-duplicates,return=representation')
+    });
+    return data?.[0] || null;
+  }
+
+  // Jobs by id, status, type, lead or team (payload.teamId), oldest first
+  // unless order is 'desc'
+  async function listJobs({ ids, statuses, type, leadKey, teamId, limit, order = 'asc' } = {}) {
+    const params = ['select=*', `order=id.${order === 'desc' ? 'desc' : 'asc'}`];
+    if (ids) params.push(`id=in.(${ids.map(Number).join(',')})`);
+    if (statuses) params.push(`status=in.${encodeURIComponent(inList(statuses))}`);
+    if (type) params.push(`type=eq.${encodeURIComponent(type)}`);
+    if (leadKey) params.push(`lead_key=eq.${encodeURIComponent(leadKey)}`);
+    if (teamId) params.push(`payload->>teamId=eq.${encodeURIComponent(teamId)}`);
+    if (limit) params.push(`limit=${limit}`);
+
+    const { data } = await axios.get(`${restUrl}/jobs?${params.join('&')}`, { headers: headers() });
+    return data || [];
+  }
+
+  // Take a job for running if nobody else did since it was read (same
+  // attempts, still pending or running since before staleBefore). The
+  // filter makes the update conditional, so only one worker gets the row.
+  async function claimJob(id, { attempts, lockedAt, staleBefore }) {
+    const filter = [
+      `id=eq.${Number(id)}`,
+      `attempts=eq.${Number(attempts)}`,
+      `or=${encodeURIComponent(`(status.eq.pending,and(status.eq.running,locked_at.lt.${quote(staleBefore)}))`)}`
+    ].join('&');
+
+    const { data } = await axios.patch(
+      `${restUrl}/jobs?${filter}`,
+      { status: 'running', attempts: attempts + 1, locked_at: lockedAt, updated_at: new Date().toISOString() },
+      { headers: headers('return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  async function updateJob(id, fields) {
+    const { data } = await axios.patch(
+      `${restUrl}/jobs?id=eq.${Number(id)}`,
+      { ...fields, updated_at: new Date().toISOString() },
+      { headers: headers('return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  async function addNotification(notification) {
+    const { data } = await axios.post(`${restUrl}/agent_notifications`, notification, {
+      headers: headers('return=representation')
+    });
+    return data?.[0] || null;
+  }
+
+  // Agent alerts by id, agent, lead or alert key, created at or after
+  // `since`; newest first
+  async function listNotifications({ ids, agentId, leadPhone, alertKey, since, limit } = {}) {
+    const params = ['select=*', 'order=id.desc'];
+    if (ids) params.push(`id=in.(${ids.map(Number).join(',')})`);
+    if (agentId) params.push(`agent_id=eq.${encodeURIComponent(agentId)}`);
+    if (leadPhone) params.push(`lead_phone=eq.${encodeURIComponent(leadPhone)}`);
+    if (alertKey) params.push(`alert_key=eq.${encodeURIComponent(alertKey)}`);
+    if (since) params.push(`created_at=gte.${encodeURIComponent(since)}`);
+    if (limit) params.push(`limit=${limit}`);
+
+    const { data } = await axios.get(`${restUrl}/agent_notifications?${params.join('&')}`, { headers: headers() });
+    return data || [];
+  }
+
+  async function updateNotification(id, fields) {
+    const { data } = await axios.patch(
+      `${restUrl}/agent_notifications?id=eq.${Number(id)}`,
+      fields,
+      { headers: headers('return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  async function addWebhook(webhook) {
+    const { data } = await axios.post(`${restUrl}/webhook_subscriptions`, webhook, {
+      headers: headers('return=representation')
+    });
+    return data?.[0] || null;
+  }
+
+  // CRM webhook subscribers by id and team, oldest first
+  async function listWebhooks({ ids, teamId, active } = {}) {
+    const params = ['select=*', 'order=id.asc'];
+    if (ids) params.push(`id=in.(${ids.map(Number).join(',')})`);
+    if (teamId) params.push(`team_id=eq.${encodeURIComponent(teamId)}`);
+    if (active !== undefined) params.push(`active=is.${active}`);
+
+    const { data } = await axios.get(`${restUrl}/webhook_subscriptions?${params.join('&')}`, { headers: headers() });
+    return data || [];
+  }
+
+  async function updateWebhook(id, fields) {
+    const { data } = await axios.patch(
+      `${restUrl}/webhook_subscriptions?id=eq.${Number(id)}`,
+      { ...fields, updated_at: new Date().toISOString() },
+      { headers: headers('return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  // Drops the subscriber and (on delete cascade) its delivery log
+  async function deleteWebhook(id) {
+    const { data } = await axios.delete(`${restUrl}/webhook_subscriptions?id=eq.${Number(id)}`, {
+      headers: headers('return=representation')
+    });
+    return (data || []).length > 0;
+  }
+
+  async function addWebhookDelivery(delivery) {
+    const { data } = await axios.post(`${restUrl}/webhook_deliveries`, delivery, {
+      headers: headers('return=representation')
+    });
+    return data?.[0] || null;
+  }
+
+  // Webhook deliveries by id, subscriber, status, event or lead, created
+  // from `since` up to (not including) `until`; newest first
+  async function listWebhookDeliveries({ ids, webhookId, statuses, event, leadPhone, since, until, limit } = {}) {
+    const params = ['select=*', 'order=id.desc'];
+    if (ids) params.push(`id=in.(${ids.map(Number).join(',')})`);
+    if (webhookId) params.push(`webhook_id=eq.${Number(webhookId)}`);
+    if (statuses) params.push(`status=in.${encodeURIComponent(inList(statuses))}`);
+    if (event) params.push(`event=eq.${encodeURIComponent(event)}`);
+    if (leadPhone) params.push(`lead_phone=eq.${encodeURIComponent(leadPhone)}`);
+    if (since) params.push(`created_at=gte.${encodeURIComponent(since)}`);
+    if (until) params.push(`created_at=lt.${encodeURIComponent(until)}`);
+    if (limit) params.push(`limit=${limit}`);
+
+    const { data } = await axios.get(`${restUrl}/webhook_deliveries?${params.join('&')}`, { headers: headers() });
+    return data || [];
+  }
+
+  async function updateWebhookDelivery(id, fields) {
+    const { data } = await axios.patch(
+      `${restUrl}/webhook_deliveries?id=eq.${Number(id)}`,
+      fields,
+      { headers: headers('return=representation') }
+    );
+    return data?.[0] || null;
+  }
+
+  return {
+    name: 'supabase',
+    createLead,
+    upsertLead,
+    updateLead,
+    getLead,
+    findLeadByEmail,
+    listLeads,
+    queryLeads,
+    saveMessage,
+    updateMessage,
+    getMessageByTwilioSid,
+    getMessages,
+    addScoreHistory,
+    getScoreHistory,
+    saveAgent,
+    getAgent,
+    listAgents,
+    createAppointment,
+    updateAppointment,
+    getAppointment,
+    listAppointments,
+    upsertListings,
+    listListings,
+    addListingReaction,
+    getListingReactions,
+    enqueueJob,
+    listJobs,
+    claimJob,
+    updateJob,
+    addNotification,
+    listNotifications,
+    updateNotification,
+    addWebhook,
+    listWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    addWebhookDelivery,
+    listWebhookDeliveries,
+    updateWebhookDelivery
+  };
+}
+
+module.exports = { createSupabaseStore, LEAD_LIST_COLUMNS };
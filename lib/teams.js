@@ -0,0 +1,104 @@
+const path = require('path');
+
+const { normalizeEmail } = require('./channels');
+const {
+  applyQualificationOverrides,
+  loadQualificationConfig
+} = require('./qualification');
+
+// Digits only, so "whatsapp:+1 480-555-0100" and "+14805550100" match
+function numberKey(number) {
+  return String(number || '').replace(/\D/g, '');
+}
+
+// Load the teams (config/teams.example.js documents the shape) from the
+// file TEAMS_CONFIG points at, or build the single default team from the
+// global env values. `qualification` is the global qualification config.
+function loadTeams(env = process.env, qualification) {
+  if (!env.TEAMS_CONFIG) {
+    return prepareTeams([{
+      id: 'default',
+      brand_name: env.BRAND_NAME || null,
+      numbers: [env.TWILIO_WHATSAPP_NUMBER, env.TWILIO_SMS_NUMBER].filter(Boolean),
+      whatsapp_number: env.TWILIO_WHATSAPP_NUMBER,
+      sms_number: env.TWILIO_SMS_NUMBER || env.TWILIO_WHATSAPP_NUMBER,
+      email_from: env.EMAIL_FROM,
+      booking_link: env.BOOKING_LINK,
+      default: true
+    }], { env, qualification, source: 'env' });
+  }
+
+  const file = path.resolve(env.TEAMS_CONFIG);
+  return prepareTeams(require(file), { env, qualification, source: file });
+}
+
+// Check the team records and index them. Throws on a config we can't run
+// with. Returns { list, default, byId(id), byNumber(to), byEmail(address) };
+// the lookups fall back to the default team.
+function prepareTeams(raw, { env = process.env, qualification, source = 'teams config' }) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error(`${source}: expected a non-empty list of teams`);
+  }
+
+  const byId = new Map();
+  const byNumber = new Map();
+  const byEmail = new Map();
+
+  for (const team of raw) {
+    if (!team.id) throw new Error(`${source}: every team needs an id`);
+    if (byId.has(team.id)) throw new Error(`${source}: team "${team.id}" is listed twice`);
+
+    const numbers = (team.numbers || []).map(numberKey).filter(Boolean);
+    if (source !== 'env' && numbers.length === 0) {
+      throw new Error(`${source}: team "${team.id}" has no inbound numbers`);
+    }
+    if (source !== 'env' && !team.booking_link) {
+      throw new Error(`${source}: team "${team.id}" has no booking_link`);
+    }
+
+    const base = team.qualification_config
+      ? loadQualificationConfig({ QUALIFICATION_CONFIG: team.qualification_config })
+      : qualification;
+
+    const prepared = {
+      brand_name: null,
+      persona: null,
+      ...team,
+      numbers,
+      whatsapp_number: team.whatsapp_number || team.numbers?.[0] || null,
+      sms_number: team.sms_number || team.numbers?.[0] || null,
+      email_from: team.email_from || env.EMAIL_FROM || null,
+      emails: (team.emails || []).map(normalizeEmail),
+      qualification: applyQualificationOverrides(base, team.qualification, `${source}: team "${team.id}"`)
+    };
+
+    byId.set(prepared.id, prepared);
+
+    for (const number of numbers) {
+      if (byNumber.has(number)) {
+        throw new Error(`${source}: number +${number} belongs to "${byNumber.get(number).id}" and "${team.id}"`);
+      }
+      byNumber.set(number, prepared);
+    }
+
+    for (const email of prepared.emails) byEmail.set(email, prepared);
+  }
+
+  const list = [...byId.values()];
+  const defaults = list.filter(team => team.default);
+  if (defaults.length > 1) {
+    throw new Error(`${source}: only one team can be the default (${defaults.map(t => t.id).join(', ')})`);
+  }
+  const defaultTeam = defaults[0] || list[0];
+
+  return {
+    list,
+    default: defaultTeam,
+    byId: id => byId.get(id) || defaultTeam,
+    byNumber: number => byNumber.get(numberKey(number)) || defaultTeam,
+    byEmail: email => byEmail.get(normalizeEmail(email)) || defaultTeam,
+    has: id => byId.has(id)
+  };
+}
+
+module.exports = { loadTeams, prepareTeams, numberKey };
@@ -0,0 +1,81 @@
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+// Speech to text for voice notes, picked by TRANSCRIPTION_PROVIDER
+// (openai | mock | none). Providers expose
+// transcribe({ url, contentType, language }) and resolve to the text, or
+// null when there is nothing to read. `download(url)` fetches the audio
+// (see createMediaDownloader in lib/media.js).
+
+const DEFAULT_TRANSCRIPTION_MODEL = 'whisper-1';
+
+// Audio content type -> file extension the API recognizes
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/opus': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'm4a',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+function createOpenAITranscriber({ apiKey, model, download }) {
+  const openai = new OpenAI({ apiKey });
+
+  async function transcribe({ url, contentType, language }) {
+    const audio = await download(url);
+    const type = (contentType || audio.contentType || 'audio/ogg').split(';')[0];
+    const file = await toFile(audio.data, `voice-note.${EXTENSIONS[type] || 'ogg'}`, { type });
+
+    const result = await openai.audio.transcriptions.create({
+      file,
+      model,
+      ...(language ? { language } : {})
+    });
+
+    return result.text?.trim() || null;
+  }
+
+  return { name: 'openai', model, transcribe };
+}
+
+// Deterministic transcriber for tests and local runs: `script(text)` sets
+// what transcribe() returns (a string, or a function of the request).
+// Calls are recorded in `calls`.
+function createMockTranscriber() {
+  const calls = [];
+  let scripted = null;
+
+  return {
+    name: 'mock',
+    calls,
+    script(text) {
+      scripted = text;
+    },
+    async transcribe(request) {
+      calls.push(request);
+      return typeof scripted === 'function' ? scripted(request) : scripted;
+    }
+  };
+}
+
+function createTranscriber(env = process.env, { download } = {}) {
+  const provider = env.TRANSCRIPTION_PROVIDER || 'openai';
+
+  if (provider === 'none') return { name: 'none', transcribe: async () => null };
+  if (provider === 'mock') return createMockTranscriber();
+  if (provider === 'openai') {
+    return createOpenAITranscriber({
+      apiKey: env.OPENAI_API_KEY,
+      model: env.TRANSCRIPTION_MODEL || DEFAULT_TRANSCRIPTION_MODEL,
+      download
+    });
+  }
+
+  throw new Error(`Unknown TRANSCRIPTION_PROVIDER: ${provider}`);
+}
+
+module.exports = { createTranscriber, createMockTranscriber, createOpenAITranscriber };
@@ -0,0 +1,27 @@
+const twilio = require('twilio');
+
+// Build the Twilio client. With TWILIO_DRY_RUN=true nothing is sent: messages
+// are logged and kept in `sent` so local runs and tests can inspect them.
+function createTwilioClient(env = process.env) {
+  if (env.TWILIO_DRY_RUN === 'true') {
+    const sent = [];
+    let nextSid = 1;
+
+    return {
+      dryRun: true,
+      sent,
+      messages: {
+        async create(params) {
+          const message = { sid: `SMdryrun${String(nextSid++).padStart(8, '0')}`, status: 'queued', ...params };
+          sent.push(message);
+          console.log('[dry run] Twilio message:', message);
+          return message;
+        }
+      }
+    };
+  }
+
+  return twilio(env.TWILIO_ACCOUNT_SID, env.TWILIO_AUTH_TOKEN);
+}
+
+module.exports = { createTwilioClient };
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+
+const { isEmailKey, isHttpUrl } = require('./channels');
+const { isOptedOut } = require('./consent');
+const {
+  EVENT_LEAD_CREATED,
+  EVENT_LEAD_OPTED_OUT,
+  EVENT_LEAD_SCORED,
+  EVENT_LEAD_UPDATED,
+  EVENT_MEETING_REQUESTED,
+  EVENT_MESSAGE_CREATED
+} = require('./events');
+
+// Outbound webhooks that keep a CRM in step with our leads. A team
+// registers subscribers (webhook_subscriptions):
+//
+//   { id, team_id, url, events, preset, secret, active, description }
+//
+//   events  which of WEBHOOK_EVENTS it wants
+//   preset  the shape of the lead in `data`: raw (our lead row) or a CRM's
+//           record (follow_up_boss, hubspot, salesforce), see CRM_PRESETS
+//
+// Every event a subscriber wants becomes a delivery (webhook_deliveries),
+// sent by a `webhook` job so a subscriber that's down gets it again with
+// backoff. The request body is
+//
+//   { id, event_id, event, created_at, team_id, lead_phone, replay_of, data }
+//
+// `id` is the delivery's, `event_id` stays the same when a delivery is
+// replayed. It's signed with the subscriber's secret:
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers check it with verifySignature() (or the same recipe) and should
+// turn down old timestamps, so a captured request can't be played again.
+
+// The event bus events (lib/events.js) subscribers can get
+const WEBHOOK_EVENTS = [
+  EVENT_LEAD_CREATED,
+  EVENT_LEAD_UPDATED,
+  EVENT_LEAD_SCORED,
+  EVENT_MESSAGE_CREATED,
+  EVENT_MEETING_REQUESTED,
+  EVENT_LEAD_OPTED_OUT
+];
+
+// Delivery status: pending until the subscriber answers 2xx (delivered) or
+// every try has failed (failed)
+const WEBHOOK_PENDING = 'pending';
+const WEBHOOK_DELIVERED = 'delivered';
+const WEBHOOK_FAILED = 'failed';
+const WEBHOOK_STATUSES = [WEBHOOK_PENDING, WEBHOOK_DELIVERED, WEBHOOK_FAILED];
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return { first: null, last: null };
+  return { first: parts[0], last: parts.slice(1).join(' ') || null };
+}
+
+function leadPhoneNumber(lead) {
+  return isEmailKey(lead.phone) ? null : `+${lead.phone}`;
+}
+
+function leadEmail(lead) {
+  return lead.email || (isEmailKey(lead.phone) ? lead.phone : null);
+}
+
+// One line about what happened, for the CRM's activity / notes
+function describeEvent(type, detail = {}, lead = {}) {
+  switch (type) {
+    case EVENT_LEAD_CREATED:
+      return `New lead${lead.source ? ` from ${lead.source}` : ''}`;
+    case EVENT_LEAD_UPDATED:
+      return `Updated: ${(detail.changes || []).join(', ') || 'lead'}`;
+    case EVENT_LEAD_SCORED:
+      return `Score ${detail.previous_score ?? '-'} -> ${detail.score} (${detail.label})`;
+    case EVENT_MESSAGE_CREATED:
+      return `${detail.message?.sender || 'message'}: ${detail.message?.message || ''}`;
+    case EVENT_MEETING_REQUESTED:
+      return `Asked for a call: "${detail.message || ''}"`;
+    case EVENT_LEAD_OPTED_OUT:
+      return 'Opted out of messages';
+    default:
+      return type;
+  }
+}
+
+// Follow Up Boss (Events API: POST /v1/events)
+function followUpBoss(lead, type, detail) {
+  const { first, last } = splitName(lead.name);
+  const phone = leadPhoneNumber(lead);
+  const email = leadEmail(lead);
+
+  return {
+    source: lead.source || 'Real Estate AI',
+    system: 'Real Estate AI',
+    type: type === EVENT_LEAD_CREATED ? 'Registration' : 'General Inquiry',
+    message: describeEvent(type, detail, lead),
+    person: {
+      firstName: first,
+      lastName: last,
+      phones: phone ? [{ value: phone, type: 'mobile' }] : [],
+      emails: email ? [{ value: email }] : [],
+      stage: lead.lead_score === 'hot' ? 'Hot Prospect' : 'Lead',
+      tags: [lead.lead_score, lead.flow, isOptedOut(lead) && 'opted out'].filter(Boolean)
+    }
+  };
+}
+
+const HUBSPOT_LEAD_STATUS = {
+  qualifying: 'IN_PROGRESS',
+  qualified: 'OPEN',
+  meeting_requested: 'CONNECTED',
+  meeting_booked: 'CONNECTED',
+  not_interested: 'BAD_TIMING',
+  wrong_number: 'UNQUALIFIED'
+};
+
+// HubSpot contact properties (CRM API: /crm/v3/objects/contacts)
+function hubspot(lead, type, detail) {
+  const { first, last } = splitName(lead.name);
+
+  return {
+    properties: {
+      firstname: first,
+      lastname: last,
+      phone: leadPhoneNumber(lead),
+      email: leadEmail(lead),
+      city: lead.location || null,
+      lifecyclestage: 'lead',
+      hs_lead_status: HUBSPOT_LEAD_STATUS[lead.status] || 'NEW'
+    },
+    note: describeEvent(type, detail, lead)
+  };
+}
+
+const SALESFORCE_STATUS = {
+  qualifying: 'Working - Contacted',
+  qualified: 'Working - Contacted',
+  meeting_requested: 'Working - Contacted',
+  meeting_booked: 'Working - Contacted',
+  not_interested: 'Closed - Not Converted',
+  wrong_number: 'Closed - Not Converted'
+};
+
+// Salesforce Lead sObject. LastName and Company are required there, so
+// they're never empty.
+function salesforce(lead, type, detail) {
+  const { first, last } = splitName(lead.name);
+  const rating = lead.lead_score ? lead.lead_score[0].toUpperCase() + lead.lead_score.slice(1) : null;
+
+  return {
+    FirstName: last ? first : null,
+    LastName: last || first || '[not provided]',
+    Company: lead.name || '[not provided]',
+    Phone: leadPhoneNumber(lead),
+    Email: leadEmail(lead),
+    City: lead.location || null,
+    LeadSource: lead.source || 'Real Estate AI',
+    Status: SALESFORCE_STATUS[lead.status] || 'Open - Not Contacted',
+    Rating: rating,
+    HasOptedOutOfEmail: isOptedOut(lead),
+    Description: describeEvent(type, detail, lead)
+  };
+}
+
+// Our lead row plus what the event carries (changes, score, message, ...)
+function raw(lead, type, detail) {
+  return { lead, ...detail };
+}
+
+const CRM_PRESETS = {
+  raw,
+  follow_up_boss: followUpBoss,
+  hubspot,
+  salesforce
+};
+const WEBHOOK_PRESETS = Object.keys(CRM_PRESETS);
+
+// What's wrong with a subscriber's settings, null if nothing. With
+// `partial` (an update) missing fields are fine.
+function subscriptionProblem(fields, { partial = false } = {}) {
+  if (!fields || typeof fields !== 'object') return 'send the subscriber as a JSON object';
+
+  if (!partial || fields.url !== undefined) {
+    if (!isHttpUrl(fields.url)) return 'url must be an http(s) URL';
+  }
+
+  if (!partial || fields.events !== undefined) {
+    if (!Array.isArray(fields.events) || fields.events.length === 0) return 'events must list at least one event';
+    const unknown = fields.events.find(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown) return `events: ${unknown} is not one of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+
+  if (fields.preset !== undefined && !WEBHOOK_PRESETS.includes(fields.preset)) {
+    return `preset must be one of: ${WEBHOOK_PRESETS.join(', ')}`;
+  }
+  if (fields.active !== undefined && typeof fields.active !== 'boolean') return 'active must be true or false';
+  if (fields.description != null) {
+    if (typeof fields.description !== 'string') return 'description must be text';
+    if (fields.description.length > MAX_DESCRIPTION_LENGTH) {
+      return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// A subscriber as the API shows it: the secret only on create / rotate
+function publicSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+// The delivery body (without its id) for `event` off the event bus, the
+// lead shaped by the subscriber's preset
+function webhookPayload(event, lead, preset = 'raw') {
+  const { lead: _lead, ...detail } = event.data || {};
+  const shape = CRM_PRESETS[preset] || raw;
+
+  return {
+    event_id: event.id,
+    event: event.type,
+    created_at: event.created_at,
+    team_id: event.team_id,
+    lead_phone: event.lead_phone,
+    data: shape(lead, event.type, detail)
+  };
+}
+
+function signature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// The X-Webhook-Signature value for `body` (the exact string sent)
+function signPayload(secret, body, now = new Date()) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  return `t=${timestamp},v1=${signature(secret, timestamp, body)}`;
+}
+
+// Whether `header` is a valid signature of `body` made within
+// `toleranceSeconds` of `now`
+function verifySignature(secret, header, body, { now = new Date(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now.getTime() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signature(secret, timestamp, body), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  CRM_PRESETS,
+  SIGNATURE_HEADER,
+  WEBHOOK_DELIVERED,
+  WEBHOOK_EVENTS,
+  WEBHOOK_FAILED,
+  WEBHOOK_PENDING,
+  WEBHOOK_PRESETS,
+  WEBHOOK_STATUSES,
+  describeEvent,
+  newSecret,
+  publicSubscription,
+  signPayload,
+  subscriptionProblem,
+  verifySignature,
+  webhookPayload
+};
@@ -0,0 +1,5 @@
+-- Twilio MessageSid for each message, used to dedupe webhook retries
+alter table messages add column if not exists twilio_sid text;
+
+create unique index if not exists messages_twilio_sid_key
+  on messages (twilio_sid);
@@ -0,0 +1,11 @@
+-- Numeric/date versions of the free-text qualification answers
+alter table leads
+  add column if not exists budget_min numeric,
+  add column if not exists budget_max numeric,
+  add column if not exists bedrooms_min integer,
+  add column if not exists bedrooms_max integer,
+  add column if not exists timeline_start date,
+  add column if not exists timeline_end date;
+
+create index if not exists leads_budget_max_idx on leads (budget_max);
+create index if not exists leads_timeline_start_idx on leads (timeline_start);
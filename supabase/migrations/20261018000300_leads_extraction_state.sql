@@ -0,0 +1,5 @@
+-- Last extracted qualification state and the newest message it covers,
+-- so each webhook call only sends new turns to the model
+alter table leads
+  add column if not exists lead_state jsonb,
+  add column if not exists last_extracted_message_id bigint;
@@ -0,0 +1,5 @@
+-- Messaging consent: opted_in / opted_out (null = never said either way)
+alter table leads
+  add column if not exists consent_status text
+    check (consent_status in ('opted_in', 'opted_out')),
+  add column if not exists consent_updated_at timestamptz;
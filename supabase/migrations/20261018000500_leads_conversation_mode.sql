@@ -0,0 +1,6 @@
+-- Human takeover: who answers the lead's inbound messages
+alter table leads
+  add column if not exists conversation_mode text not null default 'ai'
+    check (conversation_mode in ('ai', 'agent', 'paused')),
+  add column if not exists mode_updated_at timestamptz,
+  add column if not exists last_agent_activity_at timestamptz;
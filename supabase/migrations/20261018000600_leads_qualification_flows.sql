@@ -0,0 +1,11 @@
+-- Qualification flow per lead (buyer / renter / seller, see config/qualification.js)
+-- plus the columns for the renter and seller fields
+alter table leads
+  add column if not exists flow text,
+  add column if not exists property_address text,
+  add column if not exists property_condition text,
+  add column if not exists asking_price text,
+  add column if not exists time_to_sell text,
+  add column if not exists monthly_rent text,
+  add column if not exists lease_start text,
+  add column if not exists pets text;
@@ -0,0 +1,17 @@
+-- Rule-based 0-100 lead score with its breakdown, plus every score change
+alter table leads
+  add column if not exists lead_score_value integer,
+  add column if not exists score_breakdown jsonb,
+  add column if not exists scored_at timestamptz;
+
+create table if not exists lead_score_history (
+  id bigint generated always as identity primary key,
+  lead_phone text not null,
+  score integer not null,
+  label text not null,
+  breakdown jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists lead_score_history_lead_phone_idx
+  on lead_score_history (lead_phone, created_at);
@@ -0,0 +1,6 @@
+-- Intent of the lead's latest message and the status it moves the lead to
+-- (qualifying, qualified, meeting_requested, not_interested, wrong_number)
+alter table leads
+  add column if not exists status text,
+  add column if not exists last_intent text,
+  add column if not exists last_intent_scores jsonb;
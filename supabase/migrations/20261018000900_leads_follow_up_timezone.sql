@@ -0,0 +1,5 @@
+-- Lead's IANA timezone (e.g. America/Phoenix) so follow-ups respect quiet
+-- hours where the lead is. Follow-up touches are messages with
+-- sender = 'follow_up'.
+alter table leads
+  add column if not exists timezone text;
@@ -0,0 +1,17 @@
+-- SMS and email alongside WhatsApp. Leads we only know by email use the
+-- address as their key in `phone` (and messages.lead_phone).
+alter table leads
+  add column if not exists email text,
+  add column if not exists channel text not null default 'whatsapp',
+  add column if not exists last_email_subject text;
+
+create index if not exists leads_email_idx on leads (email);
+
+-- Channel each message went over, and the email Message-ID used to dedupe
+-- inbound email webhook retries
+alter table messages
+  add column if not exists channel text,
+  add column if not exists email_message_id text;
+
+create unique index if not exists messages_email_message_id_key
+  on messages (email_message_id);
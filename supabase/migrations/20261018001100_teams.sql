@@ -0,0 +1,8 @@
+-- Multi-tenant: every lead and message belongs to a team (see
+-- config/teams.example.js). A phone number belongs to the first team it
+-- contacted; leads without a team belong to the default team.
+alter table leads add column if not exists team_id text;
+alter table messages add column if not exists team_id text;
+
+create index if not exists leads_team_id_idx on leads (team_id);
+create index if not exists messages_team_id_idx on messages (team_id);
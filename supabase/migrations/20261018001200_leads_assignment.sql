@@ -0,0 +1,7 @@
+-- Dashboard user (token `sub`) a lead is assigned to; agents can only act
+-- on their own leads
+alter table leads
+  add column if not exists assigned_to text,
+  add column if not exists assigned_at timestamptz;
+
+create index if not exists leads_assigned_to_idx on leads (assigned_to);
@@ -0,0 +1,47 @@
+-- Dashboard lead list: last message preview and unread count kept on the
+-- lead (the app updates them as messages are saved), so GET /leads can
+-- filter, sort and page without joining messages.
+alter table leads
+  add column if not exists last_message_at timestamptz,
+  add column if not exists last_message_preview text,
+  add column if not exists last_message_sender text,
+  add column if not exists unread_count integer not null default 0,
+  add column if not exists last_read_at timestamptz;
+
+update leads
+set
+  last_message_at = latest.created_at,
+  last_message_preview = left(latest.message, 140),
+  last_message_sender = latest.sender
+from (
+  select distinct on (lead_phone) lead_phone, created_at, message, sender
+  from messages
+  order by lead_phone, created_at desc, id desc
+) latest
+where latest.lead_phone = leads.phone;
+
+-- Keyset pagination: sort column, then phone
+create index if not exists leads_last_message_at_idx on leads (last_message_at desc, phone desc);
+create index if not exists leads_score_value_idx on leads (lead_score_value desc, phone desc);
+
+-- Full-text search over name, notes and messages (?q=)
+create index if not exists leads_search_idx
+  on leads using gin (to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(notes, '')));
+create index if not exists messages_search_idx
+  on messages using gin (to_tsvector('simple', coalesce(message, '')));
+
+create or replace function search_lead_phones(search text)
+returns setof text
+language sql
+stable
+as $$
+  select phone
+  from leads
+  where to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(notes, ''))
+    @@ websearch_to_tsquery('simple', search)
+  union
+  select lead_phone
+  from messages
+  where to_tsvector('simple', coalesce(message, ''))
+    @@ websearch_to_tsquery('simple', search)
+$$;
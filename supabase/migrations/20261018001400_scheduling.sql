@@ -0,0 +1,43 @@
+-- Built-in scheduling (lib/scheduling.js): agents' working hours and
+-- calendar busy blocks, the calls leads book with them, and the slots we
+-- offered a lead and are waiting on an answer for.
+create table if not exists agents (
+  id text primary key, -- the dashboard user (token `sub`)
+  team_id text,
+  name text,
+  email text,
+  phone text,
+  timezone text not null,
+  working_hours jsonb not null default '{}'::jsonb,
+  slot_minutes integer not null default 30,
+  buffer_minutes integer not null default 15,
+  busy_blocks jsonb not null default '[]'::jsonb,
+  busy_updated_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists agents_team_id_idx on agents (team_id);
+
+create table if not exists appointments (
+  id uuid primary key default gen_random_uuid(),
+  lead_phone text not null references leads (phone) on delete cascade,
+  agent_id text not null references agents (id),
+  team_id text,
+  start_at timestamptz not null,
+  end_at timestamptz not null,
+  status text not null default 'booked' check (status in ('booked', 'cancelled')),
+  sequence integer not null default 0,
+  reminder_sent_at timestamptz,
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists appointments_lead_phone_idx on appointments (lead_phone, start_at);
+create index if not exists appointments_agent_id_idx on appointments (agent_id, start_at);
+create index if not exists appointments_team_id_idx on appointments (team_id, start_at);
+create index if not exists appointments_reminders_idx on appointments (start_at)
+  where status = 'booked' and reminder_sent_at is null;
+
+alter table leads add column if not exists meeting_offer jsonb;
@@ -0,0 +1,45 @@
+-- Property listings imported from a local feed (lib/listings.js), the
+-- homes we sent a lead and what they thought of them
+create table if not exists listings (
+  team_id text not null,
+  id text not null, -- ListingKey / MLS number from the feed
+  listing_type text not null default 'sale' check (listing_type in ('sale', 'rent')),
+  status text not null default 'active',
+  address text,
+  city text,
+  state text,
+  postal_code text,
+  subdivision text,
+  county text,
+  price numeric not null,
+  bedrooms numeric,
+  bathrooms numeric,
+  home_type text,
+  sqft numeric,
+  url text,
+  photo_url text,
+  listed_at text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (team_id, id)
+);
+
+create index if not exists listings_match_idx on listings (team_id, listing_type, status, price);
+
+create table if not exists listing_reactions (
+  id bigserial primary key,
+  lead_phone text not null references leads (phone) on delete cascade,
+  team_id text,
+  listing_id text not null,
+  reaction text not null check (reaction in ('liked', 'disliked', 'tour')),
+  message text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists listing_reactions_lead_phone_idx on listing_reactions (lead_phone, created_at);
+
+-- Listings we sent the lead, in order ("the second one"), and the criteria
+-- they matched, so new answers get new matches
+alter table leads add column if not exists listing_matches jsonb;
+-- What the lead said about them: { liked: [ids], tour: [ids], disliked: [ids] }
+alter table leads add column if not exists listing_interest jsonb;
@@ -0,0 +1,8 @@
+-- The language we write to the lead in (ISO 639-1, see lib/language.js):
+-- detected from their messages, or pinned by an agent
+alter table leads
+  add column if not exists language text,
+  add column if not exists language_source text not null default 'detected'
+    check (language_source in ('detected', 'agent'));
+
+create index if not exists leads_language_idx on leads (language);
@@ -0,0 +1,6 @@
+-- Photos / voice notes ([{ url, content_type, kind, transcript }]) and the
+-- location pin ({ latitude, longitude, label, address, place, ... }) that
+-- came with an inbound message (lib/media.js)
+alter table messages
+  add column if not exists media jsonb,
+  add column if not exists location jsonb;
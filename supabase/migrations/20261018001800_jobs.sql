@@ -0,0 +1,23 @@
+-- Background jobs (lib/jobs.js): inbound messages are saved by the webhook
+-- and processed here with retries; dead jobs are the dead-letter list
+create table if not exists jobs (
+  id bigserial primary key,
+  type text not null,
+  lead_key text, -- jobs of one lead run one at a time, in id order
+  payload jsonb not null default '{}'::jsonb,
+  progress jsonb not null default '{}'::jsonb,
+  status text not null default 'pending' check (status in ('pending', 'running', 'done', 'dead')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  run_at timestamptz not null default now(),
+  locked_at timestamptz,
+  last_error text,
+  dedupe_key text, -- e.g. the Twilio MessageSid, queued once
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create unique index if not exists jobs_dedupe_key_key on jobs (dedupe_key);
+create index if not exists jobs_unfinished_idx on jobs (id) where status in ('pending', 'running');
+create index if not exists jobs_status_idx on jobs (status, id);
@@ -0,0 +1,13 @@
+-- Delivery state of outbound messages (lib/delivery.js). twilio_sid now
+-- also holds the SID of messages we send, which status callbacks look up.
+alter table messages
+  add column if not exists delivery_status text
+    check (delivery_status in ('queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'undelivered', 'rate_limited')),
+  add column if not exists delivery_error text,
+  add column if not exists delivery_updated_at timestamptz;
+
+-- The lead's "not delivered" warning: { message_id, status, error, at } of
+-- the last message that didn't get through, null once one does
+alter table leads add column if not exists delivery_problem jsonb;
+
+create index if not exists leads_delivery_problem_idx on leads ((delivery_problem is not null));
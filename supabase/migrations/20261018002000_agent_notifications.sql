@@ -0,0 +1,25 @@
+-- Agent alerts (lib/notifications.js): each agent's rules and webhook, and
+-- a log of the alerts sent, which also keeps repeats from going out
+alter table agents
+  add column if not exists notification_rules jsonb not null default '[]'::jsonb,
+  add column if not exists notification_webhook_url text;
+
+create table if not exists agent_notifications (
+  id bigserial primary key,
+  agent_id text not null references agents (id) on delete cascade,
+  lead_phone text not null references leads (phone) on delete cascade,
+  event text not null check (event in ('hot_lead', 'meeting_requested', 'unanswered_question', 'no_agent_response')),
+  alert_key text not null, -- same key within the repeat window = suppressed
+  channels jsonb not null default '[]'::jsonb,
+  subject text,
+  text text,
+  link text,
+  status text not null default 'queued' check (status in ('queued', 'sent', 'failed')),
+  delivered jsonb not null default '[]'::jsonb, -- channels it got out on
+  error text,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists agent_notifications_agent_idx on agent_notifications (agent_id, id desc);
+create index if not exists agent_notifications_alert_key_idx on agent_notifications (agent_id, alert_key, created_at desc);
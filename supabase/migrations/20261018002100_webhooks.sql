@@ -0,0 +1,38 @@
+-- CRM webhooks (lib/webhooks.js): each team's subscribers and a log of every
+-- event sent to them, which is also what a replay resends
+create table if not exists webhook_subscriptions (
+  id bigserial primary key,
+  team_id text not null,
+  url text not null,
+  events jsonb not null default '[]'::jsonb,
+  preset text not null default 'raw' check (preset in ('raw', 'follow_up_boss', 'hubspot', 'salesforce')),
+  secret text not null, -- signs the requests (X-Webhook-Signature)
+  active boolean not null default true,
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_subscriptions_team_idx on webhook_subscriptions (team_id);
+
+create table if not exists webhook_deliveries (
+  id bigserial primary key,
+  webhook_id bigint not null references webhook_subscriptions (id) on delete cascade,
+  event_id text, -- the event bus id, the same on a replay
+  event text not null,
+  lead_phone text,
+  team_id text,
+  payload jsonb not null, -- the body without its id
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  response_status integer,
+  response_body text,
+  error text,
+  replay_of bigint references webhook_deliveries (id) on delete set null,
+  created_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_webhook_idx on webhook_deliveries (webhook_id, id desc);
+create index if not exists webhook_deliveries_status_idx on webhook_deliveries (webhook_id, status, created_at);
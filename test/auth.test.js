@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { signToken, verifyToken } = require('../lib/auth');
+const { startServer, authHeaders, store } = require('./helpers/server');
+
+const SECRET = process.env.AUTH_JWT_SECRET;
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function call(method, path, { claims, body, headers = {} } = {}) {
+  return fetch(server.baseUrl + path, {
+    method,
+    headers: {
+      ...(claims === null ? {} : authHeaders(claims)),
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+const AGENT = { sub: 'agent-ana', role: 'agent' };
+const OTHER_AGENT = { sub: 'agent-bo', role: 'agent' };
+const VIEWER = { sub: 'viewer-vi', role: 'viewer' };
+
+test('verifyToken accepts our tokens and rejects everything else', () => {
+  const user = verifyToken(signToken({ sub: 'u1', role: 'agent', team: 't1' }, SECRET), SECRET);
+  assert.deepEqual(user, { id: 'u1', role: 'agent', team: 't1', name: null });
+
+  const expired = signToken({ sub: 'u1', role: 'agent' }, SECRET, { expiresIn: 60, now: Date.now() - 120000 });
+  assert.throws(() => verifyToken(expired, SECRET), /expired/);
+
+  assert.throws(() => verifyToken(signToken({ sub: 'u1', role: 'agent' }, 'other-secret'), SECRET), /signature/);
+  assert.throws(() => verifyToken(signToken({ sub: 'u1', role: 'owner' }, SECRET), SECRET), /unknown role/);
+  assert.throws(() => verifyToken('not.a.token', SECRET), /malformed/);
+
+  // alg "none" with the signature stripped
+  const [, payload] = signToken({ sub: 'u1', role: 'admin' }, SECRET).split('.');
+  const none = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${payload}.`;
+  assert.throws(() => verifyToken(none, SECRET), /unsupported token algorithm/);
+});
+
+test('dashboard routes need a valid token', async () => {
+  const phone = '15551234101';
+  await server.sendWhatsApp(phone, 'hi');
+
+  assert.equal((await call('GET', '/leads', { claims: null })).status, 401);
+  assert.equal((await call('GET', `/leads/${phone}/messages`, { claims: null })).status, 401);
+  assert.equal(
+    (await call('GET', '/leads', { claims: null, headers: { Authorization: 'Bearer nope' } })).status,
+    401
+  );
+  assert.equal((await call('GET', '/leads')).status, 200);
+});
+
+test('viewers can read but not act', async () => {
+  const phone = '15551234102';
+  await server.sendWhatsApp(phone, 'hi');
+
+  assert.equal((await call('GET', `/leads/${phone}/messages`, { claims: VIEWER })).status, 200);
+  assert.equal((await call('POST', `/leads/${phone}/reply`, { claims: VIEWER, body: { message: 'hey' } })).status, 403);
+  assert.equal((await call('PATCH', `/leads/${phone}/notes`, { claims: VIEWER, body: { notes: 'x' } })).status, 403);
+});
+
+test('agents can only act on leads assigned to them', async () => {
+  const phone = '15551234103';
+  await server.sendWhatsApp(phone, 'hi');
+
+  const before = await call('POST', `/leads/${phone}/reply`, { claims: AGENT, body: { message: 'hey' } });
+  assert.equal(before.status, 403);
+
+  // Only admins assign
+  const selfAssign = await call('PATCH', `/leads/${phone}/assignment`, { claims: AGENT, body: { assigned_to: 'agent-ana' } });
+  assert.equal(selfAssign.status, 403);
+
+  const assign = await call('PATCH', `/leads/${phone}/assignment`, { body: { assigned_to: 'agent-ana' } });
+  assert.equal(assign.status, 200);
+  assert.equal((await store.getLead(phone)).assigned_to, 'agent-ana');
+
+  const reply = await call('POST', `/leads/${phone}/reply`, { claims: AGENT, body: { message: 'Hi, Ana here' } });
+  assert.equal(reply.status, 200);
+
+  const other = await call('PATCH', `/leads/${phone}/mode`, { claims: OTHER_AGENT, body: { mode: 'ai' } });
+  assert.equal(other.status, 403);
+
+  const unassign = await call('PATCH', `/leads/${phone}/assignment`, { body: { assigned_to: null } });
+  assert.equal(unassign.status, 200);
+  assert.equal((await store.getLead(phone)).assigned_to, null);
+});
+
+test('leads of another team look like they do not exist', async () => {
+  const phone = '15551234104';
+  await server.sendWhatsApp(phone, 'hi');
+
+  const res = await call('GET', `/leads/${phone}/messages`, { claims: { ...VIEWER, team: 'some-other-team' } });
+  assert.equal(res.status, 404);
+});
+
+test('admin-only routes and the removed test route', async () => {
+  assert.equal((await call('POST', '/follow-ups/run', { claims: AGENT })).status, 403);
+  assert.equal((await call('POST', '/follow-ups/run')).status, 200);
+  assert.equal((await call('GET', '/test-log')).status, 404);
+});
+
+test('CORS only allows the configured dashboard origins', async () => {
+  const allowed = await fetch(`${server.baseUrl}/leads`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://dashboard.example.com', 'Access-Control-Request-Method': 'GET' }
+  });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://dashboard.example.com');
+
+  const denied = await fetch(`${server.baseUrl}/leads`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://evil.example.com', 'Access-Control-Request-Method': 'GET' }
+  });
+  assert.equal(denied.headers.get('access-control-allow-origin'), null);
+});
@@ -0,0 +1,192 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseInboundEmail, replySubject, stripQuotedReply } = require('../lib/email');
+const { startServer, authHeaders, store, client, mailer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function postJson(path, payload, method = 'POST') {
+  return fetch(server.baseUrl + path, {
+    method,
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+}
+
+test('parseInboundEmail reads Postmark and plain payloads', () => {
+  const postmark = parseInboundEmail({
+    FromFull: { Email: 'Jane@Example.com', Name: 'Jane Doe' },
+    To: 'Leads <leads@example.com>, other@example.com',
+    Subject: 'Condo in Scottsdale',
+    TextBody: 'Is it still available?\n\nOn Mon, Jan 5, 2026 at 9:00 AM Assistant wrote:\n> Hi Jane',
+    MessageID: 'pm-123'
+  });
+
+  assert.deepEqual(postmark, {
+    from: 'jane@example.com',
+    name: 'Jane Doe',
+    to: 'leads@example.com',
+    subject: 'Condo in Scottsdale',
+    text: 'Is it still available?',
+    messageId: 'pm-123'
+  });
+
+  const plain = parseInboundEmail({
+    from: '"Sam Lee" <sam@example.com>',
+    subject: 'Re: Your home search',
+    text: 'about 500k\n> what is your budget?',
+    headers: { 'message-id': '<abc@mail.example.com>' }
+  });
+
+  assert.equal(plain.from, 'sam@example.com');
+  assert.equal(plain.name, 'Sam Lee');
+  assert.equal(plain.text, 'about 500k');
+  assert.equal(plain.messageId, '<abc@mail.example.com>');
+
+  assert.equal(parseInboundEmail({ text: 'hi' }).from, null);
+});
+
+test('stripQuotedReply and replySubject', () => {
+  assert.equal(stripQuotedReply('Sounds good\n-----Original Message-----\nFrom: us'), 'Sounds good');
+  assert.equal(replySubject('Condo in Scottsdale'), 'Re: Condo in Scottsdale');
+  assert.equal(replySubject('RE: Condo'), 'RE: Condo');
+  assert.equal(replySubject(null), 'Your home search');
+});
+
+test('an inbound SMS gets the qualification reply by SMS', async () => {
+  const phone = '15551236001';
+  const sentBefore = client.sent.length;
+
+  const res = await server.sendSms(phone, 'looking for a 3 bed house in Mesa');
+  assert.equal(res.status, 200);
+
+  const sent = client.sent.slice(sentBefore);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, `+${phone}`);
+  assert.equal(sent[0].from, process.env.TWILIO_SMS_NUMBER);
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.channel, 'sms');
+  assert.equal(lead.flow, 'buyer');
+
+  const messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => [m.sender, m.channel]), [['lead', 'sms'], ['ai', 'sms']]);
+});
+
+test('SMS webhook requires a Twilio signature', async () => {
+  const res = await server.sendSms('15551236002', 'hello', { signed: false });
+  assert.equal(res.status, 403);
+});
+
+test('an inbound email from an unknown address creates an email lead', async () => {
+  const sentBefore = mailer.sent.length;
+
+  const res = await server.sendEmail({
+    FromFull: { Email: 'Rae@Example.com', Name: 'Rae Park' },
+    Subject: 'Townhome in Tempe',
+    TextBody: 'Hi, we want to buy a townhome in Tempe',
+    MessageID: 'email-0001'
+  });
+  assert.equal(res.status, 200);
+
+  const lead = await store.getLead('rae@example.com');
+  assert.equal(lead.channel, 'email');
+  assert.equal(lead.email, 'rae@example.com');
+  assert.equal(lead.name, 'Rae Park');
+
+  const sent = mailer.sent.slice(sentBefore);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'rae@example.com');
+  assert.equal(sent[0].subject, 'Re: Townhome in Tempe');
+
+  // Provider retry with the same Message-ID
+  await server.sendEmail({
+    FromFull: { Email: 'rae@example.com' },
+    Subject: 'Townhome in Tempe',
+    TextBody: 'Hi, we want to buy a townhome in Tempe',
+    MessageID: 'email-0001'
+  });
+  assert.equal(mailer.sent.length, sentBefore + 1);
+  assert.equal((await store.getMessages('rae@example.com')).length, 2);
+});
+
+test('email from a known address joins that lead and switches its channel', async () => {
+  const phone = '15551236003';
+  await postJson('/lead', { name: 'Lou', phone, email: 'lou@example.com', source: 'website' });
+  await server.sendWhatsApp(phone, 'hi, looking in Phoenix');
+
+  await server.sendEmail({
+    from: 'Lou <LOU@example.com>',
+    subject: 'budget',
+    text: 'our budget is about 600k',
+    message_id: 'email-0002'
+  });
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.channel, 'email');
+  assert.equal(lead.name, 'Lou');
+  assert.equal(await store.getLead('lou@example.com'), null);
+
+  const messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.channel), ['whatsapp', 'whatsapp', 'whatsapp', 'email', 'email']);
+});
+
+test('email webhook rejects calls without the shared secret', async () => {
+  const res = await server.sendEmail(
+    { from: 'x@example.com', text: 'hi', message_id: 'email-0003' },
+    { secret: 'wrong-secret' }
+  );
+  assert.equal(res.status, 403);
+});
+
+test('agent replies go out on the lead channel', async () => {
+  const phone = '15551236004';
+  await server.sendSms(phone, 'need a rental in Tempe');
+
+  const sentBefore = client.sent.length;
+  const res = await postJson(`/leads/${phone}/reply`, { message: 'Hi, this is Dana the agent' });
+  const body = await res.json();
+
+  assert.equal(body.channel, 'sms');
+  assert.equal(client.sent.at(-1).to, `+${phone}`);
+  assert.equal(client.sent.length, sentBefore + 1);
+  assert.equal((await store.getMessages(phone)).at(-1).channel, 'sms');
+});
+
+test('PATCH /leads/:phone/channel validates the channel', async () => {
+  const phone = '15551236005';
+  await server.sendWhatsApp(phone, 'hello');
+
+  const noEmail = await postJson(`/leads/${phone}/channel`, { channel: 'email' }, 'PATCH');
+  assert.equal(noEmail.status, 400);
+
+  const unknown = await postJson(`/leads/${phone}/channel`, { channel: 'fax' }, 'PATCH');
+  assert.equal(unknown.status, 400);
+
+  const sms = await postJson(`/leads/${phone}/channel`, { channel: 'sms' }, 'PATCH');
+  assert.equal(sms.status, 200);
+  assert.equal((await store.getLead(phone)).channel, 'sms');
+
+  const missing = await postJson('/leads/15551230000/channel', { channel: 'sms' }, 'PATCH');
+  assert.equal(missing.status, 404);
+});
+
+test('POST /lead accepts email-only leads', async () => {
+  const res = await postJson('/lead', { name: 'Mo', email: 'Mo@Example.com', source: 'zillow' });
+  assert.equal(res.status, 200);
+
+  const lead = await store.getLead('mo@example.com');
+  assert.equal(lead.channel, 'email');
+
+  const bad = await postJson('/lead', { name: 'Mo', email: 'mo@example.com', channel: 'sms' });
+  assert.equal(bad.status, 400);
+});
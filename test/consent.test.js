@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectConsentKeyword } = require('../lib/consent');
+const { startServer, authHeaders, store, llm, client } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('detectConsentKeyword spots opt-out keywords and phrases', () => {
+  assert.equal(detectConsentKeyword('STOP'), 'opt_out');
+  assert.equal(detectConsentKeyword('Unsubscribe.'), 'opt_out');
+  assert.equal(detectConsentKeyword('please leave me alone'), 'opt_out');
+  assert.equal(detectConsentKeyword('Stop texting me!!'), 'opt_out');
+  assert.equal(detectConsentKeyword("I can't stop looking at that house"), null);
+  assert.equal(detectConsentKeyword('the end of the year'), null);
+});
+
+test('detectConsentKeyword only treats "yes" as opt-in for opted-out leads', () => {
+  assert.equal(detectConsentKeyword('START'), 'opt_in');
+  assert.equal(detectConsentKeyword('yes'), null);
+  assert.equal(detectConsentKeyword('yes', { wasOptedOut: true }), 'opt_in');
+});
+
+test('STOP opts the lead out, confirms, and skips the AI', async () => {
+  const phone = '15551237001';
+  const replyCallsBefore = llm.calls.filter(c => c.task === 'reply').length;
+
+  const res = await server.sendWhatsApp(phone, 'STOP');
+  assert.equal(res.status, 200);
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.consent_status, 'opted_out');
+  assert.ok(lead.consent_updated_at);
+
+  assert.equal(llm.calls.filter(c => c.task === 'reply').length, replyCallsBefore);
+  assert.match(client.sent.at(-1).body, /unsubscribed/);
+  assert.equal(client.sent.at(-1).to, `whatsapp:+${phone}`);
+
+  const messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.sender), ['lead', 'system']);
+});
+
+test('opted-out leads get no AI replies and agent replies are refused', async () => {
+  const phone = '15551237002';
+  await server.sendWhatsApp(phone, 'leave me alone');
+
+  const sentBefore = client.sent.length;
+  await server.sendWhatsApp(phone, 'actually what about Tempe?');
+  assert.equal(client.sent.length, sentBefore);
+
+  const res = await fetch(`${server.baseUrl}/leads/${phone}/reply`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'Hi, just checking in!' })
+  });
+
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).error, 'lead_opted_out');
+  assert.equal(client.sent.length, sentBefore);
+
+  const messages = await store.getMessages(phone);
+  assert.ok(!messages.some(m => m.sender === 'agent'));
+});
+
+test('replying yes after STOP opts the lead back in', async () => {
+  const phone = '15551237003';
+  await server.sendWhatsApp(phone, 'STOP');
+  await server.sendWhatsApp(phone, 'yes');
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.consent_status, 'opted_in');
+  assert.match(client.sent.at(-1).body, /subscribed again/);
+
+  const res = await fetch(`${server.baseUrl}/leads/${phone}/reply`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'Welcome back!' })
+  });
+  assert.equal(res.status, 200);
+  assert.equal(client.sent.at(-1).body, 'Welcome back!');
+});
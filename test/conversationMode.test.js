@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveConversationMode } = require('../lib/conversationMode');
+const { startServer, authHeaders, store, llm, client } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+function replyCount() {
+  return llm.calls.filter(c => c.task === 'reply').length;
+}
+
+function agentReply(phone, message) {
+  return fetch(`${server.baseUrl}/leads/${phone}/reply`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message })
+  });
+}
+
+function setMode(phone, mode) {
+  return fetch(`${server.baseUrl}/leads/${phone}/mode`, {
+    method: 'PATCH',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mode })
+  });
+}
+
+test('resolveConversationMode defaults to ai and expires idle agent takeovers', () => {
+  assert.deepEqual(resolveConversationMode(null), { mode: 'ai', expired: false });
+  assert.deepEqual(resolveConversationMode({ conversation_mode: 'paused' }), { mode: 'paused', expired: false });
+
+  const lead = { conversation_mode: 'agent', last_agent_activity_at: hoursAgo(5) };
+  assert.deepEqual(resolveConversationMode(lead, { agentIdleHours: 4 }), { mode: 'ai', expired: true });
+  assert.deepEqual(resolveConversationMode(lead, { agentIdleHours: 6 }), { mode: 'agent', expired: false });
+  assert.deepEqual(resolveConversationMode(lead), { mode: 'agent', expired: false });
+});
+
+test('an agent reply takes the lead over and silences the AI', async () => {
+  const phone = '15551236001';
+  await server.sendWhatsApp(phone, 'looking for a house in Gilbert');
+
+  const res = await agentReply(phone, "Hi, I'm Dana, I'll help you from here");
+  assert.equal(res.status, 200);
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.conversation_mode, 'agent');
+  assert.ok(lead.last_agent_activity_at);
+
+  const repliesBefore = replyCount();
+  const sentBefore = client.sent.length;
+  await server.sendWhatsApp(phone, 'great, thanks Dana');
+
+  assert.equal(replyCount(), repliesBefore);
+  assert.equal(client.sent.length, sentBefore);
+
+  const messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.sender), ['lead', 'ai', 'agent', 'lead']);
+});
+
+test('agents can pause a lead and hand it back to the AI', async () => {
+  const phone = '15551236002';
+  await server.sendWhatsApp(phone, 'hi');
+
+  assert.equal((await setMode(phone, 'paused')).status, 200);
+  const repliesBefore = replyCount();
+  await server.sendWhatsApp(phone, 'anyone there?');
+  assert.equal(replyCount(), repliesBefore);
+
+  const res = await setMode(phone, 'ai');
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).lead.conversation_mode, 'ai');
+
+  await server.sendWhatsApp(phone, 'hello again');
+  assert.equal(replyCount(), repliesBefore + 1);
+});
+
+test('PATCH /leads/:phone/mode rejects unknown modes', async () => {
+  await server.sendWhatsApp('15551236003', 'hello');
+
+  const res = await setMode('15551236003', 'robot');
+  assert.equal(res.status, 400);
+});
+
+test('a lead with no agent activity for AGENT_IDLE_HOURS goes back to the AI', async () => {
+  const phone = '15551236004';
+  await store.upsertLead(phone, {
+    conversation_mode: 'agent',
+    last_agent_activity_at: hoursAgo(13)
+  });
+
+  const repliesBefore = replyCount();
+  await server.sendWhatsApp(phone, 'still interested');
+
+  assert.equal(replyCount(), repliesBefore + 1);
+  assert.equal((await store.getLead(phone)).conversation_mode, 'ai');
+});
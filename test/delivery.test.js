@@ -0,0 +1,212 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  deliveryStatus,
+  isRetryableSendError,
+  nextDeliveryStatus,
+  nextLimitReset
+} = require('../lib/delivery');
+const { startServer, authHeaders, store, client, runJobs } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function twilioError(code, status, message = 'Twilio said no') {
+  return Object.assign(new Error(message), { code, status });
+}
+
+async function aiMessage(phone) {
+  return (await store.getMessages(phone)).find(m => m.sender === 'ai');
+}
+
+function statusCallback(params) {
+  return server.postWebhook('/twilio-status-callback', params);
+}
+
+test('delivery status only moves forward', () => {
+  assert.equal(nextDeliveryStatus('queued', 'sent'), 'sent');
+  assert.equal(nextDeliveryStatus('delivered', 'sent'), null);
+  assert.equal(nextDeliveryStatus('sent', 'undelivered'), 'undelivered');
+  assert.equal(nextDeliveryStatus('failed', 'read'), 'read');
+  assert.equal(nextDeliveryStatus(null, 'accepted'), 'queued');
+  assert.equal(nextDeliveryStatus('sent', 'receiving'), null);
+  assert.equal(deliveryStatus('canceled'), 'failed');
+});
+
+test('limits and provider trouble are worth another try, bad numbers are not', () => {
+  assert.equal(isRetryableSendError(twilioError(63038, 429)), true);
+  assert.equal(isRetryableSendError(twilioError(20429, 429)), true);
+  assert.equal(isRetryableSendError(twilioError(20500, 500)), true);
+  assert.equal(isRetryableSendError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryableSendError(twilioError(21211, 400, 'Invalid To number')), false);
+  assert.equal(isRetryableSendError(new Error("Can't send email to 15551234567: lead has no email address")), false);
+
+  assert.equal(nextLimitReset(new Date('2026-10-18T15:30:00Z')).toISOString(), '2026-10-19T00:00:00.000Z');
+  assert.equal(nextLimitReset(new Date('2026-10-18T03:00:00Z'), 7).toISOString(), '2026-10-18T07:00:00.000Z');
+});
+
+test('replies keep their Twilio SID and status callbacks move the status along', async () => {
+  const phone = '15551243001';
+  await server.sendWhatsApp(phone, 'looking in Chandler');
+
+  const reply = await aiMessage(phone);
+  assert.equal(reply.delivery_status, 'queued');
+  assert.equal(reply.twilio_sid, client.sent.at(-1).sid);
+
+  assert.equal((await statusCallback({ MessageSid: reply.twilio_sid, MessageStatus: 'delivered' })).status, 200);
+  assert.equal((await aiMessage(phone)).delivery_status, 'delivered');
+
+  // A late "sent" doesn't undo "delivered"
+  await statusCallback({ MessageSid: reply.twilio_sid, MessageStatus: 'sent' });
+  assert.equal((await aiMessage(phone)).delivery_status, 'delivered');
+
+  await statusCallback({ MessageSid: reply.twilio_sid, MessageStatus: 'read' });
+  assert.equal((await aiMessage(phone)).delivery_status, 'read');
+
+  assert.equal((await statusCallback({ MessageSid: 'SMunknown', MessageStatus: 'delivered' })).status, 200);
+  assert.equal((await server.postWebhook('/twilio-status-callback', { MessageSid: reply.twilio_sid }, { signed: false })).status, 403);
+});
+
+test('a reply over the daily limit waits for the reset and then goes out', async t => {
+  const phone = '15551243002';
+  const create = t.mock.method(client.messages, 'create');
+  create.mock.mockImplementationOnce(async () => {
+    throw twilioError(63038, 429, 'Account exceeded the daily messages limit');
+  });
+
+  await server.sendWhatsApp(phone, 'house in Mesa');
+
+  let reply = await aiMessage(phone);
+  assert.equal(reply.delivery_status, 'rate_limited');
+  assert.equal(reply.delivery_error, '63038: Account exceeded the daily messages limit');
+  assert.equal((await store.getLead(phone)).delivery_problem.message_id, reply.id);
+
+  const [job] = await store.listJobs({ type: 'send', leadKey: `send:${phone}` });
+  assert.equal(job.status, 'pending');
+  assert.equal(job.run_at, nextLimitReset(new Date()).toISOString());
+
+  await runJobs({ now: new Date(job.run_at) });
+
+  reply = await aiMessage(phone);
+  assert.equal(reply.delivery_status, 'queued');
+  assert.equal(reply.twilio_sid, client.sent.at(-1).sid);
+  assert.equal(client.sent.at(-1).body, reply.message);
+  assert.equal((await store.getLead(phone)).delivery_problem, null);
+  assert.equal((await store.listJobs({ ids: [job.id] }))[0].status, 'done');
+});
+
+test('a message Twilio later reports over the limit is queued again', async () => {
+  const phone = '15551243003';
+  await server.sendWhatsApp(phone, 'condo in Scottsdale');
+  const reply = await aiMessage(phone);
+
+  await statusCallback({ MessageSid: reply.twilio_sid, MessageStatus: 'failed', ErrorCode: '63038' });
+
+  const updated = await aiMessage(phone);
+  assert.equal(updated.delivery_status, 'rate_limited');
+  assert.match(updated.delivery_error, /^63038/);
+
+  const jobs = await store.listJobs({ type: 'send', leadKey: `send:${phone}` });
+  assert.equal(jobs.length, 1);
+  assert.equal(jobs[0].payload.messageId, reply.id);
+});
+
+test('agent replies that fail for good are marked and flagged on the lead list', async t => {
+  const phone = '15551243004';
+  await server.sendWhatsApp(phone, 'hi there');
+
+  const create = t.mock.method(client.messages, 'create');
+  create.mock.mockImplementationOnce(async () => {
+    throw twilioError(21211, 400, 'Invalid To number');
+  });
+
+  const res = await fetch(`${server.baseUrl}/leads/${phone}/reply`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'Calling you now' })
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.twilioError, 'Invalid To number');
+  assert.equal(body.delivery_status, 'failed');
+
+  const agentMessage = (await store.getMessages(phone)).find(m => m.sender === 'agent');
+  assert.equal(agentMessage.delivery_status, 'failed');
+  assert.deepEqual(await store.listJobs({ type: 'send', leadKey: `send:${phone}` }), []);
+
+  const list = await (await fetch(`${server.baseUrl}/leads?undelivered=true`, { headers: authHeaders() })).json();
+  const flagged = list.leads.find(lead => lead.phone === phone);
+  assert.equal(flagged.delivery_problem.status, 'failed');
+  assert.equal(flagged.delivery_problem.error, '21211: Invalid To number');
+});
+
+test("team admins see their team's queued sends", async t => {
+  const phone = '15551243005';
+  const create = t.mock.method(client.messages, 'create');
+  create.mock.mockImplementationOnce(async () => {
+    throw twilioError(63038, 429, 'Account exceeded the daily messages limit');
+  });
+
+  await server.sendWhatsApp(phone, 'townhouse in Gilbert');
+  const [job] = await store.listJobs({ type: 'send', leadKey: `send:${phone}` });
+  assert.equal(job.payload.teamId, 'default');
+
+  const res = await fetch(`${server.baseUrl}/jobs?status=pending`, { headers: authHeaders({ team: 'default' }) });
+  const { jobs } = await res.json();
+  assert.ok(jobs.some(listed => listed.id === job.id));
+});
+
+test('waiting out the daily limit day after day does not use up the tries', async t => {
+  const phone = '15551243006';
+  let refusals = 0;
+  const send = client.messages.create;
+  t.mock.method(client.messages, 'create', async params => {
+    if (params.to === `whatsapp:+${phone}` && refusals < 7) {
+      refusals++;
+      throw twilioError(63038, 429, 'Account exceeded the daily messages limit');
+    }
+    return send(params);
+  });
+
+  await server.sendWhatsApp(phone, 'duplex in Tempe');
+  const [job] = await store.listJobs({ type: 'send', leadKey: `send:${phone}` });
+
+  // More resets than JOB_MAX_ATTEMPTS (5) before the limit lets up
+  await runJobs({ now: new Date(Date.now() + 8 * 24 * 60 * 60 * 1000) });
+
+  assert.equal(refusals, 7);
+  const [finished] = await store.listJobs({ ids: [job.id] });
+  assert.equal(finished.status, 'done');
+  assert.equal(finished.attempts, 1);
+  assert.equal((await aiMessage(phone)).delivery_status, 'queued');
+});
+
+test('a send out of tries is marked failed, not left waiting', async t => {
+  const phone = '15551243007';
+  const send = client.messages.create;
+  t.mock.method(client.messages, 'create', async params => {
+    if (params.to === `whatsapp:+${phone}`) throw twilioError(20429, 429, 'Too Many Requests');
+    return send(params);
+  });
+
+  await server.sendWhatsApp(phone, 'ranch in Queen Creek');
+  const [job] = await store.listJobs({ type: 'send', leadKey: `send:${phone}` });
+  assert.equal((await aiMessage(phone)).delivery_status, 'rate_limited');
+
+  for (let hour = 1; hour <= 6; hour++) {
+    await runJobs({ now: new Date(Date.now() + hour * 60 * 60 * 1000) });
+  }
+
+  assert.equal((await store.listJobs({ ids: [job.id] }))[0].status, 'dead');
+  const reply = await aiMessage(phone);
+  assert.equal(reply.delivery_status, 'failed');
+  assert.equal(reply.delivery_error, '20429: Too Many Requests');
+});
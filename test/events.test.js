@@ -0,0 +1,206 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEventBus } = require('../lib/events');
+const { startServer, authHeaders, llm } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// "id: ..\nevent: ..\ndata: .." -> { id, type, data }; null for comments
+function parseBlock(block) {
+  const event = {};
+  for (const line of block.split('\n')) {
+    const match = line.match(/^(id|event|data): ?(.*)$/);
+    if (match) event[match[1]] = match[2];
+  }
+  if (!event.event) return null;
+  return { id: event.id, type: event.event, ...JSON.parse(event.data) };
+}
+
+// Open GET /events and collect what arrives
+async function openStream(query = '', { claims, headers = {}, auth = true } = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${server.baseUrl}/events${query}`, {
+    headers: { ...(auth ? authHeaders(claims) : {}), ...headers },
+    signal: controller.signal
+  });
+  const received = [];
+
+  if (res.ok) {
+    (async () => {
+      const decoder = new TextDecoder();
+      let buffered = '';
+      try {
+        for await (const chunk of res.body) {
+          buffered += decoder.decode(chunk, { stream: true });
+          let end;
+          while ((end = buffered.indexOf('\n\n')) !== -1) {
+            const event = parseBlock(buffered.slice(0, end));
+            buffered = buffered.slice(end + 2);
+            if (event) received.push(event);
+          }
+        }
+      } catch (err) {
+        // aborted by close()
+      }
+    })();
+  }
+
+  async function waitFor(predicate, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const found = received.find(predicate);
+      if (found) return found;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.fail(`no matching event, got: ${received.map(e => e.type).join(', ')}`);
+  }
+
+  return { res, received, waitFor, close: () => controller.abort() };
+}
+
+function intentScores(scores) {
+  return JSON.stringify({
+    wants_call: 0,
+    proposes_time: 0,
+    asks_property_question: 0,
+    asks_agent_question: 0,
+    not_interested: 0,
+    wrong_number: 0,
+    other: 0,
+    ...scores
+  });
+}
+
+test('the event bus resumes from a known id and refuses unknown ones', () => {
+  const bus = createEventBus({ bufferSize: 3 });
+  const first = bus.publish('lead.updated', { leadPhone: '1' });
+  const second = bus.publish('lead.updated', { leadPhone: '2' });
+
+  assert.deepEqual(bus.since(first.id).map(e => e.id), [second.id]);
+  assert.deepEqual(bus.since(second.id), []);
+  assert.equal(bus.since('someotherbus-1'), null);
+  assert.equal(bus.since('garbage'), null);
+
+  bus.publish('lead.updated', { leadPhone: '3' });
+  bus.publish('lead.updated', { leadPhone: '4' });
+  bus.publish('lead.updated', { leadPhone: '5' });
+  assert.equal(bus.since(first.id), null, 'events after it fell out of the buffer');
+  assert.equal(bus.since(second.id).length, 3);
+});
+
+test('webhook messages are pushed to subscribed dashboards', async () => {
+  const phone = '15551236001';
+  const stream = await openStream();
+  assert.match(stream.res.headers.get('content-type'), /^text\/event-stream/);
+
+  await server.sendWhatsApp(phone, 'looking for a house in Tempe');
+
+  const inbound = await stream.waitFor(e => e.type === 'message.created' && e.data.message.sender === 'lead');
+  assert.equal(inbound.lead_phone, phone);
+  assert.equal(inbound.data.message.message, 'looking for a house in Tempe');
+
+  await stream.waitFor(e => e.type === 'message.created' && e.lead_phone === phone && e.data.message.sender === 'ai');
+
+  const updated = await stream.waitFor(e => e.type === 'lead.updated' && e.lead_phone === phone);
+  assert.equal(updated.data.lead.phone, phone);
+
+  const scored = await stream.waitFor(e => e.type === 'lead.scored' && e.lead_phone === phone);
+  assert.equal(typeof scored.data.score, 'number');
+  assert.equal(scored.data.previous_score, null);
+
+  stream.close();
+});
+
+test('meeting requests and agent actions produce events', async () => {
+  const phone = '15551236002';
+  await server.sendWhatsApp(phone, 'hello');
+
+  const stream = await openStream(`?lead=${phone}`);
+
+  llm.script('intent', [intentScores({ wants_call: 0.9 })]);
+  await server.sendWhatsApp(phone, 'can we talk on the phone?');
+
+  const meeting = await stream.waitFor(e => e.type === 'meeting.requested');
+  assert.equal(meeting.data.intent, 'wants_call');
+  assert.equal(meeting.data.message, 'can we talk on the phone?');
+
+  await fetch(`${server.baseUrl}/leads/${phone}/reply`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'Calling you in 5' })
+  });
+
+  await stream.waitFor(e => e.type === 'message.created' && e.data.message.sender === 'agent');
+  const mode = await stream.waitFor(e => e.type === 'lead.updated' && e.data.changes.includes('conversation_mode'));
+  assert.equal(mode.data.lead.conversation_mode, 'agent');
+
+  stream.close();
+});
+
+test('a single-lead stream only carries that lead', async () => {
+  const watched = '15551236003';
+  const other = '15551236004';
+  await server.sendWhatsApp(watched, 'hi');
+
+  const stream = await openStream(`?lead=${watched}`);
+
+  await server.sendWhatsApp(other, 'hi from someone else');
+  await server.sendWhatsApp(watched, 'me again');
+
+  await stream.waitFor(e => e.type === 'message.created' && e.data.message.message === 'me again');
+  assert.ok(stream.received.every(e => e.lead_phone === watched));
+
+  stream.close();
+
+  const unknown = await openStream('?lead=15559999999');
+  assert.equal(unknown.res.status, 404);
+});
+
+test('reconnecting clients resume from their last event id', async () => {
+  const phone = '15551236005';
+  const stream = await openStream();
+
+  await server.sendWhatsApp(phone, 'first');
+  const seen = await stream.waitFor(e => e.type === 'message.created' && e.data.message.message === 'first');
+  stream.close();
+
+  await server.sendWhatsApp(phone, 'sent while offline');
+
+  const resumed = await openStream('', { headers: { 'Last-Event-ID': seen.id } });
+  await resumed.waitFor(e => e.type === 'message.created' && e.data.message.message === 'sent while offline');
+  assert.ok(!resumed.received.some(e => e.id === seen.id), 'does not repeat the event the client had');
+  resumed.close();
+
+  const stale = await openStream('?last_event_id=oldprocess-42');
+  const reset = await stale.waitFor(e => e.type === 'stream.reset');
+  assert.equal(reset.data.last_event_id, 'oldprocess-42');
+  stale.close();
+});
+
+test('streams need a token and only show the user their team', async () => {
+  const noToken = await openStream('', { auth: false });
+  assert.equal(noToken.res.status, 401);
+
+  // EventSource can't set headers, so the token may come in the query
+  const token = authHeaders().Authorization.replace('Bearer ', '');
+  const viaQuery = await openStream(`?access_token=${token}`, { auth: false });
+  assert.equal(viaQuery.res.status, 200);
+
+  const otherTeam = await openStream('', { claims: { sub: 'v', role: 'viewer', team: 'elsewhere' } });
+
+  await server.sendWhatsApp('15551236006', 'hi');
+  await viaQuery.waitFor(e => e.type === 'message.created' && e.lead_phone === '15551236006');
+  assert.deepEqual(otherTeam.received, []);
+
+  viaQuery.close();
+  otherTeam.close();
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, authHeaders, store, llm } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function lastExtractPrompt() {
+  const call = llm.calls.filter(c => c.task === 'extract').at(-1);
+  return call.messages.find(m => m.role === 'user').content;
+}
+
+const BASE_STATE = {
+  location: null,
+  budget: null,
+  timeline: null,
+  home_type: null,
+  bedrooms: null,
+  preapproval: null,
+  motivation: null
+};
+
+test('only messages since the last extraction are sent to the model', async () => {
+  const phone = '15551238001';
+  llm.script('reply', 'What budget are you working with?');
+
+  llm.script('extract', JSON.stringify({ ...BASE_STATE, location: 'Mesa' }));
+  await server.sendWhatsApp(phone, 'looking in Mesa');
+
+  assert.match(lastExtractPrompt(), /full conversation/);
+  assert.match(lastExtractPrompt(), /Lead: looking in Mesa/);
+
+  llm.script('extract', JSON.stringify({ ...BASE_STATE, location: 'Mesa', budget: '400k' }));
+  await server.sendWhatsApp(phone, 'about 400k');
+
+  const prompt = lastExtractPrompt();
+  assert.match(prompt, /"location": "Mesa"/);
+  assert.match(prompt, /Assistant: What budget are you working with\?\nLead: about 400k/);
+  assert.doesNotMatch(prompt, /looking in Mesa/);
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.lead_state.budget, '400k');
+  const messages = await store.getMessages(phone);
+  assert.equal(lead.last_extracted_message_id, messages.filter(m => m.sender === 'lead').at(-1).id);
+});
+
+test('POST /leads/:phone/reextract re-reads the whole history', async () => {
+  const phone = '15551238002';
+  llm.script('reply', 'Where are you looking?');
+
+  llm.script('extract', JSON.stringify({ ...BASE_STATE, home_type: 'condo' }));
+  await server.sendWhatsApp(phone, 'I want a condo');
+  await server.sendWhatsApp(phone, 'in Tucson');
+
+  llm.script('extract', JSON.stringify({ ...BASE_STATE, home_type: 'condo', location: 'Tucson' }));
+  const res = await fetch(`${server.baseUrl}/leads/${phone}/reextract`, {
+    method: 'POST',
+    headers: authHeaders()
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.state.location, 'Tucson');
+
+  const prompt = lastExtractPrompt();
+  assert.match(prompt, /full conversation/);
+  assert.match(prompt, /Lead: I want a condo/);
+  assert.match(prompt, /Lead: in Tucson/);
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.location, 'Tucson');
+  assert.equal(lead.lead_state.location, 'Tucson');
+});
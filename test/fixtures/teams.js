@@ -0,0 +1,25 @@
+// Two teams for test/teams.test.js. Sunbelt owns the default test numbers.
+module.exports = [
+  {
+    id: 'sunbelt',
+    brand_name: 'Sunbelt Realty',
+    numbers: ['+15550000000', '+15550000001'],
+    whatsapp_number: '+15550000000',
+    sms_number: '+15550000001',
+    booking_link: 'https://example.com/book',
+    default: true
+  },
+  {
+    id: 'harbor',
+    brand_name: 'Harbor Homes',
+    numbers: ['+15550000099'],
+    emails: ['Leads@Harbor.example'],
+    email_from: 'leads@harbor.example',
+    booking_link: 'https://example.com/harbor',
+    persona: 'You are Marlo, the assistant for Harbor Homes.',
+    qualification: {
+      default_flow: 'renter',
+      score_thresholds: { hot: 80, warm: 50 }
+    }
+  }
+];
@@ -0,0 +1,179 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  dueFollowUp,
+  isQuietHours,
+  localHour,
+  parseDelays,
+  parseQuietHours
+} = require('../lib/followUp');
+const { startServer, store, llm, client, runFollowUps } = require('./helpers/server');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// First moment at least `ms` from now when it's `hour` o'clock in Phoenix
+// (the test DEFAULT_TIMEZONE)
+function phoenixTimeAfter(ms, hour = 12) {
+  const at = new Date(Math.ceil((Date.now() + ms) / HOUR) * HOUR);
+  while (localHour(at, 'America/Phoenix') !== hour) at.setTime(at.getTime() + HOUR);
+  return at;
+}
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('parseDelays and parseQuietHours read the env formats', () => {
+  assert.deepEqual(parseDelays('3d, 1d,2w'), [1 * DAY, 3 * DAY, 14 * DAY]);
+  assert.deepEqual(parseDelays('30m,12h'), [30 * 60 * 1000, 12 * HOUR]);
+  assert.throws(() => parseDelays('1 day'), /invalid follow-up delay/);
+
+  assert.deepEqual(parseQuietHours('21-8'), { start: 21, end: 8 });
+  assert.throws(() => parseQuietHours('9pm-8am'), /invalid quiet hours/);
+});
+
+test('isQuietHours uses the local hour and wraps around midnight', () => {
+  const quiet = { start: 21, end: 8 };
+
+  // 05:00 UTC is 22:00 in Phoenix and 14:00 in Tokyo
+  const at = new Date('2026-03-10T05:00:00Z');
+  assert.equal(isQuietHours(at, 'America/Phoenix', quiet), true);
+  assert.equal(isQuietHours(at, 'Asia/Tokyo', quiet), false);
+
+  assert.equal(isQuietHours(at, 'Asia/Tokyo', { start: 13, end: 17 }), true);
+  assert.equal(isQuietHours(at, 'Asia/Tokyo', { start: 0, end: 0 }), false);
+});
+
+test('dueFollowUp counts touches since the lead last wrote', () => {
+  const delays = parseDelays('1d,3d');
+  const start = Date.parse('2026-03-10T12:00:00Z');
+  const at = offset => new Date(start + offset).toISOString();
+
+  const messages = [
+    { sender: 'lead', created_at: at(0) },
+    { sender: 'ai', created_at: at(1000) }
+  ];
+
+  assert.equal(dueFollowUp(messages, { delays, now: new Date(start + 12 * HOUR) }), null);
+  assert.equal(dueFollowUp(messages, { delays, now: new Date(start + DAY + 1000) }).step, 1);
+
+  messages.push({ sender: 'follow_up', created_at: at(DAY + 1000) });
+  assert.equal(dueFollowUp(messages, { delays, now: new Date(start + 2 * DAY) }), null);
+  assert.equal(dueFollowUp(messages, { delays, now: new Date(start + 3 * DAY + 1000) }).step, 2);
+
+  messages.push({ sender: 'follow_up', created_at: at(3 * DAY + 1000) });
+  assert.equal(dueFollowUp(messages, { delays, now: new Date(start + 30 * DAY) }), null, 'sequence finished');
+
+  // A reply starts over, and nothing is due until we've answered it
+  messages.push({ sender: 'lead', created_at: at(4 * DAY) });
+  assert.equal(dueFollowUp(messages, { delays, now: new Date(start + 10 * DAY) }), null);
+
+  // Never reach out to a lead that never wrote to us
+  assert.equal(dueFollowUp([{ sender: 'ai', created_at: at(0) }], { delays, now: new Date(start + 10 * DAY) }), null);
+});
+
+test('a quiet lead gets follow-ups after each delay, saved as follow_up messages', async () => {
+  const phone = '15551237001';
+  await server.sendWhatsApp(phone, 'looking for a house in Chandler');
+
+  const early = await runFollowUps({ now: new Date(Date.now() + 12 * HOUR) });
+  assert.ok(!early.phones.includes(phone), 'nothing before the first delay');
+
+  const sentBefore = client.sent.length;
+  const first = await runFollowUps({ now: phoenixTimeAfter(DAY) });
+  assert.ok(first.phones.includes(phone));
+  assert.equal(client.sent.length, sentBefore + 1);
+
+  const followUpCall = llm.calls.filter(c => c.task === 'follow_up').at(-1);
+  assert.equal(followUpCall.meta.step, 1);
+  assert.equal(followUpCall.meta.nextField, 'location');
+
+  const again = await runFollowUps({ now: phoenixTimeAfter(DAY) });
+  assert.ok(!again.phones.includes(phone), 'one touch per step');
+
+  const second = await runFollowUps({ now: phoenixTimeAfter(3 * DAY) });
+  assert.ok(second.phones.includes(phone));
+
+  const messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.sender), ['lead', 'ai', 'follow_up', 'follow_up']);
+});
+
+test('follow-ups wait for daytime in the lead timezone', async () => {
+  const phone = '15551237002';
+
+  const res = await fetch(`${server.baseUrl}/lead`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Kenji', phone, source: 'website', timezone: 'Asia/Tokyo' })
+  });
+  assert.equal(res.status, 200);
+  await server.sendWhatsApp(phone, 'hi, still looking');
+
+  // Noon in Phoenix is 04:00 in Tokyo
+  const atNight = await runFollowUps({ now: phoenixTimeAfter(DAY, 12) });
+  assert.ok(!atNight.phones.includes(phone));
+
+  // 18:00 in Phoenix is 10:00 in Tokyo
+  const inTheMorning = await runFollowUps({ now: phoenixTimeAfter(DAY, 18) });
+  assert.ok(inTheMorning.phones.includes(phone));
+});
+
+test('replies and opt-outs stop the sequence', async () => {
+  const replied = '15551237003';
+  await server.sendWhatsApp(replied, 'hi there');
+  await runFollowUps({ now: phoenixTimeAfter(DAY) });
+  await server.sendWhatsApp(replied, 'sorry, busy week. Looking in Mesa');
+
+  // The sequence starts over from our answer to the reply
+  const afterReply = await runFollowUps({ now: phoenixTimeAfter(DAY) });
+  assert.ok(afterReply.phones.includes(replied));
+  assert.equal(llm.calls.filter(c => c.task === 'follow_up').at(-1).meta.step, 1);
+
+  const optedOut = '15551237004';
+  await server.sendWhatsApp(optedOut, 'hello');
+  await server.sendWhatsApp(optedOut, 'STOP');
+
+  const afterStop = await runFollowUps({ now: phoenixTimeAfter(3 * DAY) });
+  assert.ok(!afterStop.phones.includes(optedOut));
+});
+
+test('POST /lead rejects unknown timezones', async () => {
+  const res = await fetch(`${server.baseUrl}/lead`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Ana', phone: '15551237005', timezone: 'Mars/Olympus' })
+  });
+
+  assert.equal(res.status, 400);
+});
+
+test('a follow-up over the daily limit is queued to go out again', async t => {
+  const phone = '15551237006';
+  await server.sendWhatsApp(phone, 'hi, looking in Gilbert');
+
+  const send = client.messages.create;
+  t.mock.method(client.messages, 'create', async params => {
+    if (params.to === `whatsapp:+${phone}`) {
+      throw Object.assign(new Error('Account exceeded the daily messages limit'), { code: 63038, status: 429 });
+    }
+    return send(params);
+  });
+
+  const result = await runFollowUps({ now: phoenixTimeAfter(DAY) });
+  assert.ok(!result.phones.includes(phone));
+
+  const followUp = (await store.getMessages(phone)).find(m => m.sender === 'follow_up');
+  assert.equal(followUp.delivery_status, 'rate_limited');
+
+  const [job] = await store.listJobs({ type: 'send', leadKey: `send:${phone}` });
+  assert.equal(job.status, 'pending');
+  assert.equal(job.payload.messageId, followUp.id);
+});
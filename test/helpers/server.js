@@ -0,0 +1,123 @@
+// Boots the app against the in-memory store, the mock LLM and dry-run
+// Twilio and email clients. Env must be set before index.js is required.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.TWILIO_DRY_RUN = 'true';
+process.env.TWILIO_VALIDATE_SIGNATURE = 'true';
+process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+process.env.TWILIO_WHATSAPP_NUMBER = '+15550000000';
+process.env.TWILIO_SMS_NUMBER = '+15550000001';
+process.env.EMAIL_DRY_RUN = 'true';
+process.env.EMAIL_FROM = 'assistant@example.com';
+process.env.EMAIL_WEBHOOK_SECRET = 'test-email-secret';
+process.env.AUTH_JWT_SECRET = 'test-jwt-secret';
+process.env.CORS_ORIGINS = 'https://dashboard.example.com';
+delete process.env.AUTH_DISABLED;
+process.env.BOOKING_LINK = 'https://example.com/book';
+process.env.AGENT_IDLE_HOURS = '12';
+process.env.FOLLOW_UP_DELAYS = '1d,3d,2w';
+process.env.FOLLOW_UP_QUIET_HOURS = '21-8';
+process.env.DEFAULT_TIMEZONE = 'America/Phoenix';
+process.env.GEOCODER_PROVIDER = 'mock';
+process.env.TRANSCRIPTION_PROVIDER = 'mock';
+process.env.DASHBOARD_LEAD_URL = 'https://dashboard.example.com/leads/{phone}';
+delete process.env.PUBLIC_BASE_URL;
+
+// The app logs every step; keep test output readable unless asked for it
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const twilio = require('twilio');
+const { signToken } = require('../../lib/auth');
+const { app, store, llm, client, mailer, geocoder, transcriber, runFollowUps, runReminders, runJobs, runAgentAlerts } = require('../../index');
+
+let sidCounter = 0;
+
+// Authorization header for a dashboard user (an admin unless told otherwise)
+function authHeaders(claims = {}) {
+  const token = signToken({ sub: 'test-admin', role: 'admin', ...claims }, process.env.AUTH_JWT_SECRET);
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function startServer() {
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // POST a form-encoded Twilio webhook, signed unless `signed` is false.
+  // Pass `signature` to send a specific (e.g. forged) header instead.
+  // The queued jobs run before it resolves unless `drain` is false.
+  async function postWebhook(path, params, { signed = true, signature, drain = true } = {}) {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (signature) {
+      headers['X-Twilio-Signature'] = signature;
+    } else if (signed) {
+      headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(
+        process.env.TWILIO_AUTH_TOKEN,
+        baseUrl + path,
+        params
+      );
+    }
+
+    const response = await fetch(baseUrl + path, {
+      method: 'POST',
+      headers,
+      body: new URLSearchParams(params).toString()
+    });
+    if (drain) await runJobs();
+    return response;
+  }
+
+  // Simulate one inbound WhatsApp message from a lead. `options.params`
+  // adds webhook params (NumMedia, Latitude, ...).
+  function sendWhatsApp(from, body, options = {}) {
+    const params = {
+      From: `whatsapp:+${from}`,
+      To: `whatsapp:${options.to || process.env.TWILIO_WHATSAPP_NUMBER}`,
+      Body: body,
+      MessageSid: options.messageSid || `SMtest${String(++sidCounter).padStart(8, '0')}`,
+      ...options.params
+    };
+    return postWebhook('/whatsapp-webhook', params, options);
+  }
+
+  // Simulate one inbound SMS from a lead
+  function sendSms(from, body, options = {}) {
+    const params = {
+      From: `+${from}`,
+      To: options.to || process.env.TWILIO_SMS_NUMBER,
+      Body: body,
+      MessageSid: options.messageSid || `SMtest${String(++sidCounter).padStart(8, '0')}`,
+      ...options.params
+    };
+    return postWebhook('/sms-webhook', params, options);
+  }
+
+  // POST a parsed-email payload to the inbound email webhook
+  async function sendEmail(payload, { secret = process.env.EMAIL_WEBHOOK_SECRET, drain = true } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) headers['X-Webhook-Secret'] = secret;
+
+    const response = await fetch(baseUrl + '/email-webhook', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload)
+    });
+    if (drain) await runJobs();
+    return response;
+  }
+
+  // Also drops open connections, e.g. event streams a test left open
+  function close() {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return { baseUrl, postWebhook, sendWhatsApp, sendSms, sendEmail, close };
+}
+
+module.exports = { startServer, authHeaders, store, llm, client, mailer, geocoder, transcriber, runFollowUps, runReminders, runJobs, runAgentAlerts };
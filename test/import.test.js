@@ -0,0 +1,164 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, toCsv } = require('../lib/csv');
+const { normalizeImportPhone, resolveColumns } = require('../lib/leadImport');
+const { startServer, authHeaders, store, client } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function importCsv(csv, query = '', claims) {
+  return fetch(`${server.baseUrl}/leads/import${query}`, {
+    method: 'POST',
+    headers: { ...authHeaders(claims), 'Content-Type': 'text/csv' },
+    body: csv
+  });
+}
+
+function download(path, claims) {
+  return fetch(server.baseUrl + path, { headers: authHeaders(claims) });
+}
+
+test('parseCsv handles quotes, line breaks in cells, CRLF and a BOM', () => {
+  const rows = parseCsv('\uFEFFname,notes\r\n"Doe, Jane","said ""hi""\nthen left"\r\n\r\nBo,\n');
+  assert.deepEqual(rows, [
+    ['name', 'notes'],
+    ['Doe, Jane', 'said "hi"\nthen left'],
+    ['Bo', '']
+  ]);
+  assert.throws(() => parseCsv('a,"b'), /unterminated/);
+});
+
+test('toCsv escapes cells and defuses spreadsheet formulas', () => {
+  const csv = toCsv([{ a: 'x, "y"', b: '=HYPERLINK("evil")', c: null, d: 5 }], ['a', 'b', 'c', 'd']);
+  assert.equal(csv, 'a,b,c,d\r\n"x, ""y""","\'=HYPERLINK(""evil"")",,5\r\n');
+});
+
+test('normalizeImportPhone reads national and international numbers', () => {
+  assert.equal(normalizeImportPhone('(480) 555-0100'), '14805550100');
+  assert.equal(normalizeImportPhone('1-480-555-0100 ext. 12'), '14805550100');
+  assert.equal(normalizeImportPhone('+44 7700 900123'), '447700900123');
+  assert.equal(normalizeImportPhone('0044 7700 900123'), '447700900123');
+  assert.equal(normalizeImportPhone('07700 900123', '44'), '447700900123');
+  assert.equal(normalizeImportPhone('555-0100'), null);
+  assert.equal(normalizeImportPhone('call me'), null);
+});
+
+test('resolveColumns uses the mapping, then header names', () => {
+  const columns = resolveColumns(['First Name', 'Last Name', 'Cell Phone', 'Area'], { location: 'area' }, ['location']);
+  assert.deepEqual(columns, { location: 3, first_name: 0, last_name: 1, phone: 2 });
+
+  assert.throws(() => resolveColumns(['Name'], {}), /no phone or email column/);
+  assert.throws(() => resolveColumns(['Name', 'Tel'], { phone: 'Telephone' }), /not in the CSV header/);
+  assert.throws(() => resolveColumns(['Name', 'Tel'], { password: 'Tel' }), /can't map a column/);
+});
+
+test('imports a sheet with a per-row report and starts qualification', async () => {
+  await store.createLead({ name: 'Already Here', phone: '14805550105', source: 'website', flow: 'buyer' });
+  const sentBefore = client.sent.length;
+
+  const csv = [
+    'Full Name,Mobile,E-mail,Budget,Area',
+    'Ada Open,(480) 555-0101,ada@example.com,under 500k,Tempe',
+    'Ada Again,480.555.0101,,,',
+    'No Phone,,nophone@example.com,,',
+    'Bad Number,555-01,,,',
+    ',480-555-0104,,,',
+    'Already Here,480-555-0105,,,'
+  ].join('\n');
+
+  const res = await importCsv(csv, '?map.location=Area&source=open-house&start_qualification=true');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.total, 6);
+  assert.equal(body.created, 2);
+  assert.equal(body.duplicates, 2);
+  assert.equal(body.errors, 2);
+  assert.equal(body.qualification_started, 1);
+
+  assert.deepEqual(body.rows.map(r => [r.row, r.status]), [
+    [2, 'created'], [3, 'duplicate'], [4, 'created'], [5, 'error'], [6, 'error'], [7, 'duplicate']
+  ]);
+  assert.equal(body.rows[1].error, 'same lead as row 2');
+  assert.match(body.rows[3].error, /"555-01" is not a valid number/);
+  assert.equal(body.rows[4].error, 'name is missing');
+  assert.equal(body.rows[5].error, 'lead already exists');
+  assert.equal(body.rows[0].qualification, 'started');
+  assert.equal(body.rows[2].qualification, 'skipped_no_phone');
+
+  const ada = await store.getLead('14805550101');
+  assert.equal(ada.name, 'Ada Open');
+  assert.equal(ada.email, 'ada@example.com');
+  assert.equal(ada.source, 'open-house');
+  assert.equal(ada.location, 'Tempe');
+  assert.equal(ada.budget_max, 500000);
+  assert.equal(ada.lead_state.location, 'Tempe');
+  assert.equal(typeof ada.lead_score_value, 'number');
+
+  const emailOnly = await store.getLead('nophone@example.com');
+  assert.equal(emailOnly.channel, 'email');
+
+  const sent = client.sent.slice(sentBefore);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'whatsapp:+14805550101');
+  assert.match(sent[0].body, /Hey Ada Open/);
+  assert.equal((await store.getMessages('14805550101'))[0].sender, 'ai');
+});
+
+test('a dry run reports without saving', async () => {
+  const res = await importCsv('name,phone\nDry Dan,480-555-0110\n', '?dry_run=true');
+  const body = await res.json();
+
+  assert.equal(body.dry_run, true);
+  assert.equal(body.rows[0].status, 'ready');
+  assert.equal(await store.getLead('14805550110'), null);
+});
+
+test('import rejects files it cannot read and needs an agent or admin', async () => {
+  const noPhone = await importCsv('name,city\nA,B\n');
+  assert.equal(noPhone.status, 400);
+  assert.match((await noPhone.json()).error, /no phone or email column/);
+
+  const empty = await importCsv('');
+  assert.equal(empty.status, 400);
+
+  const viewer = await importCsv('name,phone\nV,4805550120\n', '', { sub: 'v', role: 'viewer' });
+  assert.equal(viewer.status, 403);
+});
+
+test('exports the filtered lead list and transcripts', async () => {
+  await importCsv('name,phone\nEx Port,480-555-0130\nEx Tra,480-555-0131\n', '?source=expo');
+  await server.sendWhatsApp('14805550130', '=1+1, "quoted" hello');
+
+  const csvRes = await download('/leads/export?source=expo');
+  assert.equal(csvRes.status, 200);
+  assert.match(csvRes.headers.get('content-type'), /^text\/csv/);
+  assert.match(csvRes.headers.get('content-disposition'), /attachment; filename="leads-\d{4}-\d{2}-\d{2}\.csv"/);
+  const lines = (await csvRes.text()).trim().split('\r\n');
+  assert.match(lines[0], /^phone,name,email,source/);
+  assert.equal(lines.length, 3);
+  assert.ok(lines.some(line => line.startsWith('14805550130,Ex Port,')));
+
+  const json = await (await download('/leads/export?source=expo&format=json')).json();
+  assert.deepEqual(json.map(l => l.phone).sort(), ['14805550130', '14805550131']);
+
+  const transcripts = await (await download('/leads/export/transcripts?source=expo')).text();
+  assert.match(transcripts, /^lead_phone,lead_name,created_at,sender,channel,message\r\n/);
+  assert.match(transcripts, /14805550130,Ex Port,[^,]+,lead,whatsapp,"'=1\+1, ""quoted"" hello"/);
+
+  const one = await (await download('/leads/14805550130/transcript?format=json')).json();
+  assert.equal(one.phone, '14805550130');
+  assert.ok(one.messages.some(m => m.sender === 'ai'));
+
+  assert.equal((await download('/leads/export?format=xml')).status, 400);
+  assert.equal((await download('/leads/export', { sub: 'a', role: 'agent' })).status, 403);
+});
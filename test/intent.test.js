@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { nextLeadStatus, parseIntentScores, pickIntent } = require('../lib/intent');
+const { startServer, store, llm } = require('./helpers/server');
+
+function intentScores(scores) {
+  return JSON.stringify({ other: 0, ...scores });
+}
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('pickIntent takes the top intent above the threshold, else "other"', () => {
+  assert.deepEqual(
+    pickIntent({ wants_call: 0.7, proposes_time: 0.9, other: 0.1 }, 0.6),
+    { intent: 'proposes_time', confidence: 0.9 }
+  );
+  assert.deepEqual(
+    pickIntent({ wants_call: 0.5, other: 0.2 }, 0.6),
+    { intent: 'other', confidence: 0.2 }
+  );
+});
+
+test('parseIntentScores fills missing intents and clamps values', () => {
+  const scores = parseIntentScores('```json\n{"wants_call": 1.4, "not_interested": "0.3"}\n```');
+
+  assert.equal(scores.wants_call, 1);
+  assert.equal(scores.not_interested, 0.3);
+  assert.equal(scores.wrong_number, 0);
+  assert.equal(scores.other, 0);
+});
+
+test('nextLeadStatus keeps a meeting request until the lead backs out', () => {
+  assert.equal(nextLeadStatus(null, 'other'), 'qualifying');
+  assert.equal(nextLeadStatus('qualifying', 'other', { qualified: true }), 'qualified');
+  assert.equal(nextLeadStatus('qualified', 'proposes_time'), 'meeting_requested');
+  assert.equal(nextLeadStatus('meeting_requested', 'asks_property_question'), 'meeting_requested');
+  assert.equal(nextLeadStatus('meeting_requested', 'not_interested'), 'not_interested');
+  assert.equal(nextLeadStatus('qualifying', 'wrong_number'), 'wrong_number');
+});
+
+test('"book" is not read as agreeing to a call', async () => {
+  const phone = '15551238001';
+  llm.script('intent', intentScores({ asks_property_question: 0.8 }));
+
+  await server.sendWhatsApp(phone, 'is the house on Mill Ave in the book of listings?');
+
+  const lead = await store.getLead(phone);
+  assert.notEqual(lead.wants_meeting, true);
+  assert.equal(lead.last_intent, 'asks_property_question');
+  assert.equal(llm.calls.filter(c => c.task === 'reply').at(-1).meta.intent, 'asks_property_question');
+});
+
+test('a proposed time marks the lead as wanting a meeting', async () => {
+  const phone = '15551238002';
+  llm.script('intent', intentScores({ proposes_time: 0.9, wants_call: 0.7 }));
+
+  await server.sendWhatsApp(phone, 'Thursday at 3 works for me');
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.wants_meeting, true);
+  assert.equal(lead.meeting_notes, 'Thursday at 3 works for me');
+  assert.equal(lead.status, 'meeting_requested');
+  assert.equal(lead.last_intent_scores.proposes_time, 0.9);
+
+  const reply = llm.calls.filter(c => c.task === 'reply').at(-1);
+  assert.equal(reply.meta.intent, 'proposes_time');
+  assert.match(reply.messages.at(-1).content, /booking link/i);
+});
+
+test('the previous AI message is given to the classifier', async () => {
+  const phone = '15551238003';
+  llm.script('intent', intentScores({ other: 1 }));
+  llm.script('reply', 'Want to hop on a quick call with the agent?');
+  await server.sendWhatsApp(phone, 'looking in Gilbert');
+
+  llm.script('intent', intentScores({ wants_call: 0.85 }));
+  await server.sendWhatsApp(phone, 'yes');
+
+  const classify = llm.calls.filter(c => c.task === 'intent').at(-1);
+  assert.match(classify.messages.at(-1).content, /Assistant \(previous message\): Want to hop on a quick call/);
+  assert.equal((await store.getLead(phone)).wants_meeting, true);
+});
+
+test('not interested gets a closing reply and status', async () => {
+  const phone = '15551238004';
+  llm.script('intent', intentScores({ not_interested: 0.92 }));
+
+  await server.sendWhatsApp(phone, 'we already bought a place, thanks');
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.status, 'not_interested');
+
+  const reply = llm.calls.filter(c => c.task === 'reply').at(-1);
+  assert.match(reply.messages.at(-1).content, /DO NOT ask any questions/);
+});
+
+test('a failing classifier falls back to "other"', async () => {
+  const phone = '15551238005';
+  llm.script('intent', 'not json at all');
+
+  const res = await server.sendWhatsApp(phone, 'hi there');
+  assert.equal(res.status, 200);
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.last_intent, 'other');
+  assert.equal(lead.status, 'qualifying');
+});
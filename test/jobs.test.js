@@ -0,0 +1,217 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createJobQueue, retryDelayMs, runnableJobs } = require('../lib/jobs');
+const { createMemoryStore } = require('../lib/storage/memory');
+const { startServer, authHeaders, store, llm, client, runJobs } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const LATER = new Date('2026-10-18T13:00:00Z');
+
+test('runnableJobs runs the oldest job of each lead once it is due', () => {
+  const staleBefore = new Date(NOW.getTime() - 5 * 60 * 1000);
+  const jobs = [
+    { id: 1, lead_key: 'a', status: 'pending', run_at: '2026-10-18T11:00:00Z' },
+    { id: 2, lead_key: 'a', status: 'pending', run_at: '2026-10-18T11:00:00Z' },
+    { id: 3, lead_key: 'b', status: 'pending', run_at: '2026-10-18T12:30:00Z' },
+    { id: 4, lead_key: 'b', status: 'pending', run_at: '2026-10-18T11:00:00Z' },
+    { id: 5, lead_key: 'c', status: 'running', locked_at: '2026-10-18T11:00:00Z' },
+    { id: 6, lead_key: 'd', status: 'running', locked_at: '2026-10-18T11:59:00Z' },
+    { id: 7, lead_key: null, status: 'pending', run_at: '2026-10-18T11:00:00Z' }
+  ];
+
+  // b waits for its retry, c's worker went away, d is still running
+  assert.deepEqual(runnableJobs(jobs, { now: NOW, staleBefore }).map(j => j.id), [1, 5, 7]);
+  assert.deepEqual(runnableJobs(jobs, { now: NOW, staleBefore, busy: new Set(['a']) }).map(j => j.id), [5, 7]);
+
+  assert.equal(retryDelayMs(1, { baseSeconds: 10, maxSeconds: 3600 }), 10000);
+  assert.equal(retryDelayMs(3, { baseSeconds: 10, maxSeconds: 3600 }), 40000);
+  assert.equal(retryDelayMs(20, { baseSeconds: 10, maxSeconds: 3600 }), 3600000);
+});
+
+test('a failing job backs off, goes dead after max attempts and can be retried', async () => {
+  const jobStore = createMemoryStore();
+  let failing = true;
+  const queue = createJobQueue({
+    store: jobStore,
+    maxAttempts: 3,
+    retryBaseSeconds: 60,
+    handlers: {
+      ping: async () => {
+        if (failing) throw new Error('provider down');
+      }
+    }
+  });
+
+  const job = await queue.enqueue('ping', { n: 1 }, { leadKey: 'lead-1', dedupeKey: 'SM1', runAt: NOW });
+  assert.equal(await queue.enqueue('ping', { n: 1 }, { leadKey: 'lead-1', dedupeKey: 'SM1' }), null);
+
+  assert.deepEqual(await queue.runDue({ now: NOW }), { done: 0, retried: 1, dead: 0 });
+  let [saved] = await jobStore.listJobs({ ids: [job.id] });
+  assert.equal(saved.status, 'pending');
+  assert.equal(saved.attempts, 1);
+  assert.equal(saved.run_at, '2026-10-18T12:01:00.000Z');
+  assert.match(saved.last_error, /provider down/);
+
+  // Not due yet
+  assert.deepEqual(await queue.runDue({ now: NOW }), { done: 0, retried: 0, dead: 0 });
+
+  assert.deepEqual(await queue.runDue({ now: LATER }), { done: 0, retried: 1, dead: 0 });
+  [saved] = await jobStore.listJobs({ ids: [job.id] });
+  assert.equal(saved.run_at, '2026-10-18T13:02:00.000Z');
+
+  assert.deepEqual(await queue.runDue({ now: new Date('2026-10-18T14:00:00Z') }), { done: 0, retried: 0, dead: 1 });
+  [saved] = await jobStore.listJobs({ ids: [job.id] });
+  assert.equal(saved.status, 'dead');
+  assert.equal(saved.attempts, 3);
+
+  failing = false;
+  const retried = await queue.retry(job.id);
+  assert.equal(retried.status, 'pending');
+  assert.equal(retried.attempts, 0);
+  assert.equal(await queue.retry(job.id), null);
+
+  assert.deepEqual(await queue.runDue(), { done: 1, retried: 0, dead: 0 });
+  [saved] = await jobStore.listJobs({ ids: [job.id] });
+  assert.equal(saved.status, 'done');
+});
+
+test('the webhook answers before the message is processed', async () => {
+  const phone = '15551242001';
+  const sentBefore = client.sent.length;
+
+  const res = await server.sendWhatsApp(phone, 'looking for a condo in Tempe', { drain: false });
+  assert.equal(res.status, 200);
+
+  let messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.sender), ['lead']);
+  assert.equal(client.sent.length, sentBefore);
+
+  const [job] = await store.listJobs({ leadKey: phone });
+  assert.equal(job.type, 'inbound');
+  assert.equal(job.status, 'pending');
+
+  await runJobs();
+
+  messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.sender), ['lead', 'ai']);
+  assert.equal(client.sent.length, sentBefore + 1);
+  assert.equal((await store.listJobs({ ids: [job.id] }))[0].status, 'done');
+});
+
+test('quick messages from one lead are answered in order', async () => {
+  const phone = '15551242002';
+
+  await server.sendWhatsApp(phone, 'first question', { drain: false });
+  await server.sendWhatsApp(phone, 'second question', { drain: false });
+  await runJobs();
+
+  // The second reply is written with the first one already in the history
+  const replies = llm.calls.filter(c => c.task === 'reply').slice(-2)
+    .map(c => c.messages.map(m => m.content).join('\n'));
+  assert.match(replies[0], /first question/);
+  assert.doesNotMatch(replies[0], /second question/);
+  assert.match(replies[1], /second question/);
+
+  const jobs = await store.listJobs({ leadKey: phone });
+  assert.deepEqual(jobs.map(j => j.status), ['done', 'done']);
+  assert.ok(jobs[0].finished_at <= jobs[1].finished_at);
+});
+
+test('a retry after the reply went out does not reply twice', async t => {
+  const phone = '15551242003';
+  const sentBefore = client.sent.length;
+  const replyCallsBefore = llm.calls.filter(c => c.task === 'reply').length;
+
+  // The store fails once while marking the job done
+  const updateJob = store.updateJob;
+  let failed = false;
+  t.mock.method(store, 'updateJob', async (id, fields) => {
+    if (!failed && fields.status === 'done') {
+      failed = true;
+      throw new Error('database timeout');
+    }
+    return updateJob(id, fields);
+  });
+
+  await server.sendWhatsApp(phone, 'house in Gilbert', { drain: false });
+  assert.deepEqual(await runJobs(), { done: 0, retried: 1, dead: 0 });
+
+  const [job] = await store.listJobs({ leadKey: phone });
+  assert.equal(job.status, 'pending');
+  assert.ok(job.progress.reply);
+  assert.equal(job.progress.sent, true);
+
+  assert.deepEqual(await runJobs({ now: new Date(Date.now() + 60 * 60 * 1000) }), { done: 1, retried: 0, dead: 0 });
+
+  const messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.sender), ['lead', 'ai']);
+  assert.equal(llm.calls.filter(c => c.task === 'reply').length, replyCallsBefore + 1);
+  assert.equal(client.sent.length, sentBefore + 1);
+});
+
+test('admins list dead jobs and put them back in line', async () => {
+  const dead = await store.enqueueJob({
+    type: 'inbound',
+    lead_key: '15551242004',
+    payload: { leadPhone: '15551242004', messageId: null, text: 'hi', channel: 'whatsapp', teamId: null },
+    progress: {},
+    status: 'dead',
+    attempts: 5,
+    max_attempts: 5,
+    run_at: NOW.toISOString(),
+    last_error: 'provider down'
+  });
+
+  const forbidden = await fetch(`${server.baseUrl}/jobs`, { headers: authHeaders({ role: 'agent', agent_id: 'a1' }) });
+  assert.equal(forbidden.status, 403);
+
+  const badStatus = await fetch(`${server.baseUrl}/jobs?status=stuck`, { headers: authHeaders() });
+  assert.equal(badStatus.status, 400);
+
+  const list = await (await fetch(`${server.baseUrl}/jobs`, { headers: authHeaders() })).json();
+  assert.ok(list.jobs.some(j => j.id === dead.id && j.last_error === 'provider down'));
+  assert.ok(list.jobs.every(j => j.status === 'dead'));
+
+  const retry = await fetch(`${server.baseUrl}/jobs/${dead.id}/retry`, { method: 'POST', headers: authHeaders() });
+  assert.equal(retry.status, 200);
+  assert.equal((await retry.json()).job.status, 'pending');
+
+  const again = await fetch(`${server.baseUrl}/jobs/${dead.id}/retry`, { method: 'POST', headers: authHeaders() });
+  assert.equal(again.status, 404);
+
+  await runJobs();
+  assert.equal((await store.listJobs({ ids: [dead.id] }))[0].status, 'done');
+  assert.deepEqual((await store.getMessages('15551242004')).map(m => m.sender), ['ai']);
+});
+
+test("a team admin's page of jobs isn't cut short by other teams' jobs", async () => {
+  const deadJob = (teamId, lead) => store.enqueueJob({
+    type: 'inbound',
+    lead_key: lead,
+    payload: { leadPhone: lead, messageId: null, text: 'hi', channel: 'whatsapp', teamId },
+    progress: {},
+    status: 'dead',
+    attempts: 5,
+    max_attempts: 5,
+    run_at: NOW.toISOString(),
+    last_error: 'provider down'
+  });
+
+  const own = await deadJob('default', '15551242005');
+  await deadJob('other', '15551242006');
+  await deadJob('other', '15551242007');
+
+  const list = await (await fetch(`${server.baseUrl}/jobs?limit=1`, { headers: authHeaders({ team: 'default' }) })).json();
+  assert.deepEqual(list.jobs.map(j => j.id), [own.id]);
+});
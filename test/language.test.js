@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  detectLanguage,
+  isUnknownAnswer,
+  languageForMessage,
+  languageName,
+  languageProblem
+} = require('../lib/language');
+const { startServer, authHeaders, store, llm } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function setLanguage(phone, language, claims) {
+  return fetch(`${server.baseUrl}/leads/${phone}/language`, {
+    method: 'PATCH',
+    headers: { ...authHeaders(claims), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ language })
+  });
+}
+
+function lastCall(task) {
+  return llm.calls.filter(c => c.task === task).at(-1);
+}
+
+function prompt(call, role) {
+  return call.messages.find(m => m.role === role).content;
+}
+
+test('detectLanguage needs a few common words to tell', () => {
+  assert.equal(detectLanguage('Hola, busco una casa en Tempe').language, 'es');
+  assert.equal(detectLanguage("I'm looking for a house in Tempe").language, 'en');
+  assert.equal(detectLanguage('Olá, estou procurando uma casa').language, 'pt');
+  assert.equal(detectLanguage('Bonjour, je cherche une maison').language, 'fr');
+  assert.equal(detectLanguage('sí'), null);
+  assert.equal(detectLanguage('3 bedrooms'), null);
+  assert.equal(detectLanguage('Tempe'), null);
+});
+
+test('languageForMessage keeps a lead in their language on short replies', () => {
+  assert.equal(languageForMessage(null, 'quiero 3 recámaras'), 'es');
+  assert.equal(languageForMessage({ language: 'es' }, 'ok thanks'), null);
+  assert.equal(languageForMessage({ language: 'es' }, 'yes please'), null);
+  assert.equal(languageForMessage({ language: 'es' }, "Actually I'd like to keep this in English, thanks"), 'en');
+  assert.equal(languageForMessage({ language: 'en', language_source: 'agent' }, 'Hola, busco una casa'), null);
+});
+
+test('isUnknownAnswer reads "I don\'t know" in every language', () => {
+  for (const text of ['idk', "I don't know yet", 'no sé', 'No lo sé todavía', 'ni idea!', 'nada', 'não sei', 'je ne sais pas']) {
+    assert.equal(isUnknownAnswer(text), true, text);
+  }
+  for (const text of ['no se preocupe, somos una familia grande', 'Nadal fan', 'we need more space', '']) {
+    assert.equal(isUnknownAnswer(text), false, text);
+  }
+});
+
+test('languageName and languageProblem accept ISO codes only', () => {
+  assert.equal(languageName('es'), 'Spanish');
+  assert.equal(languageName('zh'), 'Chinese');
+  assert.equal(languageName('xx'), null);
+  assert.equal(languageProblem(null), null);
+  assert.match(languageProblem('Spanish'), /ISO 639-1/);
+});
+
+test('a Spanish lead gets replies in Spanish and English values on the dashboard', async () => {
+  const phone = '15551240001';
+  llm.script('reply', '¡Hola! ¿En qué zona estás buscando?');
+
+  await server.sendWhatsApp(phone, 'Hola, estoy buscando una casa con tres recámaras');
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.language, 'es');
+  assert.equal(lead.language_source, 'detected');
+
+  assert.match(prompt(lastCall('reply'), 'system'), /Write your reply in Spanish, the lead's language/);
+  assert.match(prompt(lastCall('extract'), 'system'), /ALWAYS\s+write the values in English/);
+  assert.match(prompt(lastCall('extract'), 'system'), /"no sé"/);
+  assert.match(prompt(lastCall('intent'), 'system'), /any language/);
+
+  // A short answer doesn't flip the lead back to English
+  await server.sendWhatsApp(phone, 'Tempe');
+  assert.equal((await store.getLead(phone)).language, 'es');
+
+  const list = await (await fetch(`${server.baseUrl}/leads?language=es`, { headers: authHeaders() })).json();
+  assert.deepEqual(list.leads.map(l => l.phone), [phone]);
+});
+
+test('"no sé" is not taken as the lead\'s motivation', async () => {
+  const phone = '15551240002';
+  llm.script('extract', JSON.stringify({
+    location: 'Tempe',
+    budget: '400k',
+    timeline: '3 months',
+    home_type: 'house',
+    bedrooms: '3',
+    preapproval: 'yes',
+    motivation: null
+  }));
+
+  await server.sendWhatsApp(phone, 'no sé');
+
+  const reply = lastCall('reply');
+  assert.equal(reply.meta.state.motivation, null);
+  assert.equal(reply.meta.nextField, 'motivation');
+});
+
+test('an agent can pin the language and hand it back to detection', async () => {
+  const phone = '15551240003';
+  await server.sendWhatsApp(phone, "Hi, I'm looking for a house in Mesa");
+  assert.equal((await store.getLead(phone)).language, 'en');
+
+  const pinned = await setLanguage(phone, 'pt');
+  assert.equal(pinned.status, 200);
+  assert.deepEqual(await pinned.json(), { success: true, language: 'pt', language_source: 'agent' });
+
+  await server.sendWhatsApp(phone, 'Can we keep talking about the house in English?');
+  assert.equal((await store.getLead(phone)).language, 'pt');
+  assert.match(prompt(lastCall('reply'), 'system'), /Write your reply in Portuguese/);
+
+  const released = await (await setLanguage(phone, null)).json();
+  assert.deepEqual(released, { success: true, language: 'pt', language_source: 'detected' });
+
+  await server.sendWhatsApp(phone, 'I would like to keep this in English please');
+  assert.equal((await store.getLead(phone)).language, 'en');
+
+  assert.equal((await setLanguage(phone, 'klingon')).status, 400);
+  assert.equal((await setLanguage(phone, 'es', { sub: 'v', role: 'viewer' })).status, 403);
+});
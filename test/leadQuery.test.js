@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareLeads, leadMatches, parseLeadQuery } = require('../lib/leadQuery');
+const { startServer, authHeaders, store } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+
+  const seeded = [
+    { phone: '15551237001', name: 'Hana Hot', location: 'Tempe, AZ', budget_min: null, budget_max: 450000, bedrooms_min: 3, bedrooms_max: 3, lead_score: 'hot', lead_score_value: 85, wants_meeting: true, notes: 'prefers a pool' },
+    { phone: '15551237002', name: 'Theo Pricey', location: 'Tempe', budget_min: 700000, budget_max: 900000, bedrooms_min: 4, bedrooms_max: null, lead_score: 'hot', lead_score_value: 80, wants_meeting: true },
+    { phone: '15551237003', name: 'Mia Mesa', location: 'Mesa', budget_min: 300000, budget_max: 400000, lead_score: 'warm', lead_score_value: 55, wants_meeting: false },
+    { phone: '15551237004', name: 'Cole Cold', location: 'Tempe', lead_score: 'cold', lead_score_value: 10 },
+    { phone: '15551237005', name: 'Una Unscored', location: 'Phoenix' }
+  ];
+
+  for (const lead of seeded) {
+    await store.createLead({ source: 'query-test', flow: 'buyer', ...lead });
+  }
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function getLeads(query) {
+  const res = await fetch(`${server.baseUrl}/leads?source=query-test&${query}`, { headers: authHeaders() });
+  return { status: res.status, body: await res.json() };
+}
+
+const phones = body => body.leads.map(lead => lead.phone);
+
+test('parseLeadQuery validates parameters', () => {
+  const query = parseLeadQuery({ score: 'hot,warm', budget_max: '500k', bedrooms: '3', wants_meeting: 'true', sort: 'score', limit: '10' });
+  assert.deepEqual(query.filters.scoreLabels, ['hot', 'warm']);
+  assert.equal(query.filters.budgetMax, 500000);
+  assert.equal(query.filters.wantsMeeting, true);
+  assert.equal(query.sort, 'lead_score_value');
+  assert.equal(query.order, 'desc');
+  assert.equal(query.limit, 10);
+
+  assert.throws(() => parseLeadQuery({ score: 'scorching' }), /score must be/);
+  assert.throws(() => parseLeadQuery({ sort: 'name' }), /sort must be/);
+  assert.throws(() => parseLeadQuery({ limit: '1000' }), /limit must be/);
+  assert.throws(() => parseLeadQuery({ budget_min: 'lots' }), /budget_min must be/);
+  assert.throws(() => parseLeadQuery({ cursor: 'nope' }), /cursor is not valid/);
+});
+
+test('budget and bedrooms match overlapping ranges', () => {
+  const filters = parseLeadQuery({ budget_max: '500000' }).filters;
+  assert.equal(leadMatches({ budget_min: null, budget_max: 600000 }, filters), true);
+  assert.equal(leadMatches({ budget_min: 600000, budget_max: null }, filters), false);
+  assert.equal(leadMatches({ budget_min: null, budget_max: null }, filters), false, 'unknown budget');
+
+  const bedrooms = parseLeadQuery({ bedrooms: '3' }).filters;
+  assert.equal(leadMatches({ bedrooms_min: 2, bedrooms_max: 4 }, bedrooms), true);
+  assert.equal(leadMatches({ bedrooms_min: 4, bedrooms_max: null }, bedrooms), false);
+});
+
+test('compareLeads puts leads without a value last in either order', () => {
+  const leads = [{ phone: '1', s: null }, { phone: '2', s: 5 }, { phone: '3', s: 9 }];
+  assert.deepEqual([...leads].sort((a, b) => compareLeads(a, b, 's', 'desc')).map(l => l.phone), ['3', '2', '1']);
+  assert.deepEqual([...leads].sort((a, b) => compareLeads(a, b, 's', 'asc')).map(l => l.phone), ['2', '3', '1']);
+});
+
+test('"hot leads in Tempe under 500k who want a meeting"', async () => {
+  const { status, body } = await getLeads('score=hot&location=tempe&budget_max=500k&wants_meeting=true');
+  assert.equal(status, 200);
+  assert.deepEqual(phones(body), ['15551237001']);
+  assert.equal(body.next_cursor, null);
+
+  const bedrooms = await getLeads('bedrooms=4');
+  assert.deepEqual(phones(bedrooms.body), ['15551237002']);
+
+  const scoreRange = await getLeads('min_score=50&max_score=82&sort=score');
+  assert.deepEqual(phones(scoreRange.body), ['15551237002', '15551237003']);
+
+  const bad = await getLeads('order=sideways');
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /order must be/);
+});
+
+test('sorting by score pages through every lead once with a cursor', async () => {
+  const seen = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const { body } = await getLeads(`sort=score&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    seen.push(...phones(body));
+    cursor = body.next_cursor;
+    pages++;
+  } while (cursor && pages < 10);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(seen, ['15551237001', '15551237002', '15551237003', '15551237004', '15551237005']);
+
+  const ascending = await getLeads('sort=score&order=asc');
+  assert.deepEqual(phones(ascending.body), ['15551237004', '15551237003', '15551237002', '15551237001', '15551237005']);
+});
+
+test('search covers name, notes and messages', async () => {
+  await server.sendWhatsApp('15551237006', 'we need a big backyard for the dogs');
+  await store.upsertLead('15551237006', { source: 'query-test' });
+
+  assert.deepEqual(phones((await getLeads('q=BACKYARD')).body), ['15551237006']);
+  assert.deepEqual(phones((await getLeads('q=pool')).body), ['15551237001']);
+  assert.deepEqual(phones((await getLeads('q=mia')).body), ['15551237003']);
+  assert.deepEqual(phones((await getLeads('q=nothing-like-this')).body), []);
+});
+
+test('leads carry a last message preview and an unread count', async () => {
+  const phone = '15551237007';
+  await server.sendWhatsApp(phone, 'first question');
+  await server.sendWhatsApp(phone, 'second question');
+  await store.upsertLead(phone, { source: 'query-test' });
+
+  // Most recent activity first by default
+  const { body } = await getLeads('');
+  assert.equal(body.leads[0].phone, phone);
+
+  const lead = body.leads[0];
+  assert.equal(lead.unread_count, 2);
+  assert.equal(lead.last_message_sender, 'ai');
+  assert.ok(lead.last_message_preview.length > 0);
+  assert.ok(lead.last_message_at);
+
+  const active = await getLeads(`active_after=${encodeURIComponent(lead.last_message_at)}`);
+  assert.deepEqual(phones(active.body), [phone]);
+
+  const read = await fetch(`${server.baseUrl}/leads/${phone}/read`, { method: 'POST', headers: authHeaders() });
+  assert.equal(read.status, 200);
+  assert.equal((await store.getLead(phone)).unread_count, 0);
+
+  await server.sendWhatsApp(phone, 'third question');
+  assert.equal((await store.getLead(phone)).unread_count, 1);
+
+  await fetch(`${server.baseUrl}/leads/${phone}/reply`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'Answering now' })
+  });
+  const answered = await store.getLead(phone);
+  assert.equal(answered.unread_count, 0);
+  assert.equal(answered.last_message_preview, 'Answering now');
+});
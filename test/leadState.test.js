@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildLeadStateSchema,
+  parseLeadState,
+  LeadStateParseError
+} = require('../lib/leadState');
+
+const FIELDS = ['location', 'budget', 'timeline', 'home_type', 'bedrooms', 'preapproval', 'motivation'];
+
+const STATE = {
+  location: 'Tempe',
+  budget: '450k',
+  timeline: null,
+  home_type: 'house',
+  bedrooms: null,
+  preapproval: null,
+  motivation: null
+};
+
+test('parseLeadState accepts plain JSON', () => {
+  assert.deepEqual(parseLeadState(JSON.stringify(STATE), FIELDS), STATE);
+});
+
+test('parseLeadState strips code fences and surrounding text', () => {
+  const raw = 'Here you go:\n```json\n' + JSON.stringify(STATE, null, 2) + '\n```';
+  assert.deepEqual(parseLeadState(raw, FIELDS), STATE);
+});
+
+test('parseLeadState fills missing keys with null and stringifies numbers', () => {
+  assert.deepEqual(parseLeadState('{"location": "Mesa", "bedrooms": 3}', FIELDS), {
+    ...Object.fromEntries(FIELDS.map(k => [k, null])),
+    location: 'Mesa',
+    bedrooms: '3'
+  });
+});
+
+test('parseLeadState rejects output that is not a valid lead state', () => {
+  assert.throws(() => parseLeadState('I could not find anything', FIELDS), LeadStateParseError);
+  assert.throws(() => parseLeadState('[1, 2]', FIELDS), LeadStateParseError);
+  assert.throws(() => parseLeadState('{"location": ["Tempe"]}', FIELDS), /"location" must be a string or null/);
+  assert.throws(() => parseLeadState('{"city": "Tempe"}', FIELDS), /unexpected keys: city/);
+});
+
+test('buildLeadStateSchema requires every field as string or null', () => {
+  const { schema } = buildLeadStateSchema(['pets', 'lease_start']);
+
+  assert.deepEqual(schema.required, ['pets', 'lease_start']);
+  assert.deepEqual(schema.properties.pets, { type: ['string', 'null'] });
+  assert.equal(schema.additionalProperties, false);
+});
@@ -0,0 +1,231 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  detectListingReactions,
+  feedRecords,
+  formatListings,
+  listingCriteria,
+  matchListings,
+  readListing
+} = require('../lib/listings');
+const { parseCsv } = require('../lib/csv');
+const { startServer, authHeaders, store, llm, client } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function importFeed(body, { query = '', contentType = 'application/json', claims } = {}) {
+  return fetch(`${server.baseUrl}/listings/import${query}`, {
+    method: 'POST',
+    headers: { ...authHeaders(claims), 'Content-Type': contentType },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+function get(path, claims) {
+  return fetch(server.baseUrl + path, { headers: authHeaders(claims) });
+}
+
+function listing(fields) {
+  return {
+    listing_type: 'sale',
+    status: 'active',
+    address: null,
+    city: 'Tempe',
+    state: 'AZ',
+    postal_code: null,
+    subdivision: null,
+    county: null,
+    bedrooms: 3,
+    bathrooms: 2,
+    home_type: 'house',
+    url: null,
+    ...fields
+  };
+}
+
+const QUALIFIED_BUYER = {
+  location: 'Tempe',
+  budget: '400k-500k',
+  timeline: 'next 3 months',
+  home_type: 'single family house',
+  bedrooms: '3',
+  preapproval: 'yes',
+  motivation: 'growing family'
+};
+
+test('readListing reads RESO records and spreadsheet rows', () => {
+  const reso = readListing({
+    ListingKey: 'A100',
+    StandardStatus: 'Active',
+    PropertyType: 'Residential',
+    PropertySubType: 'SingleFamilyResidence',
+    UnparsedAddress: '12 Main St',
+    City: 'Tempe',
+    StateOrProvince: 'AZ',
+    ListPrice: 450000,
+    BedroomsTotal: 3,
+    BathroomsTotalInteger: 2,
+    Media: [{ MediaURL: 'https://example.com/a100.jpg' }]
+  }, { urlTemplate: 'https://example.com/homes/{id}' });
+
+  assert.deepEqual(
+    [reso.listing.id, reso.listing.listing_type, reso.listing.status, reso.listing.price, reso.listing.home_type],
+    ['A100', 'sale', 'active', 450000, 'house']
+  );
+  assert.equal(reso.listing.url, 'https://example.com/homes/A100');
+  assert.equal(reso.listing.photo_url, 'https://example.com/a100.jpg');
+
+  const [row] = feedRecords(parseCsv('MLS #,Status,Property Type,Address,City,Rent,Beds\nR7,Pending,Residential Lease,4 Elm Ave,Mesa,"$1,850",2\n'));
+  const rental = readListing(row).listing;
+  assert.deepEqual([rental.id, rental.listing_type, rental.status, rental.price, rental.bedrooms], ['R7', 'rent', 'pending', 1850, 2]);
+
+  assert.equal(readListing({ City: 'Tempe', ListPrice: 1 }).error, 'listing id is missing');
+  assert.match(readListing({ ListingKey: 'X', City: 'Tempe', ListPrice: 'call' }).error, /price "call"/);
+  assert.throws(() => feedRecords({ listings: [] }), /RESO JSON export/);
+});
+
+test('matchListings filters on the lead criteria and ranks by fit', () => {
+  const listings = [
+    listing({ id: 'in-budget', price: 480000 }),
+    listing({ id: 'stretch', price: 540000 }),
+    listing({ id: 'too-pricey', price: 600000 }),
+    listing({ id: 'too-small', price: 450000, bedrooms: 2 }),
+    listing({ id: 'condo', price: 470000, home_type: 'condo' }),
+    listing({ id: 'mesa', price: 470000, city: 'Mesa' }),
+    listing({ id: 'sold', price: 470000, status: 'closed' }),
+    listing({ id: 'cheap', price: 410000 })
+  ];
+  const criteria = listingCriteria({
+    location: 'north Tempe',
+    budget_min: 400000,
+    budget_max: 500000,
+    bedrooms_min: 3,
+    bedrooms_max: 3,
+    home_type: 'single family'
+  });
+
+  assert.deepEqual(matchListings(criteria, listings).map(l => l.id), ['in-budget', 'cheap', 'stretch']);
+  assert.deepEqual(matchListings(criteria, listings, { exclude: ['in-budget'], count: 2 }).map(l => l.id), ['cheap', 'stretch']);
+  assert.deepEqual(matchListings(criteria, listings, { listingType: 'rent' }), []);
+});
+
+test('detectListingReactions reads which home the lead means', () => {
+  const shown = ['a', 'b', 'c'];
+
+  assert.deepEqual(detectListingReactions('Love the second one!', shown), [{ listing_id: 'b', reaction: 'liked' }]);
+  assert.deepEqual(detectListingReactions('the first looks great but the third is too small', shown), [
+    { listing_id: 'a', reaction: 'liked' },
+    { listing_id: 'c', reaction: 'disliked' }
+  ]);
+  assert.deepEqual(detectListingReactions('can we go see #3?', shown), [{ listing_id: 'c', reaction: 'tour' }]);
+  assert.deepEqual(detectListingReactions('I have 2 kids and love the area', shown), []);
+  assert.deepEqual(detectListingReactions('love the second one', []), []);
+});
+
+test('formatListings numbers homes with price, rooms and link', () => {
+  assert.equal(
+    formatListings([
+      listing({ id: '1', address: '12 Main St', price: 450000, url: 'https://example.com/1' }),
+      listing({ id: '2', address: '4 Elm Ave', city: 'Mesa', price: 1850, listing_type: 'rent', bedrooms: 2, bathrooms: null })
+    ]),
+    '1) 12 Main St, Tempe - $450,000, 3 bd / 2 ba\nhttps://example.com/1\n2) 4 Elm Ave, Mesa - $1,850/mo, 2 bd'
+  );
+});
+
+test('imports a feed with a per-row report, replace takes missing listings off the market', async () => {
+  const feed = {
+    value: [
+      { ListingKey: 'T1', UnparsedAddress: '1 Mill Ave', City: 'Tempe', ListPrice: 470000, BedroomsTotal: 3, BathroomsTotalInteger: 2, PropertySubType: 'Single Family', ListingURL: 'https://example.com/t1' },
+      { ListingKey: 'T2', UnparsedAddress: '2 Rural Rd', City: 'Tempe', ListPrice: 495000, BedroomsTotal: 4, BathroomsTotalInteger: 3, PropertySubType: 'Single Family' },
+      { ListingKey: 'T3', UnparsedAddress: '3 Apache Blvd', City: 'Tempe', ListPrice: 430000, BedroomsTotal: 3, BathroomsTotalInteger: 2, PropertySubType: 'Single Family' },
+      { ListingKey: 'T4', UnparsedAddress: '4 Lake Dr', City: 'Tempe', ListPrice: 455000, BedroomsTotal: 3, BathroomsTotalInteger: 2, PropertySubType: 'Single Family' },
+      { ListingKey: 'OLD', UnparsedAddress: '9 Gone St', City: 'Tempe', ListPrice: 450000 },
+      { ListingKey: 'BAD', City: 'Tempe', ListPrice: 'TBD' }
+    ]
+  };
+
+  const first = await (await importFeed(feed)).json();
+  assert.equal(first.total, 6);
+  assert.equal(first.imported, 5);
+  assert.deepEqual(first.errors, [{ row: 5, error: 'price "TBD" is not a number' }]);
+
+  const dry = await (await importFeed({ value: feed.value.slice(0, 4) }, { query: '?replace=true&dry_run=true' })).json();
+  assert.equal(dry.dry_run, true);
+  assert.equal(dry.off_market, 1);
+  assert.equal((await store.listListings({ teamId: 'default', status: 'active' })).length, 5);
+
+  const replaced = await (await importFeed({ value: feed.value.slice(0, 4) }, { query: '?replace=true' })).json();
+  assert.equal(replaced.off_market, 1);
+
+  const { listings } = await (await get('/listings?status=active')).json();
+  assert.deepEqual(listings.map(l => l.id).sort(), ['T1', 'T2', 'T3', 'T4']);
+
+  const csv = await importFeed('MLS,Address,City,Price,Beds\nC1,5 Oak St,Tempe,480000,3\n', { contentType: 'text/csv' });
+  assert.deepEqual(await csv.json(), { dry_run: false, team: 'default', total: 1, imported: 1, off_market: 0, errors: [] });
+
+  assert.equal((await importFeed({ listings: [] })).status, 400);
+  assert.equal((await importFeed(feed, { claims: { sub: 'a', role: 'agent' } })).status, 403);
+});
+
+test('a qualified buyer gets the top matches once and their reactions are kept', async () => {
+  const phone = '15551239001';
+  llm.script('extract', JSON.stringify(QUALIFIED_BUYER));
+  llm.script('reply', 'Great news, I found a few homes that fit! Which ones do you like?');
+
+  await server.sendWhatsApp(phone, "I'm buying a 3 bed house in Tempe, 400-500k, preapproved, moving in 3 months");
+
+  const sent = client.sent.filter(m => m.to === `whatsapp:+${phone}`).pop();
+  assert.match(sent.body, /^Great news, I found a few homes that fit! Which ones do you like\?\n\n1\) /);
+  assert.equal((sent.body.match(/^\d\) /gm) || []).length, 3);
+  assert.match(sent.body, /1 Mill Ave, Tempe - \$470,000, 3 bd \/ 2 ba\nhttps:\/\/example\.com\/t1/);
+
+  const prompt = llm.calls.filter(c => c.task === 'reply').at(-1).messages.find(m => m.role === 'user').content;
+  assert.match(prompt, /We found 3 listings/);
+  assert.match(prompt, /DO NOT list/);
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.listing_matches.listing_ids.length, 3);
+  const [firstId, secondId] = lead.listing_matches.listing_ids;
+
+  // Same answers, no new listings
+  llm.script('reply', 'Happy to help!');
+  await server.sendWhatsApp(phone, 'Love the second one, but the first is not for us');
+  const next = client.sent.filter(m => m.to === `whatsapp:+${phone}`).pop();
+  assert.equal(next.body, 'Happy to help!');
+
+  const reactionPrompt = llm.calls.filter(c => c.task === 'reply').at(-1).messages.find(m => m.role === 'user').content;
+  assert.match(reactionPrompt, /the lead liked .+, isn't keen on /);
+
+  const updated = await store.getLead(phone);
+  assert.deepEqual(updated.listing_interest, { liked: [secondId], tour: [], disliked: [firstId] });
+
+  const res = await get(`/leads/${phone}/listings`);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.criteria.location, 'Tempe');
+  assert.equal(body.sent.length, 3);
+  assert.deepEqual(body.reactions.map(r => [r.listing_id, r.reaction]), [[secondId, 'liked'], [firstId, 'disliked']]);
+  assert.equal(body.reactions[0].listing.id, secondId);
+  assert.deepEqual(body.interest, updated.listing_interest);
+});
+
+test('leads still answering questions get no listings', async () => {
+  const phone = '15551239002';
+  llm.script('extract', JSON.stringify({ ...QUALIFIED_BUYER, motivation: null }));
+  llm.script('reply', 'What has you looking to move?');
+
+  await server.sendWhatsApp(phone, 'buying a 3 bed house in Tempe, 400-500k');
+
+  const sent = client.sent.filter(m => m.to === `whatsapp:+${phone}`).pop();
+  assert.equal(sent.body, 'What has you looking to move?');
+  assert.equal((await store.getLead(phone)).listing_matches ?? null, null);
+});
@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { describeInbound, readInboundMedia, readLocationPin } = require('../lib/media');
+const { createNominatimGeocoder } = require('../lib/geocoder');
+const { startServer, authHeaders, store, llm, geocoder, transcriber } = require('./helpers/server');
+
+let server;
+let mediaHost;
+let mediaUrl;
+
+// Stands in for Twilio's media URLs and Nominatim
+before(async () => {
+  server = await startServer();
+
+  mediaHost = http.createServer((req, res) => {
+    if (req.url.startsWith('/reverse')) {
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify({
+        display_name: '1 E Main St, Mesa, Maricopa County, Arizona, 85201, United States',
+        address: { road: 'E Main St', city: 'Mesa', state: 'Arizona', 'ISO3166-2-lvl4': 'US-AZ', postcode: '85201', country_code: 'us' }
+      }));
+    }
+    if (req.url === '/missing') {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.end(Buffer.from('fake-jpeg-bytes'));
+  });
+  await new Promise(resolve => mediaHost.listen(0, '127.0.0.1', resolve));
+  mediaUrl = `http://127.0.0.1:${mediaHost.address().port}`;
+});
+
+after(async () => {
+  await server.close();
+  await new Promise(resolve => mediaHost.close(resolve));
+});
+
+function lastExtractPrompt() {
+  return llm.calls.filter(c => c.task === 'extract').at(-1).messages.find(m => m.role === 'user').content;
+}
+
+test('readInboundMedia and readLocationPin read the Twilio params', () => {
+  assert.deepEqual(readInboundMedia({
+    NumMedia: '2',
+    MediaUrl0: 'https://api.twilio.com/m/0',
+    MediaContentType0: 'image/jpeg',
+    MediaUrl1: 'https://api.twilio.com/m/1',
+    MediaContentType1: 'audio/ogg'
+  }), [
+    { url: 'https://api.twilio.com/m/0', content_type: 'image/jpeg', kind: 'image' },
+    { url: 'https://api.twilio.com/m/1', content_type: 'audio/ogg', kind: 'audio' }
+  ]);
+  assert.deepEqual(readInboundMedia({ NumMedia: '0', Body: 'hi' }), []);
+
+  assert.deepEqual(readLocationPin({ Latitude: '33.4255', Longitude: '-111.94', Label: 'ASU' }), {
+    latitude: 33.4255, longitude: -111.94, label: 'ASU', address: null
+  });
+  assert.equal(readLocationPin({ Latitude: '91', Longitude: '0' }), null);
+  assert.equal(readLocationPin({ Body: 'hi' }), null);
+});
+
+test('describeInbound says what came with the message', () => {
+  assert.equal(describeInbound({
+    body: ' love this one ',
+    media: [{ kind: 'image' }, { kind: 'audio', transcript: 'call me later' }],
+    location: { latitude: 33.42551, longitude: -111.94, place: 'Tempe, AZ' }
+  }), 'love this one\n[Photo]\n[Voice note] call me later\n[Location pin] Tempe, AZ');
+
+  assert.equal(describeInbound({ body: '', location: { latitude: 1, longitude: 2 } }), '[Location pin] 1.00000, 2.00000');
+});
+
+test('the Nominatim geocoder names the city and state', async () => {
+  const nominatim = createNominatimGeocoder({ url: `${mediaUrl}/reverse`, userAgent: 'test' });
+  const found = await nominatim.reverse({ latitude: 33.41, longitude: -111.83 });
+
+  assert.equal(found.place, 'Mesa, AZ');
+  assert.equal(found.postal_code, '85201');
+  assert.equal(found.country, 'US');
+});
+
+test('a voice note is transcribed before extraction and kept on the message', async () => {
+  const phone = '15551241001';
+  transcriber.script(request => request.contentType === 'audio/ogg' ? 'We want three bedrooms near Tempe' : null);
+
+  await server.sendWhatsApp(phone, '', {
+    params: { NumMedia: '1', MediaUrl0: `${mediaUrl}/voice.ogg`, MediaContentType0: 'audio/ogg' }
+  });
+
+  assert.deepEqual(transcriber.calls.at(-1), { url: `${mediaUrl}/voice.ogg`, contentType: 'audio/ogg', language: undefined });
+  assert.match(lastExtractPrompt(), /Lead: \[Voice note\] We want three bedrooms near Tempe/);
+
+  const [message] = await store.getMessages(phone);
+  assert.equal(message.message, '[Voice note] We want three bedrooms near Tempe');
+  assert.deepEqual(message.media, [{
+    url: `${mediaUrl}/voice.ogg`,
+    content_type: 'audio/ogg',
+    kind: 'audio',
+    transcript: 'We want three bedrooms near Tempe'
+  }]);
+});
+
+test('a failed transcription still gets the lead an answer', async () => {
+  const phone = '15551241002';
+  transcriber.script(() => { throw new Error('speech service down'); });
+
+  await server.sendWhatsApp(phone, '', {
+    params: { NumMedia: '1', MediaUrl0: `${mediaUrl}/voice2.ogg`, MediaContentType0: 'audio/ogg' }
+  });
+
+  const messages = await store.getMessages(phone);
+  assert.equal(messages[0].message, '[Voice note]');
+  assert.equal(messages[0].media[0].transcript, undefined);
+  assert.equal(messages.at(-1).sender, 'ai');
+});
+
+test('a location pin fills the location field', async () => {
+  const phone = '15551241003';
+  geocoder.script({ place: 'Tempe, AZ', address: 'Mill Ave, Tempe, AZ 85281', city: 'Tempe', state: 'Arizona', postal_code: '85281', country: 'US' });
+
+  await server.sendWhatsApp(phone, 'around here', { params: { Latitude: '33.4255', Longitude: '-111.94' } });
+
+  assert.deepEqual(geocoder.calls.at(-1), { latitude: 33.4255, longitude: -111.94, label: null, address: null });
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.location, 'Tempe, AZ');
+  assert.equal(lead.lead_state.location, 'Tempe, AZ');
+
+  const [message] = await store.getMessages(phone);
+  assert.equal(message.message, 'around here\n[Location pin] Tempe, AZ');
+  assert.equal(message.location.postal_code, '85281');
+  assert.equal(message.location.address, 'Mill Ave, Tempe, AZ 85281');
+});
+
+test('photos are stored on the message and served to the dashboard', async () => {
+  const phone = '15551241004';
+
+  await server.sendWhatsApp(phone, 'this one looks great', {
+    params: { NumMedia: '1', MediaUrl0: `${mediaUrl}/photo.jpg`, MediaContentType0: 'image/jpeg' }
+  });
+
+  const [message] = await store.getMessages(phone);
+  assert.equal(message.message, 'this one looks great\n[Photo]');
+  assert.equal(message.media[0].kind, 'image');
+
+  const photo = await fetch(`${server.baseUrl}/leads/${phone}/messages/${message.id}/media/0`, { headers: authHeaders() });
+  assert.equal(photo.status, 200);
+  assert.equal(photo.headers.get('content-type'), 'image/jpeg');
+  assert.equal(Buffer.from(await photo.arrayBuffer()).toString(), 'fake-jpeg-bytes');
+
+  const missing = await fetch(`${server.baseUrl}/leads/${phone}/messages/${message.id}/media/1`, { headers: authHeaders() });
+  assert.equal(missing.status, 404);
+});
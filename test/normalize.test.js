@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeBudget,
+  normalizeBedrooms,
+  normalizeTimeline
+} = require('../lib/normalize');
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+test('normalizeBudget reads amounts, ranges and bounds', () => {
+  assert.deepEqual(normalizeBudget('under 500k'), { budget_min: null, budget_max: 500000 });
+  assert.deepEqual(normalizeBudget('400-500k'), { budget_min: 400000, budget_max: 500000 });
+  assert.deepEqual(normalizeBudget('between 300 and 400k'), { budget_min: 300000, budget_max: 400000 });
+  assert.deepEqual(normalizeBudget('around $450,000'), { budget_min: 450000, budget_max: 450000 });
+  assert.deepEqual(normalizeBudget('at least 300k'), { budget_min: 300000, budget_max: null });
+  assert.deepEqual(normalizeBudget('1.2m'), { budget_min: 1200000, budget_max: 1200000 });
+  assert.deepEqual(normalizeBudget('$2,000/month'), { budget_min: 2000, budget_max: 2000 });
+  assert.deepEqual(normalizeBudget('450'), { budget_min: 450000, budget_max: 450000 });
+});
+
+test('normalizeBudget returns nulls for unknown or unreadable answers', () => {
+  assert.deepEqual(normalizeBudget('unknown'), { budget_min: null, budget_max: null });
+  assert.deepEqual(normalizeBudget('whatever is reasonable'), { budget_min: null, budget_max: null });
+  assert.deepEqual(normalizeBudget(null), { budget_min: null, budget_max: null });
+});
+
+test('normalizeBedrooms reads counts and ranges', () => {
+  assert.deepEqual(normalizeBedrooms('3'), { bedrooms_min: 3, bedrooms_max: 3 });
+  assert.deepEqual(normalizeBedrooms('3-4'), { bedrooms_min: 3, bedrooms_max: 4 });
+  assert.deepEqual(normalizeBedrooms('two to three beds'), { bedrooms_min: 2, bedrooms_max: 3 });
+  assert.deepEqual(normalizeBedrooms('3+'), { bedrooms_min: 3, bedrooms_max: null });
+  assert.deepEqual(normalizeBedrooms('studio'), { bedrooms_min: 0, bedrooms_max: 0 });
+  assert.deepEqual(normalizeBedrooms('unknown'), { bedrooms_min: null, bedrooms_max: null });
+});
+
+test('normalizeTimeline turns relative phrases into date ranges', () => {
+  assert.deepEqual(normalizeTimeline('ASAP', NOW), { timeline_start: '2026-10-18', timeline_end: '2026-11-18' });
+  assert.deepEqual(normalizeTimeline('next 3 months', NOW), { timeline_start: '2026-10-18', timeline_end: '2027-01-18' });
+  assert.deepEqual(normalizeTimeline('3-4 years', NOW), { timeline_start: '2029-10-18', timeline_end: '2030-10-18' });
+  assert.deepEqual(normalizeTimeline('next year', NOW), { timeline_start: '2027-01-01', timeline_end: '2027-12-31' });
+  assert.deepEqual(normalizeTimeline('by June', NOW), { timeline_start: '2026-10-18', timeline_end: '2027-06-30' });
+  assert.deepEqual(normalizeTimeline('December', NOW), { timeline_start: '2026-12-01', timeline_end: '2026-12-31' });
+});
+
+test('normalizeTimeline rolls past seasons over to next year', () => {
+  assert.deepEqual(normalizeTimeline('this summer', NOW), { timeline_start: '2027-06-01', timeline_end: '2027-08-31' });
+  assert.deepEqual(normalizeTimeline('this fall', NOW), { timeline_start: '2026-10-18', timeline_end: '2026-11-30' });
+});
+
+test('normalizeTimeline returns nulls when there is no date in it', () => {
+  assert.deepEqual(normalizeTimeline('no rush', NOW), { timeline_start: null, timeline_end: null });
+  assert.deepEqual(normalizeTimeline('unknown', NOW), { timeline_start: null, timeline_end: null });
+  assert.deepEqual(normalizeTimeline('not now', NOW), { timeline_start: null, timeline_end: null });
+  assert.deepEqual(normalizeTimeline('not right now', NOW), { timeline_start: null, timeline_end: null });
+});
+
+test('normalizeTimeline reads a put-off lead by what comes after "not now"', () => {
+  assert.deepEqual(normalizeTimeline('not right now, maybe next year', NOW), { timeline_start: '2027-01-01', timeline_end: '2027-12-31' });
+  assert.deepEqual(normalizeTimeline('right now', NOW), { timeline_start: '2026-10-18', timeline_end: '2026-11-18' });
+});
@@ -0,0 +1,235 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { buildAlert, notificationProblem, ruleFor } = require('../lib/notifications');
+const { startServer, authHeaders, store, llm, client, mailer, runJobs, runAgentAlerts } = require('./helpers/server');
+
+let server;
+let hookServer;
+let hookUrl;
+const hookCalls = [];
+let hookFailures = 0;
+
+// Stands in for an agent's alert webhook
+before(async () => {
+  server = await startServer();
+
+  hookServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (hookFailures > 0) {
+        hookFailures--;
+        res.statusCode = 503;
+        return res.end();
+      }
+      hookCalls.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => hookServer.listen(0, '127.0.0.1', resolve));
+  hookUrl = `http://127.0.0.1:${hookServer.address().port}/alerts`;
+});
+
+after(async () => {
+  await server.close();
+  await new Promise(resolve => hookServer.close(resolve));
+});
+
+function intentScores(scores) {
+  return JSON.stringify({
+    wants_call: 0,
+    proposes_time: 0,
+    asks_property_question: 0,
+    asks_agent_question: 0,
+    not_interested: 0,
+    wrong_number: 0,
+    other: 0,
+    ...scores
+  });
+}
+
+function put(path, body, claims) {
+  return fetch(server.baseUrl + path, {
+    method: 'PUT',
+    headers: { ...authHeaders(claims), 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+const AGENT = { sub: 'agent-nia', role: 'agent' };
+
+test('notificationProblem checks events, channels and where alerts can go', () => {
+  const agent = { phone: '+1 480 555 0100', email: 'nia@example.com' };
+
+  assert.equal(notificationProblem({ rules: [{ event: 'hot_lead', channels: ['sms', 'email'] }] }, agent), null);
+  assert.match(notificationProblem({ rules: [{ event: 'lead_sneezed', channels: ['sms'] }] }, agent), /rules\[0\]\.event/);
+  assert.match(notificationProblem({ rules: [{ event: 'hot_lead', channels: [] }] }, agent), /at least one channel/);
+  assert.match(notificationProblem({ rules: [{ event: 'hot_lead', channels: ['sms'] }] }, {}), /add a phone/);
+  assert.match(notificationProblem({ rules: [{ event: 'hot_lead', channels: ['webhook'] }] }, agent), /webhook_url/);
+  assert.match(notificationProblem({ rules: [], webhookUrl: 'ftp://x' }, agent), /http\(s\) URL/);
+  assert.match(notificationProblem({ rules: [{ event: 'no_agent_response', channels: ['sms'] }] }, agent), /minutes/);
+  assert.match(notificationProblem({ rules: [{ event: 'hot_lead', channels: ['sms'], minutes: 5 }] }, agent), /only applies/);
+  assert.match(notificationProblem({
+    rules: [{ event: 'hot_lead', channels: ['sms'] }, { event: 'hot_lead', channels: ['email'] }]
+  }, agent), /already a rule/);
+
+  const assignedOnly = { id: 'a1', notification_rules: [{ event: 'hot_lead', channels: ['sms'], leads: 'assigned' }] };
+  assert.equal(ruleFor(assignedOnly, 'hot_lead', { assigned_to: 'a2' }), null);
+  assert.ok(ruleFor(assignedOnly, 'hot_lead', { assigned_to: 'a1' }));
+});
+
+test('buildAlert summarizes the lead and links to it', () => {
+  const { subject, text } = buildAlert('meeting_requested', {
+    phone: '15551230000',
+    name: 'Dana',
+    lead_score: 'hot',
+    lead_score_value: 85,
+    bedrooms: '3',
+    budget: '500k',
+    location: 'Tempe'
+  }, { link: 'https://dash/leads/15551230000', detail: 'can you call me at 5?' });
+
+  assert.equal(subject, '📞 Dana wants to talk');
+  assert.equal(text, [
+    '📞 Dana wants to talk',
+    'Lead: Dana (+15551230000), hot (85)',
+    'Looking for: 3 bd, 500k, Tempe',
+    'They said: "can you call me at 5?"',
+    'Open: https://dash/leads/15551230000'
+  ].join('\n'));
+});
+
+test('agents set their alert rules', async () => {
+  const created = await put('/agents/agent-nia', {
+    name: 'Nia',
+    timezone: 'America/Phoenix',
+    phone: '+1 480 555 0100',
+    email: 'nia@example.com'
+  }, AGENT);
+  assert.equal(created.status, 200);
+
+  const bad = await put('/agents/agent-nia/notifications', { rules: [{ event: 'hot_lead', channels: ['pager'] }] }, AGENT);
+  assert.equal(bad.status, 400);
+
+  const other = await put('/agents/agent-nia/notifications', { rules: [] }, { sub: 'agent-bo', role: 'agent' });
+  assert.equal(other.status, 403);
+
+  const res = await put('/agents/agent-nia/notifications', {
+    webhook_url: hookUrl,
+    rules: [
+      { event: 'hot_lead', channels: ['sms', 'webhook'] },
+      { event: 'meeting_requested', channels: ['email'] },
+      { event: 'unanswered_question', channels: ['whatsapp'] },
+      { event: 'no_agent_response', channels: ['email'], minutes: 30 }
+    ]
+  }, AGENT);
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.webhook_url, hookUrl);
+  assert.deepEqual(body.rules[0], { event: 'hot_lead', channels: ['sms', 'webhook'], leads: 'team' });
+});
+
+test('a call request emails the agent once, repeats are held back', async () => {
+  const phone = '15551244001';
+  const emailsBefore = mailer.sent.length;
+
+  llm.script('intent', [intentScores({ wants_call: 0.9 }), intentScores({ wants_call: 0.9 })]);
+  await server.sendWhatsApp(phone, 'can you call me this afternoon?');
+  await server.sendWhatsApp(phone, 'call me please');
+
+  const emails = mailer.sent.slice(emailsBefore).filter(e => e.to === 'nia@example.com');
+  assert.equal(emails.length, 1);
+  assert.equal(emails[0].subject, `📞 +${phone} wants to talk`);
+  assert.match(emails[0].text, /They said: "can you call me this afternoon\?"/);
+  assert.match(emails[0].text, new RegExp(`Open: https://dashboard.example.com/leads/${phone}`));
+
+  const [alert] = await store.listNotifications({ agentId: 'agent-nia', leadPhone: phone });
+  assert.equal(alert.status, 'sent');
+  assert.deepEqual(alert.delivered, ['email']);
+
+  // The job sending it belongs to the lead's team (team admins see it)
+  const [job] = (await store.listJobs({ type: 'notify' })).filter(j => j.payload.notificationId === alert.id);
+  assert.equal(job.payload.teamId, 'default');
+});
+
+test('a question the assistant hands off goes to the agent on WhatsApp', async () => {
+  const phone = '15551244002';
+
+  llm.script('intent', [intentScores({ asks_property_question: 0.8 })]);
+  await server.sendWhatsApp(phone, 'is the HOA on Mill Ave expensive?');
+
+  const alert = client.sent.filter(m => m.to === 'whatsapp:+14805550100').pop();
+  assert.match(alert.body, /^❓ \+15551244002 asked something the assistant couldn't answer/);
+  assert.match(alert.body, /HOA on Mill Ave/);
+});
+
+test('a lead turning hot texts the agent and calls their webhook, retrying it', async () => {
+  const phone = '15551244003';
+  hookFailures = 1;
+
+  const hotState = {
+    location: 'Tempe',
+    budget: '450k',
+    timeline: 'ASAP',
+    home_type: 'house',
+    bedrooms: '3',
+    preapproval: 'paying cash',
+    motivation: 'new job'
+  };
+  llm.script('extract', request => JSON.stringify(
+    Object.fromEntries(request.schema.schema.required.map(field => [field, hotState[field] ?? null]))
+  ));
+  await server.sendWhatsApp(phone, 'cash buyer, 3 bed house in Tempe, 450k, need it asap for a new job');
+  assert.equal((await store.getLead(phone)).lead_score, 'hot');
+
+  const text = client.sent.filter(m => m.to === '+14805550100').pop();
+  assert.match(text.body, /^🔥 Hot lead: \+15551244003/);
+
+  // The webhook failed once: the text isn't sent again on the retry
+  let [alert] = await store.listNotifications({ agentId: 'agent-nia', leadPhone: phone });
+  assert.deepEqual(alert.delivered, ['sms']);
+  assert.match(alert.error, /webhook/);
+
+  const textsBefore = client.sent.length;
+  await runJobs({ now: new Date(Date.now() + 60 * 60 * 1000) });
+
+  [alert] = await store.listNotifications({ agentId: 'agent-nia', leadPhone: phone });
+  assert.equal(alert.status, 'sent');
+  assert.equal(client.sent.length, textsBefore);
+  assert.equal(hookCalls.at(-1).event, 'hot_lead');
+  assert.equal(hookCalls.at(-1).lead_phone, phone);
+  assert.equal(hookCalls.at(-1).link, `https://dashboard.example.com/leads/${phone}`);
+});
+
+test('a lead waiting on an agent raises an alert after the rule minutes', async () => {
+  const phone = '15551244004';
+  await server.sendWhatsApp(phone, 'hi');
+
+  await fetch(`${server.baseUrl}/leads/${phone}/mode`, {
+    method: 'PATCH',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mode: 'agent' })
+  });
+  await server.sendWhatsApp(phone, 'hello? anyone there?');
+  const waitingSince = new Date((await store.getLead(phone)).last_message_at);
+
+  assert.deepEqual(await runAgentAlerts({ now: new Date(waitingSince.getTime() + 10 * 60 * 1000) }), { queued: 0 });
+  assert.deepEqual(await runAgentAlerts({ now: new Date(waitingSince.getTime() + 45 * 60 * 1000) }), { queued: 1 });
+  assert.deepEqual(await runAgentAlerts({ now: new Date(waitingSince.getTime() + 50 * 60 * 1000) }), { queued: 0 });
+  await runJobs();
+
+  const email = mailer.sent.filter(e => e.to === 'nia@example.com').pop();
+  assert.equal(email.subject, `⏰ +${phone} has waited 45 min for an agent`);
+});
+
+test('agents see their alert settings and recent alerts', async () => {
+  const res = await fetch(`${server.baseUrl}/agents/agent-nia/notifications`, { headers: authHeaders(AGENT) });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.rules.length, 4);
+  assert.ok(body.recent.length >= 4);
+  assert.ok(body.recent.every(alert => alert.agent_id === 'agent-nia'));
+});
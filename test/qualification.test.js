@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  loadQualificationConfig,
+  prepareQualificationConfig,
+  getFlow,
+  detectFlow,
+  flowForSource,
+  hasRequiredFields,
+  nextMissingField,
+  buildFieldRules
+} = require('../lib/qualification');
+const { startServer, store, llm } = require('./helpers/server');
+
+const config = loadQualificationConfig({});
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('the built-in config has buyer, renter and seller flows', () => {
+  assert.equal(config.default_flow, 'buyer');
+  assert.deepEqual(Object.keys(config.flows).sort(), ['buyer', 'renter', 'seller']);
+  assert.deepEqual(
+    getFlow(config, 'buyer').fields.map(f => f.key),
+    ['location', 'budget', 'timeline', 'home_type', 'bedrooms', 'preapproval', 'motivation']
+  );
+});
+
+test('detectFlow picks the flow from the first message', () => {
+  assert.equal(detectFlow(config, 'Looking for a 2br apartment for rent in Tempe').name, 'renter');
+  assert.equal(detectFlow(config, "What's my house worth? Thinking of selling").name, 'seller');
+  assert.equal(detectFlow(config, 'Hi! I want to buy a house').name, 'buyer');
+  assert.equal(detectFlow(config, '').name, 'buyer');
+});
+
+test('flowForSource maps lead sources and falls back to the default flow', () => {
+  assert.equal(flowForSource(config, 'Zillow-Rentals').name, 'renter');
+  assert.equal(flowForSource(config, 'open house').name, 'buyer');
+});
+
+test('nextMissingField and hasRequiredFields follow the flow definition', () => {
+  const flow = prepareQualificationConfig({
+    flows: {
+      custom: {
+        fields: [
+          { key: 'location', label: 'where' },
+          { key: 'pets', label: 'pets', required: false }
+        ]
+      }
+    }
+  }).flows.custom;
+
+  assert.equal(nextMissingField({ location: null, pets: null }, flow).key, 'location');
+  assert.equal(nextMissingField({ location: 'unknown', pets: null }, flow).key, 'pets');
+  assert.equal(nextMissingField({ location: 'Mesa', pets: 'none' }, flow), null);
+
+  assert.equal(hasRequiredFields({ location: 'Mesa', pets: null }, flow), true);
+  assert.equal(hasRequiredFields({ location: 'unknown', pets: 'dog' }, flow), false);
+});
+
+test('prepareQualificationConfig rejects broken configs', () => {
+  assert.throws(() => prepareQualificationConfig({ flows: { a: { fields: [] } } }), /has no fields/);
+  assert.throws(
+    () => prepareQualificationConfig({ flows: { a: { fields: [{ key: 'x', label: 'x' }, { key: 'x', label: 'y' }] } } }),
+    /lists "x" twice/
+  );
+  assert.throws(
+    () => prepareQualificationConfig({ flows: { a: { fields: [{ key: 'x', label: 'x', normalize: 'money' }] } } }),
+    /unknown normalize/
+  );
+  assert.throws(
+    () => prepareQualificationConfig({ default_flow: 'b', flows: { a: { fields: [{ key: 'x', label: 'x' }] } } }),
+    /default_flow "b"/
+  );
+});
+
+test('buildFieldRules puts each field hint under its own heading', () => {
+  const rules = buildFieldRules(getFlow(config, 'renter'));
+  assert.match(rules, /^- LOCATION:/);
+  assert.match(rules, /- MONTHLY RENT:\n {2}- Monthly rent/);
+  assert.match(rules, /- PETS:/);
+});
+
+test('POST /lead picks the flow from the lead source', async () => {
+  const res = await fetch(`${server.baseUrl}/lead`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Sam', phone: '+1 (555) 123-5001', source: 'zillow-rentals' })
+  });
+  assert.equal(res.status, 200);
+
+  const lead = await store.getLead('15551235001');
+  assert.equal(lead.flow, 'renter');
+
+  // The renter flow drives extraction for this lead's WhatsApp replies
+  llm.script('extract', JSON.stringify({ location: 'Tempe', monthly_rent: null, lease_start: null, bedrooms: null, pets: null }));
+  await server.sendWhatsApp('15551235001', 'something in Tempe');
+
+  const extractCall = llm.calls.filter(c => c.task === 'extract').at(-1);
+  assert.deepEqual(extractCall.schema.schema.required, ['location', 'monthly_rent', 'lease_start', 'bedrooms', 'pets']);
+  assert.equal(llm.calls.filter(c => c.task === 'reply').at(-1).meta.nextField, 'monthly_rent');
+});
+
+test('POST /lead rejects unknown flows', async () => {
+  const res = await fetch(`${server.baseUrl}/lead`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Sam', phone: '15551235002', flow: 'landlord' })
+  });
+  assert.equal(res.status, 400);
+});
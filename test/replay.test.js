@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { startServer, store, llm } = require('./helpers/server');
+
+const TRANSCRIPTS_DIR = path.join(__dirname, 'fixtures', 'transcripts');
+
+// Recorded WhatsApp conversations. Each turn carries the lead's message, the
+// model output recorded for extraction, the intent scores recorded for it
+// (optional, defaults to "other") and what we expect after it.
+const transcripts = fs
+  .readdirSync(TRANSCRIPTS_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({
+    file,
+    ...JSON.parse(fs.readFileSync(path.join(TRANSCRIPTS_DIR, file), 'utf8'))
+  }));
+
+function asModelOutput(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+for (const transcript of transcripts) {
+  test(`replay ${transcript.file}: ${transcript.description}`, async () => {
+    for (const [i, turn] of transcript.turns.entries()) {
+      const label = `turn ${i + 1} ("${turn.lead}")`;
+
+      // An array scripts successive extraction outputs within the turn
+      // (e.g. an invalid answer and then the retry); the last one repeats
+      const extractions = Array.isArray(turn.extraction) ? [...turn.extraction] : [turn.extraction];
+      llm.script('extract', () => asModelOutput(extractions.length > 1 ? extractions.shift() : extractions[0]));
+      llm.script('intent', () => JSON.stringify({ other: 1, ...turn.intent }));
+      llm.script('reply', () => `reply to: ${turn.lead}`);
+
+      const replyCallsBefore = llm.calls.filter(c => c.task === 'reply').length;
+      const extractCallsBefore = llm.calls.filter(c => c.task === 'extract').length;
+      const expectedExtractCalls = extractions.length;
+
+      const res = await server.sendWhatsApp(transcript.phone, turn.lead);
+      assert.equal(res.status, 200, label);
+
+      const replyCalls = llm.calls.filter(c => c.task === 'reply');
+      assert.equal(replyCalls.length, replyCallsBefore + 1, `${label}: one reply generated`);
+      assert.equal(
+        llm.calls.filter(c => c.task === 'extract').length,
+        extractCallsBefore + expectedExtractCalls,
+        `${label}: one extraction per message (plus retries)`
+      );
+      assert.equal(replyCalls.at(-1).meta.nextField, turn.expect.nextField, `${label}: next field asked`);
+
+      const lead = await store.getLead(transcript.phone);
+      assert.ok(lead, `${label}: lead row exists`);
+
+      for (const [field, value] of Object.entries(turn.expect.lead)) {
+        assert.deepEqual(lead[field], value, `${label}: lead.${field}`);
+      }
+
+      assert.equal(lead.lead_score, turn.expect.lead_score, `${label}: lead_score`);
+      assert.equal(lead.lead_score_value, turn.expect.lead_score_value, `${label}: lead_score_value`);
+    }
+
+    const messages = await store.getMessages(transcript.phone);
+    assert.deepEqual(
+      messages.map(m => m.sender),
+      transcript.turns.flatMap(() => ['lead', 'ai'])
+    );
+  });
+}
@@ -0,0 +1,436 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  availableSlots,
+  detectAppointmentChange,
+  parseSlotChoice,
+  parseWorkingHours,
+  pickOffer,
+  zonedParts,
+  zonedTimeToUtc
+} = require('../lib/scheduling');
+const { buildInvite, parseBusyBlocks } = require('../lib/ics');
+const { startServer, authHeaders, store, llm, client, mailer, runReminders } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function intentScores(scores) {
+  return JSON.stringify({
+    wants_call: 0,
+    proposes_time: 0,
+    asks_property_question: 0,
+    asks_agent_question: 0,
+    not_interested: 0,
+    wrong_number: 0,
+    other: 0,
+    ...scores
+  });
+}
+
+function putAgent(id, body, claims) {
+  return fetch(`${server.baseUrl}/agents/${id}`, {
+    method: 'PUT',
+    headers: { ...authHeaders(claims), 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+function get(path, claims) {
+  return fetch(server.baseUrl + path, { headers: authHeaders(claims) });
+}
+
+function lastSentTo(phone) {
+  return client.sent.filter(m => m.to === `whatsapp:+${phone}`).pop();
+}
+
+// Sunday Oct 18 2026, 5:00 AM in Phoenix (UTC-7 all year)
+const SUNDAY = new Date('2026-10-18T12:00:00Z');
+
+test('zonedTimeToUtc follows DST', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }, 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  assert.equal(zonedParts(new Date('2026-10-22T22:00:00Z'), 'America/Phoenix').weekday, 'thu');
+});
+
+test('parseWorkingHours reads ranges and explains bad ones', () => {
+  assert.deepEqual(parseWorkingHours({ Mon: '09:00-17:00', tue: ['09:00-12:00', '13:00-17:30'], sun: [] }), {
+    mon: [[540, 1020]],
+    tue: [[540, 720], [780, 1050]],
+    sun: []
+  });
+  assert.throws(() => parseWorkingHours({ funday: '09:00-17:00' }), /not a weekday/);
+  assert.throws(() => parseWorkingHours({ mon: '17:00-09:00' }), /not a range/);
+  assert.throws(() => parseWorkingHours({ mon: '9am-5pm' }), /not a range/);
+  assert.throws(() => parseWorkingHours('9-5'), /must be an object/);
+});
+
+test('availableSlots keeps a buffer around busy blocks', () => {
+  const agent = { id: 'a1', timezone: 'America/Phoenix', working_hours: { mon: '09:00-11:00' }, slot_minutes: 30, buffer_minutes: 15 };
+
+  const free = availableSlots(agent, { now: SUNDAY, days: 1, minNoticeMinutes: 0 });
+  assert.deepEqual(free.map(s => s.start), [
+    '2026-10-19T16:00:00.000Z',
+    '2026-10-19T16:30:00.000Z',
+    '2026-10-19T17:00:00.000Z',
+    '2026-10-19T17:30:00.000Z'
+  ]);
+  assert.equal(free[0].agent_id, 'a1');
+
+  // Busy 9:30-10:00: 9:00 and 10:00 are inside the buffer
+  const busy = [{ start: '2026-10-19T16:30:00.000Z', end: '2026-10-19T17:00:00.000Z' }];
+  assert.deepEqual(availableSlots(agent, { busy, now: SUNDAY, days: 1, minNoticeMinutes: 0 }).map(s => s.start), [
+    '2026-10-19T17:30:00.000Z'
+  ]);
+
+  // Minimum notice
+  const monday = new Date('2026-10-19T16:10:00Z');
+  assert.deepEqual(availableSlots(agent, { now: monday, days: 0, minNoticeMinutes: 60 }).map(s => s.start), [
+    '2026-10-19T17:30:00.000Z'
+  ]);
+});
+
+test('pickOffer spreads the offered slots out', () => {
+  const slots = ['16:00', '16:30', '17:00', '18:00', '18:30', '21:00', '23:00'].map(time => ({ start: `2026-10-19T${time}:00.000Z` }));
+  assert.deepEqual(pickOffer(slots).map(s => s.start.slice(11, 16)), ['16:00', '18:00', '21:00']);
+  assert.deepEqual(pickOffer(slots, { count: 2, spacingMinutes: 60 }).map(s => s.start.slice(11, 16)), ['16:00', '17:00']);
+});
+
+test('parseSlotChoice reads picks, named times and ignores other numbers', () => {
+  const offered = [
+    { start: '2026-10-20T17:00:00.000Z', agent_id: 'a1' }, // Tue 10:00 AM
+    { start: '2026-10-21T21:00:00.000Z', agent_id: 'a1' }, // Wed 2:00 PM
+    { start: '2026-10-22T22:00:00.000Z', agent_id: 'a2' } // Thu 3:00 PM
+  ];
+  const options = { timeZone: 'America/Phoenix', now: SUNDAY };
+
+  assert.deepEqual(parseSlotChoice('2', offered, options), { slot: offered[1] });
+  assert.deepEqual(parseSlotChoice('Option 3 please', offered, options), { slot: offered[2] });
+  assert.deepEqual(parseSlotChoice('the first one', offered, options), { slot: offered[0] });
+  assert.deepEqual(parseSlotChoice('Thursday at 3 works', offered, options), { slot: offered[2] });
+  assert.deepEqual(parseSlotChoice('wed 2pm', offered, options), { slot: offered[1] });
+
+  // Not offered: the next such day and time
+  assert.deepEqual(parseSlotChoice('Thursday at 3 works', [], options), { requested: '2026-10-22T22:00:00.000Z' });
+  assert.deepEqual(parseSlotChoice('how about friday 10:30am?', offered, options), { requested: '2026-10-23T17:30:00.000Z' });
+  assert.deepEqual(parseSlotChoice('tomorrow at noon', [], options), { requested: '2026-10-19T19:00:00.000Z' });
+
+  assert.equal(parseSlotChoice('we need 3 bedrooms', offered, options), null);
+  assert.equal(parseSlotChoice('sounds great', offered, options), null);
+});
+
+test('detectAppointmentChange', () => {
+  assert.equal(detectAppointmentChange('Can we reschedule?'), 'reschedule');
+  assert.equal(detectAppointmentChange('need a different day, sorry'), 'reschedule');
+  assert.equal(detectAppointmentChange("I can't make it, please cancel"), 'cancel');
+  assert.equal(detectAppointmentChange('see you then'), null);
+});
+
+test('parseBusyBlocks reads timed, all-day and weekly events', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;TZID=America/New_York:20261019T130000',
+    'DTEND;TZID=America/New_York:20261019T140000',
+    'SUMMARY:Closing\\, 12 Main St',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261021',
+    'DTEND;VALUE=DATE:20261022',
+    'SUMMARY:Day off',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20261020T160000Z',
+    'DURATION:PT30M',
+    'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=3',
+    'SUMMARY:Team',
+    '  sync',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20261019T200000Z',
+    'DTEND:20261019T210000Z',
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20261001T200000Z',
+    'DTEND:20261001T210000Z',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const blocks = parseBusyBlocks(ics, { timeZone: 'America/Phoenix', from: SUNDAY, until: new Date('2026-11-01T00:00:00Z') });
+
+  assert.deepEqual(blocks, [
+    { start: '2026-10-19T17:00:00.000Z', end: '2026-10-19T18:00:00.000Z', summary: 'Closing, 12 Main St' },
+    { start: '2026-10-20T16:00:00.000Z', end: '2026-10-20T16:30:00.000Z', summary: 'Team sync' },
+    { start: '2026-10-21T07:00:00.000Z', end: '2026-10-22T07:00:00.000Z', summary: 'Day off' },
+    { start: '2026-10-22T16:00:00.000Z', end: '2026-10-22T16:30:00.000Z', summary: 'Team sync' },
+    { start: '2026-10-27T16:00:00.000Z', end: '2026-10-27T16:30:00.000Z', summary: 'Team sync' }
+  ]);
+});
+
+test('buildInvite writes a folded, escaped iCalendar request or cancellation', () => {
+  const invite = buildInvite({
+    uid: 'appt-1@test',
+    start: '2026-10-22T22:00:00.000Z',
+    end: '2026-10-22T22:30:00.000Z',
+    summary: 'Call with Sam; buyer, Tempe',
+    description: 'Lead: Ada (+14805550100)\nThey said: ' + 'x'.repeat(80),
+    organizer: { name: 'Acme Realty', email: 'assistant@example.com' },
+    attendees: [{ name: 'Sam', email: 'sam@example.com' }, { name: 'Ada' }],
+    now: SUNDAY
+  });
+
+  assert.ok(invite.endsWith('END:VCALENDAR\r\n'));
+  assert.match(invite, /\r\nMETHOD:REQUEST\r\n/);
+  assert.match(invite, /\r\nDTSTART:20261022T220000Z\r\n/);
+  assert.match(invite, /\r\nSUMMARY:Call with Sam\\; buyer\\, Tempe\r\n/);
+  assert.match(invite, /ATTENDEE;CN="Sam";ROLE=REQ-PARTICIPANT:mailto:sam@example.com/);
+  assert.match(invite, /\r\nORGANIZER;CN="Acme Realty":mailto:assistant@example.com\r\n/);
+
+  // Parameter values are quoted, not backslash-escaped
+  const odd = buildInvite({ uid: 'x', start: SUNDAY, end: SUNDAY, summary: 'x', organizer: { name: 'Lee: "Realty"; Inc', email: 'a@b.c' } });
+  assert.match(odd, /\r\nORGANIZER;CN="Lee: Realty; Inc":mailto:a@b.c\r\n/);
+  assert.ok(invite.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+  const blocks = parseBusyBlocks(invite, { timeZone: 'UTC', from: SUNDAY });
+  assert.equal(blocks[0].start, '2026-10-22T22:00:00.000Z');
+
+  const cancel = buildInvite({ uid: 'appt-1@test', start: SUNDAY, end: SUNDAY, summary: 'x', method: 'CANCEL', sequence: 2 });
+  assert.match(cancel, /METHOD:CANCEL\r\n[\s\S]*SEQUENCE:2\r\nSTATUS:CANCELLED/);
+});
+
+test('agent profiles are validated and only admins or the agent edit them', async () => {
+  assert.equal((await putAgent('agent-x', { timezone: 'Mars/Olympus' })).status, 400);
+  assert.match((await (await putAgent('agent-x', { timezone: 'America/Phoenix', working_hours: { mon: 'all day' } })).json()).error, /not a range/);
+  assert.equal((await putAgent('agent-x', { name: 'No Zone' })).status, 400);
+  assert.equal((await putAgent('agent-x', { timezone: 'UTC', slot_minutes: 0 })).status, 400);
+
+  const other = await putAgent('agent-x', { timezone: 'UTC' }, { sub: 'agent-y', role: 'agent' });
+  assert.equal(other.status, 403);
+
+  const own = await putAgent('agent-y', { timezone: 'UTC', working_hours: { mon: '09:00-17:00' } }, { sub: 'agent-y', role: 'agent', name: 'Yara' });
+  assert.equal(own.status, 200);
+  const saved = await own.json();
+  assert.equal(saved.name, 'Yara');
+  assert.equal(saved.team_id, 'default');
+
+  const list = await (await get('/agents', { sub: 'v', role: 'viewer' })).json();
+  assert.ok(list.agents.some(agent => agent.id === 'agent-y'));
+
+  // Without working hours she takes no calls, the tests below book with Sam
+  assert.equal((await putAgent('agent-y', { working_hours: {} })).status, 200);
+});
+
+test('books, reminds, reschedules and cancels a call over WhatsApp', async () => {
+  const res = await putAgent('agent-sam', {
+    name: 'Sam',
+    email: 'Sam@Example.com',
+    timezone: 'America/Phoenix',
+    working_hours: Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(day => [day, '00:00-24:00']))
+  });
+  assert.equal(res.status, 200);
+
+  const phone = '14805550300';
+  await store.createLead({ name: 'Bo Buyer', phone, source: 'website', flow: 'buyer', channel: 'whatsapp' });
+
+  // Asks for a call: three slots, remembered on the lead
+  llm.script('intent', [intentScores({ wants_call: 0.9 })]);
+  await server.sendWhatsApp(phone, 'can we hop on a call?');
+
+  const offer = lastSentTo(phone).body;
+  assert.match(offer, /Here are a few times that work for a quick call:\n1\) .+\n2\) .+\n3\) .+\nReply with the one that suits you/);
+  assert.doesNotMatch(offer, /example\.com\/book/);
+  const offered = (await store.getLead(phone)).meeting_offer.slots;
+  assert.equal(offered.length, 3);
+
+  // Picks the second one
+  const emailsBefore = mailer.sent.length;
+  await server.sendWhatsApp(phone, '2');
+
+  const [booked] = await store.listAppointments({ leadPhone: phone });
+  assert.equal(booked.start_at, offered[1].start);
+  assert.equal(booked.agent_id, 'agent-sam');
+  assert.equal(booked.status, 'booked');
+  assert.match(lastSentTo(phone).body, /^You're booked! Your call with Sam is .+ MST\. Reply "reschedule" or "cancel"/);
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.status, 'meeting_booked');
+  assert.equal(lead.meeting_offer, null);
+  assert.equal(lead.wants_meeting, true);
+
+  const agentEmail = mailer.sent.slice(emailsBefore).find(email => email.to === 'sam@example.com');
+  assert.match(agentEmail.subject, /^New call: Bo Buyer, /);
+  assert.equal(agentEmail.attachments[0].filename, 'invite.ics');
+  assert.match(agentEmail.attachments[0].content, /METHOD:REQUEST[\s\S]*SUMMARY:Call with Bo Buyer/);
+
+  // Dashboard list and the lead's calendar link
+  const listed = await (await get(`/appointments?lead=${phone}`)).json();
+  assert.deepEqual(listed.appointments.map(a => a.id), [booked.id]);
+
+  const token = crypto.createHmac('sha256', process.env.AUTH_JWT_SECRET).update(booked.id).digest('base64url');
+  const ics = await fetch(`${server.baseUrl}/appointments/${booked.id}/ics?token=${token}`);
+  assert.equal(ics.status, 200);
+  assert.match(await ics.text(), /SUMMARY:Call with Sam/);
+  assert.equal((await fetch(`${server.baseUrl}/appointments/${booked.id}/ics?token=nope`)).status, 404);
+
+  // Reminder an hour before, once
+  const hourBefore = new Date(new Date(booked.start_at).getTime() - 60 * 60 * 1000);
+  assert.equal((await runReminders({ now: hourBefore })).sent, 1);
+  assert.match(lastSentTo(phone).body, /^Reminder: your call with Sam is /);
+  assert.ok(mailer.sent.some(email => /^Reminder: call with Bo Buyer/.test(email.subject)));
+  assert.equal((await runReminders({ now: hourBefore })).sent, 0);
+
+  // Moves it to the first new slot: same appointment, new time
+  await server.sendWhatsApp(phone, 'something came up, can we reschedule?');
+  assert.match(lastSentTo(phone).body, /^No problem, let's find a new time\.\n/);
+  const newSlot = (await store.getLead(phone)).meeting_offer.slots[0];
+  assert.notEqual(newSlot.start, booked.start_at);
+
+  await server.sendWhatsApp(phone, '1');
+  const moved = await store.getAppointment(booked.id);
+  assert.equal(moved.start_at, newSlot.start);
+  assert.equal(moved.sequence, 1);
+  assert.equal(moved.reminder_sent_at, null);
+  assert.match(lastSentTo(phone).body, /^Done, your call with Sam is now /);
+  assert.match(mailer.sent[mailer.sent.length - 1].subject, /^Call moved: Bo Buyer/);
+
+  // Calls it off
+  await server.sendWhatsApp(phone, 'actually please cancel the call');
+  const cancelled = await store.getAppointment(booked.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.match(lastSentTo(phone).body, /^No problem, your call on .+ is cancelled/);
+  const cancelEmail = mailer.sent[mailer.sent.length - 1];
+  assert.match(cancelEmail.subject, /^Call cancelled: Bo Buyer/);
+  assert.match(cancelEmail.attachments[0].content, /METHOD:CANCEL[\s\S]*SEQUENCE:2/);
+  assert.notEqual((await store.getLead(phone)).status, 'meeting_booked');
+});
+
+test('a bare "cancel" cancels the booked call, not the messages', async () => {
+  const phone = '14805550302';
+  await store.createLead({ name: 'Cy Cancel', phone, source: 'website', flow: 'buyer', channel: 'whatsapp' });
+
+  llm.script('intent', [intentScores({ wants_call: 0.9 })]);
+  await server.sendWhatsApp(phone, 'can we set up a call?');
+  await server.sendWhatsApp(phone, '1');
+  const [booked] = await store.listAppointments({ leadPhone: phone });
+  assert.equal(booked.status, 'booked');
+  const consentBefore = (await store.getLead(phone)).consent_status;
+
+  await server.sendWhatsApp(phone, 'Cancel');
+  assert.equal((await store.getAppointment(booked.id)).status, 'cancelled');
+  assert.match(lastSentTo(phone).body, /^No problem, your call on .+ is cancelled/);
+  assert.equal((await store.getLead(phone)).consent_status, consentBefore);
+
+  // With nothing booked it's an opt-out again
+  await server.sendWhatsApp(phone, 'Cancel');
+  assert.equal((await store.getLead(phone)).consent_status, 'opted_out');
+});
+
+test('books a time the lead names and sends email leads the .ics', async () => {
+  const phone = '14805550301';
+  await store.createLead({ name: 'Tia Time', phone, source: 'website', flow: 'buyer', channel: 'whatsapp' });
+
+  // Three days out at 3pm, in the lead's (default) timezone
+  const day = zonedParts(new Date(Date.now() + 3 * 24 * 60 * 60 * 1000), 'America/Phoenix');
+  const weekday = { sun: 'Sunday', mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday' }[day.weekday];
+
+  llm.script('intent', [intentScores({ proposes_time: 0.9 })]);
+  await server.sendWhatsApp(phone, `${weekday} at 3 works for a call`);
+
+  const [booked] = await store.listAppointments({ leadPhone: phone });
+  assert.equal(booked.start_at, zonedTimeToUtc({ ...day, hour: 15, minute: 0 }, 'America/Phoenix').toISOString());
+  assert.match(lastSentTo(phone).body, /^You're booked!/);
+
+  // An email lead asks for a call and picks a slot: the invite is attached
+  llm.script('intent', [intentScores({ wants_call: 0.9 })]);
+  await server.sendEmail({ FromFull: { Email: 'eve@example.com', Name: 'Eve' }, Subject: 'Call?', TextBody: 'could we talk by phone?', MessageID: 'sched-1' });
+  await server.sendEmail({ FromFull: { Email: 'eve@example.com' }, Subject: 'Re: Call?', TextBody: 'the third one', MessageID: 'sched-2' });
+
+  const confirmation = mailer.sent.filter(email => email.to === 'eve@example.com').pop();
+  assert.match(confirmation.text, /^You're booked!/);
+  assert.equal(confirmation.attachments[0].contentType, 'text/calendar; charset=utf-8; method=REQUEST');
+  assert.match(confirmation.attachments[0].content, /ATTENDEE;CN="Eve";ROLE=REQ-PARTICIPANT:mailto:eve@example.com/);
+});
+
+test('imported busy blocks take slots off the table', async () => {
+  await putAgent('agent-busy', { timezone: 'UTC', working_hours: { mon: '09:00-10:00' }, slot_minutes: 30, buffer_minutes: 0 });
+
+  const before = await (await get('/agents/agent-busy/slots')).json();
+  assert.ok(before.slots.length >= 2);
+
+  const first = before.slots[0];
+  const stamp = iso => iso.replace(/[-:]|\.\d{3}/g, '');
+  const res = await fetch(`${server.baseUrl}/agents/agent-busy/busy`, {
+    method: 'PUT',
+    headers: { ...authHeaders(), 'Content-Type': 'text/calendar' },
+    body: `BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART:${stamp(first.start)}\r\nDTEND:${stamp(first.end)}\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n`
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).busy_blocks, 1);
+
+  const after = await (await get('/agents/agent-busy/slots')).json();
+  assert.ok(!after.slots.some(slot => slot.start === first.start));
+
+  const bad = await fetch(`${server.baseUrl}/agents/agent-busy/busy`, {
+    method: 'PUT',
+    headers: { ...authHeaders(), 'Content-Type': 'text/calendar' },
+    body: 'not a calendar'
+  });
+  assert.equal(bad.status, 400);
+});
+
+// An Outlook export: quoted Windows zone names, one Outlook made up.
+// The two events are on `first` and `second` (YYYYMMDD).
+function outlookCalendar([first, second]) {
+  return [
+    'BEGIN:VCALENDAR',
+    'PRODID:-//Microsoft Corporation//Outlook 16.0 MIMEDIR//EN',
+    'BEGIN:VTIMEZONE',
+    'TZID:Pacific Standard Time',
+    'BEGIN:STANDARD',
+    'DTSTART:16011104T020000',
+    'TZOFFSETFROM:-0700',
+    'TZOFFSETTO:-0800',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+    'BEGIN:VEVENT',
+    `DTSTART;TZID="Pacific Standard Time":${first}T100000`,
+    `DTEND;TZID="Pacific Standard Time":${first}T110000`,
+    'SUMMARY:Showing',
+    'ORGANIZER;CN="Lee: Realty; Inc":mailto:lee@example.com',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    `DTSTART;TZID="Customized Time Zone":${second}T090000`,
+    `DTEND;TZID="Customized Time Zone":${second}T093000`,
+    'SUMMARY:Inspection',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+test('imports an Outlook export with quoted Windows zone names', async () => {
+  // Windows names map to IANA zones, unknown ones fall back to the agent's
+  assert.deepEqual(parseBusyBlocks(outlookCalendar(['20261020', '20261021']), { timeZone: 'America/Phoenix', from: SUNDAY }), [
+    { start: '2026-10-20T17:00:00.000Z', end: '2026-10-20T18:00:00.000Z', summary: 'Showing' },
+    { start: '2026-10-21T16:00:00.000Z', end: '2026-10-21T16:30:00.000Z', summary: 'Inspection' }
+  ]);
+
+  const day = offset => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+  const res = await fetch(`${server.baseUrl}/agents/agent-busy/busy`, {
+    method: 'PUT',
+    headers: { ...authHeaders(), 'Content-Type': 'text/calendar' },
+    body: outlookCalendar([day(2), day(3)])
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).busy_blocks, 2);
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scoreLead, scoreLabel } = require('../lib/scoring');
+const { loadQualificationConfig, getFlow } = require('../lib/qualification');
+const { startServer, authHeaders, llm } = require('./helpers/server');
+
+const config = loadQualificationConfig({});
+const buyer = getFlow(config, 'buyer');
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+const EMPTY_BUYER = {
+  location: null,
+  budget: null,
+  timeline: null,
+  home_type: null,
+  bedrooms: null,
+  preapproval: null,
+  motivation: null
+};
+
+test('scoreLead explains the score rule by rule', () => {
+  const result = scoreLead({
+    state: { ...EMPTY_BUYER, location: 'Tempe', preapproval: 'pre-approved', timeline: 'next 2 months' },
+    flow: buyer,
+    lead: {},
+    thresholds: config.score_thresholds,
+    now: NOW
+  });
+
+  assert.deepEqual(result.breakdown.map(b => b.text), [
+    '+20 base score',
+    '+25 pre-approved or paying cash',
+    '+20 timeline under 3 months',
+    '-15 budget unknown',
+    '+10 location known'
+  ]);
+  assert.equal(result.score, 60);
+  assert.equal(result.label, 'warm');
+});
+
+test('scoreLead does not count "not pre-approved" and penalizes far timelines', () => {
+  const result = scoreLead({
+    state: { ...EMPTY_BUYER, preapproval: 'not pre-approved yet', timeline: '2 years', budget: '300k' },
+    flow: buyer,
+    lead: {},
+    thresholds: config.score_thresholds,
+    now: NOW
+  });
+
+  const rules = result.breakdown.map(b => b.rule);
+  assert.ok(!rules.includes('preapproved'));
+  assert.ok(rules.includes('timeline_far'));
+  assert.equal(result.score, 25);
+  assert.equal(result.label, 'cold');
+});
+
+test('scoreLead clamps to 0-100 and counts a meeting request', () => {
+  const result = scoreLead({
+    state: {
+      location: 'Tempe',
+      budget: '450k',
+      timeline: 'ASAP',
+      home_type: 'house',
+      bedrooms: '3',
+      preapproval: 'paying cash',
+      motivation: 'new job'
+    },
+    flow: buyer,
+    lead: { wants_meeting: true },
+    thresholds: config.score_thresholds,
+    now: NOW
+  });
+
+  assert.ok(result.breakdown.some(b => b.rule === 'wants_meeting'));
+  assert.equal(result.score, 100);
+  assert.equal(result.label, 'hot');
+});
+
+test('scoreLabel uses the configured thresholds', () => {
+  const thresholds = { hot: 80, warm: 50 };
+  assert.equal(scoreLabel(80, thresholds), 'hot');
+  assert.equal(scoreLabel(79, thresholds), 'warm');
+  assert.equal(scoreLabel(49, thresholds), 'cold');
+});
+
+test('GET /leads/:phone/score-history lists each score change', async () => {
+  const phone = '15551234001';
+  const extract = state => JSON.stringify({ ...EMPTY_BUYER, ...state });
+
+  llm.script('extract', extract({ location: 'Tempe' }));
+  await server.sendWhatsApp(phone, 'Tempe');
+
+  // Same state again: no new history entry
+  await server.sendWhatsApp(phone, 'just Tempe');
+
+  llm.script('extract', extract({ location: 'Tempe', budget: '500k' }));
+  await server.sendWhatsApp(phone, '500k');
+
+  const res = await fetch(`${server.baseUrl}/leads/${phone}/score-history`, {
+    headers: authHeaders()
+  });
+  const history = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(history.map(h => [h.score, h.label]), [[15, 'cold'], [45, 'warm']]);
+  assert.ok(history.every(h => h.created_at));
+  assert.ok(history[1].breakdown.some(b => b.text === '+15 budget known'));
+});
@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// Must be set before the app (and its teams) load
+process.env.TEAMS_CONFIG = path.join(__dirname, 'fixtures', 'teams.js');
+
+const { prepareTeams } = require('../lib/teams');
+const { loadQualificationConfig } = require('../lib/qualification');
+const { startServer, authHeaders, store, llm, client, mailer } = require('./helpers/server');
+
+const HARBOR_NUMBER = '+15550000099';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+function postJson(path, payload) {
+  return fetch(server.baseUrl + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+}
+
+test('prepareTeams indexes numbers and rejects broken team configs', () => {
+  const qualification = loadQualificationConfig({});
+  const options = { qualification, source: 'test' };
+
+  const teams = prepareTeams([
+    { id: 'a', numbers: ['+1 (480) 555-0100'], booking_link: 'https://a.example' },
+    { id: 'b', numbers: ['+14805550199'], booking_link: 'https://b.example', default: true }
+  ], options);
+
+  assert.equal(teams.byNumber('whatsapp:+14805550100').id, 'a');
+  assert.equal(teams.byNumber('+19999999999').id, 'b', 'unknown numbers go to the default team');
+  assert.equal(teams.byId('a').whatsapp_number, '+1 (480) 555-0100');
+  assert.equal(teams.byId('a').qualification.default_flow, 'buyer');
+
+  assert.throws(
+    () => prepareTeams([{ id: 'a', numbers: ['+1'], booking_link: 'x' }, { id: 'b', numbers: ['+1'], booking_link: 'x' }], options),
+    /belongs to "a" and "b"/
+  );
+  assert.throws(() => prepareTeams([{ id: 'a', numbers: ['+1'] }], options), /no booking_link/);
+  assert.throws(() => prepareTeams([{ id: 'a', booking_link: 'x' }], options), /no inbound numbers/);
+  assert.throws(
+    () => prepareTeams([{ id: 'a', numbers: ['+1'], booking_link: 'x', qualification: { default_flow: 'landlord' } }], options),
+    /default_flow "landlord"/
+  );
+});
+
+test('inbound messages are routed to the team owning the To number', async () => {
+  const phone = '15551235001';
+  const sentBefore = client.sent.length;
+
+  await server.sendWhatsApp(phone, 'hi there', { to: HARBOR_NUMBER });
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.team_id, 'harbor');
+  assert.equal(lead.flow, 'renter', "harbor's default flow");
+
+  const messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.team_id), ['harbor', 'harbor']);
+
+  const reply = llm.calls.filter(c => c.task === 'reply').at(-1);
+  assert.match(reply.messages[0].content, /for Harbor Homes/);
+  assert.match(reply.messages[0].content, /You are Marlo/);
+
+  const sent = client.sent.slice(sentBefore);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].from, `whatsapp:${HARBOR_NUMBER}`);
+});
+
+test('a lead stays with the first team it contacted', async () => {
+  const phone = '15551235002';
+
+  await server.sendWhatsApp(phone, 'looking to buy in Tempe');
+  await server.sendWhatsApp(phone, 'also, is this the same company?', { to: HARBOR_NUMBER });
+
+  const lead = await store.getLead(phone);
+  assert.equal(lead.team_id, 'sunbelt');
+  assert.equal(client.sent.at(-1).from, 'whatsapp:+15550000000');
+});
+
+test('inbound email is routed by recipient address', async () => {
+  await server.sendEmail({
+    FromFull: { Email: 'tess@example.com', Name: 'Tess' },
+    To: 'leads@harbor.example',
+    Subject: 'Apartment',
+    TextBody: 'need a 2 bed apartment',
+    MessageID: 'team-email-1'
+  });
+
+  const lead = await store.getLead('tess@example.com');
+  assert.equal(lead.team_id, 'harbor');
+  assert.equal(mailer.sent.at(-1).from, 'leads@harbor.example');
+});
+
+test('GET /leads only returns the team of the user', async () => {
+  await postJson('/lead', { name: 'Iris', phone: '15551235003', team: 'harbor', source: 'website' });
+
+  const getLeads = (query, claims) => fetch(`${server.baseUrl}/leads${query}`, { headers: authHeaders(claims) });
+  const leadsOf = async (query, claims) => (await (await getLeads(query, claims)).json()).leads;
+
+  const harbor = await leadsOf('', { sub: 'marlo', role: 'agent', team: 'harbor' });
+  assert.ok(harbor.length > 0);
+  assert.ok(harbor.every(lead => lead.team_id === 'harbor'));
+  assert.ok(harbor.some(lead => lead.phone === '15551235003'));
+
+  const sunbelt = await leadsOf('', { sub: 'sam', role: 'viewer', team: 'sunbelt' });
+  assert.ok(sunbelt.every(lead => lead.team_id === 'sunbelt' || !lead.team_id));
+  assert.ok(!sunbelt.some(lead => lead.phone === '15551235003'));
+
+  // Admins without a team pick one, or see them all
+  const adminHarbor = await leadsOf('?team=harbor');
+  assert.deepEqual(adminHarbor.map(l => l.phone).sort(), harbor.map(l => l.phone).sort());
+  const all = await leadsOf('');
+  assert.equal(all.length, harbor.length + sunbelt.length);
+
+  const otherTeam = await getLeads('?team=sunbelt', { sub: 'marlo', role: 'agent', team: 'harbor' });
+  assert.equal(otherTeam.status, 403);
+
+  const unknown = await getLeads('?team=nope');
+  assert.equal(unknown.status, 400);
+});
+
+test('POST /lead validates the team and uses its qualification settings', async () => {
+  const bad = await postJson('/lead', { name: 'Ola', phone: '15551235004', team: 'nope' });
+  assert.equal(bad.status, 400);
+
+  await postJson('/lead', { name: 'Ola', phone: '15551235004', team: 'harbor' });
+  const lead = await store.getLead('15551235004');
+  assert.equal(lead.team_id, 'harbor');
+  assert.equal(lead.flow, 'renter');
+});
@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, store, llm, client } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('rejects webhook calls without a Twilio signature', async () => {
+  const res = await server.sendWhatsApp('15551239001', 'hello', { signed: false });
+
+  assert.equal(res.status, 403);
+  assert.deepEqual(await store.getMessages('15551239001'), []);
+});
+
+test('rejects webhook calls with a forged signature', async () => {
+  const res = await server.postWebhook(
+    '/whatsapp-webhook',
+    { From: 'whatsapp:+15551239002', Body: 'hello', MessageSid: 'SMforged' },
+    { signature: 'bm90LWEtcmVhbC1zaWduYXR1cmU=' }
+  );
+
+  assert.equal(res.status, 403);
+});
+
+test('a retried MessageSid is acknowledged without replying again', async () => {
+  const phone = '15551239003';
+  const sentBefore = client.sent.length;
+  const replyCallsBefore = llm.calls.filter(c => c.task === 'reply').length;
+
+  const first = await server.sendWhatsApp(phone, 'house in Mesa', { messageSid: 'SMretry0001' });
+  const retry = await server.sendWhatsApp(phone, 'house in Mesa', { messageSid: 'SMretry0001' });
+
+  assert.equal(first.status, 200);
+  assert.equal(retry.status, 200);
+
+  const messages = await store.getMessages(phone);
+  assert.deepEqual(messages.map(m => m.sender), ['lead', 'ai']);
+  assert.equal(llm.calls.filter(c => c.task === 'reply').length, replyCallsBefore + 1);
+  assert.equal(client.sent.length, sentBefore + 1);
+});
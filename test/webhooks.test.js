@@ -0,0 +1,267 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { signPayload, subscriptionProblem, verifySignature, webhookPayload } = require('../lib/webhooks');
+const { startServer, authHeaders, store, runJobs } = require('./helpers/server');
+
+let server;
+let crmServer;
+let crmUrl;
+const received = [];
+let crmFailures = 0;
+
+// Stands in for the team's CRM: keeps each request's raw body and headers
+before(async () => {
+  server = await startServer();
+
+  crmServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (crmFailures > 0) {
+        crmFailures--;
+        res.statusCode = 500;
+        return res.end('try later');
+      }
+      received.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => crmServer.listen(0, '127.0.0.1', resolve));
+  crmUrl = `http://127.0.0.1:${crmServer.address().port}`;
+});
+
+after(async () => {
+  await server.close();
+  await new Promise(resolve => crmServer.close(resolve));
+});
+
+function api(method, path, body, claims) {
+  return fetch(server.baseUrl + path, {
+    method,
+    headers: { ...authHeaders(claims), 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+function receivedFor(path, phone) {
+  return received.filter(r => r.path === path && r.json.lead_phone === phone);
+}
+
+const LEAD = {
+  phone: '15551245000',
+  name: 'Dana Reyes',
+  source: 'zillow',
+  location: 'Tempe',
+  status: 'qualified',
+  lead_score: 'hot',
+  consent_status: 'opted_out'
+};
+
+test('signatures check the body, the secret and the time', () => {
+  const body = '{"event":"lead.created"}';
+  const now = new Date('2026-10-18T12:00:00Z');
+  const header = signPayload('whsec_test', body, now);
+
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.equal(verifySignature('whsec_test', header, body, { now }), true);
+  assert.equal(verifySignature('whsec_test', header, body.replace('created', 'updated'), { now }), false);
+  assert.equal(verifySignature('whsec_other', header, body, { now }), false);
+  assert.equal(verifySignature('whsec_test', header, body, { now: new Date('2026-10-18T12:10:00Z') }), false);
+  assert.equal(verifySignature('whsec_test', 'garbage', body, { now }), false);
+});
+
+test('subscriptionProblem checks the url, events and preset', () => {
+  assert.equal(subscriptionProblem({ url: 'https://crm.example.com/hook', events: ['lead.created'] }), null);
+  assert.match(subscriptionProblem({ url: 'crm.example.com', events: ['lead.created'] }), /url/);
+  assert.match(subscriptionProblem({ url: 'https://crm.example.com', events: [] }), /at least one event/);
+  assert.match(subscriptionProblem({ url: 'https://crm.example.com', events: ['lead.sneezed'] }), /lead\.sneezed is not one of/);
+  assert.match(subscriptionProblem({ url: 'https://crm.example.com', events: ['lead.created'], preset: 'rolodex' }), /preset/);
+  assert.equal(subscriptionProblem({ active: false }, { partial: true }), null);
+});
+
+test('presets shape the lead for the CRM', () => {
+  const event = {
+    id: 'bus-1',
+    type: 'message.created',
+    created_at: '2026-10-18T12:00:00.000Z',
+    team_id: 'default',
+    lead_phone: LEAD.phone,
+    data: { message: { sender: 'lead', message: 'still looking in Tempe' } }
+  };
+
+  const raw = webhookPayload(event, LEAD, 'raw');
+  assert.equal(raw.event_id, 'bus-1');
+  assert.equal(raw.data.lead.name, 'Dana Reyes');
+  assert.equal(raw.data.message.message, 'still looking in Tempe');
+
+  const fub = webhookPayload(event, LEAD, 'follow_up_boss').data;
+  assert.equal(fub.type, 'General Inquiry');
+  assert.equal(fub.message, 'lead: still looking in Tempe');
+  assert.deepEqual(fub.person.phones, [{ value: '+15551245000', type: 'mobile' }]);
+  assert.equal(fub.person.stage, 'Hot Prospect');
+  assert.ok(fub.person.tags.includes('opted out'));
+
+  const hubspot = webhookPayload(event, LEAD, 'hubspot').data;
+  assert.deepEqual(hubspot.properties, {
+    firstname: 'Dana',
+    lastname: 'Reyes',
+    phone: '+15551245000',
+    email: null,
+    city: 'Tempe',
+    lifecyclestage: 'lead',
+    hs_lead_status: 'OPEN'
+  });
+
+  const salesforce = webhookPayload({ ...event, type: 'lead.opted_out', data: {} }, { phone: LEAD.phone }, 'salesforce').data;
+  assert.equal(salesforce.LastName, '[not provided]');
+  assert.equal(salesforce.Company, '[not provided]');
+  assert.equal(salesforce.Status, 'Open - Not Contacted');
+  assert.equal(salesforce.Description, 'Opted out of messages');
+});
+
+let crm;
+
+test('admins register subscribers and get the secret once', async () => {
+  assert.equal((await api('POST', '/webhooks', { url: `${crmUrl}/raw`, events: ['lead.created'] }, { role: 'agent' })).status, 403);
+  assert.equal((await api('POST', '/webhooks', { url: `${crmUrl}/raw`, events: ['lead.sold'] })).status, 400);
+
+  const res = await api('POST', '/webhooks', {
+    url: `${crmUrl}/raw`,
+    events: ['lead.created', 'message.created', 'lead.opted_out'],
+    description: 'Pipeline sync'
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.match(body.secret, /^whsec_[0-9a-f]{48}$/);
+  assert.equal(body.webhook.preset, 'raw');
+  assert.equal(body.webhook.team_id, 'default');
+  assert.equal(body.webhook.secret, undefined);
+  crm = { ...body.webhook, secret: body.secret };
+
+  const list = await (await api('GET', '/webhooks')).json();
+  assert.deepEqual(list.webhooks.map(w => w.id), [crm.id]);
+  assert.equal(list.webhooks[0].secret, undefined);
+});
+
+test('a new lead and its messages reach the CRM in order, signed', async () => {
+  const phone = '15551245001';
+  await server.sendWhatsApp(phone, 'hi, looking for a condo');
+
+  const requests = receivedFor('/raw', phone);
+  assert.deepEqual(
+    requests.map(r => [r.json.event, r.json.data.message?.sender ?? null]),
+    [['lead.created', null], ['message.created', 'lead'], ['message.created', 'ai']]
+  );
+
+  const [created] = requests;
+  assert.equal(created.headers['x-webhook-event'], 'lead.created');
+  assert.equal(created.headers['x-webhook-id'], String(created.json.id));
+  assert.equal(verifySignature(crm.secret, created.headers['x-webhook-signature'], created.body), true);
+  assert.equal(created.json.team_id, 'default');
+  assert.equal(created.json.data.lead.phone, phone);
+
+  const [delivery] = await store.listWebhookDeliveries({ ids: [created.json.id] });
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.response_status, 200);
+});
+
+test('a delivery the CRM turns down is tried again and logged', async () => {
+  const phone = '15551245002';
+  crmFailures = 1;
+  await server.sendWhatsApp(phone, 'hello');
+
+  let log = await (await api('GET', `/webhooks/${crm.id}/deliveries?lead=${phone}&event=lead.created`)).json();
+  assert.equal(log.deliveries[0].status, 'pending');
+  assert.equal(log.deliveries[0].response_status, 500);
+  assert.equal(log.deliveries[0].response_body, 'try later');
+  // The lead's later events wait for it
+  assert.deepEqual(receivedFor('/raw', phone), []);
+
+  await runJobs({ now: new Date(Date.now() + 60 * 60 * 1000) });
+
+  log = await (await api('GET', `/webhooks/${crm.id}/deliveries?lead=${phone}&event=lead.created`)).json();
+  assert.equal(log.deliveries[0].status, 'delivered');
+  assert.equal(log.deliveries[0].attempts, 2);
+  assert.equal(receivedFor('/raw', phone)[0].json.event, 'lead.created');
+});
+
+test('deliveries can be replayed, by id or from a time', async () => {
+  const phone = '15551245001';
+  const [original] = receivedFor('/raw', phone);
+
+  assert.equal((await api('POST', `/webhooks/${crm.id}/replay`, {})).status, 400);
+  assert.equal((await api('POST', `/webhooks/${crm.id}/replay`, { delivery_ids: [999999] })).status, 404);
+
+  const res = await api('POST', `/webhooks/${crm.id}/replay`, { delivery_ids: [original.json.id] });
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.replayed, 1);
+  await runJobs();
+
+  const replay = receivedFor('/raw', phone).at(-1);
+  assert.equal(replay.json.replay_of, original.json.id);
+  assert.equal(replay.json.event_id, original.json.event_id);
+  assert.notEqual(replay.json.id, original.json.id);
+  assert.deepEqual(replay.json.data, original.json.data);
+  assert.equal(verifySignature(crm.secret, replay.headers['x-webhook-signature'], replay.body), true);
+
+  const since = await (await api('POST', `/webhooks/${crm.id}/replay`, {
+    since: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    event: 'lead.created',
+    status: 'delivered'
+  })).json();
+  assert.ok(since.deliveries.every(d => d.event === 'lead.created'));
+  assert.ok(since.replayed >= 2);
+});
+
+test('opt-outs go to a Salesforce subscriber, paused subscribers get nothing', async () => {
+  const res = await api('POST', '/webhooks', {
+    url: `${crmUrl}/salesforce`,
+    events: ['lead.opted_out'],
+    preset: 'salesforce'
+  });
+  const { webhook: salesforce } = await res.json();
+
+  const phone = '15551245003';
+  await server.sendWhatsApp(phone, 'hi');
+  await server.sendWhatsApp(phone, 'STOP');
+
+  const [optOut] = receivedFor('/salesforce', phone);
+  assert.equal(optOut.json.event, 'lead.opted_out');
+  assert.equal(optOut.json.data.HasOptedOutOfEmail, true);
+  assert.equal(optOut.json.data.Phone, `+${phone}`);
+  assert.ok(receivedFor('/raw', phone).some(r => r.json.event === 'lead.opted_out'));
+
+  const paused = await api('PATCH', `/webhooks/${salesforce.id}`, { active: false, rotate_secret: true });
+  const pausedBody = await paused.json();
+  assert.equal(pausedBody.webhook.active, false);
+  assert.match(pausedBody.secret, /^whsec_/);
+  assert.equal((await api('POST', `/webhooks/${salesforce.id}/replay`, { delivery_ids: [optOut.json.id] })).status, 409);
+
+  await server.sendWhatsApp('15551245004', 'hi');
+  await server.sendWhatsApp('15551245004', 'STOP');
+  assert.deepEqual(receivedFor('/salesforce', '15551245004'), []);
+
+  assert.equal((await api('DELETE', `/webhooks/${salesforce.id}`)).status, 200);
+  assert.deepEqual(await store.listWebhookDeliveries({ webhookId: salesforce.id }), []);
+});
+
+test("admins don't see other teams' subscribers", async () => {
+  const other = await store.addWebhook({
+    team_id: 'other',
+    url: `${crmUrl}/other`,
+    events: ['lead.created'],
+    preset: 'raw',
+    secret: 'whsec_other',
+    active: true
+  });
+
+  const teamAdmin = { team: 'default' };
+  assert.equal((await api('GET', `/webhooks/${other.id}/deliveries`, undefined, teamAdmin)).status, 404);
+  assert.equal((await api('DELETE', `/webhooks/${other.id}`, undefined, teamAdmin)).status, 404);
+  const list = await (await api('GET', '/webhooks', undefined, teamAdmin)).json();
+  assert.ok(list.webhooks.every(w => w.team_id === 'default'));
+});